@@ -2,6 +2,12 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
+import zlib from "zlib";
+import readline from "readline";
+import net from "net";
+import { EventEmitter } from "events";
+import { createRequire } from "module";
+import { pathToFileURL } from "url";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -9,862 +15,8423 @@ const PORT = process.env.PORT || 3000;
 // ---- Config ----
 const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
 const MAX_RECENT_PER_HOOK = Number(process.env.MAX_RECENT_PER_HOOK || 500);
-const MAX_EXPORT = Number(process.env.MAX_EXPORT || 20000);
 
-// Optional allowlist: comma-separated hook names, e.g. "tracks,modify,cancel"
+// Optional allowlist: comma-separated hook names, e.g. "tracks,modify,cancel".
+// Kept for older deploys; registering hooks in the hooks file (see below) does the same without a redeploy.
 const HOOK_ALLOWLIST = (process.env.HOOK_ALLOWLIST || "")
   .split(",")
   .map((s) => s.trim())
   .filter(Boolean);
 
+const HOOK_NAME_RE = /^[a-zA-Z0-9_-]{1,40}$/;
+
+// with registeredOnly (or HOOK_ALLOWLIST) set, only registered hooks exist; otherwise any valid name does
 function isHookAllowed(hook) {
   if (!hook) return false;
-  if (!/^[a-zA-Z0-9_-]{1,40}$/.test(hook)) return false;
-  if (HOOK_ALLOWLIST.length === 0) return true;
-  return HOOK_ALLOWLIST.includes(hook);
+  if (!HOOK_NAME_RE.test(hook)) return false;
+  if (!registeredOnly()) return true;
+  return isHookRegistered(hook);
 }
 
 fs.mkdirSync(DATA_DIR, { recursive: true });
 
-// ---- Request logging ----
-app.use((req, res, next) => {
-  console.log(
-    `[REQ] ${req.method} ${req.originalUrl} ct=${req.headers["content-type"] || ""}`
-  );
-  next();
-});
+// ---- Per-hook config ----
+// Optional JSON file, e.g. { "registeredOnly": false, "hooks": { "tracks": { "secret": "..." } } }
+// Every key under "hooks" registers that hook. The settings page and /api/settings/hooks edit the file,
+// and edits made by hand are picked up within HOOKS_RELOAD_MS without a restart.
+const HOOKS_CONFIG_FILE = process.env.HOOKS_CONFIG_FILE || path.join(DATA_DIR, "hooks.json");
+const HOOKS_RELOAD_MS = Number(process.env.HOOKS_RELOAD_MS || 2000);
+
+// enabled: deliveries are stored; disabled: rejected with 403; paused: see pauseMode
+const HOOK_STATES = ["enabled", "disabled", "paused"];
+// discard: answer 200 and drop the delivery; store: keep it but answer 503 so the sender retries later
+const PAUSE_MODES = ["discard", "store"];
+
+function parseKeyValueList(s) {
+  const out = {};
+  for (const pair of (s || "").split(",")) {
+    const idx = pair.indexOf("=");
+    if (idx <= 0) continue;
+    const k = pair.slice(0, idx).trim();
+    const v = pair.slice(idx + 1).trim();
+    if (k && v) out[k] = v;
+  }
+  return out;
+}
 
-// ---- Body parsing ----
-app.use(
-  express.json({
-    limit: "2mb",
-    type: ["application/json", "application/*+json"],
-  })
-);
-app.use(
-  express.text({
-    limit: "2mb",
-    type: "*/*",
-  })
-);
+// throws on unreadable or invalid JSON so callers can keep what they had
+function loadHooksFile() {
+  if (!fs.existsSync(HOOKS_CONFIG_FILE)) return { hooks: {} };
+  const parsed = JSON.parse(fs.readFileSync(HOOKS_CONFIG_FILE, "utf8"));
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("expected a JSON object");
+  const hooks = parsed.hooks && typeof parsed.hooks === "object" && !Array.isArray(parsed.hooks) ? parsed.hooks : {};
+  return { ...parsed, hooks };
+}
 
-// ---- Storage ----
-const recentByHook = new Map();
+function readHooksConfig() {
+  try {
+    return loadHooksFile();
+  } catch (err) {
+    console.error("[CONFIG] failed to read", HOOKS_CONFIG_FILE, err?.message || err);
+    return null;
+  }
+}
 
-function hookFile(hook) {
-  return path.join(DATA_DIR, `${hook}.ndjson`);
+let hooksFile = readHooksConfig() || { hooks: {} };
+let hooksConfig = hooksFile.hooks;
+
+// an invalid file (e.g. half-saved by an editor) keeps the previous config
+function reloadHooksConfig() {
+  const next = readHooksConfig();
+  if (!next) return false;
+  hooksFile = next;
+  hooksConfig = next.hooks;
+  console.log(`[CONFIG] loaded ${HOOKS_CONFIG_FILE} (${Object.keys(hooksConfig).length} hooks)`);
+  return true;
 }
 
-function loadHook(hook) {
-  const file = hookFile(hook);
-  if (!fs.existsSync(file)) return [];
-  const raw = fs.readFileSync(file, "utf8").trim();
-  if (!raw) return [];
-  const lines = raw.split("\n").filter(Boolean);
-  const tail = lines.slice(-MAX_RECENT_PER_HOOK);
-  return tail
-    .map((l) => {
-      try {
-        return JSON.parse(l);
-      } catch {
-        return null;
-      }
-    })
-    .filter(Boolean);
+function writeHooksFile(data) {
+  const tmp = `${HOOKS_CONFIG_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n");
+  fs.renameSync(tmp, HOOKS_CONFIG_FILE);
+  hooksFile = data;
+  hooksConfig = data.hooks;
 }
 
-function ensureHookLoaded(hook) {
-  if (!recentByHook.has(hook)) recentByHook.set(hook, loadHook(hook));
-  return recentByHook.get(hook);
+fs.watchFile(HOOKS_CONFIG_FILE, { interval: HOOKS_RELOAD_MS }, (cur, prev) => {
+  if (cur.mtimeMs !== prev.mtimeMs || cur.size !== prev.size) reloadHooksConfig();
+}).unref();
+
+function getHookConfig(hook) {
+  return Object.prototype.hasOwnProperty.call(hooksConfig, hook) ? hooksConfig[hook] || {} : {};
 }
 
-function storeEvent(hook, payload, meta) {
-  const evt = {
-    id: crypto.randomUUID(),
-    hook,
-    receivedAt: new Date().toISOString(),
-    meta,
-    payload,
-  };
+function isHookRegistered(hook) {
+  return Object.prototype.hasOwnProperty.call(hooksConfig, hook) || HOOK_ALLOWLIST.includes(hook);
+}
+
+function registeredOnly() {
+  return HOOK_ALLOWLIST.length > 0 || hooksFile.registeredOnly === true;
+}
 
-  const arr = ensureHookLoaded(hook);
-  arr.unshift(evt);
-  if (arr.length > MAX_RECENT_PER_HOOK) arr.pop();
+function hookState(hook) {
+  const state = getHookConfig(hook).state;
+  return HOOK_STATES.includes(state) ? state : "enabled";
+}
 
-  fs.appendFileSync(hookFile(hook), JSON.stringify(evt) + "\n");
-  return evt;
+// ---- Signature verification ----
+// Secrets via env: HOOK_SECRETS="tracks=abc,modify=def" (wins over the config file),
+// HOOK_SECRET applies to every hook without its own secret.
+const HOOK_SECRETS = parseKeyValueList(process.env.HOOK_SECRETS);
+const DEFAULT_HOOK_SECRET = process.env.HOOK_SECRET || "";
+const SIGNATURE_HEADER = (process.env.SIGNATURE_HEADER || "x-signature").toLowerCase();
+const TIMESTAMP_HEADER = (process.env.TIMESTAMP_HEADER || "x-timestamp").toLowerCase();
+const SIGNATURE_TOLERANCE_SEC = Number(process.env.SIGNATURE_TOLERANCE_SEC || 300);
+const QUARANTINE_REJECTED = process.env.QUARANTINE_REJECTED === "1";
+
+function hookSecret(hook) {
+  return HOOK_SECRETS[hook] || getHookConfig(hook).secret || DEFAULT_HOOK_SECRET;
 }
 
-function listHooksOnDisk() {
-  try {
-    const files = fs.readdirSync(DATA_DIR);
-    const hooks = files
-      .filter((f) => f.endsWith(".ndjson"))
-      .map((f) => f.replace(/\.ndjson$/, ""))
-      .filter((h) => isHookAllowed(h));
-    hooks.sort((a, b) => a.localeCompare(b));
-    return hooks;
-  } catch {
-    return [];
+// accepts unix seconds, unix millis or an ISO date
+function parseTimestampMs(raw) {
+  if (/^\d+$/.test(raw)) {
+    const n = Number(raw);
+    return n < 1e12 ? n * 1000 : n;
   }
+  return Date.parse(raw);
 }
 
-// ---- Utilities ----
-function stringifySafe(x) {
+// accepts "sha256=<hex>", "<hex>" or base64
+function decodeSignature(raw) {
+  const s = raw.replace(/^sha256=/i, "").trim();
+  if (/^[0-9a-f]{64}$/i.test(s)) return Buffer.from(s, "hex");
   try {
-    if (typeof x === "string") return x;
-    return JSON.stringify(x);
+    return Buffer.from(s, "base64");
   } catch {
-    return String(x);
+    return null;
   }
 }
 
-function normalizeQ(q) {
-  const s = (q || "").toString().trim();
-  return s.length ? s : "";
+// HMAC-SHA256 over "<timestamp>.<raw body>" (or just the raw body when no timestamp is sent)
+function verifySignature(hook, req) {
+  const secret = hookSecret(hook);
+  if (!secret) return { ok: true };
+
+  const cfg = getHookConfig(hook);
+  const sigHeader = (cfg.signatureHeader || SIGNATURE_HEADER).toLowerCase();
+  const tsHeader = (cfg.timestampHeader || TIMESTAMP_HEADER).toLowerCase();
+  const toleranceSec = Number(cfg.toleranceSec ?? SIGNATURE_TOLERANCE_SEC);
+
+  const sigRaw = (req.headers[sigHeader] || "").toString().trim();
+  if (!sigRaw) return { ok: false, reason: "missing_signature" };
+
+  const tsRaw = (req.headers[tsHeader] || "").toString().trim();
+  if (toleranceSec > 0) {
+    if (!tsRaw) return { ok: false, reason: "missing_timestamp" };
+    const ts = parseTimestampMs(tsRaw);
+    if (!Number.isFinite(ts)) return { ok: false, reason: "invalid_timestamp" };
+    if (Math.abs(Date.now() - ts) > toleranceSec * 1000) {
+      return { ok: false, reason: "timestamp_out_of_tolerance" };
+    }
+  }
+
+  const body = req.rawBody || Buffer.alloc(0);
+  const signed = tsRaw ? Buffer.concat([Buffer.from(tsRaw + "."), body]) : body;
+  const expected = crypto.createHmac("sha256", secret).update(signed).digest();
+  const provided = decodeSignature(sigRaw);
+
+  if (!provided || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { ok: false, reason: "bad_signature" };
+  }
+  return { ok: true };
 }
 
-function csvEscape(value) {
-  const s = value == null ? "" : String(value);
-  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
+// ---- Rejected deliveries ----
+const rejectedByHook = new Map(); // hook -> { total, byReason, lastAt, lastReason, lastIp }
+
+function recordRejection(hook, reason, ip) {
+  const cur = rejectedByHook.get(hook) || { total: 0, byReason: {}, lastAt: null, lastReason: null, lastIp: null };
+  cur.total++;
+  cur.byReason[reason] = (cur.byReason[reason] || 0) + 1;
+  cur.lastAt = new Date().toISOString();
+  cur.lastReason = reason;
+  if (ip) cur.lastIp = ip;
+  rejectedByHook.set(hook, cur);
+  console.warn(`[REJECT] /${hook} ${reason}${ip ? ` ip=${ip}` : ""}`);
 }
 
-// ---- Field-aware token parsing (kept for power users) ----
-function tokenizeQuery(q) {
-  const tokens = [];
-  let i = 0;
-  while (i < q.length) {
-    while (i < q.length && /\s/.test(q[i])) i++;
-    if (i >= q.length) break;
-
-    let start = i;
-    let inQuotes = false;
-    let quoteChar = null;
-
-    while (i < q.length) {
-      const ch = q[i];
-      if (!inQuotes && (ch === '"' || ch === "'")) {
-        inQuotes = true;
-        quoteChar = ch;
-        i++;
-        continue;
-      }
-      if (inQuotes && ch === quoteChar) {
-        inQuotes = false;
-        quoteChar = null;
-        i++;
-        continue;
-      }
-      if (!inQuotes && /\s/.test(ch)) break;
-      i++;
-    }
+const QUARANTINE_DIR = path.join(DATA_DIR, "quarantine");
 
-    const raw = q.slice(start, i).trim();
-    if (raw) tokens.push(raw);
-  }
-  return tokens;
+function quarantineFile(hook) {
+  return path.join(QUARANTINE_DIR, `${hook}.ndjson`);
 }
 
-function parseTokens(q) {
-  const tokens = tokenizeQuery(q);
-  const fieldTokens = [];
-  const textTokens = [];
-
-  for (const t of tokens) {
-    const idx = t.indexOf(":");
-    if (idx > 0) {
-      const key = t.slice(0, idx).trim();
-      let value = t.slice(idx + 1).trim();
-      if (
-        (value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))
-      ) {
-        value = value.slice(1, -1);
-      }
-      if (key && value) {
-        fieldTokens.push({ key: key.toLowerCase(), value: value.toLowerCase() });
-        continue;
-      }
-    }
+// ---- Request logging ----
+app.use((req, res, next) => {
+  console.log(
+    `[REQ] ${req.method} ${req.originalUrl} ct=${req.headers["content-type"] || ""}`
+  );
+  next();
+});
 
-    let v = t.trim();
-    if ((v.startsWith('"') && v.endsWith('"')) || (v.startsWith("'") && v.endsWith("'"))) {
-      v = v.slice(1, -1);
-    }
-    if (v) textTokens.push(v.toLowerCase());
+// ---- Ingestion policies ----
+// Checked before the body is read: source IP allowlist, token-bucket rate limits and body size.
+// Per-hook settings in the config file win over the env defaults:
+// { "allowIps": ["203.0.113.0/24"], "rateLimit": 50, "ipRateLimit": "5:20", "maxBodyBytes": "256kb" }
+// TRUST_PROXY decides which hops may set x-forwarded-for (express "trust proxy": CIDRs, "loopback",
+// or a hop count); without it the client IP is the socket peer and the header is ignored.
+const TRUST_PROXY = (process.env.TRUST_PROXY || "").trim();
+const IP_ALLOWLIST = process.env.IP_ALLOWLIST || "";
+const RATE_LIMIT = process.env.RATE_LIMIT || "";
+const IP_RATE_LIMIT = process.env.IP_RATE_LIMIT || "";
+const MAX_BODY_BYTES = parseBytes(process.env.MAX_BODY_BYTES || "2mb");
+const RATE_BUCKETS_MAX = 50000;
+
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
+// "10.1.2.3", "::ffff:10.1.2.3", "2001:db8::1" -> { bits, n } (IPv4-mapped addresses count as IPv4)
+function parseIp(raw) {
+  let ip = String(raw || "").trim().replace(/%.*$/, "");
+  if (/^::ffff:/i.test(ip) && net.isIPv4(ip.slice(7))) ip = ip.slice(7);
+  if (net.isIPv4(ip)) {
+    return { bits: 32, n: ip.split(".").reduce((acc, o) => (acc << 8n) + BigInt(o), 0n) };
+  }
+  if (!net.isIPv6(ip)) return null;
+
+  const [head, tail] = ip.includes("::") ? ip.split("::") : [ip, null];
+  const h = head ? head.split(":") : [];
+  const t = tail ? tail.split(":") : [];
+  const last = tail === null ? h : t;
+  if (last.length && last[last.length - 1].includes(".")) {
+    const o = last.pop().split(".").map(Number);
+    last.push(((o[0] << 8) | o[1]).toString(16), ((o[2] << 8) | o[3]).toString(16));
   }
+  const groups = tail === null ? h : [...h, ...Array(8 - h.length - t.length).fill("0"), ...t];
+  return { bits: 128, n: groups.reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g, 16)), 0n) };
+}
 
-  return { fieldTokens, textTokens };
+// "203.0.113.0/24" or a bare address -> { bits, n, prefix }; null when invalid
+function parseCidr(raw) {
+  const [addr, len] = String(raw).trim().split("/");
+  const ip = parseIp(addr);
+  if (!ip) return null;
+  const prefix = len === undefined ? ip.bits : Number(len);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > ip.bits) return null;
+  return { ...ip, prefix };
 }
 
-function deepAny(obj, predicate) {
-  const stack = [{ value: obj, key: null }];
-  while (stack.length) {
-    const { value, key } = stack.pop();
-    if (predicate(key, value)) return true;
+function cidrContains(cidr, ip) {
+  if (cidr.bits !== ip.bits) return false;
+  const shift = BigInt(cidr.bits - cidr.prefix);
+  return cidr.n >> shift === ip.n >> shift;
+}
 
-    if (Array.isArray(value)) {
-      for (let i = 0; i < value.length; i++) stack.push({ value: value[i], key });
-    } else if (value && typeof value === "object") {
-      for (const [k, v] of Object.entries(value)) stack.push({ value: v, key: k });
-    }
+const cidrListCache = new Map(); // raw list -> parsed CIDRs
+
+// accepts an array or a comma-separated string; invalid entries are logged once and skipped
+function parseCidrList(list) {
+  const key = Array.isArray(list) ? list.join(",") : String(list || "");
+  if (cidrListCache.has(key)) return cidrListCache.get(key);
+  const out = [];
+  for (const entry of key.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const cidr = parseCidr(entry);
+    if (cidr) out.push(cidr);
+    else console.error(`[POLICY] ignoring invalid IP range "${entry}"`);
   }
-  return false;
+  cidrListCache.set(key, out);
+  return out;
 }
 
-function eventMatchesFieldToken(evt, keyLower, valueLower) {
-  return deepAny(evt, (field, val) => {
-    if (!field) return false;
-    if (String(field).toLowerCase() !== keyLower) return false;
-    return stringifySafe(val).toLowerCase().includes(valueLower);
-  });
+// 5 -> 5/s with a burst of 5; "5:20" or { rate: 5, burst: 20 }; null when off
+function parseRateLimit(v) {
+  if (v === undefined || v === null || v === "" || v === 0) return null;
+  let rate, burst;
+  if (typeof v === "object") {
+    rate = Number(v.rate);
+    burst = Number(v.burst ?? v.rate);
+  } else {
+    const [r, b] = String(v).split(":");
+    rate = Number(r);
+    burst = Number(b ?? r);
+  }
+  if (!(rate > 0)) return null;
+  return { rate, burst: Math.max(1, Number.isFinite(burst) ? burst : rate) };
 }
 
-function eventMatchesTextToken(evt, tokenLower) {
-  return stringifySafe(evt).toLowerCase().includes(tokenLower);
+function ingestPolicy(hook) {
+  const cfg = getHookConfig(hook);
+  return {
+    allowIps: parseCidrList(cfg.allowIps ?? IP_ALLOWLIST),
+    rateLimit: parseRateLimit(cfg.rateLimit ?? RATE_LIMIT),
+    ipRateLimit: parseRateLimit(cfg.ipRateLimit ?? IP_RATE_LIMIT),
+    maxBodyBytes: Math.min(MAX_BODY_BYTES, parseBytes(cfg.maxBodyBytes) || MAX_BODY_BYTES),
+  };
 }
 
-// ---- Path helper for dropdown field search ----
-function getByPath(obj, pathStr) {
-  if (!obj || !pathStr) return undefined;
-  const parts = pathStr.split(".").filter(Boolean);
-  let cur = obj;
-  for (const p of parts) {
-    if (cur == null) return undefined;
-    cur = cur[p];
+const rateBuckets = new Map(); // "<hook>" or "<hook>|<ip>" -> { tokens, at, limit }
+
+// takes one token; returns 0 when allowed, otherwise the seconds until the next token
+function takeToken(key, limit) {
+  const now = Date.now();
+  const b = rateBuckets.get(key) || { tokens: limit.burst, at: now };
+  b.tokens = Math.min(limit.burst, b.tokens + ((now - b.at) / 1000) * limit.rate);
+  b.at = now;
+  b.limit = limit;
+  // re-insert so the map stays in least-recently-used order
+  rateBuckets.delete(key);
+  rateBuckets.set(key, b);
+  if (rateBuckets.size > RATE_BUCKETS_MAX) rateBuckets.delete(rateBuckets.keys().next().value);
+
+  if (b.tokens >= 1) {
+    b.tokens -= 1;
+    return 0;
   }
-  return cur;
+  return Math.max(1, Math.ceil((1 - b.tokens) / limit.rate));
 }
 
-// ---- UI field selector search ----
-function eventMatchesSelectedField(evt, fieldPath, value) {
-  const v = (value || "").toString().trim().toLowerCase();
-  if (!v) return true;
-
-  const f = (fieldPath || "").toString().trim();
-  if (!f || f === "any" || f === "fulltext") {
-    return stringifySafe(evt).toLowerCase().includes(v);
+// buckets that have refilled completely behave the same as missing ones
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, b] of rateBuckets) {
+    if (b.tokens + ((now - b.at) / 1000) * b.limit.rate >= b.limit.burst) rateBuckets.delete(key);
   }
+}, 60 * 1000).unref();
+
+// the hook a POST is delivered to, or null for internal routes and unknown hooks
+function ingestHook(req) {
+  if (req.method !== "POST") return null;
+  const m = req.path.match(/^\/([^/]+)\/?$/);
+  if (!m || RESERVED_HOOKS.has(m[1]) || !isHookAllowed(m[1])) return null;
+  return m[1];
+}
 
-  const got = getByPath(evt, f);
-  return stringifySafe(got).toLowerCase().includes(v);
+function rejectDelivery(res, hook, ip, status, reason, error) {
+  recordRejection(hook, reason, ip);
+  res.status(status).json({ ok: false, error, reason });
 }
 
-// Combined query matcher
-function eventMatches(evt, { q, field, value }) {
-  if (value && value.trim()) {
-    if (!eventMatchesSelectedField(evt, field, value)) return false;
-  }
+app.use((req, res, next) => {
+  const hook = ingestHook(req);
+  if (!hook) return next();
+  const ip = req.ip;
+  if (hookState(hook) === "disabled") return rejectDelivery(res, hook, ip, 403, "hook_disabled", "Webhook disabled");
 
-  const qq = normalizeQ(q);
-  if (!qq) return true;
+  const policy = ingestPolicy(hook);
 
-  const { fieldTokens, textTokens } = parseTokens(qq);
-  for (const ft of fieldTokens) {
-    if (!eventMatchesFieldToken(evt, ft.key, ft.value)) return false;
+  if (policy.allowIps.length) {
+    const addr = parseIp(ip);
+    if (!addr || !policy.allowIps.some((cidr) => cidrContains(cidr, addr))) {
+      return rejectDelivery(res, hook, ip, 403, "ip_not_allowed", "Source IP not allowed");
+    }
   }
-  for (const tt of textTokens) {
-    if (!eventMatchesTextToken(evt, tt)) return false;
+
+  const length = Number(req.headers["content-length"]);
+  if (Number.isFinite(length) && length > policy.maxBodyBytes) {
+    return rejectDelivery(res, hook, ip, 413, "payload_too_large", "Payload too large");
   }
-  return true;
+
+  // per IP first, so a single noisy sender doesn't drain the hook's bucket for everyone else
+  for (const [key, limit] of [
+    [`${hook}|${ip}`, policy.ipRateLimit],
+    [hook, policy.rateLimit],
+  ]) {
+    if (!limit) continue;
+    const retryAfter = takeToken(key, limit);
+    if (retryAfter) {
+      res.setHeader("Retry-After", String(retryAfter));
+      return rejectDelivery(res, hook, ip, 429, "rate_limited", "Too many requests");
+    }
+  }
+  next();
+});
+
+// ---- Body parsing ----
+// keep the raw bytes around for signature verification
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
 }
 
-// ---- Summary extraction for list rows ----
-const COMMON_FIELDS = [
-  { label: "Booking Id (payload.Id)", path: "payload.Id" },
-  { label: "OriginalBookingId", path: "payload.OriginalBookingId" },
-  { label: "EventType", path: "payload.EventType" },
-  { label: "BookingType", path: "payload.BookingType" },
-  { label: "TypeOfBooking", path: "payload.TypeOfBooking" },
+// routes that read the request stream themselves (large uploads)
+const STREAMED_BODY_PATHS = new Set(["/api/import"]);
 
-  { label: "Driver Callsign", path: "payload.Driver.Callsign" },
-  { label: "Driver Id", path: "payload.Driver.Id" },
-  { label: "Driver Forename", path: "payload.Driver.Forename" },
-  { label: "Driver Surname", path: "payload.Driver.Surname" },
+app.use(
+  express.json({
+    limit: MAX_BODY_BYTES,
+    type: (req) => !STREAMED_BODY_PATHS.has(req.path) && Boolean(req.is("application/json", "application/*+json")),
+    verify: keepRawBody,
+  })
+);
+app.use(
+  express.text({
+    limit: MAX_BODY_BYTES,
+    type: (req) => !STREAMED_BODY_PATHS.has(req.path),
+    verify: keepRawBody,
+  })
+);
 
-  { label: "Vehicle Callsign", path: "payload.Vehicle.Callsign" },
-  { label: "Vehicle Id", path: "payload.Vehicle.Id" },
-  { label: "Vehicle Registration", path: "payload.Vehicle.Registration" },
-  { label: "Vehicle PlateNumber", path: "payload.Vehicle.PlateNumber" },
+// bodies without a content-length only hit the limit while they are read
+app.use((err, req, res, next) => {
+  if (err?.type !== "entity.too.large") return next(err);
+  const hook = ingestHook(req);
+  if (hook) return rejectDelivery(res, hook, req.ip, 413, "payload_too_large", "Payload too large");
+  res.status(413).json({ ok: false, error: "Payload too large" });
+});
 
-  { label: "Pickup Address", path: "payload.Pickup.Address" },
-  { label: "Pickup Zone", path: "payload.Pickup.Zone.Name" },
-  { label: "Destination Address", path: "payload.Destination.Address" },
-  { label: "Destination Zone", path: "payload.Destination.Zone.Name" },
+// ---- Auth ----
+// Users and API tokens live in USERS_FILE:
+// { "users": [{ "username", "passwordHash", "role" }], "tokens": [{ "name", "tokenHash", "role" }] }
+// Auth is enforced as soon as any user or token exists.
+const USERS_FILE = process.env.USERS_FILE || path.join(DATA_DIR, "users.json");
+const SESSION_SECRET_FILE = path.join(DATA_DIR, "session-secret");
+const SESSION_SECRET = process.env.SESSION_SECRET || loadSessionSecret();
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+const SESSION_COOKIE = "nac_session";
 
-  { label: "PaymentType", path: "payload.PaymentType" },
-  { label: "Pricing Cost", path: "payload.Pricing.Cost" },
-  { label: "Pricing Price", path: "payload.Pricing.Price" },
-  { label: "Distance", path: "payload.Distance" },
-  { label: "BookingSource", path: "payload.BookingSource" },
+const ROLE_RANK = { viewer: 1, admin: 2 };
 
-  { label: "CabExchangeAgentBookingRef", path: "payload.CabExchangeAgentBookingRef" },
-];
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+}
 
-function short(s, n = 80) {
-  const t = (s ?? "").toString();
-  return t.length > n ? t.slice(0, n) + "…" : t;
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
 }
 
-function asCleanString(x) {
-  if (x == null) return "";
-  const s = String(x);
-  return s.trim();
+function verifyPassword(password, stored) {
+  const [algo, saltHex, hashHex] = (stored || "").split(":");
+  if (algo !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const got = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(got, expected);
 }
 
-function buildSummary(evt) {
-  const p = evt?.payload ?? {};
-  const parts = [];
-  const meta = {}; // client can render richer UI from this
-
-  // ---- TRACKS (VehicleTracksChanged) special case ----
-  const tracks = Array.isArray(p?.VehicleTracks) ? p.VehicleTracks : null;
-  const isTracks =
-    p?.EventType === "VehicleTracksChanged" ||
-    p?.EventType === "VehicleTracksChangedEvent" ||
-    (tracks && tracks.length > 0);
-
-  if (isTracks) {
-    const count = tracks ? tracks.length : 0;
-    meta.kind = "tracks";
-    meta.eventType = asCleanString(p?.EventType || "VehicleTracksChanged");
-    meta.tracksCount = count;
-
-    // pick a representative track for the compact summary (first item)
-    const t0 = tracks && tracks.length ? tracks[0] : {};
-    const cs =
-      asCleanString(t0?.Vehicle?.Callsign) ||
-      asCleanString(t0?.Driver?.Callsign);
-
-    const vId = t0?.Vehicle?.Id ?? "";
-    const dId = t0?.Driver?.Id ?? "";
-    const status = asCleanString(t0?.VehicleStatus || p?.VehicleStatus);
-
-    // also useful for pills
-    meta.cs = cs;
-    meta.vehicleId = vId === "" ? "" : Number(vId);
-    meta.driverId = dId === "" ? "" : Number(dId);
-    meta.status = status;
-
-    parts.push(meta.eventType);
-    parts.push(`Tracks: ${count}`);
-
-    const rightBits = [];
-    if (cs) rightBits.push(`CS#${cs}`);
-    if (vId !== "" && vId != null) rightBits.push(`V#${vId}`);
-    if (dId !== "" && dId != null) rightBits.push(`D#${dId}`);
-    if (status) rightBits.push(status);
-
-    if (rightBits.length) parts.push(rightBits.join(" "));
-    return { summary: parts.join(" | "), meta };
-  }
-
-  // ---- Default (booking-ish) ----
-  const id = p.Id ?? p.OriginalBookingId ?? "";
-  const eventType = p.EventType ?? "";
-  const bookingType = p.BookingType ?? "";
-  const typeOfBooking = p.TypeOfBooking ?? "";
-
-  const driverCs =
-    p?.Driver?.Callsign ??
-    p?.DriverDetails?.Driver?.Callsign ??
-    "";
-  const driverId =
-    p?.Driver?.Id ??
-    p?.DriverDetails?.Driver?.Id ??
-    "";
-
-  const vehCs =
-    p?.Vehicle?.Callsign ??
-    p?.VehicleDetails?.Vehicle?.Callsign ??
-    "";
-  const vehId =
-    p?.Vehicle?.Id ??
-    p?.VehicleDetails?.Vehicle?.Id ??
-    "";
-  const reg = p?.Vehicle?.Registration ?? "";
-  const plate = p?.Vehicle?.PlateNumber ?? "";
-
-  const pickupZone = p?.Pickup?.Zone?.Name ?? p?.Pickup?.Zone?.Descriptor ?? "";
-  const pickupAddr = p?.Pickup?.Address ?? "";
-  const destZone = p?.Destination?.Zone?.Name ?? p?.Destination?.Zone?.Descriptor ?? "";
-  const destAddr = p?.Destination?.Address ?? "";
-
-  const pay = p?.PaymentType ?? "";
-  const cost = p?.Pricing?.Cost ?? "";
-  const price = p?.Pricing?.Price ?? "";
-  const dist = p?.Distance ?? p?.SystemDistance ?? "";
-
-  const eta = p?.EstimatedPickupTime ?? "";
-  const arrived = p?.VehicleArrivedAtTime ?? "";
-  const dispatched = p?.DispatchedAtTime ?? "";
-
-  if (id) parts.push(`Booking ${id}`);
-  if (eventType) parts.push(eventType);
-  if (bookingType) parts.push(bookingType);
-  if (typeOfBooking) parts.push(typeOfBooking);
-
-  const dv = [];
-  if (driverCs) dv.push(`CS#${driverCs}`);
-  if (vehCs && !driverCs) dv.push(`CS#${vehCs}`); // fallback if only vehicle callsign exists
-  if (vehId !== "") dv.push(`V#${vehId}`);
-  if (driverId !== "") dv.push(`D#${driverId}`);
-  if (reg) dv.push(asCleanString(reg));
-  if (plate) dv.push(`Plate ${asCleanString(plate)}`);
-  if (dv.length) parts.push(dv.join(" "));
-
-  if (pickupAddr || destAddr) {
-    const leg =
-      `${pickupZone ? pickupZone + ": " : ""}${short(pickupAddr, 46)} → ` +
-      `${destZone ? destZone + ": " : ""}${short(destAddr, 46)}`;
-    parts.push(leg);
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function readUsersFile() {
+  try {
+    if (!fs.existsSync(USERS_FILE)) return { users: [], tokens: [] };
+    const parsed = JSON.parse(fs.readFileSync(USERS_FILE, "utf8"));
+    return {
+      users: Array.isArray(parsed?.users) ? parsed.users : [],
+      tokens: Array.isArray(parsed?.tokens) ? parsed.tokens : [],
+    };
+  } catch (err) {
+    console.error("[AUTH] failed to read", USERS_FILE, err?.message || err);
+    return { users: [], tokens: [] };
   }
+}
 
-  const money = [];
-  if (pay) money.push(pay);
-  if (cost !== "") money.push(`Cost ${cost}`);
-  if (price !== "") money.push(`Price ${price}`);
-  if (dist !== "") money.push(`${dist}mi`);
-  if (money.length) parts.push(money.join(" · "));
+let authStore = readUsersFile();
 
-  const times = [];
-  if (dispatched) times.push(`Disp ${dispatched}`);
-  if (arrived) times.push(`Arr ${arrived}`);
-  if (eta) times.push(`ETA ${eta}`);
-  if (times.length) parts.push(times.join(" · "));
+function saveUsersFile() {
+  fs.writeFileSync(USERS_FILE, JSON.stringify(authStore, null, 2) + "\n", { mode: 0o600 });
+}
 
-  if (!parts.length && p && typeof p === "object") {
-    const keys = Object.keys(p).slice(0, 8);
-    parts.push(`Keys: ${keys.join(", ")}`);
+// Bootstrap an admin from env so a fresh deploy isn't left open
+if (process.env.ADMIN_USER && process.env.ADMIN_PASSWORD) {
+  const username = process.env.ADMIN_USER.trim();
+  if (!authStore.users.some((u) => u.username === username)) {
+    authStore.users.push({ username, passwordHash: hashPassword(process.env.ADMIN_PASSWORD), role: "admin" });
+    saveUsersFile();
+    console.log(`[AUTH] created admin user "${username}"`);
   }
-
-  meta.kind = "default";
-  meta.eventType = asCleanString(eventType);
-  meta.bookingId = id;
-  return { summary: parts.join(" | "), meta };
 }
 
-// ---- Helpers: limits ----
-// limit=0 => unlimited
-function parseLimit(v) {
-  if (v == null || v === "") return 0;
-  const n = Number(v);
-  if (!Number.isFinite(n) || n < 0) return 50;
-  return Math.floor(n);
+// Script tokens via env: API_TOKENS="ci:viewer:<token>,ops:admin:<token>"
+const ENV_TOKENS = (process.env.API_TOKENS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean)
+  .map((s) => {
+    const [name, role, ...rest] = s.split(":");
+    return { name, role, tokenHash: hashToken(rest.join(":")) };
+  })
+  .filter((t) => t.name && isValidRole(t.role));
+
+function isAuthEnabled() {
+  return authStore.users.length > 0 || authStore.tokens.length > 0 || ENV_TOKENS.length > 0;
 }
 
-// ---- Webhook receiver ----
-app.post("/:hook", (req, res) => {
-  const hook = (req.params.hook || "").trim();
+if (!isAuthEnabled()) {
+  console.warn("[AUTH] no users or tokens configured — dashboard and API are open");
+}
 
-  // prevent collisions with internal routes
-  if (hook === "api" || hook === "dashboard") {
-    return res.status(404).json({ ok: false, error: "Unknown webhook" });
+// Without SESSION_SECRET a secret is generated once and kept in DATA_DIR, so sessions survive restarts.
+function loadSessionSecret() {
+  try {
+    const saved = fs.readFileSync(SESSION_SECRET_FILE, "utf8").trim();
+    if (saved) return saved;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
   }
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.writeFileSync(SESSION_SECRET_FILE, secret + "\n", { mode: 0o600 });
+  return secret;
+}
 
-  if (!isHookAllowed(hook)) {
-    return res.status(404).json({ ok: false, error: "Unknown webhook" });
+// a cookie that is not valid percent-encoding is skipped rather than failing the request
+function parseCookies(header) {
+  const out = {};
+  for (const part of (header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx <= 0) continue;
+    try {
+      out[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {}
   }
+  return out;
+}
 
-  const meta = {
-    ip: req.headers["x-forwarded-for"] || req.socket.remoteAddress,
-    userAgent: req.headers["user-agent"] || null,
-    contentType: req.headers["content-type"] || null,
-  };
+function signSession(data) {
+  const body = Buffer.from(JSON.stringify(data)).toString("base64url");
+  const sig = crypto.createHmac("sha256", SESSION_SECRET).update(body).digest("base64url");
+  return `${body}.${sig}`;
+}
 
-  let payload = req.body;
+function readSession(cookie) {
+  if (!cookie) return null;
+  const [body, sig] = cookie.split(".");
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac("sha256", SESSION_SECRET).update(body).digest("base64url");
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    return null;
+  }
+  try {
+    const data = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!data || data.exp < Date.now()) return null;
+    // role comes from the current user record so demotions/deletions apply immediately
+    const user = authStore.users.find((u) => u.username === data.u);
+    return user ? { username: user.username, role: user.role, via: "session" } : null;
+  } catch {
+    return null;
+  }
+}
 
-  if (typeof payload === "string") {
-    const trimmed = payload.trim();
-    if (trimmed) {
-      try {
-        payload = JSON.parse(trimmed);
-      } catch {
-        payload = { _raw: payload };
-      }
-    } else {
-      payload = { _empty: true };
-    }
+function authenticate(req) {
+  const authz = (req.headers.authorization || "").toString();
+  if (authz.toLowerCase().startsWith("bearer ")) {
+    const h = hashToken(authz.slice(7).trim());
+    const t = authStore.tokens.concat(ENV_TOKENS).find((x) => x.tokenHash === h);
+    return t ? { username: `token:${t.name}`, role: t.role, via: "token" } : null;
   }
-  if (payload == null) payload = { _empty: true };
+  return readSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+}
 
-  const evt = storeEvent(hook, payload, meta);
-  res.status(200).json({ ok: true, id: evt.id, hook: evt.hook });
-});
+function isSecureRequest(req) {
+  return req.secure || req.headers["x-forwarded-proto"] === "https";
+}
 
-// ---- API ----
-app.get("/api/hooks", (req, res) => {
-  const hooks = listHooksOnDisk();
-  res.json({ ok: true, hooks: ["*"].concat(hooks) });
+function setSessionCookie(req, res, value, maxAgeSec) {
+  const attrs = [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${maxAgeSec}`,
+  ];
+  if (isSecureRequest(req)) attrs.push("Secure");
+  res.setHeader("Set-Cookie", attrs.join("; "));
+}
+
+// only allow local redirects after login
+function safeNext(next) {
+  const s = (next || "").toString();
+  return s.startsWith("/") && !s.startsWith("//") ? s : "/dashboard";
+}
+
+// HTML pages redirect to /login, API routes get a JSON 401/403
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!isAuthEnabled()) {
+      req.user = { username: "anonymous", role: "admin", via: "open" };
+      return next();
+    }
+    const user = authenticate(req);
+    const wantsHtml = !req.originalUrl.startsWith("/api/");
+    if (!user) {
+      if (wantsHtml && req.method === "GET") {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ ok: false, error: "Authentication required" });
+    }
+    if ((ROLE_RANK[user.role] || 0) < ROLE_RANK[role]) {
+      return res.status(403).json({ ok: false, error: `Requires ${role} role` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+app.get("/login", (req, res) => {
+  const next = safeNext(req.query.next);
+  const failed = req.query.error === "1";
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Need-a-Cab Webhooks · Sign in</title>
+  <style>
+    body{margin:0;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;background:#0b0d10;color:#e9eef4;display:flex;align-items:center;justify-content:center;min-height:100vh}
+    form{background:#12161c;border:1px solid #202630;border-radius:16px;padding:22px;display:flex;flex-direction:column;gap:10px;width:300px}
+    input{background:#0f1319;border:1px solid #2a3340;color:#e9eef4;padding:8px 10px;border-radius:10px}
+    button{background:#1b222c;border:1px solid #2a3340;color:#e9eef4;padding:8px 10px;border-radius:10px;cursor:pointer}
+    .err{color:#e8a0a0;font-size:13px}
+  </style>
+</head>
+<body>
+  <form method="post" action="/login">
+    <div style="font-weight:800">Need-a-Cab Webhooks</div>
+    ${failed ? '<div class="err">Invalid username or password.</div>' : ""}
+    <input name="username" placeholder="Username" autocomplete="username" autofocus />
+    <input name="password" type="password" placeholder="Password" autocomplete="current-password" />
+    <input type="hidden" name="next" value="${next.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}" />
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post("/login", (req, res) => {
+  // form posts arrive as text (there is no urlencoded parser so webhook bodies stay raw)
+  let body = req.body;
+  if (typeof body === "string") {
+    try {
+      body = body.trim().startsWith("{") ? JSON.parse(body) : Object.fromEntries(new URLSearchParams(body));
+    } catch {
+      body = {};
+    }
+  }
+  const username = (body?.username || "").toString().trim();
+  const password = (body?.password || "").toString();
+  const next = safeNext(body?.next);
+  const isForm = !req.is("application/json");
+
+  const user = authStore.users.find((u) => u.username === username);
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    console.warn(`[AUTH] failed login for "${username}"`);
+    if (isForm) return res.redirect(303, `/login?error=1&next=${encodeURIComponent(next)}`);
+    return res.status(401).json({ ok: false, error: "Invalid username or password" });
+  }
+
+  const ttlSec = Math.floor(SESSION_TTL_HOURS * 3600);
+  setSessionCookie(req, res, signSession({ u: user.username, exp: Date.now() + ttlSec * 1000 }), ttlSec);
+  if (isForm) return res.redirect(303, next);
+  res.json({ ok: true, username: user.username, role: user.role });
+});
+
+app.post("/logout", (req, res) => {
+  setSessionCookie(req, res, "", 0);
+  if (!req.is("application/json")) return res.redirect(303, "/login");
+  res.json({ ok: true });
 });
 
-// Provide list of common fields for dropdown (UI)
-app.get("/api/fields", (req, res) => {
-  res.json({
-    ok: true,
-    fields: [
-      { label: "Any field (recommended)", value: "any" },
-      { label: "Full text (entire JSON)", value: "fulltext" },
-      ...COMMON_FIELDS.map((f) => ({ label: f.label, value: f.path })),
-    ],
+app.use("/api", requireRole("viewer"));
+
+// ---- Encryption at rest ----
+// With ENCRYPTION_KEY set (32 bytes: 64 hex characters or base64) every event the NDJSON store
+// writes is one AES-256-GCM record per line: "enc:<key id>:<base64 iv + tag + ciphertext>". The key
+// id is a hash of the key, so a record names the key it needs. ENCRYPTION_OLD_KEYS (comma-separated)
+// are only used for reading, e.g. after a rotation until POST /api/storage/reencrypt has rewritten
+// the old segments. Plain JSON lines stay readable, so encryption can be turned on for existing data.
+const ENCRYPTED_PREFIX = "enc:";
+const KEY_ID_LENGTH = 8;
+
+function parseEncryptionKey(raw, name) {
+  const s = raw.trim();
+  const key = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, "hex") : Buffer.from(s, "base64");
+  if (key.length !== 32) throw new Error(`${name} must be 32 bytes, given as 64 hex characters or base64`);
+  return { id: crypto.createHash("sha256").update(key).digest("hex").slice(0, KEY_ID_LENGTH), key };
+}
+
+const currentKey = process.env.ENCRYPTION_KEY ? parseEncryptionKey(process.env.ENCRYPTION_KEY, "ENCRYPTION_KEY") : null;
+const encryptionKeys = new Map(); // key id -> key
+for (const k of [currentKey, ...(process.env.ENCRYPTION_OLD_KEYS || "").split(",").filter((s) => s.trim()).map((s) => parseEncryptionKey(s, "ENCRYPTION_OLD_KEYS"))]) {
+  if (k) encryptionKeys.set(k.id, k.key);
+}
+
+function encodeRecord(evt) {
+  const json = JSON.stringify(evt);
+  if (!currentKey) return json;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", currentKey.key, iv);
+  cipher.setAAD(Buffer.from(currentKey.id));
+  const data = Buffer.concat([cipher.update(json, "utf8"), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${currentKey.id}:${Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64")}`;
+}
+
+function missingKeyError(id) {
+  const err = new Error(`Stored events are encrypted with key ${id}, which is not configured (ENCRYPTION_KEY / ENCRYPTION_OLD_KEYS)`);
+  err.encryptionKey = true;
+  return err;
+}
+
+// throws on a torn or tampered line, and (flagged err.encryptionKey) when the key isn't configured
+function decodeRecord(text) {
+  if (!text.startsWith(ENCRYPTED_PREFIX)) return JSON.parse(text);
+  const id = text.slice(ENCRYPTED_PREFIX.length, ENCRYPTED_PREFIX.length + KEY_ID_LENGTH);
+  const key = encryptionKeys.get(id);
+  if (!key) throw missingKeyError(id);
+  const buf = Buffer.from(text.slice(ENCRYPTED_PREFIX.length + KEY_ID_LENGTH + 1), "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+  decipher.setAAD(Buffer.from(id));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return JSON.parse(Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]).toString("utf8"));
+}
+
+// null for a line that isn't a readable record (e.g. cut short by a crash); a missing key is an error
+function decodeLine(text) {
+  try {
+    return decodeRecord(text);
+  } catch (err) {
+    if (err.encryptionKey) throw err;
+    return null;
+  }
+}
+
+// Side files holding event data (forwarding queue and dead letters, the vehicle snapshot) are one
+// record in the same envelope, so they are encrypted under the same key and stay readable from before
+// encryption was turned on. A missing key is an error here too, rather than an empty queue.
+function readRecordFile(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return decodeRecord(fs.readFileSync(file, "utf8").trim());
+  } catch (err) {
+    if (err.encryptionKey) throw Object.assign(new Error(`${file}: ${err.message}`), { encryptionKey: true });
+    console.error("[JSON] failed to read", file, err?.message || err);
+    return fallback;
+  }
+}
+
+// write-then-rename like writeJsonFile
+function writeRecordFile(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, encodeRecord(data));
+  fs.renameSync(tmp, file);
+}
+
+// key ids used by the records in `buf`, "plain" for unencrypted ones
+function recordKeyIds(buf) {
+  const ids = new Set();
+  let pos = 0;
+  while (pos < buf.length) {
+    if (buf.toString("latin1", pos, pos + ENCRYPTED_PREFIX.length) === ENCRYPTED_PREFIX) {
+      ids.add(buf.toString("latin1", pos + ENCRYPTED_PREFIX.length, pos + ENCRYPTED_PREFIX.length + KEY_ID_LENGTH));
+    } else if (buf[pos] !== 10) {
+      ids.add("plain");
+    }
+    const nl = buf.indexOf(10, pos);
+    if (nl === -1) break;
+    pos = nl + 1;
+  }
+  return [...ids].sort();
+}
+
+function encryptionStatus() {
+  return { enabled: Boolean(currentKey), keyId: currentKey?.id || null, readKeys: [...encryptionKeys.keys()] };
+}
+
+// ---- Storage ----
+// Backends (STORAGE_BACKEND=ndjson|sqlite) implement:
+//   name
+//   append(evt)              -> locator for readAt, or null if nothing was stored
+//   readAt(hook, loc)        -> event or null
+//   mark()                   -> opaque position of the end of the store (JSON-serialisable)
+//   canResume(mark)          -> false once the store no longer holds everything up to `mark`
+//   scan(fromMark, toMark)   -> iterator of [evt, loc] stored in between, in storage order (null = from the start)
+//   listHooks()              -> hooks that have stored events
+//   get(hook, id)            -> event or null
+//   forEach(hooks, fn, range) -> newest first (receivedAt, then id); return false from fn to stop.
+//                               range = { before, after } exclusive ISO bounds, either may be null, and
+//                               cursor (see encodeCursor): starts after that event instead of the newest
+//   iterateSince(hooks, after) -> events received after the ISO time `after`, oldest first (receivedAt,
+//                               then id), read a segment group or a batch at a time
+//   findByRef(kind, value)   -> events referencing a booking/vehicle/driver id, oldest first
+//   count(hooks, duplicates) -> stored events ("show"), duplicates only ("only") or without them
+//                               ("hide"), without reading events; null where the backend can't tell
+//   clear(hook)              -> one hook or "*"; returns the hooks cleared
+//   maintain()               -> async housekeeping (NDJSON: rotate old days, gzip rotated segments)
+//   applyRetention(hook, { maxAgeDays, maxBytes, maxEvents }) -> drops the oldest events over a limit;
+//                               returns the receivedAt of the newest one dropped, or null
+//   describe(hook)           -> JSON-serialisable storage details for /api/storage
+//   importer()               -> { write(events), close() } for loading history; each returns
+//                               { stored: [[evt, loc]], duplicates }, skipping ids already stored
+//   reencrypt()              -> NDJSON only: async, rewrites stored events under the current key;
+//                               { segments, events, moved } (moved: locators changed)
+// Events read back (get, readAt, iterate) that were redelivered carry duplicates: { count, lastAt },
+// counted from the records stored with their id as duplicateOf.
+// Routes only talk to `store`, never to files or tables directly.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "ndjson").toLowerCase();
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "events.sqlite");
+const SQLITE_IMPORT_BATCH = 5000; // events per transaction when importing NDJSON history
+
+// ids an event refers to, used for indexing (tracks payloads can reference many vehicles)
+function extractRefs(payload) {
+  const p = payload || {};
+  const refs = { booking: [], vehicle: [], driver: [] };
+  const add = (kind, v) => {
+    if (v === undefined || v === null || v === "") return;
+    const s = String(v).trim();
+    if (s && !refs[kind].includes(s)) refs[kind].push(s);
+  };
+
+  if (Array.isArray(p.VehicleTracks)) {
+    for (const t of p.VehicleTracks) {
+      add("booking", t?.BookingId);
+      add("vehicle", t?.Vehicle?.Id);
+      add("driver", t?.Driver?.Id);
+    }
+    return refs;
+  }
+
+  add("booking", p.Id);
+  add("booking", p.OriginalBookingId);
+  add("vehicle", p?.Vehicle?.Id ?? p?.VehicleDetails?.Vehicle?.Id);
+  add("driver", p?.Driver?.Id ?? p?.DriverDetails?.Driver?.Id);
+  return refs;
+}
+
+function byReceivedDesc(a, b) {
+  if (a.receivedAt !== b.receivedAt) return a.receivedAt < b.receivedAt ? 1 : -1;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+function inRange(evt, range) {
+  if (range?.before && !(evt.receivedAt < range.before)) return false;
+  if (range?.after && !(evt.receivedAt > range.after)) return false;
+  if (range?.cursor && !isPastCursor(evt, range.cursor)) return false;
+  return true;
+}
+
+// exclusive upper bound on receivedAt: `before`, or just past the cursor's time when that is earlier
+// (events at the cursor's time are settled by id)
+function rangeBefore(range) {
+  const past = range?.cursor ? new Date(Date.parse(range.cursor.t) + 1).toISOString() : null;
+  return past && !(range.before && range.before <= past) ? past : range?.before || null;
+}
+
+// NDJSON: per hook an active file ($DATA_DIR/<hook>.ndjson) holding one UTC day, rotated into
+// $DATA_DIR/archive/<hook>/<day>.ndjson and gzipped, listed in storage order in segments.json.
+// Segment ids (YYYYMMDD * 100 + n, always above every existing id) are part of each locator, so
+// locators survive rotation. Imported history adds archived segments that can overlap older days;
+// reads in time order merge overlapping segments.
+// The newest MAX_RECENT_PER_HOOK events per hook stay in memory for the first pages.
+const ARCHIVE_DIR = path.join(DATA_DIR, "archive");
+const SEGMENT_CACHE_SIZE = 4; // decompressed segments kept for readAt / paging
+const IMPORT_SEGMENT_EVENTS = 20000; // imported events per hook and day buffered before writing a segment
+const recentByHook = new Map();
+const activeSegments = new Map(); // hook -> { id, day } of the active file, null if there is none
+const segmentLists = new Map(); // hook -> manifest entries
+const activeCounts = new Map(); // hook -> countEvents() of the active file, counted on first use
+const segmentCache = new Map(); // archive file -> decompressed Buffer
+
+function hookFile(hook) {
+  return path.join(DATA_DIR, `${hook}.ndjson`);
+}
+
+function hookArchiveDir(hook) {
+  return path.join(ARCHIVE_DIR, hook);
+}
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch {
+    return 0;
+  }
+}
+
+// [{ id, day, file, gz, firstAt, lastAt, events, bytes, gzBytes }], oldest first
+function archivedSegments(hook) {
+  if (!segmentLists.has(hook)) {
+    segmentLists.set(hook, readJsonFile(path.join(hookArchiveDir(hook), "segments.json"), []));
+  }
+  return segmentLists.get(hook);
+}
+
+function saveArchivedSegments(hook, list) {
+  segmentLists.set(hook, list);
+  fs.mkdirSync(hookArchiveDir(hook), { recursive: true });
+  writeJsonFile(path.join(hookArchiveDir(hook), "segments.json"), list);
+}
+
+function dayBaseId(day) {
+  return Number(day.replace(/-/g, "")) * 100;
+}
+
+// ids increase in storage order: a new segment always sorts after everything already stored
+function nextSegmentId(hook, day) {
+  let id = dayBaseId(day);
+  for (const s of archivedSegments(hook)) id = Math.max(id, s.id + 1);
+  const active = activeSegments.get(hook);
+  if (active) id = Math.max(id, active.id + 1);
+  return id;
+}
+
+function segmentFileName(day, id) {
+  return id === dayBaseId(day) ? `${day}.ndjson` : `${day}.${id}.ndjson`;
+}
+
+function splitLines(buf, start, end, fn) {
+  let pos = start;
+  let nl;
+  while (pos < end && (nl = buf.indexOf(10, pos)) !== -1 && nl < end) {
+    const evt = decodeLine(buf.toString("utf8", pos, nl));
+    if (evt) fn(evt, pos, nl - pos);
+    pos = nl + 1;
+  }
+}
+
+// redelivered: { "<original id>": { count, lastAt } } for the duplicate records `evt` is one of
+function tallyRedelivery(redelivered, evt) {
+  const r = redelivered[evt.duplicateOf] || (redelivered[evt.duplicateOf] = { count: 0, lastAt: null });
+  r.count++;
+  if (!r.lastAt || evt.receivedAt > r.lastAt) r.lastAt = evt.receivedAt;
+}
+
+// { events, duplicates, redelivered } in a segment's content
+function countEvents(buf) {
+  const counts = { events: 0, duplicates: 0, redelivered: {} };
+  splitLines(buf, 0, buf.length, (evt) => {
+    counts.events++;
+    if (evt.duplicateOf) {
+      counts.duplicates++;
+      tallyRedelivery(counts.redelivered, evt);
+    }
+  });
+  return counts;
+}
+
+function readFirstLine(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, "r");
+  } catch {
+    return null;
+  }
+  try {
+    const chunks = [];
+    const chunk = Buffer.alloc(64 * 1024);
+    let pos = 0;
+    for (;;) {
+      const n = fs.readSync(fd, chunk, 0, chunk.length, pos);
+      if (!n) break;
+      const nl = chunk.subarray(0, n).indexOf(10);
+      chunks.push(Buffer.from(chunk.subarray(0, nl === -1 ? n : nl)));
+      if (nl !== -1) break;
+      pos += n;
+    }
+    return decodeLine(Buffer.concat(chunks).toString("utf8"));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// last `n` events of a file, oldest first, reading backwards so big files aren't loaded whole
+function readTailEvents(file, n) {
+  let fd;
+  try {
+    fd = fs.openSync(file, "r");
+  } catch {
+    return [];
+  }
+  try {
+    const chunks = [];
+    let pos = fs.fstatSync(fd).size;
+    let newlines = 0;
+    while (pos > 0 && newlines <= n) {
+      const len = Math.min(256 * 1024, pos);
+      pos -= len;
+      const buf = Buffer.alloc(len);
+      fs.readSync(fd, buf, 0, len, pos);
+      for (const b of buf) if (b === 10) newlines++;
+      chunks.unshift(buf);
+    }
+    const buf = Buffer.concat(chunks);
+    // drop a partial first line unless we reached the start of the file
+    const start = pos > 0 ? buf.indexOf(10) + 1 : 0;
+    const events = [];
+    splitLines(buf, start, buf.length, (evt) => events.push(evt));
+    return events.slice(-n);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function activeSegment(hook) {
+  if (!activeSegments.has(hook)) {
+    const first = readFirstLine(hookFile(hook));
+    const day = typeof first?.receivedAt === "string" ? first.receivedAt.slice(0, 10) : null;
+    activeSegments.set(hook, day ? { id: nextSegmentId(hook, day), day, firstAt: first.receivedAt } : null);
+  }
+  return activeSegments.get(hook);
+}
+
+function archiveFile(hook, seg) {
+  return path.join(hookArchiveDir(hook), seg.file);
+}
+
+// whole segment content; archived ones go through a small cache
+function segmentBuffer(hook, seg) {
+  if (!seg.archived) return fs.readFileSync(hookFile(hook));
+  const file = archiveFile(hook, seg);
+  let buf = segmentCache.get(file);
+  if (buf) {
+    segmentCache.delete(file);
+  } else {
+    buf = fs.readFileSync(file);
+    if (seg.gz) buf = zlib.gunzipSync(buf);
+  }
+  segmentCache.set(file, buf);
+  if (segmentCache.size > SEGMENT_CACHE_SIZE) segmentCache.delete(segmentCache.keys().next().value);
+  return buf;
+}
+
+// archived + active, in storage order: { id, archived, ...manifest entry }
+function allSegments(hook) {
+  const list = archivedSegments(hook).map((s) => ({ ...s, archived: true }));
+  const active = activeSegment(hook);
+  if (active) list.push({ id: active.id, day: active.day, firstAt: active.firstAt, lastAt: null, archived: false });
+  return list;
+}
+
+// Segments grouped where their time spans overlap, newest group first: [{ segs, from, to }].
+// Without imports every group is a single segment.
+function segmentGroupsDesc(hook) {
+  const spans = allSegments(hook)
+    .map((seg) => ({
+      seg,
+      from: seg.firstAt || seg.day,
+      to: seg.archived ? seg.lastAt || `${seg.day}T23:59:59.999Z` : "\uffff",
+    }))
+    .sort((a, b) => (a.to < b.to ? 1 : a.to > b.to ? -1 : 0));
+  const groups = [];
+  for (const { seg, from, to } of spans) {
+    const g = groups[groups.length - 1];
+    if (g && to >= g.from) {
+      g.segs.push(seg);
+      if (from < g.from) g.from = from;
+    } else {
+      groups.push({ segs: [seg], from, to });
+    }
+  }
+  return groups;
+}
+
+function findSegment(hook, id) {
+  return allSegments(hook).find((s) => s.id === id) || null;
+}
+
+function segmentEvents(hook, seg) {
+  const buf = segmentBuffer(hook, seg);
+  const events = [];
+  splitLines(buf, 0, buf.length, (evt) => events.push(evt));
+  return events;
+}
+
+function groupEventsDesc(hook, group) {
+  if (group.segs.length === 1) return segmentEvents(hook, group.segs[0]).reverse();
+  return group.segs.flatMap((seg) => segmentEvents(hook, seg)).sort(byReceivedDesc);
+}
+
+// newest MAX_RECENT_PER_HOOK events, newest first, topped up from archived segments
+function loadHook(hook) {
+  const events = [];
+  for (const g of segmentGroupsDesc(hook)) {
+    // the usual case: only the end of the active file is needed
+    const desc =
+      g.segs.length === 1 && !g.segs[0].archived
+        ? readTailEvents(hookFile(hook), MAX_RECENT_PER_HOOK).reverse()
+        : groupEventsDesc(hook, g);
+    events.push(...desc.slice(0, MAX_RECENT_PER_HOOK - events.length));
+    if (events.length >= MAX_RECENT_PER_HOOK) break;
+  }
+  return events;
+}
+
+function ensureHookLoaded(hook) {
+  if (!recentByHook.has(hook)) recentByHook.set(hook, loadHook(hook));
+  return recentByHook.get(hook);
+}
+
+function listHooksOnDisk() {
+  const hooks = new Set();
+  try {
+    for (const f of fs.readdirSync(DATA_DIR)) if (f.endsWith(".ndjson")) hooks.add(f.replace(/\.ndjson$/, ""));
+  } catch {}
+  try {
+    for (const h of fs.readdirSync(ARCHIVE_DIR)) if (archivedSegments(h).length) hooks.add(h);
+  } catch {}
+  return [...hooks].filter((h) => isHookAllowed(h)).sort((a, b) => a.localeCompare(b));
+}
+
+// Newest first for one hook: a copy of the in-memory tail, then older events segment by segment.
+// Safe to hold across awaits: new events only land after the copy, and a segment dropped by
+// retention meanwhile ends the sequence (everything older is gone too).
+function* hookEventsDesc(hook, range) {
+  const tail = ensureHookLoaded(hook).slice();
+  yield* tail;
+  if (tail.length < MAX_RECENT_PER_HOOK) return;
+
+  const inTail = new Set(tail.map((e) => e.id));
+  const oldest = tail[tail.length - 1].receivedAt;
+  const before = rangeBefore(range);
+  for (const g of segmentGroupsDesc(hook)) {
+    // groups newer than the tail's oldest event are entirely in the tail
+    if (g.from > oldest) continue;
+    if (before && g.from >= before) continue;
+    if (range?.after && g.to <= range.after) return;
+    let events;
+    try {
+      events = groupEventsDesc(hook, g);
+    } catch {
+      return;
+    }
+    for (const evt of events) if (!inTail.has(evt.id)) yield evt;
+  }
+}
+
+// Oldest first for one hook, from the first segment group that reaches past `after`.
+function* hookEventsAsc(hook, after) {
+  for (const g of segmentGroupsDesc(hook).reverse()) {
+    if (after && g.to <= after) continue;
+    let events;
+    try {
+      events = groupEventsDesc(hook, g).reverse();
+    } catch {
+      return;
+    }
+    for (const evt of events) if (!after || evt.receivedAt > after) yield evt;
+  }
+}
+
+// k-way merge of sorted sequences; `compare` is the order they are each sorted in
+function* mergeSorted(iterators, compare) {
+  const heads = iterators.map((it) => ({ it, cur: it.next() })).filter((h) => !h.cur.done);
+  while (heads.length) {
+    let best = 0;
+    for (let i = 1; i < heads.length; i++) if (compare(heads[i].cur.value, heads[best].cur.value) < 0) best = i;
+    yield heads[best].cur.value;
+    heads[best].cur = heads[best].it.next();
+    if (heads[best].cur.done) heads.splice(best, 1);
+  }
+}
+
+// Events of every hook, oldest first, across archived segments and active files (used to seed SQLite).
+function forEachNdjsonEvent(fn) {
+  for (const h of listHooksOnDisk()) {
+    for (const seg of allSegments(h)) {
+      for (const evt of segmentEvents(h, seg)) fn(evt);
+    }
+  }
+}
+
+// Refuses to start when any stored segment needs a key that isn't configured, rather than
+// serving a history with holes in it.
+function checkEncryptionKeys() {
+  const missing = [];
+  for (const h of listHooksOnDisk()) {
+    // segments written before encryption existed have no keys entry and are plain
+    const files = archivedSegments(h).map((seg) => [seg.file, seg.keys || ["plain"]]);
+    if (fs.existsSync(hookFile(h))) files.push([`${h}.ndjson`, recordKeyIds(fs.readFileSync(hookFile(h)))]);
+    for (const [file, ids] of files) {
+      for (const id of ids) if (id !== "plain" && !encryptionKeys.has(id)) missing.push(`${h}/${file} (key ${id})`);
+    }
+  }
+  if (missing.length) {
+    throw new Error(
+      `Stored events are encrypted with keys that are not configured; set ENCRYPTION_KEY or ENCRYPTION_OLD_KEYS. ` +
+        `Affected: ${missing.slice(0, 10).join(", ")}${missing.length > 10 ? ` and ${missing.length - 10} more` : ""}`
+    );
+  }
+}
+
+function createNdjsonStore() {
+  checkEncryptionKeys();
+  const readFds = new Map(); // file -> fd for readAt
+  const compressing = new Set();
+
+  function closeReadFds() {
+    for (const fd of readFds.values()) {
+      try {
+        fs.closeSync(fd);
+      } catch {}
+    }
+    readFds.clear();
+  }
+
+  function countLines(file) {
+    let n = 0;
+    let fd;
+    try {
+      fd = fs.openSync(file, "r");
+    } catch {
+      return 0;
+    }
+    try {
+      const chunk = Buffer.alloc(1 << 20);
+      let pos = 0;
+      let read;
+      while ((read = fs.readSync(fd, chunk, 0, chunk.length, pos))) {
+        for (let i = 0; i < read; i++) if (chunk[i] === 10) n++;
+        pos += read;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return n;
+  }
+
+  // Archived segments are counted from segments.json; entries written before it kept duplicate
+  // counts are counted once and saved. The active file is counted on first use, then on append.
+  function segmentCounts(hook, seg) {
+    if (!seg.archived) {
+      if (!activeCounts.has(hook)) {
+        const file = hookFile(hook);
+        activeCounts.set(hook, countEvents(fs.existsSync(file) ? fs.readFileSync(file) : Buffer.alloc(0)));
+      }
+      return activeCounts.get(hook);
+    }
+    if (Number.isInteger(seg.duplicates) && seg.redelivered) {
+      return { events: seg.events, duplicates: seg.duplicates, redelivered: seg.redelivered };
+    }
+    const counts = countEvents(segmentBuffer(hook, seg));
+    saveArchivedSegments(hook, archivedSegments(hook).map((s) => (s.id === seg.id ? { ...s, ...counts } : s)));
+    return counts;
+  }
+
+  // Redeliveries are tallied from the duplicate records (duplicateOf) per segment, so an event's
+  // duplicates: { count, lastAt } is part of what the store holds for it: kept in segments.json for
+  // archived segments and counted with the active file. Merged per hook over the archived segments
+  // while the segment list is unchanged.
+  const archivedRedeliveries = new Map(); // hook -> { list, byId: Map(original id -> { count, lastAt }) }
+
+  function redeliveryOf(hook, id) {
+    const list = archivedSegments(hook);
+    let cached = archivedRedeliveries.get(hook);
+    if (cached?.list !== list) {
+      const byId = new Map();
+      for (const seg of list) {
+        const { redelivered } = segmentCounts(hook, { ...seg, archived: true });
+        for (const [orig, r] of Object.entries(redelivered)) mergeRedelivery(byId, orig, r);
+      }
+      // segmentCounts may have saved a new list while filling in old entries
+      cached = { list: archivedSegments(hook), byId };
+      archivedRedeliveries.set(hook, cached);
+    }
+    const archived = cached.byId.get(id);
+    const active = segmentCounts(hook, { archived: false }).redelivered[id];
+    if (!archived || !active) return archived || active || null;
+    return { count: archived.count + active.count, lastAt: archived.lastAt > active.lastAt ? archived.lastAt : active.lastAt };
+  }
+
+  function mergeRedelivery(byId, id, r) {
+    const prev = byId.get(id);
+    byId.set(id, prev ? { count: prev.count + r.count, lastAt: prev.lastAt > r.lastAt ? prev.lastAt : r.lastAt } : r);
+  }
+
+  function withRedelivery(hook, evt) {
+    const duplicates = evt && redeliveryOf(hook, evt.id);
+    return duplicates ? { ...evt, duplicates } : evt;
+  }
+
+  function* hookEventsWithRedeliveries(hook, range) {
+    for (const evt of hookEventsDesc(hook, range)) yield withRedelivery(hook, evt);
+  }
+
+  // move the active file into the archive; compression happens in the background
+  function rotate(hook) {
+    const active = activeSegment(hook);
+    const file = hookFile(hook);
+    if (!active || !fs.existsSync(file)) return false;
+
+    const last = readTailEvents(file, 1)[0];
+    const first = readFirstLine(file);
+    const list = archivedSegments(hook).slice();
+    const name = segmentFileName(active.day, active.id);
+    fs.mkdirSync(hookArchiveDir(hook), { recursive: true });
+    fs.renameSync(file, path.join(hookArchiveDir(hook), name));
+    const buf = fs.readFileSync(path.join(hookArchiveDir(hook), name));
+    const { events, duplicates, redelivered } = countEvents(buf);
+    list.push({
+      id: active.id,
+      day: active.day,
+      file: name,
+      gz: false,
+      firstAt: first?.receivedAt || null,
+      lastAt: last?.receivedAt || null,
+      events,
+      duplicates,
+      redelivered,
+      bytes: buf.length,
+      gzBytes: null,
+      keys: recordKeyIds(buf),
+    });
+    saveArchivedSegments(hook, list);
+    activeSegments.set(hook, null);
+    activeCounts.delete(hook);
+    closeReadFds();
+    console.log(`[STORE] rotated /${hook} (${active.day}) into ${name}`);
+    return true;
+  }
+
+  async function compress(hook, seg) {
+    const key = `${hook}/${seg.file}`;
+    if (compressing.has(key)) return;
+    compressing.add(key);
+    try {
+      const src = archiveFile(hook, seg);
+      const gz = await new Promise((resolve, reject) =>
+        zlib.gzip(fs.readFileSync(src), (err, out) => (err ? reject(err) : resolve(out)))
+      );
+      const name = `${seg.file}.gz`;
+      const tmp = path.join(hookArchiveDir(hook), `${name}.tmp`);
+      fs.writeFileSync(tmp, gz);
+      fs.renameSync(tmp, path.join(hookArchiveDir(hook), name));
+
+      const list = archivedSegments(hook).map((s) => (s.id === seg.id ? { ...s, file: name, gz: true, gzBytes: gz.length } : s));
+      saveArchivedSegments(hook, list);
+      closeReadFds();
+      fs.unlinkSync(src);
+    } catch (err) {
+      console.error(`[STORE] compressing /${hook} ${seg.file} failed`, err?.message || err);
+    } finally {
+      compressing.delete(key);
+    }
+  }
+
+  return {
+    name: "ndjson",
+
+    // locator: [byte offset, byte length, segment id]
+    append(evt) {
+      const day = String(evt.receivedAt).slice(0, 10);
+      let active = activeSegment(evt.hook);
+      if (active && active.day < day) {
+        rotate(evt.hook);
+        compress(evt.hook, archivedSegments(evt.hook).at(-1));
+        active = null;
+      }
+      if (!active) {
+        active = { id: nextSegmentId(evt.hook, day), day, firstAt: evt.receivedAt };
+        activeSegments.set(evt.hook, active);
+        activeCounts.set(evt.hook, { events: 0, duplicates: 0, redelivered: {} });
+      }
+
+      const arr = ensureHookLoaded(evt.hook);
+      arr.unshift(evt);
+      if (arr.length > MAX_RECENT_PER_HOOK) arr.pop();
+      const file = hookFile(evt.hook);
+      const line = encodeRecord(evt);
+      const offset = fileSize(file);
+      fs.appendFileSync(file, line + "\n");
+      const counts = activeCounts.get(evt.hook);
+      if (counts) {
+        counts.events++;
+        if (evt.duplicateOf) {
+          counts.duplicates++;
+          tallyRedelivery(counts.redelivered, evt);
+        }
+      }
+      return [offset, Buffer.byteLength(line), active.id];
+    },
+
+    readAt(hook, loc) {
+      try {
+        const seg = findSegment(hook, loc[2]);
+        if (!seg) return null;
+        if (seg.archived && seg.gz) {
+          return withRedelivery(hook, decodeLine(segmentBuffer(hook, seg).toString("utf8", loc[0], loc[0] + loc[1])));
+        }
+        const file = seg.archived ? archiveFile(hook, seg) : hookFile(hook);
+        let fd = readFds.get(file);
+        if (fd === undefined) readFds.set(file, (fd = fs.openSync(file, "r")));
+        const buf = Buffer.alloc(loc[1]);
+        fs.readSync(fd, buf, 0, loc[1], loc[0]);
+        return withRedelivery(hook, decodeLine(buf.toString("utf8")));
+      } catch (err) {
+        if (err.encryptionKey) throw err;
+        return null;
+      }
+    },
+
+    // per hook: [segment id, bytes] of the newest segment
+    mark() {
+      const mark = {};
+      for (const h of listHooksOnDisk()) {
+        const seg = allSegments(h).at(-1);
+        if (seg) mark[h] = [seg.id, seg.archived ? seg.bytes : fileSize(hookFile(h))];
+      }
+      return mark;
+    },
+
+    canResume(mark) {
+      return Object.entries(mark).every(([h, [id, size]]) => {
+        const segs = allSegments(h);
+        const seg = segs.find((s) => s.id === id);
+        // a segment dropped by retention is fine as long as nothing older is left either
+        if (!seg) return segs.every((s) => s.id > id);
+        return (seg.archived ? seg.bytes : fileSize(hookFile(h))) >= size;
+      });
+    },
+
+    *scan(from, to) {
+      const chunk = Buffer.alloc(1 << 20);
+      for (const [h, [toId, toSize]] of Object.entries(to)) {
+        const [fromId, fromSize] = from?.[h] || [0, 0];
+        for (const seg of allSegments(h)) {
+          if (seg.id < fromId || seg.id > toId) continue;
+          const start = seg.id === fromId ? fromSize : 0;
+          const end = seg.id === toId ? toSize : seg.bytes;
+
+          if (seg.archived && seg.gz) {
+            const buf = segmentBuffer(h, seg);
+            const found = [];
+            splitLines(buf, start, Math.min(end, buf.length), (evt, off, len) => found.push([evt, [off, len, seg.id]]));
+            yield* found;
+            continue;
+          }
+
+          const fd = fs.openSync(seg.archived ? archiveFile(h, seg) : hookFile(h), "r");
+          try {
+            let pos = start;
+            let carry = Buffer.alloc(0);
+            let carryAt = pos;
+            while (pos < end) {
+              const n = fs.readSync(fd, chunk, 0, Math.min(chunk.length, end - pos), pos);
+              if (!n) break;
+              pos += n;
+              const buf = Buffer.concat([carry, chunk.subarray(0, n)]);
+              const found = [];
+              let last = 0;
+              splitLines(buf, 0, buf.length, (evt, off, len) => {
+                found.push([evt, [carryAt + off, len, seg.id]]);
+                last = off + len + 1;
+              });
+              // lines that failed to parse still end in a newline
+              const tailStart = buf.lastIndexOf(10) + 1;
+              carry = buf.subarray(Math.max(last, tailStart));
+              carryAt += Math.max(last, tailStart);
+              yield* found;
+            }
+          } finally {
+            fs.closeSync(fd);
+          }
+        }
+      }
+    },
+
+    listHooks: listHooksOnDisk,
+
+    get(hook, id) {
+      for (const evt of hookEventsDesc(hook, null)) if (evt.id === id) return withRedelivery(hook, evt);
+      return null;
+    },
+
+    // merge of the per-hook newest-first sequences
+    *iterate(hooks, range) {
+      for (const evt of mergeSorted(hooks.map((h) => hookEventsWithRedeliveries(h, range)), byReceivedDesc)) {
+        if (range?.after && !(evt.receivedAt > range.after)) return;
+        if (inRange(evt, range)) yield evt;
+      }
+    },
+
+    *iterateSince(hooks, after) {
+      const asc = hooks.map(function* (h) {
+        for (const evt of hookEventsAsc(h, after)) yield withRedelivery(h, evt);
+      });
+      yield* mergeSorted(asc, (a, b) => byReceivedDesc(b, a));
+    },
+
+    forEach(hooks, fn, range) {
+      for (const evt of this.iterate(hooks, range)) if (fn(evt) === false) break;
+    },
+
+    count(hooks, duplicates = "show") {
+      let n = 0;
+      for (const h of hooks) {
+        for (const seg of allSegments(h)) {
+          const c = segmentCounts(h, seg);
+          n += duplicates === "show" ? c.events : duplicates === "only" ? c.duplicates : c.events - c.duplicates;
+        }
+      }
+      return n;
+    },
+
+    // reads the full history; eventsByRef() narrows it down with the search index once that is ready
+    findByRef(kind, value) {
+      const v = String(value);
+      const found = [];
+      for (const evt of this.iterate(listHooksOnDisk(), null)) {
+        if (extractRefs(evt.payload)[kind]?.includes(v)) found.push(evt);
+      }
+      return found.reverse();
+    },
+
+    clear(hook) {
+      const hooks = hook === "*" ? listHooksOnDisk() : [hook];
+      closeReadFds();
+      segmentCache.clear();
+      for (const h of hooks) {
+        recentByHook.delete(h);
+        activeSegments.delete(h);
+        activeCounts.delete(h);
+        segmentLists.delete(h);
+        try {
+          fs.rmSync(hookFile(h), { force: true });
+          fs.rmSync(hookArchiveDir(h), { recursive: true, force: true });
+        } catch {}
+      }
+      return hooks;
+    },
+
+    // rotate active files from earlier days and compress anything left uncompressed
+    async maintain() {
+      const today = new Date().toISOString().slice(0, 10);
+      for (const h of listHooksOnDisk()) {
+        const active = activeSegment(h);
+        if (active && active.day < today) rotate(h);
+        for (const seg of archivedSegments(h)) if (!seg.gz) await compress(h, seg);
+      }
+    },
+
+    // Drops whole archived segments, oldest first, while the hook is over a limit. Overlapping
+    // segments (imports) go together, so nothing older than the returned time is left behind.
+    // Returns the receivedAt of the newest dropped event, or null if nothing was dropped.
+    applyRetention(hook, { maxAgeDays, maxBytes, maxEvents }) {
+      const archived = archivedSegments(hook);
+      const cutoff = maxAgeDays ? new Date(Date.now() - maxAgeDays * 86400000).toISOString() : null;
+      let bytes = archived.reduce((n, s) => n + s.bytes, 0) + fileSize(hookFile(hook));
+      let events = maxEvents ? archived.reduce((n, s) => n + s.events, 0) + countLines(hookFile(hook)) : 0;
+      let through = null;
+      const dropped = new Set();
+
+      for (const g of segmentGroupsDesc(hook).reverse()) {
+        if (g.segs.some((seg) => !seg.archived)) break;
+        const expired = (cutoff && g.to < cutoff) || (maxBytes && bytes > maxBytes) || (maxEvents && events > maxEvents);
+        if (!expired) break;
+        for (const seg of g.segs) {
+          bytes -= seg.bytes;
+          events -= seg.events;
+          dropped.add(seg.id);
+          segmentCache.delete(archiveFile(hook, seg));
+          fs.rmSync(archiveFile(hook, seg), { force: true });
+        }
+        through = g.to;
+      }
+      if (!dropped.size) return null;
+
+      saveArchivedSegments(hook, archived.filter((seg) => !dropped.has(seg.id)));
+      closeReadFds();
+      recentByHook.delete(hook);
+      return through;
+    },
+
+    // Imported events go into new archived segments per hook and day rather than the active file,
+    // which keeps the active file and the in-memory tail in time order.
+    importer() {
+      const known = new Map(); // hook -> ids already stored
+      const buffers = new Map(); // "hook|day" -> events waiting for a segment
+      const touched = new Set();
+
+      function storedIds(hook) {
+        if (!known.has(hook)) {
+          const ids = new Set();
+          for (const seg of allSegments(hook)) for (const evt of segmentEvents(hook, seg)) ids.add(evt.id);
+          known.set(hook, ids);
+        }
+        return known.get(hook);
+      }
+
+      function writeSegment(key) {
+        const events = buffers.get(key).sort((a, b) => -byReceivedDesc(a, b));
+        buffers.delete(key);
+        const hook = events[0].hook;
+        const day = events[0].receivedAt.slice(0, 10);
+        // the active file always has to be the newest segment in storage order
+        if (activeSegment(hook)) rotate(hook);
+
+        const id = nextSegmentId(hook, day);
+        const file = segmentFileName(day, id);
+        const stored = [];
+        const redelivered = {};
+        let offset = 0;
+        const lines = events.map((evt) => {
+          if (evt.duplicateOf) tallyRedelivery(redelivered, evt);
+          const line = encodeRecord(evt);
+          const len = Buffer.byteLength(line);
+          stored.push([evt, [offset, len, id]]);
+          offset += len + 1;
+          return line + "\n";
+        });
+        fs.mkdirSync(hookArchiveDir(hook), { recursive: true });
+        fs.writeFileSync(path.join(hookArchiveDir(hook), file), lines.join(""));
+        saveArchivedSegments(hook, [
+          ...archivedSegments(hook),
+          {
+            id,
+            day,
+            file,
+            gz: false,
+            firstAt: events[0].receivedAt,
+            lastAt: events[events.length - 1].receivedAt,
+            events: events.length,
+            duplicates: events.filter((evt) => evt.duplicateOf).length,
+            redelivered,
+            bytes: offset,
+            gzBytes: null,
+            keys: [currentKey ? currentKey.id : "plain"],
+          },
+        ]);
+        touched.add(hook);
+        return stored;
+      }
+
+      return {
+        write(events) {
+          const stored = [];
+          let duplicates = 0;
+          for (const evt of events) {
+            const ids = storedIds(evt.hook);
+            if (ids.has(evt.id)) {
+              duplicates++;
+              continue;
+            }
+            ids.add(evt.id);
+            const key = `${evt.hook}|${evt.receivedAt.slice(0, 10)}`;
+            if (!buffers.has(key)) buffers.set(key, []);
+            buffers.get(key).push(evt);
+            if (buffers.get(key).length >= IMPORT_SEGMENT_EVENTS) stored.push(...writeSegment(key));
+          }
+          return { stored, duplicates };
+        },
+
+        close() {
+          const stored = [];
+          for (const key of [...buffers.keys()]) stored.push(...writeSegment(key));
+          for (const hook of touched) {
+            recentByHook.delete(hook);
+            for (const seg of archivedSegments(hook)) if (!seg.gz) compress(hook, seg);
+          }
+          return { stored, duplicates: 0 };
+        },
+      };
+    },
+
+    describe(hook) {
+      const active = activeSegment(hook);
+      return {
+        active: active ? { day: active.day, bytes: fileSize(hookFile(hook)) } : null,
+        segments: archivedSegments(hook).map(({ day, file, gz, firstAt, lastAt, events, bytes, gzBytes, keys }) => ({
+          day,
+          file,
+          gz,
+          firstAt,
+          lastAt,
+          events,
+          bytes,
+          gzBytes,
+          keys: keys || ["plain"],
+        })),
+      };
+    },
+
+    // Rewrites every segment not entirely under the current key (plain ones included; with no
+    // ENCRYPTION_KEY it decrypts). Active files are rotated first so nothing is appended to a file
+    // being rewritten. moved = byte offsets changed, so the search index has to be rebuilt.
+    async reencrypt() {
+      const want = [currentKey ? currentKey.id : "plain"];
+      let segments = 0;
+      let events = 0;
+      let moved = false;
+      for (const h of listHooksOnDisk()) {
+        if (activeSegment(h)) rotate(h);
+        for (const { id } of archivedSegments(h)) {
+          while ([...compressing].some((k) => k.startsWith(`${h}/`))) await new Promise((r) => setTimeout(r, 50));
+          const seg = archivedSegments(h).find((s) => s.id === id);
+          if (!seg || (seg.keys || ["plain"]).join() === want.join()) continue;
+
+          const buf = segmentBuffer(h, { ...seg, archived: true });
+          const lines = [];
+          let duplicates = 0;
+          splitLines(buf, 0, buf.length, (evt) => {
+            lines.push(encodeRecord(evt) + "\n");
+            if (evt.duplicateOf) duplicates++;
+          });
+          const out = Buffer.from(lines.join(""));
+          const data = seg.gz
+            ? await new Promise((resolve, reject) => zlib.gzip(out, (err, gz) => (err ? reject(err) : resolve(gz))))
+            : out;
+          const file = archiveFile(h, seg);
+          fs.writeFileSync(`${file}.tmp`, data);
+          fs.renameSync(`${file}.tmp`, file);
+          segmentCache.delete(file);
+          closeReadFds();
+          if (out.length !== seg.bytes) moved = true;
+          saveArchivedSegments(
+            h,
+            archivedSegments(h).map((s) =>
+              s.id === id
+                ? { ...s, events: lines.length, duplicates, bytes: out.length, gzBytes: seg.gz ? data.length : null, keys: want }
+                : s
+            )
+          );
+          segments++;
+          events += lines.length;
+          await new Promise((r) => setImmediate(r));
+        }
+        for (const seg of archivedSegments(h)) if (!seg.gz) compress(h, seg);
+      }
+      return { segments, events, moved };
+    },
+  };
+}
+
+// SQLite: full history in one file, indexed by hook, receivedAt and booking/vehicle/driver ids
+async function createSqliteStore(file) {
+  let Database;
+  try {
+    Database = (await import("better-sqlite3")).default;
+  } catch {
+    throw new Error("STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)");
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      hook TEXT NOT NULL,
+      received_at TEXT NOT NULL,
+      booking_id TEXT,
+      vehicle_id TEXT,
+      driver_id TEXT,
+      duplicate_of TEXT,
+      json TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_events_hook_received ON events (hook, received_at);
+    CREATE INDEX IF NOT EXISTS idx_events_received ON events (received_at);
+    CREATE INDEX IF NOT EXISTS idx_events_booking ON events (booking_id);
+    CREATE INDEX IF NOT EXISTS idx_events_vehicle ON events (vehicle_id);
+    CREATE INDEX IF NOT EXISTS idx_events_driver ON events (driver_id);
+    CREATE TABLE IF NOT EXISTS event_refs (
+      kind TEXT NOT NULL,
+      value TEXT NOT NULL,
+      event_seq INTEGER NOT NULL REFERENCES events (seq) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_event_refs_lookup ON event_refs (kind, value);
+    CREATE INDEX IF NOT EXISTS idx_event_refs_seq ON event_refs (event_seq);
+  `);
+  // databases from before duplicate_of: fill it in and put the redelivery counts on the originals
+  if (!db.prepare("PRAGMA table_info(events)").all().some((c) => c.name === "duplicate_of")) {
+    db.exec(`
+      ALTER TABLE events ADD COLUMN duplicate_of TEXT;
+      UPDATE events SET duplicate_of = json_extract(json, '$.duplicateOf') WHERE json_extract(json, '$.duplicateOf') IS NOT NULL;
+      UPDATE events SET json = json_set(json, '$.duplicates',
+        (SELECT json_object('count', COUNT(*), 'lastAt', MAX(d.received_at)) FROM events d
+         WHERE d.hook = events.hook AND d.duplicate_of = events.id))
+      WHERE id IN (SELECT duplicate_of FROM events WHERE duplicate_of IS NOT NULL);
+    `);
+  }
+  db.exec("CREATE INDEX IF NOT EXISTS idx_events_duplicate_of ON events (hook, duplicate_of)");
+
+  const insertEvent = db.prepare(
+    `INSERT OR IGNORE INTO events (id, hook, received_at, booking_id, vehicle_id, driver_id, duplicate_of, json)
+     VALUES (@id, @hook, @receivedAt, @bookingId, @vehicleId, @driverId, @duplicateOf, @json)`
+  );
+  const selectRedeliveries = db.prepare(
+    "SELECT COUNT(*) AS count, MAX(received_at) AS lastAt FROM events WHERE hook = ? AND duplicate_of = ?"
+  );
+  const updateDuplicates = db.prepare("UPDATE events SET json = json_set(json, '$.duplicates', json(?)) WHERE hook = ? AND id = ?");
+  const insertRef = db.prepare("INSERT INTO event_refs (kind, value, event_seq) VALUES (?, ?, ?)");
+  const selectOne = db.prepare("SELECT json FROM events WHERE hook = ? AND id = ?");
+  const selectBySeq = db.prepare("SELECT json FROM events WHERE seq = ?");
+  const selectMaxSeq = db.prepare("SELECT COALESCE(MAX(seq), 0) AS seq FROM events");
+  const selectSeqRange = db.prepare("SELECT seq, json FROM events WHERE seq > ? AND seq <= ? ORDER BY seq LIMIT 2000");
+  const selectHooks = db.prepare("SELECT DISTINCT hook FROM events");
+  const selectByRef = db.prepare(
+    `SELECT e.json FROM event_refs r JOIN events e ON e.seq = r.event_seq
+     WHERE r.kind = ? AND r.value = ? ORDER BY e.received_at ASC, e.seq ASC`
+  );
+  const deleteHook = db.prepare("DELETE FROM events WHERE hook = ?");
+  const deleteThrough = db.prepare("DELETE FROM events WHERE hook = ? AND received_at <= ?");
+  const selectAgeThrough = db.prepare("SELECT MAX(received_at) AS t FROM events WHERE hook = ? AND received_at < ?");
+  const selectCountThrough = db.prepare(
+    `SELECT MAX(received_at) AS t FROM
+       (SELECT received_at FROM events WHERE hook = ? ORDER BY received_at DESC, seq DESC LIMIT -1 OFFSET ?)`
+  );
+  const selectBytesThrough = db.prepare(
+    `SELECT MAX(received_at) AS t FROM
+       (SELECT received_at, SUM(LENGTH(json)) OVER (ORDER BY received_at DESC, seq DESC) AS total
+        FROM events WHERE hook = ?)
+     WHERE total > ?`
+  );
+  const selectHookStats = db.prepare(
+    `SELECT COUNT(*) AS events, COALESCE(SUM(LENGTH(json)), 0) AS bytes,
+       MIN(received_at) AS firstAt, MAX(received_at) AS lastAt FROM events WHERE hook = ?`
+  );
+
+  const insert = db.transaction((evt) => {
+    const refs = extractRefs(evt.payload);
+    const info = insertEvent.run({
+      id: evt.id,
+      hook: evt.hook,
+      receivedAt: evt.receivedAt,
+      bookingId: refs.booking[0] ?? null,
+      vehicleId: refs.vehicle[0] ?? null,
+      driverId: refs.driver[0] ?? null,
+      duplicateOf: evt.duplicateOf ?? null,
+      json: JSON.stringify(evt),
+    });
+    if (!info.changes) return null;
+    for (const kind of Object.keys(refs)) {
+      for (const v of refs[kind]) insertRef.run(kind, v, info.lastInsertRowid);
+    }
+    // the original carries duplicates: { count, lastAt }, counted from its duplicate rows so the
+    // order rows arrive in (an import, a migration) doesn't matter
+    const original = evt.duplicateOf || evt.id;
+    const redelivered = selectRedeliveries.get(evt.hook, original);
+    if (redelivered.count) updateDuplicates.run(JSON.stringify(redelivered), evt.hook, original);
+    return Number(info.lastInsertRowid);
+  });
+
+  const store = {
+    name: "sqlite",
+
+    // locator: [seq]
+    append(evt) {
+      const seq = insert(evt);
+      return seq === null ? null : [seq];
+    },
+
+    readAt(hook, loc) {
+      const row = selectBySeq.get(loc[0]);
+      return row ? JSON.parse(row.json) : null;
+    },
+
+    mark() {
+      return { seq: selectMaxSeq.get().seq };
+    },
+
+    canResume(mark) {
+      return Number.isInteger(mark?.seq) && selectMaxSeq.get().seq >= mark.seq;
+    },
+
+    // batches, so no statement stays open while the caller yields to other work
+    *scan(from, to) {
+      let seq = from?.seq || 0;
+      for (;;) {
+        const rows = selectSeqRange.all(seq, to.seq);
+        if (!rows.length) return;
+        for (const row of rows) yield [JSON.parse(row.json), [row.seq]];
+        seq = rows[rows.length - 1].seq;
+      }
+    },
+
+    listHooks() {
+      const hooks = selectHooks
+        .all()
+        .map((r) => r.hook)
+        .filter((h) => isHookAllowed(h));
+      hooks.sort((a, b) => a.localeCompare(b));
+      return hooks;
+    },
+
+    get(hook, id) {
+      const row = selectOne.get(hook, id);
+      return row ? JSON.parse(row.json) : null;
+    },
+
+    // keyset batches, so no statement stays open while the caller waits (e.g. on a slow download)
+    *iterate(hooks, range) {
+      if (!hooks.length) return;
+      const where = [`hook IN (${hooks.map(() => "?").join(",")})`];
+      const params = [...hooks];
+      if (range?.after) {
+        where.push("received_at > ?");
+        params.push(range.after);
+      }
+      const stmt = db.prepare(
+        `SELECT id, received_at, json FROM events WHERE ${where.join(" AND ")}
+           AND (received_at < ? OR (received_at = ? AND id < ?))
+         ORDER BY received_at DESC, id DESC LIMIT 1000`
+      );
+      // position of the last row returned; "\uffff" sorts after any ISO time
+      let last = { t: range?.before || "\uffff", id: "" };
+      if (range?.cursor && !(range.before && range.before <= range.cursor.t)) last = { t: range.cursor.t, id: range.cursor.id };
+      for (;;) {
+        const rows = stmt.all(...params, last.t, last.t, last.id);
+        if (!rows.length) return;
+        for (const row of rows) yield JSON.parse(row.json);
+        const end = rows[rows.length - 1];
+        last = { t: end.received_at, id: end.id };
+      }
+    },
+
+    *iterateSince(hooks, after) {
+      if (!hooks.length) return;
+      const stmt = db.prepare(
+        `SELECT id, received_at, json FROM events WHERE hook IN (${hooks.map(() => "?").join(",")})
+           AND (received_at > ? OR (received_at = ? AND id > ?))
+         ORDER BY received_at ASC, id ASC LIMIT 1000`
+      );
+      // "\uffff" sorts after any id, so events received exactly at `after` are left out
+      let last = { t: after || "", id: "\uffff" };
+      for (;;) {
+        const rows = stmt.all(...hooks, last.t, last.t, last.id);
+        if (!rows.length) return;
+        for (const row of rows) yield JSON.parse(row.json);
+        const end = rows[rows.length - 1];
+        last = { t: end.received_at, id: end.id };
+      }
+    },
+
+    forEach(hooks, fn, range) {
+      if (!hooks.length) return;
+      const where = [`hook IN (${hooks.map(() => "?").join(",")})`];
+      const params = [...hooks];
+      if (range?.before) {
+        where.push("received_at < ?");
+        params.push(range.before);
+      }
+      if (range?.after) {
+        where.push("received_at > ?");
+        params.push(range.after);
+      }
+      if (range?.cursor) {
+        where.push("(received_at < ? OR (received_at = ? AND id < ?))");
+        params.push(range.cursor.t, range.cursor.t, range.cursor.id);
+      }
+      const stmt = db.prepare(
+        `SELECT json FROM events WHERE ${where.join(" AND ")} ORDER BY received_at DESC, id DESC`
+      );
+      for (const row of stmt.iterate(...params)) {
+        if (fn(JSON.parse(row.json)) === false) break;
+      }
+    },
+
+    findByRef(kind, value) {
+      return selectByRef.all(kind, String(value)).map((r) => JSON.parse(r.json));
+    },
+
+    count(hooks, duplicates = "show") {
+      if (!hooks.length) return 0;
+      const dups = { hide: " AND duplicate_of IS NULL", only: " AND duplicate_of IS NOT NULL" }[duplicates] || "";
+      return db.prepare(`SELECT COUNT(*) AS n FROM events WHERE hook IN (${hooks.map(() => "?").join(",")})${dups}`).get(...hooks).n;
+    },
+
+    clear(hook) {
+      const hooks = hook === "*" ? this.listHooks() : [hook];
+      db.transaction(() => {
+        for (const h of hooks) deleteHook.run(h);
+      })();
+      return hooks;
+    },
+
+    // nothing to rotate: one file, space is reused after deletes
+    async maintain() {},
+
+    // Deletes the hook's oldest events while it is over a limit. Returns the receivedAt of the newest
+    // deleted event, or null if nothing was deleted.
+    applyRetention(hook, { maxAgeDays, maxBytes, maxEvents }) {
+      const through = [
+        maxAgeDays && selectAgeThrough.get(hook, new Date(Date.now() - maxAgeDays * 86400000).toISOString()).t,
+        maxEvents && selectCountThrough.get(hook, maxEvents).t,
+        maxBytes && selectBytesThrough.get(hook, maxBytes).t,
+      ]
+        .filter(Boolean)
+        .sort()
+        .pop();
+      if (!through) return null;
+      deleteThrough.run(hook, through);
+      return through;
+    },
+
+    describe(hook) {
+      return selectHookStats.get(hook);
+    },
+
+    // the unique id column does the de-duplication
+    importer() {
+      return {
+        write: db.transaction((events) => {
+          const stored = [];
+          let duplicates = 0;
+          for (const evt of events) {
+            const seq = insert(evt);
+            if (seq === null) duplicates++;
+            else stored.push([evt, [seq]]);
+          }
+          return { stored, duplicates };
+        }),
+        close: () => ({ stored: [], duplicates: 0 }),
+      };
+    },
+  };
+
+  // First start on an empty database: pull in whatever the NDJSON backend left behind, in
+  // transactions of SQLITE_IMPORT_BATCH events. An interrupted import carries on at the next start;
+  // ids already stored are skipped.
+  db.exec("CREATE TABLE IF NOT EXISTS store_meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)");
+  const setImportState = (state) => db.prepare("INSERT OR REPLACE INTO store_meta (key, value) VALUES ('ndjson_import', ?)").run(state);
+  const importState = db.prepare("SELECT value FROM store_meta WHERE key = 'ndjson_import'").get()?.value;
+  if (importState === "running" || (!importState && db.prepare("SELECT COUNT(*) AS n FROM events").get().n === 0)) {
+    setImportState("running");
+    let imported = 0;
+    const importBatch = db.transaction((events) => {
+      for (const evt of events) {
+        try {
+          if (insert(evt) !== null) imported++;
+        } catch {}
+      }
+    });
+    let batch = [];
+    forEachNdjsonEvent((evt) => {
+      batch.push(evt);
+      if (batch.length < SQLITE_IMPORT_BATCH) return;
+      importBatch(batch);
+      batch = [];
+    });
+    importBatch(batch);
+    setImportState("done");
+    if (imported) console.log(`[STORE] imported ${imported} events from NDJSON into ${file}`);
+  } else if (!importState) {
+    setImportState("done");
+  }
+
+  return store;
+}
+
+const store = STORAGE_BACKEND === "sqlite" ? await createSqliteStore(SQLITE_FILE) : createNdjsonStore();
+console.log(`[STORE] using ${store.name} backend`);
+
+// emits "stored" with each event after it is persisted (live stream etc. subscribe here)
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(0);
+
+// `tags`: extra top-level fields recorded at ingest (e.g. schema validation results)
+function storeEvent(hook, payload, meta, tags = {}) {
+  const evt = {
+    id: crypto.randomUUID(),
+    hook,
+    receivedAt: new Date().toISOString(),
+    meta,
+    ...tags,
+    payload,
+  };
+  evt.model = normalizeEvent(evt);
+
+  const loc = store.append(evt);
+  if (loc) searchIndex.add(evt, loc);
+  // redeliveries are kept for the record but not forwarded, alerted on or counted
+  eventBus.emit(evt.duplicateOf ? "duplicate" : "stored", evt);
+  return evt;
+}
+
+// ---- Pagination ----
+const PAGE_SIZE = Number(process.env.PAGE_SIZE || 200);
+const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE || 1000);
+
+// opaque to clients: position of the last item on the previous page
+function encodeCursor(evt) {
+  return Buffer.from(JSON.stringify({ t: evt.receivedAt, id: evt.id })).toString("base64url");
+}
+
+function decodeCursor(s) {
+  try {
+    const c = JSON.parse(Buffer.from(s, "base64url").toString("utf8"));
+    if (typeof c?.t === "string" && typeof c?.id === "string") return c;
+  } catch {}
+  return null;
+}
+
+// ?before / ?after (ISO, exclusive) and ?cursor; returns { error } on bad input
+function parseRange(query) {
+  const range = { before: null, after: null, cursor: null };
+  for (const k of ["before", "after"]) {
+    const raw = (query[k] || "").toString().trim();
+    if (!raw) continue;
+    const ms = Date.parse(raw);
+    if (!Number.isFinite(ms)) return { error: `Invalid ${k} (expected an ISO date/time)` };
+    range[k] = new Date(ms).toISOString();
+  }
+  const c = (query.cursor || "").toString().trim();
+  if (c) {
+    range.cursor = decodeCursor(c);
+    if (!range.cursor) return { error: "Invalid cursor" };
+  }
+  return range;
+}
+
+function isPastCursor(evt, cursor) {
+  return evt.receivedAt < cursor.t || (evt.receivedAt === cursor.t && evt.id < cursor.id);
+}
+
+// Newest first. `items` starts after `range.cursor`; limit 0 = everything. Reading starts at the
+// cursor and stops once the page is full and one more match is found (`hasMore`), so `count` (every
+// match in the time range, not just this page) is null on such pages and on cursor pages, unless the
+// store or the search index knows it without reading events.
+// `filter` = { q, field, value, duplicates, redact } from the request; served by the search index once it
+// is ready. With `redact` (a readRedactor) the query matches events as that user sees them.
+function queryEvents(hooks, { filter = null, match = null, limit = 0, range = null } = {}) {
+  const { q = "", field = "", value = "", duplicates = "hide", redact = (evt) => evt } = filter || {};
+  // a whole hook's events are counted from storage metadata (NDJSON: segments.json), not read
+  const countable = !match && !q && !value.trim() && !range?.before && !range?.after;
+  if (q || value.trim()) {
+    if (searchIndex.ready) return searchIndex.search(hooks, { q, field, value, duplicates, limit, range, redact });
+    match = (evt) => duplicateMatches(evt, duplicates) && eventMatches(redact(evt), { q, field, value });
+  } else if (duplicates !== "show") {
+    const inner = match;
+    match = (evt) => duplicateMatches(evt, duplicates) && (!inner || inner(evt));
+  }
+
+  const items = [];
+  let count = 0;
+  let hasMore = false;
+  store.forEach(
+    hooks,
+    (evt) => {
+      if (match && !match(evt)) return;
+      count++;
+      if (limit === 0 || items.length < limit) {
+        items.push(evt);
+        return;
+      }
+      hasMore = true;
+      return false;
+    },
+    range
+  );
+  const nextCursor = hasMore && items.length ? encodeCursor(items[items.length - 1]) : null;
+  if (hasMore || range?.cursor) count = countable ? store.count(hooks, duplicates) : null;
+  return { count, items, hasMore, nextCursor, indexed: false };
+}
+
+// Newest first, one event at a time, for callers that can't hold every match (exports).
+// Same filters as queryEvents; no count or paging.
+function* matchingEvents(hooks, { filter = null, range = null } = {}) {
+  const { q = "", field = "", value = "", duplicates = "hide", redact = (evt) => evt } = filter || {};
+  const filtered = Boolean(q || value.trim());
+  if (filtered && searchIndex.ready) return yield* searchIndex.iterate(hooks, { q, field, value, duplicates, range, redact });
+  for (const evt of store.iterate(hooks, range)) {
+    if (duplicateMatches(evt, duplicates) && (!filtered || eventMatches(redact(evt), { q, field, value }))) yield evt;
+  }
+}
+
+// ---- Utilities ----
+function stringifySafe(x) {
+  try {
+    if (typeof x === "string") return x;
+    return JSON.stringify(x);
+  } catch {
+    return String(x);
+  }
+}
+
+function normalizeQ(q) {
+  const s = (q || "").toString().trim();
+  return s.length ? s : "";
+}
+
+function csvEscape(value) {
+  const s = value == null ? "" : String(value);
+  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// ---- Query language (Advanced search) ----
+//   Market "Market Ave"        free text anywhere in the event
+//   Callsign:51                any field named Callsign (any depth) containing 51
+//   payload.Pricing.Price>20   dotted path from the event root; arrays are searched element-wise
+//   Id=12798732  Id!=1         whole value (case-insensitive)
+//   > >= < <=                  numbers, ISO dates (receivedAt>=2026-10-01), otherwise text
+//   Distance:[2 TO 10]         inclusive range; {2 TO 10} exclusive; * for an open end
+//   Name:Mar*  Name:/^mar/i    wildcards (* ?) and regular expressions
+//   AND OR NOT ( )             adjacent terms are ANDed; NOT binds tighter than AND, AND than OR
+// compileQuery(q) -> { match } or { error } with the position of the problem.
+const QUERY_OPS = [">=", "<=", "!=", ":", "=", ">", "<"];
+const QUERY_KEYWORDS = new Set(["AND", "OR", "NOT"]);
+const compiledQueries = new Map();
+
+function querySyntaxError(message, pos) {
+  const err = new Error(pos === undefined ? message : `${message} at position ${pos + 1}`);
+  err.querySyntax = true;
+  return err;
+}
+
+function globToRegExp(s) {
+  const body = s.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${body}$`, "i");
+}
+
+function readQuoted(q, i) {
+  const quote = q[i];
+  let out = "";
+  let j = i + 1;
+  while (j < q.length && q[j] !== quote) {
+    if (q[j] === "\\" && j + 1 < q.length) j++;
+    out += q[j++];
+  }
+  if (j >= q.length) throw querySyntaxError(`Missing closing ${quote}`, i);
+  return { text: out, end: j + 1 };
+}
+
+// Regular expressions run synchronously on every event searched, so patterns that can backtrack
+// exponentially are refused: a quantified group that itself contains a quantifier or an alternative
+// ((a+)+, (a|aa)*), and backreferences. Length is capped as well.
+const QUERY_REGEX_MAX_LENGTH = 200;
+
+// a message when the pattern is refused, or null
+function regexRisk(body) {
+  if (body.length > QUERY_REGEX_MAX_LENGTH) return `Regular expressions are limited to ${QUERY_REGEX_MAX_LENGTH} characters`;
+  const groups = [];
+  let risky = false; // the group just closed holds a quantifier or an alternative
+  for (let j = 0; j < body.length; j++) {
+    const ch = body[j];
+    const quantified = ch === "*" || ch === "+" || (ch === "{" && /^\{\d+(,\d*)?\}/.test(body.slice(j)));
+    if (quantified && risky) return "Nested quantifiers are not allowed in regular expressions";
+    risky = false;
+    if (ch === "\\") {
+      if (/[1-9k]/.test(body[j + 1] || "")) return "Backreferences are not allowed in regular expressions";
+      j++;
+    } else if (ch === "[") {
+      for (j++; j < body.length && body[j] !== "]"; j++) if (body[j] === "\\") j++;
+    } else if (ch === "(") {
+      groups.push(false);
+    } else if (ch === ")") {
+      risky = groups.pop() === true;
+      if (risky && groups.length) groups[groups.length - 1] = true;
+    } else if ((quantified || ch === "|" || (ch === "?" && body[j - 1] !== "(")) && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+function readRegex(q, i) {
+  let j = i + 1;
+  let body = "";
+  while (j < q.length && q[j] !== "/") {
+    if (q[j] === "\\" && j + 1 < q.length) body += q[j++];
+    body += q[j++];
+  }
+  if (j >= q.length) throw querySyntaxError("Missing closing / for regular expression", i);
+  j++;
+  const flags = /^[a-z]*/.exec(q.slice(j))[0];
+  const risk = regexRisk(body);
+  if (risk) throw querySyntaxError(risk, i);
+  try {
+    return { re: new RegExp(body, flags), end: j + flags.length };
+  } catch (err) {
+    throw querySyntaxError(err.message, i);
+  }
+}
+
+function readRange(q, i) {
+  const close = q.slice(i + 1).search(/[\]}]/);
+  if (close < 0) throw querySyntaxError(`Missing closing ${q[i] === "[" ? "]" : "}"} for range`, i);
+  const end = i + 1 + close;
+  const parts = q.slice(i + 1, end).trim().split(/\s+TO\s+/i);
+  if (parts.length !== 2 || !parts[0] || !parts[1]) throw querySyntaxError('Expected a range like [2 TO 10]', i);
+  const bound = (s) => (s === "*" ? null : s.replace(/^(["'])(.*)\1$/, "$2"));
+  return {
+    lo: bound(parts[0]),
+    hi: bound(parts[1]),
+    loIncl: q[i] === "[",
+    hiIncl: q[end] === "]",
+    end: end + 1,
+  };
+}
+
+function readBare(q, i, stopAtOp) {
+  let j = i;
+  while (j < q.length && !/[\s()]/.test(q[j])) {
+    if (stopAtOp && (/[:=<>]/.test(q[j]) || q.startsWith("!=", j))) break;
+    j++;
+  }
+  return { text: q.slice(i, j), end: j };
+}
+
+// value after an operator, or a free-text term: quoted, /regex/, [range] or a bare word
+function readValue(q, i, op, termStart) {
+  const ch = q[i];
+  if (ch === '"' || ch === "'") {
+    const r = readQuoted(q, i);
+    return { value: { kind: "text", text: r.text }, end: r.end };
+  }
+  if (ch === "/") {
+    if (op && op !== ":") throw querySyntaxError(`Regular expressions only work with ":"`, i);
+    const r = readRegex(q, i);
+    return { value: { kind: "regex", re: r.re }, end: r.end };
+  }
+  if (op && (ch === "[" || ch === "{")) {
+    if (op !== ":") throw querySyntaxError(`Ranges only work with ":"`, i);
+    const r = readRange(q, i);
+    return { value: { kind: "range", ...r }, end: r.end };
+  }
+  const r = readBare(q, i, false);
+  if (!r.text) throw querySyntaxError(`Missing value after "${q.slice(termStart, i)}"`, i);
+  const wild = /[*?]/.test(r.text);
+  return { value: wild ? { kind: "regex", re: globToRegExp(r.text), glob: true } : { kind: "text", text: r.text }, end: r.end };
+}
+
+function lexQuery(q) {
+  const tokens = [];
+  let i = 0;
+  while (i < q.length) {
+    if (/\s/.test(q[i])) {
+      i++;
+      continue;
+    }
+    const pos = i;
+    if (q[i] === "(" || q[i] === ")") {
+      tokens.push({ type: q[i++], pos });
+      continue;
+    }
+    if (q[i] === '"' || q[i] === "'" || q[i] === "/") {
+      const r = readValue(q, i, null, i);
+      tokens.push({ type: "term", pos, field: null, value: r.value });
+      i = r.end;
+      continue;
+    }
+
+    const word = readBare(q, i, true);
+    const op = QUERY_OPS.find((o) => q.startsWith(o, word.end));
+    if (!op) {
+      if (QUERY_KEYWORDS.has(word.text)) tokens.push({ type: word.text, pos });
+      else {
+        const wild = /[*?]/.test(word.text);
+        tokens.push({
+          type: "term",
+          pos,
+          field: null,
+          value: wild ? { kind: "regex", re: globToRegExp(`*${word.text}*`), glob: true } : { kind: "text", text: word.text },
+        });
+      }
+      i = word.end;
+      continue;
+    }
+    if (!word.text) throw querySyntaxError(`Missing field name before "${op}"`, pos);
+    const r = readValue(q, word.end + op.length, op, pos);
+    tokens.push({ type: "term", pos, field: word.text, op, value: r.value });
+    i = r.end;
+  }
+  return tokens;
+}
+
+function parseQuery(q) {
+  const tokens = lexQuery(q);
+  let k = 0;
+  const peek = () => tokens[k];
+  const describe = (t) => (t ? `"${t.type === "term" ? q.slice(t.pos).split(/\s/)[0] : t.type}"` : "end of query");
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (peek()?.type === "OR") {
+      k++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: "or", nodes };
+  }
+
+  function parseAnd() {
+    const nodes = [parseNot()];
+    for (;;) {
+      const t = peek();
+      if (t?.type === "AND") {
+        k++;
+        nodes.push(parseNot());
+      } else if (t && (t.type === "term" || t.type === "(" || t.type === "NOT")) {
+        nodes.push(parseNot());
+      } else break;
+    }
+    return nodes.length === 1 ? nodes[0] : { type: "and", nodes };
+  }
+
+  function parseNot() {
+    if (peek()?.type === "NOT") {
+      k++;
+      return { type: "not", node: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const t = peek();
+    const prev = tokens[k - 1];
+    if (!t) {
+      throw prev
+        ? querySyntaxError(`Expected a search term after ${describe(prev)}`, q.length - 1)
+        : querySyntaxError("Empty query");
+    }
+    if (t.type === "(") {
+      k++;
+      const node = parseOr();
+      if (peek()?.type !== ")") throw querySyntaxError('Missing ")" for the "(" opened', t.pos);
+      k++;
+      return node;
+    }
+    if (t.type === "term") {
+      k++;
+      return t;
+    }
+    if (t.type === ")") throw querySyntaxError('Unexpected ")"', t.pos);
+    throw querySyntaxError(`Expected a search term before "${t.type}"`, t.pos);
+  }
+
+  const ast = parseOr();
+  if (k < tokens.length) throw querySyntaxError(`Unexpected ${describe(tokens[k])}`, tokens[k].pos);
+  return ast;
+}
+
+// values of `field` in the event: a dotted path from the root, or every key with that name
+function queryFieldValues(evt, field) {
+  const key = field.toLowerCase();
+  if (!field.includes(".")) {
+    const out = [];
+    deepAny(evt, (k, v) => {
+      if (k != null && String(k).toLowerCase() === key && !Array.isArray(v)) out.push(v);
+      return false;
+    });
+    return out;
+  }
+
+  let cur = [evt];
+  for (const part of field.split(".").filter(Boolean)) {
+    const next = [];
+    const lower = part.toLowerCase();
+    const visit = (c) => {
+      if (Array.isArray(c)) return c.forEach(visit);
+      if (!c || typeof c !== "object") return;
+      if (Object.hasOwn(c, part)) return next.push(c[part]);
+      const k = Object.keys(c).find((x) => x.toLowerCase() === lower);
+      if (k !== undefined) next.push(c[k]);
+    };
+    cur.forEach(visit);
+    cur = next;
+  }
+  return cur.flat(Infinity);
+}
+
+function queryNumber(x) {
+  if (typeof x === "number") return x;
+  if (typeof x === "string" && /^\s*-?\d+(\.\d+)?\s*$/.test(x)) return Number(x);
+  return NaN;
+}
+
+// <0, 0, >0, or NaN when the value can't be compared (objects)
+function compareQueryValue(val, text) {
+  if (val !== null && typeof val === "object") return NaN;
+  const a = queryNumber(val);
+  const b = queryNumber(text);
+  if (Number.isFinite(a) && Number.isFinite(b)) return a - b;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) && Number.isFinite(Date.parse(text))) {
+    const ms = Date.parse(String(val));
+    return Number.isFinite(ms) ? ms - Date.parse(text) : NaN;
+  }
+  const s = String(val).toLowerCase();
+  const t = text.toLowerCase();
+  return s < t ? -1 : s > t ? 1 : 0;
+}
+
+function queryValueTest(op, value) {
+  if (value.kind === "regex") return (v) => value.re.test(stringifySafe(v));
+  if (value.kind === "range") {
+    return (v) => {
+      if (value.lo !== null) {
+        const c = compareQueryValue(v, value.lo);
+        if (!(value.loIncl ? c >= 0 : c > 0)) return false;
+      }
+      if (value.hi !== null) {
+        const c = compareQueryValue(v, value.hi);
+        if (!(value.hiIncl ? c <= 0 : c < 0)) return false;
+      }
+      return true;
+    };
+  }
+  const text = value.text;
+  const lower = text.toLowerCase();
+  switch (op) {
+    case ":":
+      return (v) => stringifySafe(v).toLowerCase().includes(lower);
+    case "=":
+    case "!=":
+      return (v) => compareQueryValue(v, text) === 0;
+    case ">":
+      return (v) => compareQueryValue(v, text) > 0;
+    case ">=":
+      return (v) => compareQueryValue(v, text) >= 0;
+    case "<":
+      return (v) => compareQueryValue(v, text) < 0;
+    default:
+      return (v) => compareQueryValue(v, text) <= 0;
+  }
+}
+
+function compileQueryNode(node) {
+  if (node.type === "and") {
+    const fns = node.nodes.map(compileQueryNode);
+    return (ctx) => fns.every((fn) => fn(ctx));
+  }
+  if (node.type === "or") {
+    const fns = node.nodes.map(compileQueryNode);
+    return (ctx) => fns.some((fn) => fn(ctx));
+  }
+  if (node.type === "not") {
+    const fn = compileQueryNode(node.node);
+    return (ctx) => !fn(ctx);
+  }
+
+  if (!node.field) {
+    if (node.value.kind === "regex") return (ctx) => node.value.re.test(ctx.text());
+    const lower = node.value.text.toLowerCase();
+    return (ctx) => ctx.text().toLowerCase().includes(lower);
+  }
+  const test = queryValueTest(node.op, node.value);
+  if (node.op === "!=") return (ctx) => !queryFieldValues(ctx.evt, node.field).some(test);
+  return (ctx) => queryFieldValues(ctx.evt, node.field).some(test);
+}
+
+function compileQuery(q) {
+  const cached = compiledQueries.get(q);
+  if (cached) return cached;
+
+  let compiled;
+  try {
+    const ast = parseQuery(q);
+    const fn = compileQueryNode(ast);
+    compiled = {
+      ast,
+      match(evt) {
+        let text = null;
+        return fn({ evt, text: () => (text ??= stringifySafe(evt)) });
+      },
+    };
+  } catch (err) {
+    if (!err.querySyntax) throw err;
+    compiled = { error: `Query syntax error: ${err.message}` };
+  }
+
+  if (compiledQueries.size >= 200) compiledQueries.delete(compiledQueries.keys().next().value);
+  compiledQueries.set(q, compiled);
+  return compiled;
+}
+
+function queryUsesRegex(node) {
+  if (node.type === "and" || node.type === "or") return node.nodes.some(queryUsesRegex);
+  if (node.type === "not") return queryUsesRegex(node.node);
+  return node.value.kind === "regex" && !node.value.glob;
+}
+
+// for routes: a message to return as 400, or null. Filters that run while a delivery is being
+// received pass { regex: false }: wildcards still work there, /regex/ does not.
+function queryError(q, { regex = true } = {}) {
+  const qq = normalizeQ(q);
+  if (!qq) return null;
+  const compiled = compileQuery(qq);
+  if (compiled.error) return compiled.error;
+  return !regex && queryUsesRegex(compiled.ast) ? "Regular expressions can't be used in this filter; use wildcards" : null;
+}
+
+function deepAny(obj, predicate) {
+  const stack = [{ value: obj, key: null }];
+  while (stack.length) {
+    const { value, key } = stack.pop();
+    if (predicate(key, value)) return true;
+
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) stack.push({ value: value[i], key });
+    } else if (value && typeof value === "object") {
+      for (const [k, v] of Object.entries(value)) stack.push({ value: v, key: k });
+    }
+  }
+  return false;
+}
+
+// ---- Path helper for dropdown field search ----
+function getByPath(obj, pathStr) {
+  if (!obj || !pathStr) return undefined;
+  const parts = pathStr.split(".").filter(Boolean);
+  let cur = obj;
+  for (const p of parts) {
+    if (cur == null) return undefined;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+// ---- UI field selector search ----
+function eventMatchesSelectedField(evt, fieldPath, value) {
+  const v = (value || "").toString().trim().toLowerCase();
+  if (!v) return true;
+
+  const f = (fieldPath || "").toString().trim();
+  if (!f || f === "any" || f === "fulltext") {
+    return stringifySafe(evt).toLowerCase().includes(v);
+  }
+
+  const got = getByPath(evt, f);
+  if (got === undefined) return false;
+  return stringifySafe(got).toLowerCase().includes(v);
+}
+
+// Combined query matcher
+function eventMatches(evt, { q, field, value }) {
+  if (value && value.trim()) {
+    if (!eventMatchesSelectedField(evt, field, value)) return false;
+  }
+
+  const qq = normalizeQ(q);
+  if (!qq) return true;
+
+  // invalid queries match nothing; routes report them up front via queryError()
+  const compiled = compileQuery(qq);
+  return compiled.match ? compiled.match(evt) : false;
+}
+
+// ---- Search index ----
+// Inverted index over the full history in $DATA_DIR/index/, used by every search with a query or
+// field filter. Terms come from the whole stored event, the same object queries are matched against
+// (payload, id, receivedAt, meta, schema, model, ...), split into lower-cased letter/digit runs.
+// Words go into a dictionary: per event ("w:market") and per field name ("f:callsign=51"). Opaque
+// runs (ids, UUID parts, coordinates, timestamps: digits and more than INDEX_WORD_DIGITS_MAX
+// characters, or very long) would grow the dictionary with every event, so only their trigrams are
+// indexed ("g:798"), with "n:" / "n:<field>" marking the events that have any. Field presence is
+// "k:price" ("o:pickup" when the field holds an object or array).
+// Events are indexed as users below every read redaction rule's reveal role see them, so masked
+// values never reach the index; "r:" marks the ones a rule changed, which other users' searches
+// check against what they see.
+// A contains search finds its words through a trigram map over the dictionary, reads their postings
+// and merges them with the opaque candidates; postings are sorted doc numbers, intersected and
+// merged as lists. Each doc keeps the store locator, so matching events are read back from the
+// store rather than held in memory.
+// New docs collect in memory and are written out as a segment every INDEX_SEGMENT_DOCS. On startup
+// anything the store holds past the last segment is indexed again; a missing or out-of-date index
+// is rebuilt from the store in the background, with searches scanning as before until it is ready.
+const INDEX_DIR = path.join(DATA_DIR, "index");
+const INDEX_SEGMENT_DOCS = Number(process.env.INDEX_SEGMENT_DOCS || 5000);
+const SEARCH_INDEX = !/^(0|false|off|no)$/i.test(process.env.SEARCH_INDEX || "1");
+const INDEX_VERSION = 2;
+const INDEX_WORD_DIGITS_MAX = 3;
+const INDEX_WORD_MAX = 24;
+const DOC_RECORD_BYTES = 32; // hook no (u32), loc[1] (u32), receivedAt ms (f64), loc[0] (f64), loc[2] (f64)
+
+function termRuns(s) {
+  return String(s).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// read redaction rules the index was built with; other rules need a rebuild
+function indexedRedaction() {
+  const rules = redactionRules.filter((r) => r.when === "read").map((r) => ({ ...r, regex: r.regex && String(r.regex) }));
+  return crypto.createHash("sha256").update(JSON.stringify([rules, REDACT_HASH_KEY])).digest("hex").slice(0, 16);
+}
+
+function isOpaqueRun(r) {
+  return r.length > INDEX_WORD_MAX || (r.length > INDEX_WORD_DIGITS_MAX && /\p{N}/u.test(r));
+}
+
+// the distinct n-grams of `s` (code points), or `s` itself when it is shorter
+function grams(s, n) {
+  const cps = Array.from(s);
+  if (cps.length <= n) return [s];
+  const out = new Set();
+  for (let i = 0; i + n <= cps.length; i++) out.add(cps.slice(i, i + n).join(""));
+  return [...out];
+}
+
+function indexTerms(evt) {
+  const terms = new Set();
+  for (const r of termRuns(JSON.stringify(evt))) {
+    if (!isOpaqueRun(r)) terms.add(`w:${r}`);
+    else {
+      terms.add("n:");
+      for (const g of grams(r, 3)) terms.add(`g:${g}`);
+    }
+  }
+  deepAny(evt, (k, v) => {
+    if (k == null || Array.isArray(v)) return false;
+    const key = String(k).toLowerCase();
+    terms.add(`k:${key}`);
+    if (v !== null && typeof v === "object") terms.add(`o:${key}`);
+    else for (const r of termRuns(stringifySafe(v))) terms.add(isOpaqueRun(r) ? `n:${key}` : `f:${key}=${r}`);
+    return false;
+  });
+  if (evt.duplicateOf) terms.add("x:duplicate");
+  return terms;
+}
+
+// ascending doc numbers -> delta varints
+function encodePostings(docs) {
+  const out = [];
+  let prev = 0;
+  for (const d of docs) {
+    let v = d - prev;
+    prev = d;
+    while (v > 127) {
+      out.push((v & 127) | 128);
+      v = Math.floor(v / 128);
+    }
+    out.push(v);
+  }
+  return Buffer.from(out);
+}
+
+function decodePostingsInto(buf, docs) {
+  let doc = 0;
+  let v = 0;
+  let mul = 1;
+  for (const b of buf) {
+    v += (b & 127) * mul;
+    if (b & 128) {
+      mul *= 128;
+      continue;
+    }
+    doc += v;
+    docs.push(doc);
+    v = 0;
+    mul = 1;
+  }
+  return docs;
+}
+
+// Doc lists are ascending arrays of doc numbers.
+function intersectDocs(a, b) {
+  const out = [];
+  for (let i = 0, j = 0; i < a.length && j < b.length; ) {
+    if (a[i] < b[j]) i++;
+    else if (a[i] > b[j]) j++;
+    else {
+      out.push(a[i]);
+      i++;
+      j++;
+    }
+  }
+  return out;
+}
+
+function subtractDocs(a, b) {
+  if (!b.length) return a;
+  const out = [];
+  for (let i = 0, j = 0; i < a.length; i++) {
+    while (j < b.length && b[j] < a[i]) j++;
+    if (j >= b.length || b[j] !== a[i]) out.push(a[i]);
+  }
+  return out;
+}
+
+function unionDocs(lists) {
+  const nonEmpty = lists.filter((l) => l.length);
+  if (nonEmpty.length <= 1) return nonEmpty[0] || [];
+  const all = new Float64Array(nonEmpty.reduce((n, l) => n + l.length, 0));
+  let o = 0;
+  for (const l of nonEmpty) for (const d of l) all[o++] = d;
+  all.sort();
+  const out = [];
+  for (const d of all) if (d !== out[out.length - 1]) out.push(d);
+  return out;
+}
+
+function createSearchIndex(dir) {
+  const metaFile = path.join(dir, "meta.json");
+  const docsFile = path.join(dir, "docs.bin");
+  const segFile = (n) => path.join(dir, `seg-${n}.post`);
+  const segTermsFile = (n) => path.join(dir, `seg-${n}.terms.json`);
+
+  let docCount = 0;
+  let docHook = new Uint32Array(1024);
+  let docLocB = new Uint32Array(1024);
+  let docTime = new Float64Array(1024);
+  let docLocA = new Float64Array(1024);
+  let docLocC = new Float64Array(1024);
+  let hookNames = [];
+  let hookNos = new Map();
+  let cleared = {}; // hook -> docs numbered below this were cleared
+  let expired = {}; // hook -> docs received at or before this (ms) were dropped by retention
+  let dict = new Map(); // term -> [segment, offset, length, ...]
+  let words = new Set(); // the "w:" terms' words
+  let wordGrams = new Map(); // 1-, 2- and 3-grams -> words containing them
+  let segments = [];
+  const segFds = new Map();
+  let live = new Map(); // term -> doc numbers not yet in a segment
+  let liveFrom = 0;
+  let mark = null; // store position covered by the saved segments
+  let ready = false;
+  let building = false;
+  let pending = [];
+  let maskAll = null;
+
+  function reset() {
+    for (const fd of segFds.values()) {
+      try {
+        fs.closeSync(fd);
+      } catch {}
+    }
+    segFds.clear();
+    docCount = liveFrom = 0;
+    hookNames = [];
+    hookNos = new Map();
+    cleared = {};
+    expired = {};
+    dict = new Map();
+    words = new Set();
+    wordGrams = new Map();
+    segments = [];
+    live = new Map();
+    mark = null;
+  }
+
+  function addWord(word) {
+    if (words.has(word)) return;
+    words.add(word);
+    for (const n of [1, 2, 3]) {
+      for (const g of grams(word, n)) {
+        const list = wordGrams.get(g);
+        if (list) list.push(word);
+        else wordGrams.set(g, [word]);
+      }
+    }
+  }
+
+  function grow(n) {
+    if (n <= docHook.length) return;
+    let size = docHook.length;
+    while (size < n) size *= 2;
+    const resize = (arr, Type) => {
+      const next = new Type(size);
+      next.set(arr);
+      return next;
+    };
+    docHook = resize(docHook, Uint32Array);
+    docLocB = resize(docLocB, Uint32Array);
+    docTime = resize(docTime, Float64Array);
+    docLocA = resize(docLocA, Float64Array);
+    docLocC = resize(docLocC, Float64Array);
+  }
+
+  function hookNo(hook) {
+    if (!hookNos.has(hook)) {
+      hookNos.set(hook, hookNames.length);
+      hookNames.push(hook);
+    }
+    return hookNos.get(hook);
+  }
+
+  function addDictRef(term, seg, offset, length) {
+    const refs = dict.get(term);
+    if (refs) refs.push(seg, offset, length);
+    else dict.set(term, [seg, offset, length]);
+  }
+
+  function saveMeta() {
+    writeJsonFile(metaFile, {
+      version: INDEX_VERSION,
+      backend: store.name,
+      redaction: indexedRedaction(),
+      docCount: liveFrom,
+      hooks: hookNames,
+      cleared,
+      expired,
+      segments,
+      mark,
+    });
+  }
+
+  // Write the live docs as a new segment. Once built, the saved mark moves to the end of the store:
+  // ingest is synchronous, so at this point everything in the store has been indexed.
+  function flush() {
+    if (docCount > liveFrom) {
+      const n = (segments[segments.length - 1] || 0) + 1;
+      const terms = {};
+      const parts = [];
+      let offset = 0;
+      for (const [term, docs] of live) {
+        const buf = encodePostings(docs);
+        terms[term] = [offset, buf.length];
+        parts.push(buf);
+        offset += buf.length;
+      }
+      fs.writeFileSync(segFile(n), Buffer.concat(parts));
+      writeJsonFile(segTermsFile(n), terms);
+
+      const recs = Buffer.alloc((docCount - liveFrom) * DOC_RECORD_BYTES);
+      for (let d = liveFrom; d < docCount; d++) {
+        const o = (d - liveFrom) * DOC_RECORD_BYTES;
+        recs.writeUInt32LE(docHook[d], o);
+        recs.writeUInt32LE(docLocB[d], o + 4);
+        recs.writeDoubleLE(docTime[d], o + 8);
+        recs.writeDoubleLE(docLocA[d], o + 16);
+        recs.writeDoubleLE(docLocC[d], o + 24);
+      }
+      const fd = fs.openSync(docsFile, fs.existsSync(docsFile) ? "r+" : "w");
+      try {
+        fs.writeSync(fd, recs, 0, recs.length, liveFrom * DOC_RECORD_BYTES);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      for (const [term, [o, len]] of Object.entries(terms)) addDictRef(term, n, o, len);
+      segments.push(n);
+      live = new Map();
+      liveFrom = docCount;
+    }
+    // while building, a crash must not leave a mark that claims the half-scanned range
+    if (!ready) return;
+    mark = store.mark();
+    saveMeta();
+  }
+
+  function addDoc(evt, loc) {
+    const d = docCount++;
+    grow(docCount);
+    docHook[d] = hookNo(evt.hook);
+    docTime[d] = Date.parse(evt.receivedAt);
+    docLocA[d] = loc[0];
+    docLocB[d] = loc[1] ?? 0;
+    docLocC[d] = loc[2] ?? 0;
+    maskAll ??= readRedactor(null);
+    const shown = maskAll(evt);
+    const terms = indexTerms(shown);
+    if (shown !== evt) terms.add("r:");
+    for (const term of terms) {
+      const docs = live.get(term);
+      if (docs) docs.push(d);
+      else {
+        live.set(term, [d]);
+        if (term.startsWith("w:")) addWord(term.slice(2));
+      }
+    }
+    if (docCount - liveFrom >= INDEX_SEGMENT_DOCS) flush();
+  }
+
+  function load() {
+    const meta = readJsonFile(metaFile, null);
+    if (!meta || meta.version !== INDEX_VERSION || meta.backend !== store.name) return false;
+    if (meta.redaction !== indexedRedaction()) return false;
+    if (!meta.mark || !store.canResume(meta.mark)) return false;
+
+    let recs;
+    try {
+      recs = fs.readFileSync(docsFile);
+    } catch {
+      return false;
+    }
+    if (recs.length < meta.docCount * DOC_RECORD_BYTES) return false;
+
+    grow(meta.docCount);
+    for (let d = 0; d < meta.docCount; d++) {
+      const o = d * DOC_RECORD_BYTES;
+      docHook[d] = recs.readUInt32LE(o);
+      docLocB[d] = recs.readUInt32LE(o + 4);
+      docTime[d] = recs.readDoubleLE(o + 8);
+      docLocA[d] = recs.readDoubleLE(o + 16);
+      docLocC[d] = recs.readDoubleLE(o + 24);
+    }
+    for (const n of meta.segments) {
+      const terms = readJsonFile(segTermsFile(n), null);
+      if (!terms || !fs.existsSync(segFile(n))) return false;
+      for (const [term, [o, len]] of Object.entries(terms)) {
+        addDictRef(term, n, o, len);
+        if (term.startsWith("w:")) addWord(term.slice(2));
+      }
+    }
+    docCount = liveFrom = meta.docCount;
+    hookNames = meta.hooks || [];
+    hookNos = new Map(hookNames.map((h, i) => [h, i]));
+    cleared = meta.cleared || {};
+    expired = meta.expired || {};
+    segments = meta.segments;
+    mark = meta.mark;
+    return true;
+  }
+
+  async function build() {
+    building = true;
+    ready = false;
+    const started = Date.now();
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      reset();
+      const resumed = load();
+      if (!resumed) {
+        reset();
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const from = docCount;
+      let n = 0;
+      for (const [evt, loc] of store.scan(resumed ? mark : null, store.mark())) {
+        addDoc(evt, loc);
+        // let requests through on big rebuilds
+        if (++n % 2000 === 0) await new Promise((r) => setImmediate(r));
+      }
+
+      ready = true;
+      for (const [evt, loc] of pending) addDoc(evt, loc);
+      pending = [];
+      flush();
+      console.log(
+        `[INDEX] ${resumed ? "loaded" : "built"} search index: ${docCount} events ` +
+          `(${docCount - from} indexed now) in ${Date.now() - started}ms`
+      );
+    } catch (err) {
+      ready = false;
+      console.error("[INDEX] build failed; searches fall back to scanning", err?.message || err);
+    } finally {
+      building = false;
+    }
+  }
+
+  function readSegment(n, offset, length) {
+    let fd = segFds.get(n);
+    if (fd === undefined) segFds.set(n, (fd = fs.openSync(segFile(n), "r")));
+    const buf = Buffer.alloc(length);
+    fs.readSync(fd, buf, 0, length, offset);
+    return buf;
+  }
+
+  function termDocs(term) {
+    const docs = [];
+    const refs = dict.get(term);
+    if (refs) {
+      for (let i = 0; i < refs.length; i += 3) decodePostingsInto(readSegment(refs[i], refs[i + 1], refs[i + 2]), docs);
+    }
+    const more = live.get(term);
+    if (more) docs.push(...more);
+    return docs;
+  }
+
+  // dictionary words containing `run`
+  function wordsContaining(run) {
+    const keys = grams(run, 3);
+    if (keys.length === 1) return wordGrams.get(keys[0]) || [];
+    let best = null;
+    for (const g of keys) {
+      const list = wordGrams.get(g);
+      if (!list) return [];
+      if (!best || list.length < best.length) best = list;
+    }
+    return best.filter((w) => w.includes(run));
+  }
+
+  // docs with an opaque run that has every trigram of `run`
+  function gramDocs(run) {
+    let docs = null;
+    for (const g of grams(run, 3)) {
+      docs = docs ? intersectDocs(docs, termDocs(`g:${g}`)) : termDocs(`g:${g}`);
+      if (!docs.length) break;
+    }
+    return docs;
+  }
+
+  // Plans are { sure, maybe }: docs that match and docs that might (to be checked against the query).
+  // null = the index can't narrow the node down, every doc is a maybe.
+
+  // a letter/digit run anywhere in the event (key null) or in field `key`
+  function planRun(key, run) {
+    const prefix = key === null ? "w:" : `f:${key}=`;
+    const sure = unionDocs(wordsContaining(run).map((w) => termDocs(prefix + w)));
+    let maybe = termDocs(key === null ? "n:" : `n:${key}`);
+    if (maybe.length && Array.from(run).length >= 3) maybe = intersectDocs(maybe, gramDocs(run));
+    return { sure, maybe: subtractDocs(maybe, sure) };
+  }
+
+  function andPlans(plans) {
+    let sure = plans[0].sure;
+    let any = unionDocs([plans[0].sure, plans[0].maybe]);
+    for (const p of plans.slice(1)) {
+      sure = intersectDocs(sure, p.sure);
+      any = intersectDocs(any, unionDocs([p.sure, p.maybe]));
+    }
+    return { sure, maybe: subtractDocs(any, sure) };
+  }
+
+  function loosen(plan) {
+    return { sure: [], maybe: unionDocs([plan.sure, plan.maybe]) };
+  }
+
+  function timeDocs(test) {
+    const docs = [];
+    for (let d = 0; d < docCount; d++) if (test(docTime[d])) docs.push(d);
+    return docs;
+  }
+
+  // receivedAt comparisons straight from the doc table
+  function planReceivedAt(node) {
+    const ms = (s) => (s !== null && /^\d{4}-\d{2}-\d{2}/.test(s) ? Date.parse(s) : NaN);
+    if (node.value.kind === "range") {
+      const lo = node.value.lo === null ? -Infinity : ms(node.value.lo);
+      const hi = node.value.hi === null ? Infinity : ms(node.value.hi);
+      if (Number.isNaN(lo) || Number.isNaN(hi)) return null;
+      return {
+        sure: timeDocs((t) => (node.value.loIncl ? t >= lo : t > lo) && (node.value.hiIncl ? t <= hi : t < hi)),
+        maybe: [],
+      };
+    }
+    if (node.value.kind !== "text") return null;
+    const v = ms(node.value.text);
+    if (Number.isNaN(v)) return null;
+    const tests = {
+      "=": (t) => t === v,
+      ">": (t) => t > v,
+      ">=": (t) => t >= v,
+      "<": (t) => t < v,
+      "<=": (t) => t <= v,
+    };
+    return tests[node.op] ? { sure: timeDocs(tests[node.op]), maybe: [] } : null;
+  }
+
+  function planNode(node) {
+    if (node.type === "and") {
+      const plans = node.nodes.map(planNode).filter(Boolean);
+      if (!plans.length) return null;
+      const plan = andPlans(plans);
+      return plans.length === node.nodes.length ? plan : loosen(plan);
+    }
+    if (node.type === "or") {
+      const plans = node.nodes.map(planNode);
+      if (plans.some((p) => !p)) return null;
+      const sure = unionDocs(plans.map((p) => p.sure));
+      return { sure, maybe: subtractDocs(unionDocs(plans.map((p) => p.maybe)), sure) };
+    }
+    if (node.type === "not") {
+      const inner = planNode(node.node);
+      if (!inner) return null;
+      const any = unionDocs([inner.sure, inner.maybe]);
+      const sure = [];
+      for (let d = 0, j = 0; d < docCount; d++) {
+        while (j < any.length && any[j] < d) j++;
+        if (any[j] !== d) sure.push(d);
+      }
+      return { sure, maybe: inner.maybe };
+    }
+
+    const field = node.field ? node.field.toLowerCase() : null;
+    if (field === "receivedat") return planReceivedAt(node);
+
+    const runs = node.value.kind === "text" ? termRuns(node.value.text) : [];
+    const single = runs.length === 1 && runs[0] === node.value.text.toLowerCase();
+
+    if (!field) {
+      if (!runs.length) return null;
+      const plan = andPlans(runs.map((r) => planRun(null, r)));
+      return single && !node.loose ? plan : loosen(plan);
+    }
+
+    const key = field.split(".").filter(Boolean).pop() || field;
+    if ((node.op === ":" || node.op === "=") && runs.length) {
+      const plan = andPlans(runs.map((r) => planRun(key, r)));
+      if (node.op === "=" || !single || field.includes(".") || node.loose) return loosen(plan);
+      // an object or array under the field is matched as its JSON
+      const objects = termDocs(`o:${key}`);
+      return { sure: plan.sure, maybe: subtractDocs(unionDocs([plan.maybe, objects]), plan.sure) };
+    }
+    if (node.op === "!=") return null;
+    return { sure: [], maybe: termDocs(`k:${key}`) };
+  }
+
+  function readDoc(d) {
+    return store.readAt(hookNames[docHook[d]], [docLocA[d], docLocB[d], docLocC[d]]);
+  }
+
+  // matching doc numbers from range.cursor on, newest first, and how many match in the whole range;
+  // `verify` = some of them still have to be checked against the query, which isMatch(d, evt) does
+  // for those
+  function candidates(hooks, { q, field, value, duplicates = "hide", range, redact = (evt) => evt }) {
+    const nodes = [];
+    if (q) nodes.push(compileQuery(q).ast);
+    if (value && value.trim()) {
+      const f = (field || "").trim();
+      const anyField = !f || f === "any" || f === "fulltext";
+      // the field dropdown takes an exact path; the index only narrows it down
+      nodes.push({ type: "term", field: anyField ? null : f, op: ":", value: { kind: "text", text: value.trim() }, loose: !anyField });
+    }
+    let plan = planNode(nodes.length === 1 ? nodes[0] : { type: "and", nodes });
+    if (plan && !redact.hidesAll) {
+      // the index has the masked values of these; this user sees others
+      const masked = termDocs("r:");
+      if (masked.length) plan = { sure: subtractDocs(plan.sure, masked), maybe: unionDocs([plan.maybe, masked]) };
+    }
+    const unsure = plan ? new Set(plan.maybe) : null;
+
+    const hookSet = new Set(hooks.map((h) => hookNos.get(h)).filter((n) => n !== undefined));
+    const clearedBelow = hookNames.map((h) => cleared[h] || 0);
+    const expiredThrough = hookNames.map((h) => expired[h] ?? -Infinity);
+    const after = range?.after ? Date.parse(range.after) : -Infinity;
+    const before = range?.before ? Date.parse(range.before) : Infinity;
+    const cursorMs = range?.cursor ? Date.parse(range.cursor.t) : Infinity;
+    const dups = duplicates === "show" ? null : new Set(termDocs("x:duplicate"));
+
+    // docs from the cursor on are listed; the ones before it only counted
+    const list = [];
+    let total = 0;
+    let verify = !plan;
+    const consider = (d) => {
+      if (dups && dups.has(d) !== (duplicates === "only")) return;
+      const h = docHook[d];
+      if (!hookSet.has(h) || d < clearedBelow[h] || docTime[d] <= expiredThrough[h]) return;
+      if (!(docTime[d] > after && docTime[d] < before)) return;
+      total++;
+      if (unsure?.has(d)) verify = true;
+      if (docTime[d] <= cursorMs) list.push(d);
+    };
+    if (plan) for (const d of unionDocs([plan.sure, plan.maybe])) consider(d);
+    else for (let d = 0; d < docCount; d++) consider(d);
+    list.sort((a, b) => docTime[b] - docTime[a] || b - a);
+    const isMatch = (d, evt) => (unsure && !unsure.has(d)) || eventMatches(redact(evt), { q, field, value });
+    return { list, total, verify, isMatch };
+  }
+
+  // same contract as queryEvents
+  function search(hooks, { q, field, value, duplicates, limit, range, redact }) {
+    const { list, total, verify, isMatch } = candidates(hooks, { q, field, value, duplicates, range, redact });
+    const items = [];
+    let count = 0;
+    let hasMore = false;
+    for (let i = 0; i < list.length && !hasMore; ) {
+      const t = docTime[list[i]];
+      let j = i + 1;
+      while (j < list.length && docTime[list[j]] === t) j++;
+      const group = [];
+      for (let k = i; k < j; k++) {
+        const evt = readDoc(list[k]);
+        if (evt && isMatch(list[k], evt)) group.push(evt);
+      }
+      if (group.length > 1) group.sort(byReceivedDesc);
+      for (const evt of group) {
+        count++;
+        if (range?.cursor && !isPastCursor(evt, range.cursor)) continue;
+        if (limit === 0 || items.length < limit) items.push(evt);
+        else hasMore = true;
+      }
+      i = j;
+    }
+
+    const nextCursor = hasMore && items.length ? encodeCursor(items[items.length - 1]) : null;
+    // exact hits are counted without reading them; candidates only as far as they were read
+    return { count: !verify ? total : hasMore || range?.cursor ? null : count, items, hasMore, nextCursor, indexed: true };
+  }
+
+  // same order as search, one event at a time (exports)
+  function* iterate(hooks, { q, field, value, duplicates, range, redact }) {
+    const { list, isMatch } = candidates(hooks, { q, field, value, duplicates, range, redact });
+    for (let i = 0; i < list.length; ) {
+      const t = docTime[list[i]];
+      let j = i + 1;
+      while (j < list.length && docTime[list[j]] === t) j++;
+      const group = [];
+      for (let k = i; k < j; k++) {
+        const evt = readDoc(list[k]);
+        if (evt && isMatch(list[k], evt)) group.push(evt);
+      }
+      if (group.length > 1) group.sort(byReceivedDesc);
+      yield* group;
+      i = j;
+    }
+  }
+
+  return {
+    get ready() {
+      return ready;
+    },
+
+    start() {
+      if (!SEARCH_INDEX || building) return;
+      build();
+    },
+
+    // drop the files and build again from the store
+    rebuild() {
+      if (building) return;
+      writeJsonFile(metaFile, {});
+      build();
+    },
+
+    add(evt, loc) {
+      if (!SEARCH_INDEX) return;
+      if (ready) addDoc(evt, loc);
+      else if (building) pending.push([evt, loc]);
+    },
+
+    clearHook(hook) {
+      cleared[hook] = docCount;
+      if (ready) flush();
+    },
+
+    // retention dropped this hook's events up to `through`; their docs stay but are skipped
+    expireThrough(hook, through) {
+      expired[hook] = Math.max(expired[hook] ?? -Infinity, Date.parse(through));
+      if (ready) flush();
+    },
+
+    // the event stored as hook/id, from the candidates for its words and trigrams: null when there is
+    // none, undefined when the index can't tell
+    find(hook, id) {
+      if (!ready) return undefined;
+      const h = hookNos.get(hook);
+      if (h === undefined) return null;
+      const plan = planNode({ type: "term", field: "id", op: "=", value: { kind: "text", text: id } });
+      if (!plan) return undefined;
+      for (const d of unionDocs([plan.sure, plan.maybe])) {
+        if (docHook[d] !== h || d < (cleared[hook] || 0) || docTime[d] <= (expired[hook] ?? -Infinity)) continue;
+        const evt = readDoc(d);
+        if (evt?.id === id) return evt;
+      }
+      return null;
+    },
+
+    search,
+    iterate,
+
+    status() {
+      let liveTerms = 0;
+      for (const t of live.keys()) if (!dict.has(t)) liveTerms++;
+      return {
+        enabled: SEARCH_INDEX,
+        ready,
+        building,
+        docs: docCount,
+        unsavedDocs: docCount - liveFrom,
+        terms: dict.size + liveTerms,
+        words: words.size,
+        segments: segments.length,
+      };
+    },
+  };
+}
+
+const searchIndex = createSearchIndex(INDEX_DIR);
+setImmediate(() => searchIndex.start());
+
+// one stored event by id; NDJSON's get() reads the hook's history until it finds it, so the
+// search index looks it up instead once it is ready
+function findEvent(hook, id) {
+  const found = store.name === "ndjson" ? searchIndex.find(hook, id) : undefined;
+  return found === undefined ? store.get(hook, id) : found;
+}
+
+// ---- Retention and compaction ----
+// Defaults via env, overridden per hook in the config file:
+//   { "hooks": { "tracks": { "retention": { "maxAgeDays": 30, "maxBytes": "2GB", "maxEvents": 1000000 } } } }
+// The job rotates NDJSON files left over from earlier days, gzips rotated segments and then drops
+// each hook's oldest data while it is over a limit (whole day segments for NDJSON, rows for SQLite).
+const COMPACT_INTERVAL_MS = Number(process.env.COMPACT_INTERVAL_MS || 60 * 60 * 1000);
+
+// "500MB", "2 GB", "1048576" -> bytes; 0 for empty or invalid
+function parseBytes(v) {
+  const m = String(v ?? "")
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i);
+  if (!m) return 0;
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+  return Math.floor(Number(m[1]) * units[(m[2] || "b").toLowerCase()]);
+}
+
+const RETENTION_DEFAULTS = {
+  maxAgeDays: Number(process.env.RETENTION_MAX_AGE_DAYS || 0),
+  maxBytes: parseBytes(process.env.RETENTION_MAX_BYTES),
+  maxEvents: Number(process.env.RETENTION_MAX_EVENTS || 0),
+};
+
+function retentionFor(hook) {
+  const r = getHookConfig(hook).retention || {};
+  return {
+    maxAgeDays: r.maxAgeDays !== undefined ? Number(r.maxAgeDays) || 0 : RETENTION_DEFAULTS.maxAgeDays,
+    maxBytes: r.maxBytes !== undefined ? parseBytes(r.maxBytes) : RETENTION_DEFAULTS.maxBytes,
+    maxEvents: r.maxEvents !== undefined ? Number(r.maxEvents) || 0 : RETENTION_DEFAULTS.maxEvents,
+  };
+}
+
+let compacting = null;
+let lastCompaction = null;
+
+async function compactStorage() {
+  const started = Date.now();
+  const dropped = {};
+  await store.maintain();
+  // deleting data under a running index build would pull segments out from under its scan
+  if (!searchIndex.status().building) {
+    for (const hook of store.listHooks()) {
+      const rules = retentionFor(hook);
+      if (!rules.maxAgeDays && !rules.maxBytes && !rules.maxEvents) continue;
+      const through = store.applyRetention(hook, rules);
+      if (!through) continue;
+      searchIndex.expireThrough(hook, through);
+      dropped[hook] = through;
+      console.log(`[RETENTION] /${hook}: dropped events received up to ${through}`);
+    }
+  }
+  lastCompaction = { at: new Date().toISOString(), ms: Date.now() - started, dropped };
+  return lastCompaction;
+}
+
+// one run at a time; a second caller waits for the running one
+function runCompaction() {
+  if (reencrypting) return reencrypting.then(runCompaction);
+  if (!compacting) {
+    compacting = compactStorage()
+      .catch((err) => {
+        console.error("[RETENTION] compaction failed", err?.message || err);
+        return null;
+      })
+      .finally(() => {
+        compacting = null;
+      });
+  }
+  return compacting;
+}
+
+setImmediate(runCompaction);
+setInterval(runCompaction, COMPACT_INTERVAL_MS);
+
+// Re-encryption rewrites segments too, so it waits for a running compaction and compaction waits for it.
+let reencrypting = null;
+let lastReencryption = null;
+
+// quarantine files and the record files are rewritten under the current key along with the segments
+function reencryptSideFiles() {
+  compactForwardQueue();
+  saveForwardDead();
+  vehicleStateDirty = true;
+  saveVehicleState();
+  for (const f of fs.existsSync(QUARANTINE_DIR) ? fs.readdirSync(QUARANTINE_DIR) : []) {
+    if (!f.endsWith(".ndjson")) continue;
+    const file = path.join(QUARANTINE_DIR, f);
+    const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(decodeLine).filter(Boolean);
+    fs.writeFileSync(`${file}.tmp`, lines.map((evt) => encodeRecord(evt) + "\n").join(""));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+}
+
+function runReencryption() {
+  if (!reencrypting) {
+    reencrypting = (async () => {
+      if (compacting) await compacting;
+      const started = Date.now();
+      const result = await store.reencrypt();
+      reencryptSideFiles();
+      // records that changed size moved every locator after them
+      if (result.moved) searchIndex.rebuild();
+      lastReencryption = { at: new Date().toISOString(), ms: Date.now() - started, keyId: currentKey?.id || null, ...result };
+      console.log(`[STORE] re-encrypted ${result.segments} segments (${result.events} events) under ${currentKey ? `key ${currentKey.id}` : "no key"}`);
+      return lastReencryption;
+    })()
+      .catch((err) => {
+        console.error("[STORE] re-encryption failed", err?.message || err);
+        return null;
+      })
+      .finally(() => {
+        reencrypting = null;
+      });
+  }
+  return reencrypting;
+}
+
+// ---- Common fields ----
+const COMMON_FIELDS = [
+  { label: "Booking Id (payload.Id)", path: "payload.Id" },
+  { label: "OriginalBookingId", path: "payload.OriginalBookingId" },
+  { label: "EventType", path: "payload.EventType" },
+  { label: "BookingType", path: "payload.BookingType" },
+  { label: "TypeOfBooking", path: "payload.TypeOfBooking" },
+
+  { label: "Driver Callsign", path: "payload.Driver.Callsign" },
+  { label: "Driver Id", path: "payload.Driver.Id" },
+  { label: "Driver Forename", path: "payload.Driver.Forename" },
+  { label: "Driver Surname", path: "payload.Driver.Surname" },
+
+  { label: "Vehicle Callsign", path: "payload.Vehicle.Callsign" },
+  { label: "Vehicle Id", path: "payload.Vehicle.Id" },
+  { label: "Vehicle Registration", path: "payload.Vehicle.Registration" },
+  { label: "Vehicle PlateNumber", path: "payload.Vehicle.PlateNumber" },
+
+  { label: "Pickup Address", path: "payload.Pickup.Address" },
+  { label: "Pickup Zone", path: "payload.Pickup.Zone.Name" },
+  { label: "Destination Address", path: "payload.Destination.Address" },
+  { label: "Destination Zone", path: "payload.Destination.Zone.Name" },
+
+  { label: "PaymentType", path: "payload.PaymentType" },
+  { label: "Pricing Cost", path: "payload.Pricing.Cost" },
+  { label: "Pricing Price", path: "payload.Pricing.Price" },
+  { label: "Distance", path: "payload.Distance" },
+  { label: "BookingSource", path: "payload.BookingSource" },
+
+  { label: "CabExchangeAgentBookingRef", path: "payload.CabExchangeAgentBookingRef" },
+];
+
+function short(s, n = 80) {
+  const t = (s ?? "").toString();
+  return t.length > n ? t.slice(0, n) + "…" : t;
+}
+
+function asCleanString(x) {
+  if (x == null) return "";
+  const s = String(x);
+  return s.trim();
+}
+
+// ---- Event adapters ----
+// An adapter turns one Autocab event type into a canonical model that is stored next to the raw
+// payload (evt.model), so the driver is always model.driver whether the payload had Driver or
+// DriverDetails.Driver. Each adapter is
+//   { type, kind, match(payload, evt), normalize(payload, evt) -> fields, summary(model) -> text,
+//     detail(model) -> [{ title, fields: [[label, value]] } | { title, columns, rows }] }
+// The first adapter that matches wins. registerEventAdapter() puts new ones ahead of the built-ins;
+// EVENT_ADAPTERS loads them from modules at startup (default export: an adapter or an array).
+const EVENT_ADAPTERS = [];
+
+function registerEventAdapter(adapter) {
+  for (const k of ["match", "normalize", "summary"]) {
+    if (typeof adapter?.[k] !== "function") throw new Error(`event adapter ${adapter?.type || "?"}: ${k} must be a function`);
+  }
+  if (!adapter.type) throw new Error("event adapter: type is required");
+  EVENT_ADAPTERS.unshift(adapter);
+}
+
+// "BookingCreatedEvent" and "BookingCreated" are the same type
+function payloadEventType(p) {
+  return asCleanString(p?.EventType).replace(/Event$/, "");
+}
+
+// drops empty strings, nulls and empty objects so stored models stay small
+function compactModel(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (v == null || v === "") continue;
+    if (typeof v === "object" && !Array.isArray(v)) {
+      const inner = compactModel(v);
+      if (Object.keys(inner).length) out[k] = inner;
+    } else out[k] = v;
+  }
+  return out;
+}
+
+function modelParty(x) {
+  if (!x || typeof x !== "object") return {};
+  const name = [asCleanString(x.Forename), asCleanString(x.Surname)].filter(Boolean).join(" ");
+  return {
+    id: x.Id ?? null,
+    callsign: asCleanString(x.Callsign),
+    name,
+    registration: asCleanString(x.Registration),
+    plate: asCleanString(x.PlateNumber),
+  };
+}
+
+function modelPlace(x) {
+  if (!x || typeof x !== "object") return {};
+  return { address: asCleanString(x.Address), zone: asCleanString(x?.Zone?.Name ?? x?.Zone?.Descriptor) };
+}
+
+function normalizeBooking(p) {
+  return {
+    bookingId: p.Id ?? p.OriginalBookingId ?? null,
+    originalBookingId: p.OriginalBookingId ?? null,
+    bookingType: asCleanString(p.BookingType),
+    typeOfBooking: asCleanString(p.TypeOfBooking),
+    source: asCleanString(p.BookingSource),
+    driver: modelParty(p.Driver ?? p.DriverDetails?.Driver),
+    vehicle: modelParty(p.Vehicle ?? p.VehicleDetails?.Vehicle),
+    pickup: modelPlace(p.Pickup),
+    destination: modelPlace(p.Destination),
+    payment: { type: asCleanString(p.PaymentType), cost: p?.Pricing?.Cost ?? null, price: p?.Pricing?.Price ?? null },
+    distance: p.Distance ?? p.SystemDistance ?? null,
+    times: {
+      eta: asCleanString(p.EstimatedPickupTime),
+      dispatched: asCleanString(p.DispatchedAtTime),
+      arrived: asCleanString(p.VehicleArrivedAtTime),
+    },
+  };
+}
+
+function unitText(m) {
+  const d = m.driver || {};
+  const v = m.vehicle || {};
+  const bits = [];
+  if (d.callsign || v.callsign) bits.push(`CS#${d.callsign || v.callsign}`);
+  if (v.id != null) bits.push(`V#${v.id}`);
+  if (d.id != null) bits.push(`D#${d.id}`);
+  if (v.registration) bits.push(v.registration);
+  if (v.plate) bits.push(`Plate ${v.plate}`);
+  return bits.join(" ");
+}
+
+function bookingSummary(m, extra = []) {
+  const parts = [];
+  if (m.bookingId != null) parts.push(`Booking ${m.bookingId}`);
+  if (m.eventType) parts.push(m.eventType);
+  if (m.bookingType) parts.push(m.bookingType);
+  if (m.typeOfBooking) parts.push(m.typeOfBooking);
+  const unit = unitText(m);
+  if (unit) parts.push(unit);
+
+  const pu = m.pickup || {};
+  const de = m.destination || {};
+  if (pu.address || de.address) {
+    parts.push(
+      `${pu.zone ? pu.zone + ": " : ""}${short(pu.address, 46)} → ` +
+        `${de.zone ? de.zone + ": " : ""}${short(de.address, 46)}`
+    );
+  }
+
+  const pay = m.payment || {};
+  const money = [];
+  if (pay.type) money.push(pay.type);
+  if (pay.cost != null) money.push(`Cost ${pay.cost}`);
+  if (pay.price != null) money.push(`Price ${pay.price}`);
+  if (m.distance != null) money.push(`${m.distance}mi`);
+  if (money.length) parts.push(money.join(" · "));
+
+  const t = m.times || {};
+  const times = [];
+  if (t.dispatched) times.push(`Disp ${t.dispatched}`);
+  if (t.arrived) times.push(`Arr ${t.arrived}`);
+  if (t.eta) times.push(`ETA ${t.eta}`);
+  if (times.length) parts.push(times.join(" · "));
+  return [...parts, ...extra].join(" | ");
+}
+
+function partyFields(label, x = {}) {
+  return [
+    [`${label} callsign`, x.callsign],
+    [`${label} id`, x.id],
+    [`${label} name`, x.name],
+    [`${label} registration`, x.registration],
+    [`${label} plate`, x.plate],
+  ];
+}
+
+function bookingDetail(m, extra = []) {
+  const pu = m.pickup || {};
+  const de = m.destination || {};
+  const pay = m.payment || {};
+  const t = m.times || {};
+  return [
+    {
+      title: "Booking",
+      fields: [
+        ["Booking id", m.bookingId],
+        ["Original booking id", m.originalBookingId],
+        ["Event", m.eventType],
+        ["Booking type", m.bookingType],
+        ["Type of booking", m.typeOfBooking],
+        ["Source", m.source],
+        ...extra,
+      ],
+    },
+    { title: "Journey", fields: [["Pickup", pu.address], ["Pickup zone", pu.zone], ["Destination", de.address], ["Destination zone", de.zone], ["Distance", m.distance]] },
+    { title: "Driver and vehicle", fields: [...partyFields("Driver", m.driver), ...partyFields("Vehicle", m.vehicle)] },
+    { title: "Price", fields: [["Payment", pay.type], ["Cost", pay.cost], ["Price", pay.price]] },
+    { title: "Times", fields: [["ETA", t.eta], ["Dispatched", t.dispatched], ["Arrived", t.arrived]] },
+  ];
+}
+
+// Autocab sends both "BookingCancelled" and bare "Cancelled"; payloads without EventType go by hook name
+const isBookingType = (re) => (p, evt) => re.test(payloadEventType(p) || evt.hook);
+
+// built-ins, most specific first (registered in reverse because registerEventAdapter prepends)
+[
+  {
+    type: "VehicleTracksChanged",
+    kind: "tracks",
+    match: (p) => payloadEventType(p) === "VehicleTracksChanged" || (Array.isArray(p?.VehicleTracks) && p.VehicleTracks.length > 0),
+    normalize: (p) => {
+      const tracks = Array.isArray(p?.VehicleTracks) ? p.VehicleTracks : [];
+      const t0 = tracks[0] || {};
+      return {
+        tracksCount: tracks.length,
+        // the first track stands in for the event in list rows; the full list stays in the payload
+        driver: modelParty(t0.Driver),
+        vehicle: modelParty(t0.Vehicle),
+        status: asCleanString(t0.VehicleStatus || p?.VehicleStatus),
+        bookingId: t0.BookingId ?? null,
+      };
+    },
+    summary: (m) => [m.eventType || m.type, `Tracks: ${m.tracksCount}`, [unitText(m), m.status].filter(Boolean).join(" ")].filter(Boolean).join(" | "),
+    detail: (m, evt) => [
+      {
+        title: "Tracks",
+        columns: ["Callsign", "Vehicle", "Driver", "Status", "Booking", "Time", "Lat", "Lng"],
+        rows: (evt?.payload?.VehicleTracks || []).map((t) => [
+          asCleanString(t?.Vehicle?.Callsign ?? t?.Driver?.Callsign),
+          t?.Vehicle?.Id,
+          t?.Driver?.Id,
+          asCleanString(t?.VehicleStatus),
+          t?.BookingId,
+          asCleanString(t?.Timestamp),
+          t?.CurrentLocation?.Latitude,
+          t?.CurrentLocation?.Longitude,
+        ]),
+      },
+    ],
+  },
+  {
+    type: "DriverShift",
+    kind: "driver",
+    match: (p) => /^Driver(Shift|Logged|Log|Break)/.test(payloadEventType(p)),
+    normalize: (p) => ({
+      driver: modelParty(p.Driver ?? p.DriverDetails?.Driver ?? p),
+      vehicle: modelParty(p.Vehicle ?? p.VehicleDetails?.Vehicle),
+      shiftId: p.ShiftId ?? p.Shift?.Id ?? null,
+      at: asCleanString(p.Timestamp ?? p.ShiftStart ?? p.ShiftEnd ?? p.EventTime),
+    }),
+    summary: (m) => [m.eventType, unitText(m), m.driver?.name, m.shiftId != null ? `Shift ${m.shiftId}` : "", m.at].filter(Boolean).join(" | "),
+    detail: (m) => [
+      { title: "Shift", fields: [["Event", m.eventType], ["Shift id", m.shiftId], ["At", m.at]] },
+      { title: "Driver and vehicle", fields: [...partyFields("Driver", m.driver), ...partyFields("Vehicle", m.vehicle)] },
+    ],
+  },
+  {
+    type: "BookingCancelled",
+    kind: "booking",
+    match: isBookingType(/cancel/i),
+    normalize: (p) => ({
+      ...normalizeBooking(p),
+      reason: asCleanString(p.CancellationReason ?? p.CancelReason ?? p.Reason),
+      cancelledBy: asCleanString(p.CancelledBy),
+    }),
+    summary: (m) => bookingSummary(m, [m.reason && `Reason: ${m.reason}`].filter(Boolean)),
+    detail: (m) => bookingDetail(m, [["Reason", m.reason], ["Cancelled by", m.cancelledBy]]),
+  },
+  {
+    type: "BookingDispatched",
+    kind: "booking",
+    match: isBookingType(/dispatch/i),
+    normalize: normalizeBooking,
+    summary: (m) => bookingSummary(m),
+    detail: (m) => bookingDetail(m),
+  },
+  {
+    type: "BookingModified",
+    kind: "booking",
+    match: isBookingType(/modif|amend/i),
+    normalize: normalizeBooking,
+    summary: (m) => bookingSummary(m),
+    detail: (m) => bookingDetail(m),
+  },
+  {
+    type: "BookingCreated",
+    kind: "booking",
+    match: isBookingType(/creat/i),
+    normalize: normalizeBooking,
+    summary: (m) => bookingSummary(m),
+    detail: (m) => bookingDetail(m),
+  },
+  {
+    // any other event that carries a booking (completed, no-show, ...)
+    type: "Booking",
+    kind: "booking",
+    match: (p) => p && typeof p === "object" && (p.Id != null || p.OriginalBookingId != null || /^Booking/.test(payloadEventType(p))),
+    normalize: normalizeBooking,
+    summary: (m) => bookingSummary(m),
+    detail: (m) => bookingDetail(m),
+  },
+].reverse().forEach(registerEventAdapter);
+
+// the fallback: anything no adapter recognises
+const UNKNOWN_ADAPTER = {
+  type: "Unknown",
+  kind: "other",
+  normalize: (p) => ({ keys: p && typeof p === "object" ? Object.keys(p).slice(0, 8) : [] }),
+  summary: (m) => [m.eventType, m.keys?.length ? `Keys: ${m.keys.join(", ")}` : ""].filter(Boolean).join(" | "),
+  detail: (m) => [{ title: "Event", fields: [["Event", m.eventType], ["Keys", (m.keys || []).join(", ")]] }],
+};
+
+// falls back to the hook's default adapter ("adapter" in the hooks file) when nothing matches
+function eventAdapter(evt) {
+  const p = evt?.payload ?? {};
+  for (const a of EVENT_ADAPTERS) {
+    try {
+      if (a.match(p, evt)) return a;
+    } catch {}
+  }
+  const fallback = evt?.hook ? getHookConfig(evt.hook).adapter : null;
+  return (fallback && EVENT_ADAPTERS.find((a) => a.type === fallback)) || UNKNOWN_ADAPTER;
+}
+
+function adapterFor(model) {
+  return EVENT_ADAPTERS.find((a) => a.type === model?.type) || UNKNOWN_ADAPTER;
+}
+
+// canonical model for a payload: { type, kind, eventType, ...adapter fields }
+function normalizeEvent(evt) {
+  const a = eventAdapter(evt);
+  const p = evt?.payload ?? {};
+  let fields = {};
+  try {
+    fields = a.normalize(p, evt) || {};
+  } catch (err) {
+    console.error(`[adapter] ${a.type}: ${err.message}`);
+  }
+  return { type: a.type, kind: a.kind || "other", eventType: payloadEventType(p), ...compactModel(fields) };
+}
+
+// events stored before adapters existed (or imported) have no model; build one on read
+function eventModel(evt) {
+  return evt.model || normalizeEvent(evt);
+}
+
+function buildSummary(evt) {
+  const model = eventModel(evt);
+  let summary = "";
+  try {
+    summary = adapterFor(model).summary(model, evt);
+  } catch {}
+  // meta keeps the fields the dashboard rows and timeline button use
+  const meta = {
+    kind: model.kind,
+    type: model.type,
+    eventType: model.eventType,
+    bookingId: model.kind === "booking" ? model.bookingId ?? "" : "",
+    cs: model.driver?.callsign || model.vehicle?.callsign || "",
+    status: model.status || "",
+    tracksCount: model.tracksCount,
+  };
+  return { summary, meta, model };
+}
+
+function eventDetail(evt) {
+  const model = eventModel(evt);
+  const a = adapterFor(model);
+  if (typeof a.detail !== "function") return [];
+  try {
+    // empty fields are left out so each adapter can list everything it might have
+    return (a.detail(model, evt) || [])
+      .map((s) => (s.fields ? { ...s, fields: s.fields.filter(([, v]) => v != null && v !== "") } : s))
+      .filter((s) => (s.fields ? s.fields.length : s.rows?.length));
+  } catch (err) {
+    return [{ title: "Error", fields: [["Adapter", `${a.type}: ${err.message}`]] }];
+  }
+}
+
+// list rows carry the summary so the client doesn't need to understand payloads
+function withSummary(evt) {
+  const { summary, meta, model } = buildSummary(evt);
+  return { ...evt, model, _summary: summary, _summaryMeta: meta };
+}
+
+// adapters from EVENT_ADAPTERS=./adapters/shifts.js,./adapters/payments.js
+for (const file of (process.env.EVENT_ADAPTERS || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+  const mod = await import(pathToFileURL(path.resolve(file)).href);
+  const list = Array.isArray(mod.default) ? mod.default : [mod.default];
+  for (const a of list) registerEventAdapter(a);
+  console.log(`[adapter] loaded ${list.map((a) => a.type).join(", ")} from ${file}`);
+}
+
+// ---- Redaction ----
+// Rules from REDACTION_RULES_FILE (default $DATA_DIR/redaction.json), e.g.
+//   { "rules": [
+//       { "path": "Pickup.Address", "action": "mask", "keep": 4 },
+//       { "field": "PassengerName", "action": "hash", "when": "ingest", "hooks": ["bookings"] },
+//       { "pattern": "phone", "action": "mask", "keep": 3, "reveal": "none" } ] }
+// path: a dotted payload path (arrays are walked, "*" matches any key); field: a key name at any depth;
+// pattern: "phone", "email" or "/regex/flags", replaced inside every string value.
+// action: mask (letters and digits become •, except the last `keep` characters), hash (stable, keyed
+// with REDACT_HASH_KEY) or remove. when: "ingest" rewrites the payload before it is stored or
+// quarantined, for good; "read" (default) rewrites it in API responses, the dashboard and exports for
+// users below the `reveal` role (default admin; "none" = everyone).
+const REDACTION_RULES_FILE = process.env.REDACTION_RULES_FILE || path.join(DATA_DIR, "redaction.json");
+const REDACT_HASH_KEY = process.env.REDACT_HASH_KEY || "";
+const REDACT_ACTIONS = ["mask", "hash", "remove"];
+const REDACT_PATTERNS = {
+  // UK numbers starting 0 and international numbers starting +; dates, prices and ids don't match
+  phone: /(?<![\w.:+-])(?:\+\d{1,3}[\s-]?|0)\d{2,4}[\s-]?\d{3,4}[\s-]?\d{3,4}(?![\w.:-])/g,
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+};
+
+function parseRedactPattern(p) {
+  if (REDACT_PATTERNS[p]) return REDACT_PATTERNS[p];
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(p || "");
+  if (!m) return null;
+  try {
+    return new RegExp(m[1], m[2].includes("g") ? m[2] : m[2] + "g");
+  } catch {
+    return null;
+  }
+}
+
+function readRedactionRules() {
+  const raw = readJsonFile(REDACTION_RULES_FILE, {});
+  const rules = [];
+  (Array.isArray(raw?.rules) ? raw.rules : []).forEach((r, i) => {
+    const action = r?.action || "mask";
+    const regex = r?.pattern ? parseRedactPattern(String(r.pattern)) : null;
+    if (!REDACT_ACTIONS.includes(action) || !(r.path || r.field || regex)) {
+      console.error(`[REDACT] ignoring rule ${i + 1}: needs path, field or a valid pattern, and action mask|hash|remove`);
+      return;
+    }
+    rules.push({
+      ...r,
+      action,
+      when: r.when === "ingest" ? "ingest" : "read",
+      reveal: r.reveal === "none" || isValidRole(r.reveal) ? r.reveal : "admin",
+      keep: Math.max(0, Number(r.keep) || 0),
+      segments: r.path ? String(r.path).replace(/^payload\./, "").split(".").filter(Boolean) : null,
+      regex,
+    });
+  });
+  return rules;
+}
+
+const redactionRules = readRedactionRules();
+if (redactionRules.length) console.log(`[REDACT] ${redactionRules.length} redaction rules from ${REDACTION_RULES_FILE}`);
+
+function redactValue(v, rule) {
+  const s = typeof v === "string" ? v : JSON.stringify(v);
+  if (rule.action === "hash") {
+    const h = REDACT_HASH_KEY ? crypto.createHmac("sha256", REDACT_HASH_KEY) : crypto.createHash("sha256");
+    return `#${h.update(s).digest("hex").slice(0, 16)}`;
+  }
+  if (rule.action === "remove") return "[redacted]";
+  const keep = Math.min(rule.keep, Math.floor(s.length / 2));
+  return s.slice(0, s.length - keep).replace(/[\p{L}\p{N}]/gu, "•") + s.slice(s.length - keep);
+}
+
+function redactLeaves(v, rule) {
+  if (v == null) return v;
+  if (Array.isArray(v)) return v.map((x) => redactLeaves(x, rule));
+  if (typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, redactLeaves(x, rule)]));
+  return redactValue(v, rule);
+}
+
+function redactKey(obj, k, rule) {
+  if (rule.action === "remove") delete obj[k];
+  else obj[k] = redactLeaves(obj[k], rule);
+}
+
+function redactAtPath(obj, segments, rule) {
+  if (Array.isArray(obj)) return obj.forEach((x) => redactAtPath(x, segments, rule));
+  if (!obj || typeof obj !== "object") return;
+  const [seg, ...rest] = segments;
+  for (const k of seg === "*" ? Object.keys(obj) : [seg]) {
+    if (!Object.hasOwn(obj, k)) continue;
+    if (rest.length) redactAtPath(obj[k], rest, rule);
+    else redactKey(obj, k, rule);
+  }
+}
+
+function redactField(obj, rule) {
+  if (Array.isArray(obj)) return obj.forEach((x) => redactField(x, rule));
+  if (!obj || typeof obj !== "object") return;
+  const name = String(rule.field).toLowerCase();
+  for (const k of Object.keys(obj)) {
+    if (k.toLowerCase() === name) redactKey(obj, k, rule);
+    else redactField(obj[k], rule);
+  }
+}
+
+function redactPattern(v, rule) {
+  if (typeof v === "string") return v.replace(rule.regex, (m) => redactValue(m, rule));
+  if (Array.isArray(v)) return v.map((x) => redactPattern(x, rule));
+  if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, redactPattern(x, rule)]));
+  return v;
+}
+
+// a redacted copy of `payload`; the same object when no rule applies
+function applyRedaction(payload, rules) {
+  if (!rules.length) return payload;
+  let out = { value: structuredClone(payload) };
+  for (const rule of rules) {
+    if (rule.segments) redactAtPath(out.value, rule.segments, rule);
+    else if (rule.field) redactField(out.value, rule);
+    else out = { value: redactPattern(out.value, rule) };
+  }
+  return out.value;
+}
+
+function rulesFor(hook, when) {
+  return redactionRules.filter((r) => r.when === when && (!Array.isArray(r.hooks) || r.hooks.includes(hook)));
+}
+
+function redactIngest(hook, payload) {
+  return applyRedaction(payload, rulesFor(hook, "ingest"));
+}
+
+// evt -> evt as `user` may see it; the model is rebuilt from the redacted payload
+function readRedactor(user) {
+  const rank = ROLE_RANK[user?.role] || 0;
+  const hidden = (r) => r.reveal === "none" || rank < ROLE_RANK[r.reveal];
+  if (!redactionRules.some((r) => r.when === "read" && hidden(r))) return (evt) => evt;
+  const redact = (evt) => {
+    const rules = rulesFor(evt.hook, "read").filter(hidden);
+    if (!rules.length) return evt;
+    const redacted = { ...evt, payload: applyRedaction(evt.payload, rules), redacted: true };
+    redacted.model = normalizeEvent(redacted);
+    return redacted;
+  };
+  // this is the view the search index holds (readRedactor(null)), so its hits need no checking
+  redact.hidesAll = redactionRules.every((r) => r.when !== "read" || hidden(r));
+  return redact;
+}
+
+// ---- Helpers: limits ----
+// limit=0 => unlimited
+function parseLimit(v) {
+  if (v == null || v === "") return 0;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) return 50;
+  return Math.floor(n);
+}
+
+// list endpoints page instead: missing/0 => PAGE_SIZE, capped at MAX_PAGE_SIZE
+function parsePageSize(v) {
+  const n = parseLimit(v);
+  return n === 0 ? PAGE_SIZE : Math.min(n, MAX_PAGE_SIZE);
+}
+
+// ---- Forwarding ----
+// Per-hook rules in the hooks config file:
+//   "forward": [{ "name": "dispatch", "url": "https://...", "filter": "EventType:BookingCreated",
+//                 "headers": { "Authorization": "Bearer {{env.DISPATCH_TOKEN}}" }, "body": "payload" | "event" }]
+// `filter` uses the Advanced search syntax. Header values may use {{hook}}, {{id}}, {{payload.Some.Path}}
+// and {{env.NAME}}; they are rendered at send time so secrets never land in the queue file.
+//
+// The queue is persisted as a snapshot (queue.json) plus a journal of changes since (queue.ndjson):
+// each enqueue, failed attempt and removal appends one line, and the journal is folded into the
+// snapshot once it reaches FORWARD_JOURNAL_MAX lines. Deliveries of stored events keep only the event
+// id on disk; the events are read back from the store on startup.
+const FORWARD_DIR = path.join(DATA_DIR, "forwarding");
+const FORWARD_QUEUE_FILE = path.join(FORWARD_DIR, "queue.json");
+const FORWARD_JOURNAL_FILE = path.join(FORWARD_DIR, "queue.ndjson");
+const FORWARD_JOURNAL_MAX = 1000;
+const FORWARD_DEAD_FILE = path.join(FORWARD_DIR, "dead-letter.json");
+const FORWARD_LOG_FILE = path.join(FORWARD_DIR, "deliveries.ndjson");
+const FORWARD_MAX_ATTEMPTS = Number(process.env.FORWARD_MAX_ATTEMPTS || 8);
+const FORWARD_BACKOFF_MS = Number(process.env.FORWARD_BACKOFF_MS || 2000);
+const FORWARD_MAX_BACKOFF_MS = Number(process.env.FORWARD_MAX_BACKOFF_MS || 10 * 60 * 1000);
+const FORWARD_TIMEOUT_MS = Number(process.env.FORWARD_TIMEOUT_MS || 10000);
+const FORWARD_CONCURRENCY = Number(process.env.FORWARD_CONCURRENCY || 4);
+const FORWARD_LOG_KEEP = 200; // per target, in memory
+const FORWARD_DEAD_KEEP = 1000;
+const FORWARD_LOG_MAX_BYTES = 5 * 1024 * 1024;
+
+fs.mkdirSync(FORWARD_DIR, { recursive: true });
+
+function readJsonFile(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error("[JSON] failed to read", file, err?.message || err);
+    return fallback;
+  }
+}
+
+// write-then-rename so a crash never leaves a half-written file
+function writeJsonFile(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+let forwardQueue = loadForwardQueue();
+let forwardDead = readRecordFile(FORWARD_DEAD_FILE, []);
+let forwardJournalLines = 0;
+compactForwardQueue();
+const forwardLogByTarget = new Map(); // target -> recent attempts, newest first
+const forwardStatsByTarget = new Map(); // target -> { delivered, failed, dead }
+const forwardInFlight = new Set();
+
+function forwardStats(target) {
+  if (!forwardStatsByTarget.has(target)) forwardStatsByTarget.set(target, { delivered: 0, failed: 0, dead: 0 });
+  return forwardStatsByTarget.get(target);
+}
+
+function pushForwardLog(entry) {
+  const arr = forwardLogByTarget.get(entry.target) || [];
+  arr.unshift(entry);
+  if (arr.length > FORWARD_LOG_KEEP) arr.pop();
+  forwardLogByTarget.set(entry.target, arr);
+}
+
+// warm the in-memory logs from the tail of the log file
+(function loadForwardLog() {
+  if (!fs.existsSync(FORWARD_LOG_FILE)) return;
+  const lines = fs.readFileSync(FORWARD_LOG_FILE, "utf8").split("\n").filter(Boolean);
+  for (const l of lines.slice(-FORWARD_LOG_KEEP * 20)) {
+    try {
+      pushForwardLog(JSON.parse(l));
+    } catch {}
+  }
+})();
+
+function appendForwardLog(entry) {
+  pushForwardLog(entry);
+  try {
+    if (fs.existsSync(FORWARD_LOG_FILE) && fs.statSync(FORWARD_LOG_FILE).size > FORWARD_LOG_MAX_BYTES) {
+      fs.renameSync(FORWARD_LOG_FILE, `${FORWARD_LOG_FILE}.1`);
+    }
+    fs.appendFileSync(FORWARD_LOG_FILE, JSON.stringify(entry) + "\n");
+  } catch (err) {
+    console.error("[FORWARD] log write failed", err?.message || err);
+  }
+}
+
+// on disk: `inline` deliveries (alerts, whose events are not stored) keep the event, the rest its id
+function deliveryRecord(d) {
+  if (d.inline || !d.evt) return d;
+  const { evt, ...rest } = d;
+  return { ...rest, eventId: evt.id };
+}
+
+// snapshot, then the journal on top of it. An entry may already be in the snapshot if the server
+// stopped between writing it and truncating the journal, so replaying is idempotent.
+function loadForwardQueue() {
+  const byId = new Map(readRecordFile(FORWARD_QUEUE_FILE, []).map((d) => [d.id, d]));
+  const lines = fs.existsSync(FORWARD_JOURNAL_FILE) ? fs.readFileSync(FORWARD_JOURNAL_FILE, "utf8").split("\n") : [];
+  for (const line of lines) {
+    if (!line) continue;
+    let op;
+    try {
+      op = decodeLine(line);
+    } catch (err) {
+      throw Object.assign(new Error(`${FORWARD_JOURNAL_FILE}: ${err.message}`), { encryptionKey: true });
+    }
+    if (op?.add) byId.set(op.add.id, op.add);
+    else if (op?.attempt && byId.has(op.attempt.id)) Object.assign(byId.get(op.attempt.id), op.attempt);
+    else if (op?.remove) byId.delete(op.remove);
+  }
+
+  // the events behind the queued ids, looked up one by one (several deliveries can share one)
+  const queue = [...byId.values()];
+  const found = new Map();
+  const dropped = new Map();
+  for (const d of queue) {
+    if (d.evt) continue;
+    const key = `${d.hook}|${d.eventId}`;
+    if (!found.has(key)) found.set(key, findEvent(d.hook, d.eventId));
+    d.evt = found.get(key);
+    if (!d.evt) dropped.set(d.eventId, (dropped.get(d.eventId) || 0) + 1);
+  }
+  for (const [eventId, n] of dropped) {
+    console.warn(`[FORWARD] dropped ${n} queued deliveries of ${eventId}: the event is no longer stored`);
+  }
+  return queue.filter((d) => d.evt);
+}
+
+function compactForwardQueue() {
+  writeRecordFile(FORWARD_QUEUE_FILE, forwardQueue.map(deliveryRecord));
+  fs.rmSync(FORWARD_JOURNAL_FILE, { force: true });
+  forwardJournalLines = 0;
+}
+
+// op: { add: delivery } | { attempt: { id, attempts, nextAttemptAt, lastError } } | { remove: id }
+function journalForward(op) {
+  fs.appendFileSync(FORWARD_JOURNAL_FILE, encodeRecord(op) + "\n");
+  if (++forwardJournalLines >= FORWARD_JOURNAL_MAX) compactForwardQueue();
+}
+
+function addDelivery(d) {
+  forwardQueue.push(d);
+  journalForward({ add: deliveryRecord(d) });
+}
+
+function removeDelivery(id) {
+  forwardQueue = forwardQueue.filter((x) => x.id !== id);
+  journalForward({ remove: id });
+}
+
+function saveForwardDead() {
+  writeRecordFile(FORWARD_DEAD_FILE, forwardDead);
+}
+
+function isHttpUrl(s) {
+  try {
+    const u = new URL(String(s));
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function forwardRules(hook) {
+  const rules = getHookConfig(hook).forward;
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter((r) => r && isHttpUrl(r.url))
+    .map((r) => ({ ...r, name: (r.name || new URL(r.url).host).toString() }));
+}
+
+function renderTemplate(tpl, evt, { env = true } = {}) {
+  return String(tpl).replace(/\{\{\s*([\w.$-]+)\s*\}\}/g, (_, key) => {
+    if (key.startsWith("env.")) return env ? process.env[key.slice(4)] ?? "" : "";
+    const v = getByPath(evt, key);
+    if (v == null) return "";
+    return typeof v === "object" ? stringifySafe(v) : String(v);
+  });
+}
+
+// `inline`: the event is not in the store, so it is kept in the queue files
+function queueDelivery({ target, url, headers, bodyMode, evt, inline = false }) {
+  addDelivery({
+    id: crypto.randomUUID(),
+    target,
+    hook: evt.hook,
+    url,
+    headers: headers && typeof headers === "object" ? headers : {},
+    bodyMode: ["event", "original"].includes(bodyMode) ? bodyMode : "payload",
+    evt,
+    inline,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: Date.now(),
+    lastError: null,
+  });
+}
+
+function enqueueForwarding(evt) {
+  const rules = forwardRules(evt.hook);
+  if (!rules.length) return;
+
+  for (const rule of rules) {
+    if (rule.filter && (queryError(rule.filter, { regex: false }) || !eventMatches(evt, { q: rule.filter }))) continue;
+    queueDelivery({ target: rule.name, url: rule.url, headers: rule.headers, bodyMode: rule.body, evt });
+  }
+}
+
+function backoffMs(attempts) {
+  return Math.min(FORWARD_MAX_BACKOFF_MS, FORWARD_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// "original" (replays) sends non-JSON bodies back as the text that was received
+function deliveryBody(d) {
+  if (d.bodyMode === "event") return JSON.stringify(d.evt);
+  const p = d.evt.payload;
+  if (d.bodyMode === "original" && p && typeof p._raw === "string") return p._raw;
+  if (d.bodyMode === "original" && p?._empty === true) return "";
+  return JSON.stringify(p);
+}
+
+async function attemptForward(d) {
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Webhook-Hook": d.hook,
+    "X-Webhook-Event-Id": d.evt.id,
+  };
+  for (const [k, v] of Object.entries(d.headers)) headers[k] = renderTemplate(v, d.evt);
+
+  const started = Date.now();
+  let status = null;
+  let error = null;
+  try {
+    const r = await fetch(d.url, {
+      method: "POST",
+      headers,
+      body: deliveryBody(d),
+      signal: AbortSignal.timeout(FORWARD_TIMEOUT_MS),
+    });
+    status = r.status;
+    await r.arrayBuffer().catch(() => {});
+    if (!r.ok) error = `HTTP ${r.status}`;
+  } catch (err) {
+    error = err?.cause?.message || err?.message || String(err);
+  }
+
+  d.attempts++;
+  d.lastError = error;
+  const stats = forwardStats(d.target);
+  appendForwardLog({
+    at: new Date().toISOString(),
+    target: d.target,
+    deliveryId: d.id,
+    eventId: d.evt.id,
+    hook: d.hook,
+    url: d.url,
+    attempt: d.attempts,
+    status,
+    error,
+    ms: Date.now() - started,
+  });
+
+  if (!error) {
+    stats.delivered++;
+    removeDelivery(d.id);
+  } else if (d.attempts >= FORWARD_MAX_ATTEMPTS) {
+    stats.dead++;
+    console.warn(`[FORWARD] dead-lettered ${d.id} -> ${d.target}: ${error}`);
+    removeDelivery(d.id);
+    forwardDead.unshift({ ...d, deadAt: new Date().toISOString() });
+    if (forwardDead.length > FORWARD_DEAD_KEEP) forwardDead.length = FORWARD_DEAD_KEEP;
+    saveForwardDead();
+  } else {
+    stats.failed++;
+    d.nextAttemptAt = Date.now() + backoffMs(d.attempts);
+    journalForward({ attempt: { id: d.id, attempts: d.attempts, nextAttemptAt: d.nextAttemptAt, lastError: d.lastError } });
+  }
+}
+
+function forwardTick() {
+  const now = Date.now();
+  for (const d of forwardQueue) {
+    if (forwardInFlight.size >= FORWARD_CONCURRENCY) break;
+    if (forwardInFlight.has(d.id) || d.nextAttemptAt > now) continue;
+    forwardInFlight.add(d.id);
+    attemptForward(d)
+      .catch((err) => console.error("[FORWARD]", err?.message || err))
+      .finally(() => forwardInFlight.delete(d.id));
+  }
+}
+
+eventBus.on("stored", enqueueForwarding);
+setInterval(forwardTick, 1000).unref();
+
+// ---- Booking timeline ----
+// Events referencing a booking/vehicle/driver id across the full history, newest first, one at a
+// time. SQLite looks refs up in its own table. NDJSON reads only the events containing the id as a
+// word once the search index is ready, and scans every segment until then.
+function* eventsByRefDesc(kind, value) {
+  const v = String(value).trim();
+  if (STORAGE_BACKEND === "sqlite" || !v) {
+    const found = store.findByRef(kind, v);
+    for (let i = found.length - 1; i >= 0; i--) yield found[i];
+    return;
+  }
+  const events = searchIndex.ready
+    ? searchIndex.iterate(store.listHooks(), { field: "any", value: v, duplicates: "show" })
+    : store.iterate(store.listHooks(), null);
+  for (const evt of events) if (extractRefs(evt.payload)[kind]?.includes(v)) yield evt;
+}
+
+// the same, oldest first
+function eventsByRef(kind, value) {
+  return [...eventsByRefDesc(kind, value)].reverse();
+}
+
+// leaf path -> value, e.g. { "Pickup.Address": "..." }; empty objects/arrays are kept as leaves
+function flattenPaths(obj, prefix = "", out = {}) {
+  if (obj && typeof obj === "object") {
+    const entries = Array.isArray(obj) ? obj.map((v, i) => [String(i), v]) : Object.entries(obj);
+    if (!entries.length && prefix) out[prefix] = Array.isArray(obj) ? [] : {};
+    for (const [k, v] of entries) flattenPaths(v, prefix ? `${prefix}.${k}` : k, out);
+  } else if (prefix) {
+    out[prefix] = obj;
+  }
+  return out;
+}
+
+function diffPayloads(prev, next) {
+  const a = flattenPaths(prev);
+  const b = flattenPaths(next);
+  const changes = [];
+  for (const k of Object.keys(b)) {
+    if (!(k in a)) changes.push({ path: k, change: "added", to: b[k] });
+    else if (stringifySafe(a[k]) !== stringifySafe(b[k])) changes.push({ path: k, change: "changed", from: a[k], to: b[k] });
+  }
+  for (const k of Object.keys(a)) {
+    if (!(k in b)) changes.push({ path: k, change: "removed", from: a[k] });
+  }
+  return changes;
+}
+
+function msBetween(from, to) {
+  const a = Date.parse(from);
+  const b = Date.parse(to);
+  return Number.isFinite(a) && Number.isFinite(b) ? b - a : null;
+}
+
+const BOOKING_MILESTONES = ["EstimatedPickupTime", "DispatchedAtTime", "VehicleArrivedAtTime"];
+
+// Every stored event that references the booking, oldest first. Consecutive VehicleTracks samples
+// with the same vehicle and status are collapsed into one entry with a sample count.
+function buildBookingTimeline(bookingId, redact = (evt) => evt) {
+  const id = String(bookingId);
+  const events = eventsByRef("booking", id).map(redact);
+  const entries = [];
+  const milestones = {};
+  let prevPayload = null;
+  let firstBookingAt = null;
+  let run = null;
+
+  for (const evt of events) {
+    const p = evt.payload || {};
+
+    if (Array.isArray(p.VehicleTracks)) {
+      for (const t of p.VehicleTracks) {
+        if (String(t?.BookingId ?? "") !== id) continue;
+        const status = asCleanString(t?.VehicleStatus);
+        const vehicleId = t?.Vehicle?.Id ?? "";
+        const at = t?.Timestamp || evt.receivedAt;
+        const location =
+          t?.CurrentLocation?.Latitude != null
+            ? { lat: t.CurrentLocation.Latitude, lng: t.CurrentLocation.Longitude }
+            : null;
+
+        if (run && run.status === status && run.vehicleId === vehicleId) {
+          run.samples++;
+          run.lastAt = at;
+          if (location) run.lastLocation = location;
+          continue;
+        }
+        run = {
+          kind: "track",
+          at,
+          lastAt: at,
+          receivedAt: evt.receivedAt,
+          hook: evt.hook,
+          eventId: evt.id,
+          status,
+          vehicleId,
+          callsign: asCleanString(t?.Vehicle?.Callsign ?? t?.Driver?.Callsign),
+          driverId: t?.Driver?.Id ?? "",
+          samples: 1,
+          location,
+          lastLocation: location,
+        };
+        entries.push(run);
+      }
+      continue;
+    }
+
+    run = null;
+    const eventType = asCleanString(p.EventType) || evt.hook;
+    if (!firstBookingAt) firstBookingAt = evt.receivedAt;
+    for (const k of BOOKING_MILESTONES) if (p[k]) milestones[k] = p[k];
+    if (/cancel/i.test(eventType)) milestones.CancelledAt = evt.receivedAt;
+
+    entries.push({
+      kind: "booking",
+      at: evt.receivedAt,
+      receivedAt: evt.receivedAt,
+      hook: evt.hook,
+      eventId: evt.id,
+      eventType,
+      summary: buildSummary(evt).summary,
+      changes: prevPayload ? diffPayloads(prevPayload, p) : null,
+    });
+    prevPayload = p;
+  }
+
+  const first = events[0];
+  const last = events[events.length - 1];
+  return {
+    bookingId: id,
+    eventCount: events.length,
+    firstSeenAt: first?.receivedAt ?? null,
+    lastSeenAt: last?.receivedAt ?? null,
+    milestones,
+    durations: {
+      firstToLast: first ? msBetween(first.receivedAt, last.receivedAt) : null,
+      createdToDispatch: msBetween(firstBookingAt, milestones.DispatchedAtTime),
+      dispatchToArrival: msBetween(milestones.DispatchedAtTime, milestones.VehicleArrivedAtTime),
+      // positive = vehicle arrived after the estimate
+      arrivalVsEstimate: msBetween(milestones.EstimatedPickupTime, milestones.VehicleArrivedAtTime),
+    },
+    entries,
+  };
+}
+
+// ---- Vehicle state ----
+// Latest known state per vehicle from VehicleTracks, keyed like the dashboard's delta view
+// (Vehicle.Id, else "cs:<callsign>"). Snapshotted to disk every few seconds; on startup any
+// stored tracks events newer than the snapshot are replayed so nothing is lost in between.
+const VEHICLES_FILE = path.join(DATA_DIR, "vehicles.json");
+const VEHICLE_SNAPSHOT_MS = 5000;
+const VEHICLE_STALE_MINUTES = Number(process.env.VEHICLE_STALE_MINUTES || 15);
+
+const vehicleState = new Map();
+let vehicleStateDirty = false;
+let vehicleStateLastReceivedAt = null;
+
+function vehicleKey(t) {
+  const vId = t?.Vehicle?.Id;
+  if (vId !== undefined && vId !== null && vId !== "") return String(vId);
+  const cs = asCleanString(t?.Vehicle?.Callsign ?? t?.Driver?.Callsign);
+  return cs ? `cs:${cs}` : "";
+}
+
+function updateVehicleState(evt, { emit = true } = {}) {
+  const tracks = evt?.payload?.VehicleTracks;
+  if (!Array.isArray(tracks)) return;
+
+  for (const t of tracks) {
+    const key = vehicleKey(t);
+    if (!key) continue;
+
+    const timestamp = t?.Timestamp || evt.receivedAt;
+    const prev = vehicleState.get(key);
+    // redeliveries / out-of-order batches must not roll a vehicle back
+    if (prev && Date.parse(prev.timestamp) > Date.parse(timestamp)) continue;
+
+    const status = asCleanString(t?.VehicleStatus);
+    const statusChanged = !prev || prev.status !== status;
+    const lat = t?.CurrentLocation?.Latitude;
+    const lng = t?.CurrentLocation?.Longitude;
+    // the name parts are kept so read redaction rules on Driver.Forename / Driver.Surname apply
+    const named = Boolean(asCleanString(t?.Driver?.Forename) || asCleanString(t?.Driver?.Surname));
+    const sameDriver = t?.Driver?.Id === prev?.driverId;
+    const driverForename = named ? asCleanString(t?.Driver?.Forename) : sameDriver ? prev?.driverForename ?? prev?.driverName ?? "" : "";
+    const driverSurname = named ? asCleanString(t?.Driver?.Surname) : sameDriver ? prev?.driverSurname ?? "" : "";
+
+    const next = {
+      key,
+      vehicleId: t?.Vehicle?.Id ?? null,
+      callsign: asCleanString(t?.Vehicle?.Callsign ?? t?.Driver?.Callsign),
+      registration: asCleanString(t?.Vehicle?.Registration) || prev?.registration || "",
+      driverId: t?.Driver?.Id ?? null,
+      driverCallsign: asCleanString(t?.Driver?.Callsign),
+      driverName: [driverForename, driverSurname].filter(Boolean).join(" "),
+      driverForename,
+      driverSurname,
+      status,
+      previousStatus: statusChanged ? prev?.status ?? null : prev.previousStatus,
+      lastStatusChangeAt: statusChanged ? timestamp : prev.lastStatusChangeAt,
+      bookingId: t?.BookingId ?? null,
+      lat: lat ?? prev?.lat ?? null,
+      lng: lng ?? prev?.lng ?? null,
+      timestamp,
+      lastSeenAt: evt.receivedAt,
+      hook: evt.hook,
+      eventId: evt.id,
+    };
+    vehicleState.set(key, next);
+    vehicleStateDirty = true;
+    if (emit) eventBus.emit("vehicle", next);
+  }
+
+  if (!vehicleStateLastReceivedAt || evt.receivedAt > vehicleStateLastReceivedAt) {
+    vehicleStateLastReceivedAt = evt.receivedAt;
+  }
+}
+
+function saveVehicleState() {
+  if (!vehicleStateDirty) return;
+  vehicleStateDirty = false;
+  try {
+    writeRecordFile(VEHICLES_FILE, {
+      lastReceivedAt: vehicleStateLastReceivedAt,
+      // every stored event is applied as it is stored, so the state covers the store up to here
+      mark: store.mark(),
+      vehicles: Object.fromEntries(vehicleState),
+    });
+  } catch (err) {
+    console.error("[VEHICLES] snapshot failed", err?.message || err);
+  }
+}
+
+// Snapshot first, then replay whatever the store has after it (everything if there is no snapshot).
+// Events are streamed in storage order straight into vehicleState, so only the latest state per
+// vehicle is held; the timestamp check in updateVehicleState keeps out-of-order imports from
+// rolling a vehicle back.
+function restoreVehicleState() {
+  const snap = readRecordFile(VEHICLES_FILE, null);
+  if (snap?.vehicles) {
+    for (const [k, v] of Object.entries(snap.vehicles)) vehicleState.set(k, v);
+    vehicleStateLastReceivedAt = snap.lastReceivedAt || null;
+  }
+
+  // without a usable mark, replay from the start and skip what the snapshot covers; replaying an
+  // event twice is harmless, so step back a millisecond to be inclusive
+  const from = snap?.mark && store.canResume(snap.mark) ? snap.mark : null;
+  const after =
+    !from && vehicleStateLastReceivedAt ? new Date(Date.parse(vehicleStateLastReceivedAt) - 1).toISOString() : null;
+  let replayed = 0;
+  for (const [evt] of store.scan(from, store.mark())) {
+    // duplicate deliveries never reach the live state either
+    if (!Array.isArray(evt?.payload?.VehicleTracks) || evt.duplicateOf) continue;
+    if (after && !(evt.receivedAt > after)) continue;
+    updateVehicleState(evt, { emit: false });
+    replayed++;
+  }
+
+  if (replayed) {
+    console.log(`[VEHICLES] replayed ${replayed} tracks events (${vehicleState.size} vehicles)`);
+    saveVehicleState();
+  }
+}
+
+// The state back in the shape of the VehicleTracks entry it came from, so it goes through the same
+// read redaction rules as the stored event.
+function vehicleTrack(v) {
+  return {
+    Vehicle: { Id: v.vehicleId, Callsign: v.callsign, Registration: v.registration },
+    Driver: { Id: v.driverId, Callsign: v.driverCallsign, Forename: v.driverForename ?? v.driverName, Surname: v.driverSurname ?? "" },
+    VehicleStatus: v.status,
+    BookingId: v.bookingId,
+    Timestamp: v.timestamp,
+    CurrentLocation: { Latitude: v.lat, Longitude: v.lng },
+  };
+}
+
+// a finite coordinate, or null once a rule has masked, hashed or removed it
+function redactedCoord(x) {
+  if (x == null || x === "") return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+// `redact` is a readRedactor; the state is returned as is when it has nothing to hide
+function redactVehicle(v, redact) {
+  const evt = { id: v.eventId, hook: v.hook, receivedAt: v.lastSeenAt, payload: { VehicleTracks: [vehicleTrack(v)] } };
+  const shown = redact(evt);
+  if (shown === evt) return v;
+
+  const t = shown.payload?.VehicleTracks?.[0] || {};
+  const driverForename = asCleanString(t.Driver?.Forename);
+  const driverSurname = asCleanString(t.Driver?.Surname);
+  return {
+    ...v,
+    vehicleId: t.Vehicle?.Id ?? null,
+    callsign: asCleanString(t.Vehicle?.Callsign),
+    registration: asCleanString(t.Vehicle?.Registration),
+    driverId: t.Driver?.Id ?? null,
+    driverCallsign: asCleanString(t.Driver?.Callsign),
+    driverName: [driverForename, driverSurname].filter(Boolean).join(" "),
+    driverForename,
+    driverSurname,
+    status: asCleanString(t.VehicleStatus),
+    bookingId: t.BookingId ?? null,
+    lat: redactedCoord(t.CurrentLocation?.Latitude),
+    lng: redactedCoord(t.CurrentLocation?.Longitude),
+    redacted: true,
+  };
+}
+
+function vehicleView(v, now = Date.now()) {
+  const ageSeconds = Math.max(0, Math.round((now - Date.parse(v.lastSeenAt)) / 1000));
+  return { ...v, ageSeconds };
+}
+
+function findVehicle(id) {
+  const s = String(id);
+  return (
+    vehicleState.get(s) ||
+    vehicleState.get(`cs:${s}`) ||
+    [...vehicleState.values()].find((v) => v.callsign === s) ||
+    null
+  );
+}
+
+restoreVehicleState();
+eventBus.on("stored", (evt) => updateVehicleState(evt));
+setInterval(saveVehicleState, VEHICLE_SNAPSHOT_MS);
+
+// ---- Track history ----
+const TRACK_MAX_POINTS = Number(process.env.TRACK_MAX_POINTS || 50000);
+
+// Tracks events that may hold samples for the vehicle/booking, newest first, one at a time: by
+// vehicle or booking ref (see eventsByRefDesc), else by callsign through the search index once it is
+// ready, else a scan of the stored events.
+function* trackEventsDesc({ vehicleId, bookingId, callsign }) {
+  let events;
+  if (vehicleId) events = eventsByRefDesc("vehicle", vehicleId);
+  else if (bookingId) events = eventsByRefDesc("booking", bookingId);
+  else if (searchIndex.ready) events = searchIndex.iterate(store.listHooks(), { field: "any", value: callsign, duplicates: "show" });
+  else events = store.iterate(store.listHooks(), null);
+  for (const evt of events) if (Array.isArray(evt?.payload?.VehicleTracks)) yield evt;
+}
+
+// Ordered positions for one vehicle and/or booking from stored VehicleTracks entries. Events are
+// read newest first and reading stops after `limit` positions (TRACK_MAX_POINTS at most), so a
+// long history returns its newest part with truncated: true. Samples are matched on the stored
+// values; the points are built from the event after `redact` (a readRedactor), and a sample whose
+// position a rule hides is left out.
+function trackHistory({ vehicle, booking, from, to, limit = TRACK_MAX_POINTS }, redact = (evt) => evt) {
+  const max = Math.min(limit || TRACK_MAX_POINTS, TRACK_MAX_POINTS);
+  const bookingId = booking ? String(booking) : "";
+  let vehicleId = "";
+  let callsign = "";
+  if (vehicle) {
+    const known = findVehicle(vehicle);
+    if (known) {
+      vehicleId = known.vehicleId != null ? String(known.vehicleId) : "";
+      callsign = vehicleId ? "" : known.callsign;
+    } else if (/^\d+$/.test(String(vehicle))) {
+      vehicleId = String(vehicle);
+    } else {
+      callsign = String(vehicle).replace(/^cs:/, "");
+    }
+  }
+
+  const fromMs = from ? Date.parse(from) : -Infinity;
+  const toMs = to ? Date.parse(to) : Infinity;
+  const seen = new Set();
+  const points = [];
+  let truncated = false;
+
+  read: for (const evt of trackEventsDesc({ vehicleId, bookingId, callsign })) {
+    let shown = null;
+    for (const [i, t] of evt.payload.VehicleTracks.entries()) {
+      if (vehicleId && String(t?.Vehicle?.Id ?? "") !== vehicleId) continue;
+      if (callsign && asCleanString(t?.Vehicle?.Callsign ?? t?.Driver?.Callsign) !== callsign) continue;
+      if (bookingId && String(t?.BookingId ?? "") !== bookingId) continue;
+
+      const lat = Number(t?.CurrentLocation?.Latitude);
+      const lng = Number(t?.CurrentLocation?.Longitude);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+
+      const time = t?.Timestamp || evt.receivedAt;
+      const ms = Date.parse(time);
+      if (!(ms >= fromMs && ms <= toMs)) continue;
+
+      // the same sample can arrive in more than one delivery
+      const dedupKey = `${vehicleKey(t)}|${time}|${lat}|${lng}`;
+      if (seen.has(dedupKey)) continue;
+      seen.add(dedupKey);
+
+      shown ??= redact(evt);
+      const r = shown.payload?.VehicleTracks?.[i];
+      const shownLat = redactedCoord(r?.CurrentLocation?.Latitude);
+      const shownLng = redactedCoord(r?.CurrentLocation?.Longitude);
+      if (shownLat == null || shownLng == null) continue;
+
+      if (points.length >= max) {
+        truncated = true;
+        break read;
+      }
+      points.push({
+        time: new Date(ms).toISOString(),
+        lat: shownLat,
+        lng: shownLng,
+        status: asCleanString(r?.VehicleStatus),
+        bookingId: r?.BookingId ?? null,
+        vehicleId: r?.Vehicle?.Id ?? null,
+        callsign: asCleanString(r?.Vehicle?.Callsign ?? r?.Driver?.Callsign),
+        driverId: r?.Driver?.Id ?? null,
+      });
+    }
+  }
+
+  points.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+  return { points, truncated };
+}
+
+function xmlEscape(s) {
+  return String(s ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function trackToGpx(name, points) {
+  const pts = points
+    .map(
+      (p) =>
+        `      <trkpt lat="${p.lat}" lon="${p.lng}"><time>${p.time}</time>` +
+        `<desc>${xmlEscape([p.status, p.bookingId ? `Booking ${p.bookingId}` : ""].filter(Boolean).join(" · "))}</desc></trkpt>`
+    )
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="needacab-webhooks" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>${xmlEscape(name)}</name>
+    <trkseg>
+${pts}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function trackToGeoJson(name, points) {
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        properties: { name, start: points[0]?.time ?? null, end: points[points.length - 1]?.time ?? null },
+        geometry: { type: "LineString", coordinates: points.map((p) => [p.lng, p.lat]) },
+      },
+      ...points.map((p) => ({
+        type: "Feature",
+        properties: { time: p.time, status: p.status, bookingId: p.bookingId, vehicleId: p.vehicleId, callsign: p.callsign },
+        geometry: { type: "Point", coordinates: [p.lng, p.lat] },
+      })),
+    ],
+  };
+}
+
+function trackToKml(name, points) {
+  const placemark = (label, p) =>
+    p
+      ? `    <Placemark><name>${xmlEscape(label)}</name><TimeStamp><when>${p.time}</when></TimeStamp>` +
+        `<Point><coordinates>${p.lng},${p.lat},0</coordinates></Point></Placemark>\n`
+      : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(name)}</name>
+    <Placemark>
+      <name>${xmlEscape(name)}</name>
+      <LineString><tessellate>1</tessellate><coordinates>${points.map((p) => `${p.lng},${p.lat},0`).join(" ")}</coordinates></LineString>
+    </Placemark>
+${placemark("Start", points[0])}${placemark("End", points[points.length - 1])}  </Document>
+</kml>
+`;
+}
+
+// ---- Alerts ----
+// Rules in ALERT_RULES_FILE (default $DATA_DIR/alert-rules.json):
+// { "rules": [
+//     { "id": "long-busy", "type": "vehicle_status_stale", "minutes": 60, "statuses": ["Busy"] },
+//     { "id": "late", "type": "booking_no_arrival", "minutes": 10 },
+//     { "id": "cancels", "type": "cancellation_spike", "count": 5, "minutes": 15, "zone": "optional zone name" },
+//     { "id": "tracks-quiet", "type": "hook_silent", "hook": "tracks", "minutes": 5 }
+//   ],
+//   "webhook": { "url": "https://...", "headers": { ... } } }
+// Each rule/subject pair has at most one active alert (open or acknowledged); it resolves itself
+// once the condition clears. Notifications go through the forwarding queue as target "alerts".
+const ALERT_RULES_FILE = process.env.ALERT_RULES_FILE || path.join(DATA_DIR, "alert-rules.json");
+const ALERTS_FILE = path.join(DATA_DIR, "alerts.json");
+const ALERT_INTERVAL_MS = Number(process.env.ALERT_INTERVAL_MS || 30000);
+const ALERT_RESOLVED_KEEP = 500;
+const BOOKING_STATE_HOURS = 24;
+
+const ALERT_TYPES = ["vehicle_status_stale", "booking_no_arrival", "cancellation_spike", "hook_silent"];
+
+function readAlertConfig() {
+  const raw = readJsonFile(ALERT_RULES_FILE, {});
+  const rules = (Array.isArray(raw?.rules) ? raw.rules : [])
+    .filter((r) => r && ALERT_TYPES.includes(r.type) && Number(r.minutes) > 0)
+    .map((r, i) => ({ severity: "warning", ...r, id: String(r.id || `${r.type}-${i + 1}`), minutes: Number(r.minutes) }));
+  const webhook = raw?.webhook && isHttpUrl(raw.webhook.url) ? raw.webhook : null;
+  return { rules, webhook };
+}
+
+let alertConfig = readAlertConfig();
+
+const alertsSaved = readJsonFile(ALERTS_FILE, { active: [], resolved: [] });
+const activeAlerts = new Map((alertsSaved.active || []).map((a) => [`${a.ruleId}|${a.key}`, a]));
+let resolvedAlerts = alertsSaved.resolved || [];
+
+// inputs for the booking and cancellation rules
+const bookingState = new Map(); // booking id -> { dispatchedAt, eta, arrivedAt, cancelledAt, zone, lastEventAt }
+let cancellations = []; // { at (ms), zone, bookingId }
+const lastReceivedByHook = new Map();
+
+function saveAlerts() {
+  try {
+    writeJsonFile(ALERTS_FILE, { active: [...activeAlerts.values()], resolved: resolvedAlerts });
+  } catch (err) {
+    console.error("[ALERTS] save failed", err?.message || err);
+  }
+}
+
+function notifyAlert(kind, alert) {
+  const hook = alertConfig.webhook;
+  if (!hook) return;
+  queueDelivery({
+    target: "alerts",
+    url: hook.url,
+    headers: hook.headers,
+    bodyMode: "payload",
+    evt: { id: alert.id, hook: "alerts", receivedAt: new Date().toISOString(), payload: { type: `alert.${kind}`, alert } },
+    inline: true,
+  });
+}
+
+function openAlert(rule, key, subject, message, details) {
+  const id = `${rule.id}|${key}`;
+  const now = new Date().toISOString();
+  const existing = activeAlerts.get(id);
+  if (existing) {
+    existing.message = message;
+    existing.details = details;
+    existing.updatedAt = now;
+    return false;
+  }
+  const alert = {
+    id: crypto.randomUUID(),
+    ruleId: rule.id,
+    type: rule.type,
+    severity: rule.severity,
+    key,
+    subject,
+    message,
+    details,
+    state: "open",
+    openedAt: now,
+    updatedAt: now,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null,
+    resolvedBy: null,
+  };
+  activeAlerts.set(id, alert);
+  console.warn(`[ALERT] ${rule.id}: ${message}`);
+  notifyAlert("opened", alert);
+  return true;
+}
+
+function resolveAlert(mapKey, by = "auto") {
+  const alert = activeAlerts.get(mapKey);
+  if (!alert) return false;
+  activeAlerts.delete(mapKey);
+  alert.state = "resolved";
+  alert.resolvedAt = new Date().toISOString();
+  alert.resolvedBy = by;
+  alert.updatedAt = alert.resolvedAt;
+  resolvedAlerts.unshift(alert);
+  if (resolvedAlerts.length > ALERT_RESOLVED_KEEP) resolvedAlerts.length = ALERT_RESOLVED_KEEP;
+  notifyAlert("resolved", alert);
+  return true;
+}
+
+// Returns the subjects the event may have changed, by rule type, for evaluateAlerts.
+function trackAlertInputs(evt) {
+  lastReceivedByHook.set(evt.hook, evt.receivedAt);
+  const touched = { hook_silent: [evt.hook] };
+
+  const p = evt.payload || {};
+  if (Array.isArray(p.VehicleTracks)) {
+    touched.vehicle_status_stale = p.VehicleTracks.map(vehicleKey).filter(Boolean);
+    return touched;
+  }
+  const id = p.Id ?? p.OriginalBookingId;
+  if (id === undefined || id === null || id === "") return touched;
+  touched.booking_no_arrival = [String(id)];
+
+  const b = bookingState.get(String(id)) || {};
+  if (p.DispatchedAtTime) b.dispatchedAt = p.DispatchedAtTime;
+  if (p.EstimatedPickupTime) b.eta = p.EstimatedPickupTime;
+  if (p.VehicleArrivedAtTime) b.arrivedAt = p.VehicleArrivedAtTime;
+  const zone = asCleanString(p?.Pickup?.Zone?.Name ?? p?.Pickup?.Zone?.Descriptor);
+  if (zone) b.zone = zone;
+  b.lastEventAt = evt.receivedAt;
+
+  if (/cancel/i.test(asCleanString(p.EventType) || evt.hook)) {
+    if (!b.cancelledAt) {
+      cancellations.push({ at: Date.parse(evt.receivedAt), zone: b.zone || "", bookingId: String(id) });
+      touched.cancellation_spike = [b.zone || "(no zone)"];
+    }
+    b.cancelledAt = evt.receivedAt;
+  }
+  bookingState.set(String(id), b);
+  return touched;
+}
+
+// Returns the hits of one rule, over every subject or only those in `keys`.
+const ALERT_CHECKS = {
+  vehicle_status_stale(rule, now, keys) {
+    const statuses = (rule.statuses || []).map((x) => String(x).toLowerCase());
+    const vehicles = keys ? keys.map((k) => vehicleState.get(k)).filter(Boolean) : vehicleState.values();
+    const hits = [];
+    for (const v of vehicles) {
+      if (statuses.length && !statuses.includes(v.status.toLowerCase())) continue;
+      const since = Date.parse(v.lastStatusChangeAt || v.timestamp);
+      const mins = (now - since) / 60000;
+      if (!(mins >= rule.minutes)) continue;
+      hits.push({
+        key: v.key,
+        subject: `CS#${v.callsign || v.key}`,
+        message: `CS#${v.callsign || v.key} has been ${v.status || "(no status)"} for ${Math.floor(mins)} min`,
+        details: { vehicleId: v.vehicleId, callsign: v.callsign, status: v.status, since: v.lastStatusChangeAt },
+      });
+    }
+    return hits;
+  },
+
+  booking_no_arrival(rule, now, keys) {
+    const bookings = keys ? keys.filter((k) => bookingState.has(k)).map((k) => [k, bookingState.get(k)]) : bookingState;
+    const hits = [];
+    for (const [id, b] of bookings) {
+      if (!b.dispatchedAt || b.arrivedAt || b.cancelledAt || !b.eta) continue;
+      const lateMins = (now - Date.parse(b.eta)) / 60000;
+      if (!(lateMins >= rule.minutes)) continue;
+      hits.push({
+        key: id,
+        subject: `Booking ${id}`,
+        message: `Booking ${id} dispatched but no arrival ${Math.floor(lateMins)} min after the estimated pickup`,
+        details: { bookingId: id, dispatchedAt: b.dispatchedAt, estimatedPickupTime: b.eta, zone: b.zone || "" },
+      });
+    }
+    return hits;
+  },
+
+  cancellation_spike(rule, now, keys) {
+    const count = Number(rule.count || 1);
+    const byZone = new Map();
+    for (const c of cancellations) {
+      if (now - c.at > rule.minutes * 60000) continue;
+      if (rule.zone && c.zone !== rule.zone) continue;
+      const z = rule.zone ? rule.zone : c.zone || "(no zone)";
+      if (keys && !keys.includes(z)) continue;
+      byZone.set(z, (byZone.get(z) || 0) + 1);
+    }
+    const hits = [];
+    for (const [zone, n] of byZone) {
+      if (n <= count) continue;
+      hits.push({
+        key: zone,
+        subject: `Zone ${zone}`,
+        message: `${n} cancellations in ${zone} within ${rule.minutes} min (limit ${count})`,
+        details: { zone, cancellations: n },
+      });
+    }
+    return hits;
+  },
+
+  hook_silent(rule, now, keys) {
+    const hooks = keys ? keys.filter((h) => !rule.hook || h === rule.hook) : rule.hook ? [rule.hook] : store.listHooks();
+    const hits = [];
+    for (const h of hooks) {
+      const last = lastReceivedByHook.get(h);
+      const mins = last ? (now - Date.parse(last)) / 60000 : Infinity;
+      if (!(mins >= rule.minutes)) continue;
+      hits.push({
+        key: h,
+        subject: `/${h}`,
+        message: last ? `/${h} received nothing for ${Math.floor(mins)} min` : `/${h} has not received anything yet`,
+        details: { hook: h, lastReceivedAt: last || null },
+      });
+    }
+    return hits;
+  },
+};
+
+// Every rule over every subject, or with `touched` (from trackAlertInputs) only the subjects an
+// event changed; the ALERT_INTERVAL_MS sweep catches what time alone opens or resolves.
+function evaluateAlerts(touched = null) {
+  const now = Date.now();
+  let changed = false;
+
+  for (const rule of alertConfig.rules) {
+    const keys = touched ? touched[rule.type] : null;
+    if (touched && !keys?.length) continue;
+    const holding = new Set();
+    for (const hit of ALERT_CHECKS[rule.type](rule, now, keys)) {
+      holding.add(`${rule.id}|${hit.key}`);
+      if (openAlert(rule, hit.key, hit.subject, hit.message, hit.details)) changed = true;
+    }
+    for (const [mapKey, a] of [...activeAlerts]) {
+      if (a.ruleId !== rule.id || holding.has(mapKey) || (keys && !keys.includes(a.key))) continue;
+      if (resolveAlert(mapKey)) changed = true;
+    }
+  }
+
+  // alerts whose rule was removed from the config
+  const ruleIds = new Set(alertConfig.rules.map((r) => r.id));
+  for (const [mapKey, a] of touched ? [] : [...activeAlerts]) {
+    if (!ruleIds.has(a.ruleId) && resolveAlert(mapKey, "rule removed")) changed = true;
+  }
+
+  if (changed) saveAlerts();
+}
+
+function pruneAlertInputs() {
+  const cutoff = Date.now() - BOOKING_STATE_HOURS * 3600000;
+  for (const [id, b] of bookingState) if (Date.parse(b.lastEventAt) < cutoff) bookingState.delete(id);
+  const maxWindow = Math.max(0, ...alertConfig.rules.filter((r) => r.type === "cancellation_spike").map((r) => r.minutes));
+  cancellations = cancellations.filter((c) => Date.now() - c.at <= maxWindow * 60000);
+}
+
+// Rebuilds the booking/cancellation/hook inputs from the last day of stored events, in the order
+// they arrived: at startup and after an import.
+function restoreAlertInputs() {
+  bookingState.clear();
+  cancellations = [];
+  lastReceivedByHook.clear();
+  const after = new Date(Date.now() - BOOKING_STATE_HOURS * 3600000).toISOString();
+  for (const evt of store.iterateSince(store.listHooks(), after)) trackAlertInputs(evt);
+  for (const h of store.listHooks()) {
+    if (lastReceivedByHook.has(h)) continue;
+    store.forEach([h], (evt) => {
+      lastReceivedByHook.set(h, evt.receivedAt);
+      return false;
+    });
+  }
+  pruneAlertInputs();
+}
+
+restoreAlertInputs();
+
+eventBus.on("stored", (evt) => evaluateAlerts(trackAlertInputs(evt)));
+setInterval(() => {
+  pruneAlertInputs();
+  evaluateAlerts();
+}, ALERT_INTERVAL_MS);
+
+// ---- Stats ----
+// GET /api/stats aggregates the events matching the usual filters (hook, q/field/value, before/after):
+//   groupBy   up to 3 comma-separated JSON paths, resolved with getByPath ("hook", "payload.Pickup.Zone.Name")
+//   interval  1m | 5m | 15m | hour | day | week: UTC time buckets of timeField (default receivedAt)
+//   metric    avg|sum|min|max:<path>, comma-separated; "<path>-<path>" is a difference, in minutes
+//             when both sides are dates (payload.VehicleArrivedAtTime-payload.DispatchedAtTime)
+//   distinct  path; only the newest matching event per value is counted (payload.Id = per booking)
+//   top       groups kept per bucket, largest count first (default 50)
+const STATS_INTERVALS = { "1m": 60e3, "5m": 300e3, "15m": 900e3, hour: 3600e3, day: 86400e3, week: 7 * 86400e3 };
+const STATS_AGGREGATES = ["avg", "sum", "min", "max"];
+const WEEK_OFFSET_MS = 4 * 86400e3; // epoch was a Thursday; weeks start on Monday
+
+function parseStatsMetrics(s) {
+  const metrics = [];
+  for (const raw of (s || "").split(",").map((x) => x.trim()).filter(Boolean)) {
+    if (raw === "count") continue;
+    const idx = raw.indexOf(":");
+    const agg = idx > 0 ? raw.slice(0, idx) : "";
+    const expr = raw.slice(idx + 1);
+    if (!STATS_AGGREGATES.includes(agg) || !expr) {
+      return { error: `Invalid metric "${raw}" (expected avg|sum|min|max:<path>)` };
+    }
+    const [pathA, pathB, ...rest] = expr.split("-").map((x) => x.trim());
+    if (!pathA || pathB === "" || rest.length) return { error: `Invalid metric "${raw}"` };
+    metrics.push({ name: raw, agg, pathA, pathB: pathB ?? null });
+  }
+  return { metrics };
+}
+
+function statsNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v === "string" && /^\s*-?\d+(\.\d+)?\s*$/.test(v)) return Number(v);
+  return null;
+}
+
+function statsMetricValue(evt, m) {
+  const a = getByPath(evt, m.pathA);
+  if (m.pathB === null) return statsNumber(a);
+  const b = getByPath(evt, m.pathB);
+  const na = statsNumber(a);
+  const nb = statsNumber(b);
+  if (na !== null && nb !== null) return na - nb;
+  const ms = msBetween(b, a);
+  return ms === null ? null : ms / 60000;
+}
+
+function statsGroupValue(v) {
+  if (v === undefined || v === null || v === "") return "(none)";
+  return typeof v === "object" ? stringifySafe(v) : String(v);
+}
+
+function statsBucket(ms, interval) {
+  const size = STATS_INTERVALS[interval];
+  if (interval === "week") return new Date(Math.floor((ms - WEEK_OFFSET_MS) / size) * size + WEEK_OFFSET_MS).toISOString();
+  return new Date(Math.floor(ms / size) * size).toISOString();
+}
+
+// every matching event, newest first and read one at a time; the search index reaches the full
+// history even unfiltered. Returns whether the index was used.
+function eachMatchingEvent(hooks, { filter, range }, fn) {
+  const indexed = searchIndex.ready;
+  const events = indexed ? searchIndex.iterate(hooks, { ...filter, range }) : matchingEvents(hooks, { filter, range });
+  for (const evt of events) fn(evt);
+  return indexed;
+}
+
+function computeStats(hooks, { filter, range, groupBy, interval, timeField, metrics, distinct, top, redact = (evt) => evt }) {
+  const buckets = new Map(); // bucket -> group key -> row
+  const seen = new Set();
+  let total = 0;
+
+  const indexed = eachMatchingEvent(hooks, { filter, range }, (stored) => {
+    const evt = redact(stored);
+    if (distinct) {
+      const d = getByPath(evt, distinct);
+      if (d === undefined || d === null || d === "") return;
+      const k = stringifySafe(d);
+      if (seen.has(k)) return;
+      seen.add(k);
+    }
+
+    let bucket = null;
+    if (interval) {
+      const ms = Date.parse(getByPath(evt, timeField));
+      if (!Number.isFinite(ms)) return;
+      bucket = statsBucket(ms, interval);
+    }
+    total++;
+
+    const keys = groupBy.map((p) => statsGroupValue(getByPath(evt, p)));
+    const groupKey = JSON.stringify(keys);
+    if (!buckets.has(bucket)) buckets.set(bucket, new Map());
+    const groups = buckets.get(bucket);
+    let row = groups.get(groupKey);
+    if (!row) {
+      row = { bucket, keys, count: 0, acc: metrics.map(() => ({ n: 0, sum: 0, min: Infinity, max: -Infinity })) };
+      groups.set(groupKey, row);
+    }
+    row.count++;
+    metrics.forEach((m, i) => {
+      const v = statsMetricValue(evt, m);
+      if (v === null) return;
+      const a = row.acc[i];
+      a.n++;
+      a.sum += v;
+      if (v < a.min) a.min = v;
+      if (v > a.max) a.max = v;
+    });
+  });
+
+  const rows = [];
+  let truncated = false;
+  const bucketKeys = [...buckets.keys()].sort((a, b) => (a === b ? 0 : a < b ? -1 : 1));
+  for (const b of bucketKeys) {
+    const groups = [...buckets.get(b).values()].sort((x, y) => y.count - x.count);
+    if (groups.length > top) truncated = true;
+    for (const row of groups.slice(0, top)) {
+      const values = {};
+      metrics.forEach((m, i) => {
+        const a = row.acc[i];
+        if (!a.n) values[m.name] = null;
+        else if (m.agg === "avg") values[m.name] = Math.round((a.sum / a.n) * 100) / 100;
+        else if (m.agg === "sum") values[m.name] = Math.round(a.sum * 100) / 100;
+        else values[m.name] = m.agg === "min" ? a.min : a.max;
+      });
+      rows.push({ bucket: row.bucket, keys: row.keys, count: row.count, metrics: values });
+    }
+  }
+
+  return { total, rows, truncated, indexed };
+}
+
+// ---- Schema registry ----
+// Per hook, a JSON Schema (subset: type, properties, required, items) inferred from recent payloads
+// can be pinned. Incoming payloads on a hook with a pinned schema are validated and the result is
+// stored on the event as `schema: { valid, issues: [{ path, kind, expected, seen }] }`:
+//   missing  a required field is absent          (invalid)
+//   type     a field has a type the schema lacks (invalid)
+//   new      a field the schema doesn't list     (still valid, but reported as drift)
+// Every finding is also counted per day in a drift report, kept in $DATA_DIR/schemas.json.
+const SCHEMAS_FILE = path.join(DATA_DIR, "schemas.json");
+const SCHEMA_SAMPLE = Number(process.env.SCHEMA_SAMPLE || 200);
+const SCHEMA_ISSUES_PER_EVENT = 50;
+const SCHEMA_DRIFT_DAYS = 30;
+const SCHEMA_SAVE_MS = 10000;
+
+// hook -> { pinned, pinnedAt, pinnedBy, sample, validated, invalid, drift: { "kind|path": finding } }
+const schemaRegistry = new Map(Object.entries(readJsonFile(SCHEMAS_FILE, {}).hooks || {}));
+let schemasDirty = false;
+
+function saveSchemas() {
+  if (!schemasDirty) return;
+  schemasDirty = false;
+  writeJsonFile(SCHEMAS_FILE, { hooks: Object.fromEntries(schemaRegistry) });
+}
+
+function jsonType(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v === "object" ? "object" : typeof v;
+}
+
+function addToShape(shape, v) {
+  const t = jsonType(v);
+  shape.types.add(t);
+  if (t === "object") {
+    shape.objects++;
+    shape.props ??= new Map();
+    for (const [k, child] of Object.entries(v)) {
+      if (!shape.props.has(k)) shape.props.set(k, { types: new Set(), objects: 0, seen: 0 });
+      const p = shape.props.get(k);
+      p.seen++;
+      addToShape(p, child);
+    }
+  } else if (t === "array") {
+    shape.items ??= { types: new Set(), objects: 0, seen: 0 };
+    for (const item of v) addToShape(shape.items, item);
+  }
+}
+
+function shapeToSchema(shape) {
+  const types = [...shape.types].sort();
+  const schema = { type: types.length === 1 ? types[0] : types };
+  if (shape.props) {
+    schema.properties = {};
+    const required = [];
+    for (const [k, p] of [...shape.props].sort(([a], [b]) => a.localeCompare(b))) {
+      schema.properties[k] = shapeToSchema(p);
+      if (p.seen === shape.objects) required.push(k);
+    }
+    schema.required = required;
+  }
+  if (shape.items && shape.items.types.size) schema.items = shapeToSchema(shape.items);
+  return schema;
+}
+
+// schema that accepts every payload given; fields present in all of them are required
+function inferSchema(payloads) {
+  const shape = { types: new Set(), objects: 0, seen: 0 };
+  for (const p of payloads) addToShape(shape, p);
+  return shapeToSchema(shape);
+}
+
+// issues (deduplicated by kind + path) of `value` against `schema`; array items show up as "[]" in paths
+function validateSchema(schema, value, pathStr = "", issues = new Map()) {
+  const types = [].concat(schema?.type ?? []);
+  const t = jsonType(value);
+  const at = pathStr || "(payload)";
+  if (types.length && !types.includes(t) && !(t === "number" && types.includes("integer") && Number.isInteger(value))) {
+    if (!issues.has(`type|${at}`)) issues.set(`type|${at}`, { path: at, kind: "type", expected: types.join("|"), seen: t });
+    return issues;
+  }
+  if (t === "object" && schema.properties) {
+    for (const k of schema.required || []) {
+      const p = pathStr ? `${pathStr}.${k}` : k;
+      if (!(k in value) && !issues.has(`missing|${p}`)) issues.set(`missing|${p}`, { path: p, kind: "missing" });
+    }
+    for (const [k, v] of Object.entries(value)) {
+      const p = pathStr ? `${pathStr}.${k}` : k;
+      if (schema.properties[k]) validateSchema(schema.properties[k], v, p, issues);
+      else if (!issues.has(`new|${p}`)) issues.set(`new|${p}`, { path: p, kind: "new", seen: jsonType(v) });
+    }
+  }
+  if (t === "array" && schema.items) {
+    for (const item of value) validateSchema(schema.items, item, `${pathStr}[]`, issues);
+  }
+  return issues;
+}
+
+// { valid, issues } for a hook with a pinned schema, otherwise null
+function checkSchema(hook, payload) {
+  const entry = schemaRegistry.get(hook);
+  if (!entry?.pinned) return null;
+  const issues = [...validateSchema(entry.pinned, payload).values()];
+  return {
+    valid: !issues.some((i) => i.kind !== "new"),
+    issues: issues.slice(0, SCHEMA_ISSUES_PER_EVENT),
+  };
+}
+
+function recordSchemaResult(evt) {
+  const entry = schemaRegistry.get(evt.hook);
+  if (!entry?.pinned || !evt.schema) return;
+  entry.validated = (entry.validated || 0) + 1;
+  if (!evt.schema.valid) entry.invalid = (entry.invalid || 0) + 1;
+
+  const day = evt.receivedAt.slice(0, 10);
+  entry.drift ??= {};
+  for (const issue of evt.schema.issues) {
+    const key = `${issue.kind}|${issue.path}`;
+    const f = (entry.drift[key] ??= { ...issue, count: 0, firstSeen: evt.receivedAt, days: {} });
+    f.count++;
+    f.seen = issue.seen ?? f.seen;
+    f.lastSeen = evt.receivedAt;
+    f.lastEventId = evt.id;
+    f.days[day] = (f.days[day] || 0) + 1;
+    const days = Object.keys(f.days).sort();
+    for (const d of days.slice(0, Math.max(0, days.length - SCHEMA_DRIFT_DAYS))) delete f.days[d];
+  }
+  schemasDirty = true;
+}
+
+// the newest SCHEMA_SAMPLE payloads of a hook
+function recentPayloads(hook) {
+  const payloads = [];
+  store.forEach([hook], (evt) => {
+    payloads.push(evt.payload);
+    return payloads.length < SCHEMA_SAMPLE;
+  });
+  return payloads;
+}
+
+function schemaView(hook) {
+  const entry = schemaRegistry.get(hook) || {};
+  const drift = Object.values(entry.drift || {}).sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1));
+  return {
+    hook,
+    pinned: entry.pinned || null,
+    pinnedAt: entry.pinnedAt || null,
+    pinnedBy: entry.pinnedBy || null,
+    sample: entry.sample || 0,
+    validated: entry.validated || 0,
+    invalid: entry.invalid || 0,
+    drift,
+  };
+}
+
+eventBus.on("stored", recordSchemaResult);
+setInterval(saveSchemas, SCHEMA_SAVE_MS);
+
+function parseIncomingPayload(body) {
+  let payload = body;
+
+  if (typeof payload === "string") {
+    const trimmed = payload.trim();
+    if (trimmed) {
+      try {
+        payload = JSON.parse(trimmed);
+      } catch {
+        payload = { _raw: payload };
+      }
+    } else {
+      payload = { _empty: true };
+    }
+  }
+  if (payload == null) payload = { _empty: true };
+  return payload;
+}
+
+function quarantineEvent(hook, payload, meta, reason) {
+  const evt = {
+    id: crypto.randomUUID(),
+    hook,
+    receivedAt: new Date().toISOString(),
+    reason,
+    meta,
+    payload,
+  };
+  try {
+    fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+    fs.appendFileSync(quarantineFile(hook), encodeRecord(evt) + "\n");
+  } catch (err) {
+    console.error("[QUARANTINE] write failed", err?.message || err);
+  }
+  return evt;
+}
+
+// ---- Deduplication ----
+// Autocab retries a delivery it thinks failed. With a dedup key configured, a delivery whose key was
+// already seen on the hook within the window is stored flagged { duplicateOf: <original id> } and
+// answered with the original id; lists, stats and exports leave those out unless asked
+// (?duplicates=show|only). The store counts those records onto the original as duplicates:
+// { count, lastAt }. Keys, per hook in the config file or for all hooks via DEDUP_KEY:
+//   "header:Idempotency-Key"   the header's value
+//   "fields:Id,EventType,DispatchedAtTime"   hash of those payload paths
+//   "body"                      hash of the raw body
+// e.g. { "hooks": { "bookings": { "dedup": { "key": "fields:Id,EventType,DispatchedAtTime", "windowMinutes": 60 } } } }
+const DEDUP_KEY = (process.env.DEDUP_KEY || "").trim();
+const DEDUP_WINDOW_MINUTES = Number(process.env.DEDUP_WINDOW_MINUTES || 60);
+const DUPLICATE_MODES = ["hide", "show", "only"];
+
+const dedupSeen = new Map(); // hook -> Map(key -> { id, at }), oldest first
+
+// { kind, arg, windowMs } or null when the hook has no dedup
+function dedupFor(hook) {
+  const cfg = getHookConfig(hook).dedup;
+  const spec = typeof cfg === "string" ? { key: cfg } : cfg || {};
+  const key = (spec.key ?? DEDUP_KEY).toString().trim();
+  if (!key) return null;
+  const idx = key.indexOf(":");
+  const kind = idx < 0 ? key : key.slice(0, idx);
+  if (!["header", "fields", "body"].includes(kind)) return null;
+  return {
+    kind,
+    arg: idx < 0 ? "" : key.slice(idx + 1).trim(),
+    windowMs: Number(spec.windowMinutes ?? DEDUP_WINDOW_MINUTES) * 60e3,
+  };
+}
+
+function dedupKeyFor(hook, req, payload) {
+  const spec = dedupFor(hook);
+  if (!spec) return null;
+  const hash = (s) => crypto.createHash("sha256").update(s).digest("hex").slice(0, 32);
+  if (spec.kind === "header") {
+    const v = req.headers[spec.arg.toLowerCase()];
+    return v ? `header:${v}` : null;
+  }
+  if (spec.kind === "fields") {
+    const values = spec.arg.split(",").map((p) => getByPath(payload, p.trim()));
+    return values.every((v) => v === undefined) ? null : `fields:${hash(JSON.stringify(values))}`;
+  }
+  return `body:${hash(req.rawBody?.length ? req.rawBody : JSON.stringify(payload))}`;
+}
+
+function seenKeys(hook) {
+  if (!dedupSeen.has(hook)) dedupSeen.set(hook, new Map());
+  return dedupSeen.get(hook);
+}
+
+function pruneSeen(hook, now = Date.now()) {
+  const spec = dedupFor(hook);
+  const seen = seenKeys(hook);
+  for (const [key, s] of seen) {
+    if (spec && now - s.at < spec.windowMs) break;
+    seen.delete(key);
+  }
+}
+
+// the original event id when `key` was already seen within the hook's window
+function findOriginal(hook, key) {
+  pruneSeen(hook);
+  return seenKeys(hook).get(key)?.id || null;
+}
+
+function rememberKey(evt) {
+  if (!evt.dedupKey) return;
+  seenKeys(evt.hook).set(evt.dedupKey, { id: evt.id, at: Date.parse(evt.receivedAt) });
+}
+
+function forgetDedupKeys(hook) {
+  if (hook === "*") dedupSeen.clear();
+  else dedupSeen.delete(hook);
+}
+
+// ?duplicates= on the list, stats and export endpoints
+function parseDuplicatesMode(v) {
+  const mode = (v || "hide").toString().trim().toLowerCase();
+  return DUPLICATE_MODES.includes(mode) ? mode : "hide";
+}
+
+function duplicateMatches(evt, mode = "hide") {
+  if (mode === "show") return true;
+  return Boolean(evt.duplicateOf) === (mode === "only");
+}
+
+// keys seen within the window survive a restart
+for (const hook of store.listHooks()) {
+  const spec = dedupFor(hook);
+  if (!spec) continue;
+  const seen = [];
+  for (const evt of store.iterate([hook], { after: new Date(Date.now() - spec.windowMs).toISOString() })) {
+    if (evt.dedupKey) seen.push(evt);
+  }
+  for (const evt of seen.reverse()) rememberKey(evt);
+}
+
+// ---- Response rules ----
+// Per-hook "responses" in the hooks file change what POST /:hook answers, to test how a sender retries:
+//   "responses": [
+//     { "name": "slow", "filter": "EventType:Dispatched", "delayMs": [500, 3000] },
+//     { "name": "flaky", "percent": 30, "status": 503, "headers": { "Retry-After": "5" } },
+//     { "status": 202, "body": { "received": "{{id}}" } } ]
+// The first rule whose filter matches (and that wins its percent roll) answers; without one the usual 200.
+// Deliveries are stored whatever the answer, and each stored event records it as "response".
+const RESPONSE_MAX_DELAY_MS = Number(process.env.RESPONSE_MAX_DELAY_MS || 60000);
+// set by express or the socket; a rule can't override them
+const RESPONSE_FIXED_HEADERS = new Set(["content-length", "transfer-encoding", "connection"]);
+
+// a message for the first problem in a rule, or null
+function responseRuleError(rule) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) return "must be an object";
+  if (rule.name !== undefined && typeof rule.name !== "string") return "name must be a string";
+  if (rule.filter !== undefined) {
+    if (typeof rule.filter !== "string") return "filter must be a query string";
+    const err = queryError(rule.filter, { regex: false });
+    if (err) return `filter: ${err}`;
+  }
+  if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 200 && rule.status <= 599)) {
+    return "status must be an HTTP status between 200 and 599";
+  }
+  const delays = Array.isArray(rule.delayMs) ? rule.delayMs : rule.delayMs === undefined ? [] : [rule.delayMs];
+  if (delays.length > 2 || (Array.isArray(rule.delayMs) && delays.length !== 2)) return "delayMs must be a number or [min, max]";
+  if (delays.some((d) => !(Number(d) >= 0 && Number(d) <= RESPONSE_MAX_DELAY_MS))) {
+    return `delayMs must be between 0 and ${RESPONSE_MAX_DELAY_MS}`;
+  }
+  if (rule.percent !== undefined && !(Number(rule.percent) >= 0 && Number(rule.percent) <= 100)) {
+    return "percent must be between 0 and 100";
+  }
+  if (rule.headers !== undefined) {
+    if (!rule.headers || typeof rule.headers !== "object" || Array.isArray(rule.headers)) return "headers must be an object";
+    for (const [k, v] of Object.entries(rule.headers)) {
+      if (RESPONSE_FIXED_HEADERS.has(k.toLowerCase()) || !/^[\w!#$%&'*+.^`|~-]+$/.test(k)) return `header "${k}" can't be set`;
+      // what res.setHeader accepts: no CR, LF or other control characters
+      if (!/^[\t\x20-\x7e\x80-\xff]*$/.test(String(v))) return `header "${k}" has an invalid value`;
+    }
+  }
+  return null;
+}
+
+// rule problems as "#<position>: message", for the settings API
+function responseRulesErrors(rules) {
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules)) return ["responses must be an array of rules"];
+  return rules.map((r, i) => responseRuleError(r) && `#${i + 1}: ${responseRuleError(r)}`).filter(Boolean);
+}
+
+// the answer for a delivery: { status, delayMs, headers?, body?, rule? }; invalid rules are skipped
+function pickResponse(hook, evt) {
+  const rules = getHookConfig(hook).responses;
+  if (Array.isArray(rules)) {
+    for (const [i, rule] of rules.entries()) {
+      if (responseRuleError(rule)) continue;
+      if (rule.filter && !eventMatches(evt, { q: rule.filter })) continue;
+      if (rule.percent !== undefined && Math.random() * 100 >= Number(rule.percent)) continue;
+      const [lo, hi] = Array.isArray(rule.delayMs) ? rule.delayMs.map(Number) : [Number(rule.delayMs || 0)];
+      return {
+        status: rule.status || 200,
+        delayMs: hi === undefined ? lo : Math.round(Math.min(lo, hi) + Math.random() * Math.abs(hi - lo)),
+        headers: rule.headers,
+        body: rule.body,
+        rule: rule.name || `#${i + 1}`,
+      };
+    }
+  }
+  return { status: 200, delayMs: 0 };
+}
+
+// what gets stored with the event
+function responseRecord(plan) {
+  return {
+    status: plan.status,
+    ...(plan.delayMs ? { delayMs: plan.delayMs } : {}),
+    ...(plan.rule ? { rule: plan.rule } : {}),
+    ...(plan.paused ? { paused: true } : {}),
+  };
+}
+
+// string leaves of a rule body are templates: {{id}}, {{payload.Id}}, ... but never {{env.*}},
+// which would hand server secrets to whoever can post to the hook
+function renderResponseBody(body, evt) {
+  if (typeof body === "string") return renderTemplate(body, evt, { env: false });
+  if (Array.isArray(body)) return body.map((v) => renderResponseBody(v, evt));
+  if (body && typeof body === "object") {
+    return Object.fromEntries(Object.entries(body).map(([k, v]) => [k, renderResponseBody(v, evt)]));
+  }
+  return body;
+}
+
+function sendHookResponse(res, plan, defaultBody, evt) {
+  const send = () => {
+    // the sender may have given up during the delay
+    if (res.writableEnded || res.destroyed) return;
+    try {
+      for (const [k, v] of Object.entries(plan.headers || {})) res.setHeader(k, String(v));
+      res.status(plan.status);
+      if (plan.body === undefined) return res.json(defaultBody);
+      const body = renderResponseBody(plan.body, evt);
+      if (typeof body !== "string") return res.json(body);
+      if (!res.getHeader("content-type")) res.type("text/plain");
+      res.send(body);
+    } catch (err) {
+      // the event is stored either way; answer as if there were no rule rather than failing the delivery
+      console.error(`[RESPONSE] rule ${plan.rule || ""} could not be sent:`, err?.message || err);
+      if (res.headersSent) return res.end();
+      for (const k of Object.keys(plan.headers || {})) res.removeHeader(k);
+      res.status(200).json(defaultBody);
+    }
+  };
+  if (plan.delayMs > 0) setTimeout(send, plan.delayMs);
+  else send();
+}
+
+// ---- Webhook receiver ----
+const RESERVED_HOOKS = new Set(["api", "dashboard", "login", "logout"]);
+
+const discardedByHook = new Map(); // hook -> { count, lastAt }, deliveries dropped while paused
+
+function pauseMode(hook) {
+  const mode = getHookConfig(hook).pauseMode;
+  return PAUSE_MODES.includes(mode) ? mode : "discard";
+}
+
+app.post("/:hook", (req, res) => {
+  const hook = (req.params.hook || "").trim();
+
+  // prevent collisions with internal routes
+  if (RESERVED_HOOKS.has(hook)) {
+    return res.status(404).json({ ok: false, error: "Unknown webhook" });
+  }
+
+  if (!isHookAllowed(hook)) {
+    return res.status(404).json({ ok: false, error: "Unknown webhook" });
+  }
+
+  // a chunked body smaller than the global limit can still be over this hook's
+  if ((req.rawBody?.length || 0) > ingestPolicy(hook).maxBodyBytes) {
+    return rejectDelivery(res, hook, req.ip, 413, "payload_too_large", "Payload too large");
+  }
+
+  const meta = {
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || null,
+    contentType: req.headers["content-type"] || null,
+  };
+
+  const payload = redactIngest(hook, parseIncomingPayload(req.body));
+
+  const sig = verifySignature(hook, req);
+  if (!sig.ok) {
+    recordRejection(hook, sig.reason, meta.ip);
+    if (QUARANTINE_REJECTED) quarantineEvent(hook, payload, meta, sig.reason);
+    return res.status(401).json({ ok: false, error: "Invalid signature", reason: sig.reason });
+  }
+
+  const paused = hookState(hook) === "paused";
+  if (paused && pauseMode(hook) === "discard") {
+    const cur = discardedByHook.get(hook) || { count: 0, lastAt: null };
+    cur.count++;
+    cur.lastAt = new Date().toISOString();
+    discardedByHook.set(hook, cur);
+    return res.status(200).json({ ok: true, hook, paused: true, stored: false });
+  }
+  // paused in "store" mode keeps the delivery but asks the sender to retry; response rules don't apply
+  let plan;
+  if (paused) {
+    plan = { status: 503, delayMs: 0, paused: true };
+  } else {
+    const probe = { hook, receivedAt: new Date().toISOString(), meta, payload };
+    probe.model = normalizeEvent(probe);
+    plan = pickResponse(hook, probe);
+  }
+  const response = responseRecord(plan);
+  const reply = (body, evt) => {
+    if (plan.paused) body = { ...body, ok: false, error: "Webhook paused", paused: true };
+    else if (plan.status >= 400) body = { ...body, ok: false, error: "Simulated failure" };
+    sendHookResponse(res, plan, body, evt);
+  };
+
+  const dedupKey = dedupKeyFor(hook, req, payload);
+  const originalId = dedupKey ? findOriginal(hook, dedupKey) : null;
+  if (originalId) {
+    const dup = storeEvent(hook, payload, meta, { duplicateOf: originalId, response });
+    // templates answer with the original's id, as the default body does; {{duplicateId}} is this delivery's record
+    return reply({ ok: true, id: originalId, hook, duplicate: true }, { ...dup, id: originalId, duplicateId: dup.id });
+  }
+
+  const schema = checkSchema(hook, payload);
+  const evt = storeEvent(hook, payload, meta, {
+    ...(schema ? { schema } : {}),
+    ...(dedupKey ? { dedupKey } : {}),
+    response,
+  });
+  rememberKey(evt);
+  reply({ ok: true, id: evt.id, hook: evt.hook }, evt);
+});
+
+// ---- API ----
+app.get("/api/hooks", (req, res) => {
+  const hooks = new Set(store.listHooks().concat(Object.keys(hooksConfig).filter((h) => isHookAllowed(h))));
+  const names = {};
+  for (const h of hooks) if (getHookConfig(h).displayName) names[h] = getHookConfig(h).displayName;
+  res.json({ ok: true, hooks: ["*"].concat([...hooks].sort((a, b) => a.localeCompare(b))), names });
+});
+
+// rejected deliveries (bad/missing signatures, IP allowlist, rate limits, body size)
+app.get("/api/rejections", (req, res) => {
+  const hooks = {};
+  const byReason = {};
+  let total = 0;
+  for (const [h, r] of rejectedByHook) {
+    hooks[h] = r;
+    total += r.total;
+    for (const [reason, n] of Object.entries(r.byReason)) byReason[reason] = (byReason[reason] || 0) + n;
+  }
+  res.json({ ok: true, total, byReason, hooks });
+});
+
+// quarantined (rejected) deliveries for debugging senders
+app.get("/api/quarantine/:hook", (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+
+  const limit = parseLimit(req.query.limit);
+  const file = quarantineFile(hook);
+  let items = [];
+  if (fs.existsSync(file)) {
+    try {
+      items = fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(decodeLine).filter(Boolean);
+    } catch (err) {
+      if (!err.encryptionKey) throw err;
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+    items = items.reverse().map(readRedactor(req.user));
+  }
+  res.json({
+    ok: true,
+    hook,
+    count: items.length,
+    items: limit === 0 ? items : items.slice(0, Math.min(5000, limit)),
+  });
+});
+
+// Provide list of common fields for dropdown (UI)
+app.get("/api/fields", (req, res) => {
+  res.json({
+    ok: true,
+    fields: [
+      { label: "Any field (recommended)", value: "any" },
+      { label: "Full text (entire JSON)", value: "fulltext" },
+      ...COMMON_FIELDS.map((f) => ({ label: f.label, value: f.path })),
+    ],
+  });
+});
+
+// one hook events
+app.get("/api/hooks/:hook", (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+
+  const q = normalizeQ(req.query.q);
+  const field = (req.query.field || "").toString();
+  const value = (req.query.value || "").toString();
+  const duplicates = parseDuplicatesMode(req.query.duplicates);
+  const limit = parsePageSize(req.query.limit);
+  const range = parseRange(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const qError = queryError(q);
+  if (qError) return res.status(400).json({ ok: false, error: qError });
+
+  const redact = readRedactor(req.user);
+  const { count, items: found, hasMore, nextCursor, indexed } = queryEvents([hook], {
+    filter: { q, field, value, duplicates, redact },
+    limit,
+    range,
+  });
+  const items = found.map((evt) => withSummary(redact(evt)));
+
+  res.json({
+    ok: true,
+    scope: hook,
+    q,
+    field,
+    value,
+    duplicates,
+    before: range.before,
+    after: range.after,
+    count,
+    hasMore,
+    indexed,
+    nextCursor,
+    items,
+  });
+});
+
+app.get("/api/hooks/:hook/:id", (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+
+  const stored = findEvent(hook, req.params.id);
+  if (!stored) return res.status(404).json({ ok: false, error: "Not found" });
+  const item = readRedactor(req.user)(stored);
+  // detail: the adapter's sections for the dashboard's Details tab
+  res.json({ ok: true, item: { ...item, model: eventModel(item) }, detail: eventDetail(item) });
+});
+
+// all hooks combined
+app.get("/api/events", (req, res) => {
+  const q = normalizeQ(req.query.q);
+  const field = (req.query.field || "").toString();
+  const value = (req.query.value || "").toString();
+  const duplicates = parseDuplicatesMode(req.query.duplicates);
+  const limit = parsePageSize(req.query.limit);
+  const range = parseRange(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const qError = queryError(q);
+  if (qError) return res.status(400).json({ ok: false, error: qError });
+
+  const redact = readRedactor(req.user);
+  const { count, items: found, hasMore, nextCursor, indexed } = queryEvents(store.listHooks(), {
+    filter: { q, field, value, duplicates, redact },
+    limit,
+    range,
+  });
+  const items = found.map((evt) => withSummary(redact(evt)));
+
+  res.json({
+    ok: true,
+    scope: "*",
+    q,
+    field,
+    value,
+    duplicates,
+    before: range.before,
+    after: range.after,
+    count,
+    hasMore,
+    indexed,
+    nextCursor,
+    items,
+  });
+});
+
+// live stream (SSE) of newly stored events, same filters as the list endpoints. Message ids are
+// cursors: a client reconnecting with Last-Event-ID first gets the matching events it missed,
+// oldest first, up to STREAM_RESUME_MAX (the dashboard fills in anything beyond that itself).
+const STREAM_RESUME_MAX = 1000;
+
+app.get("/api/stream", (req, res) => {
+  const scope = (req.query.hook || "*").toString().trim();
+  if (scope !== "*" && !isHookAllowed(scope)) return res.status(404).json({ ok: false, error: "Not found" });
+
+  const q = normalizeQ(req.query.q);
+  const field = (req.query.field || "").toString();
+  const value = (req.query.value || "").toString();
+  const duplicates = parseDuplicatesMode(req.query.duplicates);
+  const filtered = Boolean(q || value.trim());
+  const redact = readRedactor(req.user);
+  const qError = queryError(q);
+  if (qError) return res.status(400).json({ ok: false, error: qError });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  // true when the event was sent
+  const onStored = (evt) => {
+    if (scope !== "*" && evt.hook !== scope) return false;
+    if (!isHookAllowed(evt.hook)) return false;
+    if (!duplicateMatches(evt, duplicates)) return false;
+    const shown = redact(evt);
+    if (filtered && !eventMatches(shown, { q, field, value })) return false;
+    res.write(`id: ${encodeCursor(evt)}\nevent: event\ndata: ${JSON.stringify(withSummary(shown))}\n\n`);
+    return true;
+  };
+
+  const resume = decodeCursor((req.headers["last-event-id"] || "").toString());
+  if (resume && Number.isFinite(Date.parse(resume.t))) {
+    let sent = 0;
+    // from just before the cursor's time: events in the same millisecond sort by id
+    const after = new Date(Date.parse(resume.t) - 1).toISOString();
+    for (const evt of store.iterateSince(scope === "*" ? store.listHooks() : [scope], after)) {
+      if (evt.receivedAt === resume.t && evt.id <= resume.id) continue;
+      if (onStored(evt) && ++sent >= STREAM_RESUME_MAX) break;
+    }
+  }
+  eventBus.on("stored", onStored);
+  eventBus.on("duplicate", onStored);
+
+  // keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventBus.off("stored", onStored);
+    eventBus.off("duplicate", onStored);
+  });
+});
+
+// ---- Forwarding API ----
+function forwardTargets() {
+  const targets = [];
+  const hooks = new Set(store.listHooks().concat(Object.keys(hooksConfig)));
+  for (const hook of hooks) {
+    for (const r of forwardRules(hook)) {
+      targets.push({
+        name: r.name,
+        hook,
+        url: r.url,
+        filter: r.filter || "",
+        filterError: r.filter ? queryError(r.filter, { regex: false }) : null,
+        pending: forwardQueue.filter((d) => d.target === r.name).length,
+        ...forwardStats(r.name),
+      });
+    }
+  }
+  if (forwardStatsByTarget.has("replay") || forwardQueue.some((d) => d.target === "replay")) {
+    targets.push({
+      name: "replay",
+      hook: "(replay)",
+      url: "",
+      filter: "",
+      pending: forwardQueue.filter((d) => d.target === "replay").length,
+      ...forwardStats("replay"),
+    });
+  }
+  if (alertConfig.webhook) {
+    targets.push({
+      name: "alerts",
+      hook: "(alerts)",
+      url: alertConfig.webhook.url,
+      filter: "",
+      pending: forwardQueue.filter((d) => d.target === "alerts").length,
+      ...forwardStats("alerts"),
+    });
+  }
+  return targets;
+}
+
+// strip the stored event body from queue/dead-letter listings
+function deliveryView(d) {
+  const { evt, headers, ...rest } = d;
+  return { ...rest, eventId: evt?.id, headerNames: Object.keys(headers || {}) };
+}
+
+app.get("/api/forwarding", (req, res) => {
+  res.json({
+    ok: true,
+    targets: forwardTargets(),
+    queued: forwardQueue.length,
+    deadLetters: forwardDead.length,
+  });
+});
+
+app.get("/api/forwarding/log", (req, res) => {
+  const target = (req.query.target || "").toString();
+  const limit = parsePageSize(req.query.limit);
+  let entries = [];
+  if (target) entries = forwardLogByTarget.get(target) || [];
+  else for (const arr of forwardLogByTarget.values()) entries = entries.concat(arr);
+  entries = entries.slice().sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+  res.json({ ok: true, target: target || "*", items: entries.slice(0, limit) });
+});
+
+app.get("/api/forwarding/queue", (req, res) => {
+  res.json({ ok: true, items: forwardQueue.map(deliveryView) });
+});
+
+app.get("/api/forwarding/dead-letter", (req, res) => {
+  res.json({ ok: true, items: forwardDead.map(deliveryView) });
+});
+
+// put a dead letter back on the queue with a fresh attempt budget
+app.post("/api/forwarding/dead-letter/:id/retry", requireRole("admin"), (req, res) => {
+  const d = forwardDead.find((x) => x.id === req.params.id);
+  if (!d) return res.status(404).json({ ok: false, error: "Not found" });
+
+  forwardDead = forwardDead.filter((x) => x.id !== d.id);
+  const { deadAt, ...delivery } = d;
+  addDelivery({ ...delivery, attempts: 0, nextAttemptAt: Date.now() });
+  saveForwardDead();
+  res.json({ ok: true, id: d.id });
+});
+
+app.delete("/api/forwarding/dead-letter/:id", requireRole("admin"), (req, res) => {
+  const before = forwardDead.length;
+  forwardDead = forwardDead.filter((x) => x.id !== req.params.id);
+  if (forwardDead.length === before) return res.status(404).json({ ok: false, error: "Not found" });
+  saveForwardDead();
+  res.json({ ok: true });
+});
+
+// ---- Booking timeline API ----
+app.get("/api/bookings/:id/timeline", (req, res) => {
+  const id = (req.params.id || "").trim();
+  if (!id) return res.status(400).json({ ok: false, error: "Missing booking id" });
+
+  const timeline = buildBookingTimeline(id, readRedactor(req.user));
+  if (!timeline.eventCount) return res.status(404).json({ ok: false, error: "No events for this booking" });
+  res.json({ ok: true, ...timeline });
+});
+
+// ---- Vehicles API ----
+// ?status=Clear,Busy  ?stale=1|0 (older than staleMinutes, default VEHICLE_STALE_MINUTES)
+app.get("/api/vehicles", (req, res) => {
+  const statuses = (req.query.status || "")
+    .toString()
+    .split(",")
+    .map((x) => x.trim().toLowerCase())
+    .filter(Boolean);
+  const staleParam = (req.query.stale ?? "").toString();
+  const staleMinutes = req.query.staleMinutes != null ? Number(req.query.staleMinutes) : VEHICLE_STALE_MINUTES;
+  if (!Number.isFinite(staleMinutes) || staleMinutes < 0) {
+    return res.status(400).json({ ok: false, error: "Invalid staleMinutes" });
+  }
+
+  const now = Date.now();
+  const redact = readRedactor(req.user);
+  const items = [...vehicleState.values()]
+    .filter((v) => !statuses.length || statuses.includes(v.status.toLowerCase()))
+    .map((v) => ({ ...vehicleView(redactVehicle(v, redact), now), stale: now - Date.parse(v.lastSeenAt) > staleMinutes * 60000 }))
+    .filter((v) => (staleParam === "1" || staleParam === "true" ? v.stale : true))
+    .filter((v) => (staleParam === "0" || staleParam === "false" ? !v.stale : true))
+    .sort((a, b) => a.callsign.localeCompare(b.callsign, undefined, { numeric: true }));
+
+  res.json({ ok: true, staleMinutes, count: items.length, items });
+});
+
+// SSE: one `vehicle` message per state change
+app.get("/api/vehicles/stream", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  const redact = readRedactor(req.user);
+  const onVehicle = (v) => res.write(`event: vehicle\ndata: ${JSON.stringify(redactVehicle(v, redact))}\n\n`);
+  eventBus.on("vehicle", onVehicle);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventBus.off("vehicle", onVehicle);
+  });
+});
+
+// by key, Vehicle.Id or callsign
+app.get("/api/vehicles/:id", (req, res) => {
+  const v = findVehicle(req.params.id);
+  if (!v) return res.status(404).json({ ok: false, error: "Not found" });
+  res.json({ ok: true, item: vehicleView(redactVehicle(v, readRedactor(req.user))) });
+});
+
+// ---- Track history API ----
+// ?vehicle=<Vehicle.Id|callsign> and/or ?booking=<id>, optional ?from/?to (ISO)
+function trackQuery(req) {
+  const vehicle = (req.query.vehicle || "").toString().trim();
+  const booking = (req.query.booking || "").toString().trim();
+  if (!vehicle && !booking) return { error: "Pass vehicle and/or booking" };
+  for (const k of ["from", "to"]) {
+    const v = (req.query[k] || "").toString().trim();
+    if (v && !Number.isFinite(Date.parse(v))) return { error: `Invalid ${k} (expected an ISO date/time)` };
+  }
+  const from = (req.query.from || "").toString().trim();
+  const to = (req.query.to || "").toString().trim();
+  const name = [vehicle && `vehicle-${vehicle}`, booking && `booking-${booking}`].filter(Boolean).join("-");
+  return { vehicle, booking, from, to, name, limit: parseLimit(req.query.limit) };
+}
+
+app.get("/api/track", (req, res) => {
+  const tq = trackQuery(req);
+  if (tq.error) return res.status(400).json({ ok: false, error: tq.error });
+  const { points, truncated } = trackHistory(tq, readRedactor(req.user));
+  res.json({ ok: true, vehicle: tq.vehicle, booking: tq.booking, from: tq.from, to: tq.to, count: points.length, truncated, points });
+});
+
+const TRACK_FORMATS = {
+  gpx: { type: "application/gpx+xml", render: trackToGpx },
+  geojson: { type: "application/geo+json", render: (name, points) => JSON.stringify(trackToGeoJson(name, points)) },
+  kml: { type: "application/vnd.google-earth.kml+xml", render: trackToKml },
+};
+
+app.get("/api/export/track.:format", (req, res) => {
+  const fmt = TRACK_FORMATS[req.params.format];
+  if (!fmt) return res.status(404).send("Not found");
+  const tq = trackQuery(req);
+  if (tq.error) return res.status(400).send(tq.error);
+
+  const { points, truncated } = trackHistory(tq, readRedactor(req.user));
+  const safeName = tq.name.replace(/[^a-zA-Z0-9_.-]/g, "_");
+  if (truncated) res.setHeader("X-Track-Truncated", "1");
+  res.setHeader("Content-Type", `${fmt.type}; charset=utf-8`);
+  res.setHeader("Content-Disposition", `attachment; filename="track-${safeName}.${req.params.format}"`);
+  res.send(fmt.render(tq.name, points));
+});
+
+// ---- Stats API ----
+app.get("/api/stats", (req, res) => {
+  const scope = (req.query.hook || "*").toString().trim();
+  if (scope !== "*" && !isHookAllowed(scope)) return res.status(404).json({ ok: false, error: "Not found" });
+
+  const q = normalizeQ(req.query.q);
+  const field = (req.query.field || "").toString();
+  const value = (req.query.value || "").toString();
+  const duplicates = parseDuplicatesMode(req.query.duplicates);
+  const range = parseRange(req.query);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const qError = queryError(q);
+  if (qError) return res.status(400).json({ ok: false, error: qError });
+
+  const groupBy = (req.query.groupBy || "").toString().split(",").map((s) => s.trim()).filter(Boolean);
+  if (groupBy.length > 3) return res.status(400).json({ ok: false, error: "groupBy takes at most 3 paths" });
+
+  const interval = (req.query.interval || "").toString().trim();
+  if (interval && !STATS_INTERVALS[interval]) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid interval (expected one of ${Object.keys(STATS_INTERVALS).join(", ")})`,
+    });
+  }
+  const timeField = (req.query.timeField || "receivedAt").toString().trim();
+
+  const { metrics, error } = parseStatsMetrics((req.query.metric || "").toString());
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const distinct = (req.query.distinct || "").toString().trim() || null;
+  const top = Math.min(Math.max(Number(req.query.top) || 50, 1), 1000);
+
+  const started = Date.now();
+  const redact = readRedactor(req.user);
+  const stats = computeStats(scope === "*" ? store.listHooks() : [scope], {
+    filter: { q, field, value, duplicates, redact },
+    range,
+    groupBy,
+    interval,
+    timeField,
+    metrics,
+    distinct,
+    top,
+    redact,
+  });
+
+  res.json({
+    ok: true,
+    scope,
+    q,
+    field,
+    value,
+    duplicates,
+    before: range.before,
+    after: range.after,
+    groupBy,
+    interval: interval || null,
+    timeField,
+    metrics: metrics.map((m) => m.name),
+    distinct,
+    tookMs: Date.now() - started,
+    ...stats,
+  });
+});
+
+// ---- Alerts API ----
+// ?state=active (default: open + acknowledged) | open | acknowledged | resolved | all
+app.get("/api/alerts", (req, res) => {
+  const state = (req.query.state || "active").toString();
+  const active = [...activeAlerts.values()].sort((a, b) => (a.openedAt < b.openedAt ? 1 : -1));
+  let items;
+  if (state === "all") items = active.concat(resolvedAlerts);
+  else if (state === "resolved") items = resolvedAlerts;
+  else if (state === "active") items = active;
+  else items = active.filter((a) => a.state === state);
+
+  res.json({
+    ok: true,
+    state,
+    counts: {
+      open: active.filter((a) => a.state === "open").length,
+      acknowledged: active.filter((a) => a.state === "acknowledged").length,
+    },
+    rules: alertConfig.rules,
+    items: items.slice(0, parsePageSize(req.query.limit)),
+  });
+});
+
+function findActiveAlert(id) {
+  for (const [mapKey, a] of activeAlerts) if (a.id === id) return [mapKey, a];
+  return [null, null];
+}
+
+app.post("/api/alerts/:id/ack", (req, res) => {
+  const [, alert] = findActiveAlert(req.params.id);
+  if (!alert) return res.status(404).json({ ok: false, error: "Not found" });
+  if (alert.state !== "acknowledged") {
+    alert.state = "acknowledged";
+    alert.acknowledgedAt = new Date().toISOString();
+    alert.acknowledgedBy = req.user.username;
+    alert.updatedAt = alert.acknowledgedAt;
+    notifyAlert("acknowledged", alert);
+    saveAlerts();
+  }
+  res.json({ ok: true, item: alert });
+});
+
+// manual resolve; the alert reopens on the next evaluation if the condition still holds
+app.post("/api/alerts/:id/resolve", (req, res) => {
+  const [mapKey, alert] = findActiveAlert(req.params.id);
+  if (!alert) return res.status(404).json({ ok: false, error: "Not found" });
+  resolveAlert(mapKey, req.user.username);
+  saveAlerts();
+  res.json({ ok: true, item: alert });
+});
+
+// ---- Schema registry API ----
+app.get("/api/schemas", (req, res) => {
+  const hooks = new Set(store.listHooks().concat([...schemaRegistry.keys()].filter((h) => isHookAllowed(h))));
+  const items = [...hooks].sort((a, b) => a.localeCompare(b)).map((hook) => {
+    const { pinned, drift, ...rest } = schemaView(hook);
+    return { ...rest, pinned: Boolean(pinned), driftFields: drift.length };
+  });
+  res.json({ ok: true, items });
+});
+
+// pinned schema, drift report, and a schema inferred from the newest SCHEMA_SAMPLE payloads to compare
+app.get("/api/schemas/:hook", (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+  const payloads = recentPayloads(hook);
+  res.json({ ok: true, ...schemaView(hook), inferred: payloads.length ? inferSchema(payloads) : null, inferredFrom: payloads.length });
+});
+
+// pin { schema } as given, or infer one from the newest payloads; resets the counters and drift report
+app.post("/api/schemas/:hook/pin", requireRole("admin"), (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+
+  const body = readJsonBody(req);
+  let schema = body.schema;
+  let sample = 0;
+  if (schema !== undefined) {
+    if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+      return res.status(400).json({ ok: false, error: "schema must be a JSON Schema object" });
+    }
+  } else {
+    const payloads = recentPayloads(hook);
+    if (!payloads.length) return res.status(400).json({ ok: false, error: "No stored events to infer a schema from" });
+    schema = inferSchema(payloads);
+    sample = payloads.length;
+  }
+
+  schemaRegistry.set(hook, {
+    pinned: schema,
+    pinnedAt: new Date().toISOString(),
+    pinnedBy: req.user.username,
+    sample,
+    validated: 0,
+    invalid: 0,
+    drift: {},
+  });
+  schemasDirty = true;
+  saveSchemas();
+  res.json({ ok: true, ...schemaView(hook) });
+});
+
+app.post("/api/schemas/:hook/unpin", requireRole("admin"), (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  if (!schemaRegistry.has(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+  schemaRegistry.delete(hook);
+  schemasDirty = true;
+  saveSchemas();
+  res.json({ ok: true, hook });
+});
+
+// ---- Exports ----
+// Streamed newest first with backpressure, so whole date ranges can be pulled without holding them
+// in memory. Gzipped when the client sends Accept-Encoding: gzip.
+const EXPORT_CHUNK_BYTES = 64 * 1024;
+
+// the hook / q / field / value / before / after params every export takes; returns { error, status } on bad input
+function parseExportQuery(req) {
+  const scope = (req.query.hook || "*").toString().trim();
+  const q = normalizeQ(req.query.q);
+  const field = (req.query.field || "").toString();
+  const value = (req.query.value || "").toString();
+  const duplicates = parseDuplicatesMode(req.query.duplicates);
+
+  if (scope !== "*" && !isHookAllowed(scope)) return { error: "Not found", status: 404 };
+  const range = parseRange(req.query);
+  if (range.error) return { error: range.error, status: 400 };
+  const qError = queryError(q);
+  if (qError) return { error: qError, status: 400 };
+
+  const redact = readRedactor(req.user);
+  return {
+    hooks: scope === "*" ? store.listHooks() : [scope],
+    filter: { q, field, value, duplicates, redact },
+    range,
+    redact,
+    basename: `${scope === "*" ? "all-hooks" : scope}${q || value ? "-filtered" : ""}`,
+  };
+}
+
+// exports show what the user may see in the dashboard
+function* exportEvents(x) {
+  for (const evt of matchingEvents(x.hooks, x)) yield x.redact(evt);
+}
+
+function waitForDrain(out, res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      out.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    out.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// head + row(evt, i) for each event + tail, written in chunks; stops early if the client goes away
+async function streamExport(req, res, events, { filename, contentType, head = "", row, tail = "" }) {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Vary", "Accept-Encoding");
+
+  let out = res;
+  if (/\bgzip\b/i.test(req.headers["accept-encoding"] || "")) {
+    res.setHeader("Content-Encoding", "gzip");
+    out = zlib.createGzip();
+    out.pipe(res);
+  }
+
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  try {
+    let chunk = head;
+    let i = 0;
+    for (const evt of events) {
+      chunk += row(evt, i++);
+      if (chunk.length < EXPORT_CHUNK_BYTES) continue;
+      if (!out.write(chunk)) await waitForDrain(out, res);
+      // let ingest and other requests run between chunks even when the client keeps up
+      else await new Promise((resolve) => setImmediate(resolve));
+      chunk = "";
+      if (closed) return;
+    }
+    out.end(chunk + tail);
+  } catch (err) {
+    // headers are gone by now; cutting the connection is the only way to signal a broken file
+    console.error("[EXPORT] failed", err?.message || err);
+    res.destroy();
+  }
+}
+
+app.get("/api/export.ndjson", async (req, res) => {
+  const x = parseExportQuery(req);
+  if (x.error) return res.status(x.status).send(x.error);
+
+  await streamExport(req, res, exportEvents(x), {
+    filename: `${x.basename}.ndjson`,
+    contentType: "application/x-ndjson; charset=utf-8",
+    row: (e) => JSON.stringify(e) + "\n",
+  });
+});
+
+// one JSON array of events
+app.get("/api/export.json", async (req, res) => {
+  const x = parseExportQuery(req);
+  if (x.error) return res.status(x.status).send(x.error);
+
+  await streamExport(req, res, exportEvents(x), {
+    filename: `${x.basename}.json`,
+    contentType: "application/json; charset=utf-8",
+    head: "[",
+    row: (e, i) => (i ? ",\n" : "\n") + JSON.stringify(e),
+    tail: "\n]\n",
+  });
+});
+
+// ?columns=common (the COMMON_FIELDS list) or comma-separated JSON paths flattens the payload into
+// columns; without it the payload is one payloadJson column.
+// ?excel=1: UTF-8 BOM, CRLF line ends and formula-looking cells neutralised, for opening in Excel.
+function csvColumns(spec) {
+  const s = (spec || "").toString().trim();
+  if (!s) {
+    return [
+      { label: "receivedAt", get: (e) => e.receivedAt },
+      { label: "id", get: (e) => e.id },
+      { label: "hook", get: (e) => e.hook },
+      { label: "ip", get: (e) => e.meta?.ip || "" },
+      { label: "contentType", get: (e) => e.meta?.contentType || "" },
+      { label: "userAgent", get: (e) => e.meta?.userAgent || "" },
+      { label: "payloadJson", get: (e) => stringifySafe(e.payload ?? {}) },
+    ];
+  }
+  const fields =
+    s === "common"
+      ? COMMON_FIELDS
+      : s
+          .split(",")
+          .map((p) => p.trim())
+          .filter(Boolean)
+          .map((p) => ({ label: p, path: p }));
+  return [
+    { label: "receivedAt", get: (e) => e.receivedAt },
+    { label: "id", get: (e) => e.id },
+    { label: "hook", get: (e) => e.hook },
+    ...fields.map((f) => ({
+      label: f.label,
+      get: (e) => {
+        const v = getByPath(e, f.path);
+        return v !== null && typeof v === "object" ? stringifySafe(v) : v;
+      },
+    })),
+  ];
+}
+
+function excelCell(value) {
+  const s = value == null ? "" : String(value);
+  return /^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s) ? `'${s}` : s;
+}
+
+app.get("/api/export.csv", async (req, res) => {
+  const x = parseExportQuery(req);
+  if (x.error) return res.status(x.status).send(x.error);
+  const columns = csvColumns(req.query.columns);
+  const excel = req.query.excel === "1";
+  const eol = excel ? "\r\n" : "\n";
+  const cell = excel ? (v) => csvEscape(excelCell(v)) : csvEscape;
+
+  await streamExport(req, res, exportEvents(x), {
+    filename: `${x.basename}${req.query.columns ? "-flat" : ""}.csv`,
+    contentType: "text/csv; charset=utf-8",
+    head: (excel ? "\ufeff" : "") + columns.map((c) => csvEscape(c.label)).join(",") + eol,
+    row: (e) => columns.map((c) => cell(c.get(e))).join(",") + eol,
+  });
+});
+
+// ---- Import & replay ----
+// POST /api/import takes an NDJSON file as written by /api/export.ndjson (gzipped or not) and merges
+// it into the store. Events keep their id, hook, receivedAt and duplicateOf; ids already stored are
+// skipped. Imported events aren't forwarded or streamed; they update the vehicle list, and the alert
+// inputs are rebuilt once the import is done.
+const IMPORT_BATCH = 1000;
+const IMPORT_ERRORS_KEEP = 20;
+const REPLAY_MAX = Number(process.env.REPLAY_MAX || 1000);
+
+// one line of an import file -> { evt } or { error }
+function parseImportLine(line) {
+  let evt;
+  try {
+    evt = JSON.parse(line);
+  } catch {
+    return { error: "Invalid JSON" };
+  }
+  if (!evt || typeof evt !== "object" || Array.isArray(evt)) return { error: "Not an event object" };
+  if (typeof evt.id !== "string" || !evt.id) return { error: "Missing id" };
+  if (typeof evt.hook !== "string" || RESERVED_HOOKS.has(evt.hook) || !isHookAllowed(evt.hook)) {
+    return { error: `Hook not allowed: ${String(evt.hook)}` };
+  }
+  const ms = Date.parse(evt.receivedAt);
+  if (!Number.isFinite(ms)) return { error: "Missing or invalid receivedAt" };
+  if (!("payload" in evt)) return { error: "Missing payload" };
+  if (evt.duplicateOf !== undefined && (typeof evt.duplicateOf !== "string" || !evt.duplicateOf)) {
+    return { error: "Invalid duplicateOf" };
+  }
+  const out = { id: evt.id, hook: evt.hook, receivedAt: new Date(ms).toISOString(), meta: evt.meta ?? {}, payload: evt.payload };
+  if (evt.duplicateOf) out.duplicateOf = evt.duplicateOf;
+  return { evt: out };
+}
+
+// the request body, gunzipped when it is gzip (by header or by its first bytes)
+async function requestLines(req) {
+  const first = await new Promise((resolve, reject) => {
+    const onReadable = () => {
+      cleanup();
+      resolve(req.read());
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(null);
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    const cleanup = () => {
+      req.off("readable", onReadable);
+      req.off("end", onEnd);
+      req.off("error", onError);
+    };
+    req.on("readable", onReadable);
+    req.on("end", onEnd);
+    req.on("error", onError);
+  });
+  if (first) req.unshift(first);
+  const gzipped = /gzip/i.test(req.headers["content-encoding"] || "") || (first && first[0] === 0x1f && first[1] === 0x8b);
+  const input = gzipped ? req.pipe(zlib.createGunzip()) : req;
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+app.post("/api/import", requireRole("admin"), async (req, res) => {
+  const importer = store.importer();
+  const hooks = {};
+  const errors = [];
+  let imported = 0;
+  let duplicates = 0; // ids already stored, skipped
+  let redeliveries = 0; // imported records of a redelivery (duplicateOf)
+  let invalid = 0;
+  let lineNo = 0;
+  let batch = [];
+
+  const save = ({ stored, duplicates: d }) => {
+    duplicates += d;
+    for (const [evt, loc] of stored) {
+      searchIndex.add(evt, loc);
+      hooks[evt.hook] = (hooks[evt.hook] || 0) + 1;
+      imported++;
+      if (evt.duplicateOf) redeliveries++;
+      // out-of-order samples don't roll a vehicle back, so the file order doesn't matter
+      else updateVehicleState(evt);
+    }
+  };
+  const done = () => {
+    if (imported) restoreAlertInputs();
+    console.log(`[IMPORT] ${imported} events imported, ${duplicates} duplicates, ${redeliveries} redeliveries, ${invalid} invalid`);
+  };
+
+  try {
+    for await (const line of await requestLines(req)) {
+      lineNo++;
+      if (!line.trim()) continue;
+      const { evt, error } = parseImportLine(line);
+      if (error) {
+        invalid++;
+        if (errors.length < IMPORT_ERRORS_KEEP) errors.push({ line: lineNo, error });
+        continue;
+      }
+      evt.payload = redactIngest(evt.hook, evt.payload);
+      batch.push(evt);
+      if (batch.length >= IMPORT_BATCH) {
+        save(importer.write(batch));
+        batch = [];
+      }
+    }
+    save(importer.write(batch));
+  } catch (err) {
+    save(importer.close());
+    done();
+    console.error("[IMPORT] failed at line", lineNo, err?.message || err);
+    return res.status(400).json({
+      ok: false,
+      error: `Import failed at line ${lineNo}: ${err?.message || err}`,
+      imported,
+      duplicates,
+      redeliveries,
+      invalid,
+    });
+  }
+  save(importer.close());
+  done();
+
+  res.json({ ok: true, imported, duplicates, redeliveries, invalid, hooks, errors });
+});
+
+// POST /api/replay re-sends stored events to any URL through the forwarding queue (target "replay").
+// Body: { url, ids?: [...], hook?, q?, field?, value?, before?, after?, limit?, headers?: {...} }
+// Each delivery carries the original body, Content-Type and User-Agent.
+app.post("/api/replay", requireRole("admin"), (req, res) => {
+  const body = readJsonBody(req);
+  if (!isHttpUrl(body.url)) return res.status(400).json({ ok: false, error: "url must be an http(s) URL" });
+  if (body.headers !== undefined && (typeof body.headers !== "object" || Array.isArray(body.headers))) {
+    return res.status(400).json({ ok: false, error: "headers must be an object" });
+  }
+  const ids = Array.isArray(body.ids) ? new Set(body.ids.map(String)) : null;
+  const limit = Math.min(REPLAY_MAX, Math.max(1, Number(body.limit) || (ids ? ids.size : 100)));
+
+  const scope = (body.hook || "*").toString().trim();
+  if (scope !== "*" && !isHookAllowed(scope)) return res.status(404).json({ ok: false, error: "Not found" });
+  const range = parseRange(body);
+  if (range.error) return res.status(400).json({ ok: false, error: range.error });
+  const q = normalizeQ(body.q);
+  const qError = queryError(q);
+  if (qError) return res.status(400).json({ ok: false, error: qError });
+  const filter = {
+    q,
+    field: (body.field || "").toString(),
+    value: (body.value || "").toString(),
+    duplicates: parseDuplicatesMode(body.duplicates),
+  };
+
+  const events = [];
+  for (const evt of matchingEvents(scope === "*" ? store.listHooks() : [scope], { filter, range })) {
+    if (ids && !ids.has(evt.id)) continue;
+    events.push(evt);
+    if (events.length >= limit) break;
+  }
+
+  // oldest first, the order they originally arrived in
+  for (const evt of events.reverse()) {
+    const headers = { "X-Webhook-Replay": "1", "X-Webhook-Received-At": evt.receivedAt };
+    if (evt.meta?.contentType) headers["Content-Type"] = evt.meta.contentType;
+    if (evt.meta?.userAgent) headers["User-Agent"] = evt.meta.userAgent;
+    queueDelivery({ target: "replay", url: body.url, headers: { ...headers, ...body.headers }, bodyMode: "original", evt });
+  }
+
+  res.json({ ok: true, queued: events.length, ids: events.map((e) => e.id) });
+});
+
+// CLEAR endpoint
+app.post("/api/clear", requireRole("admin"), (req, res) => {
+  let body = req.body;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      body = {};
+    }
+  }
+  const hook = (body?.hook || "*").toString().trim();
+
+  if (hook === "*") {
+    const hooks = store.clear("*");
+    for (const h of hooks) searchIndex.clearHook(h);
+    forgetDedupKeys("*");
+    return res.json({ ok: true, cleared: "*", hooksCleared: hooks.length });
+  }
+
+  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+
+  store.clear(hook);
+  searchIndex.clearHook(hook);
+  forgetDedupKeys(hook);
+
+  res.json({ ok: true, cleared: hook });
+});
+
+// search index status / rebuild
+app.get("/api/index", (req, res) => {
+  res.json({ ok: true, ...searchIndex.status() });
+});
+
+app.post("/api/index/rebuild", requireRole("admin"), (req, res) => {
+  if (!SEARCH_INDEX) return res.status(400).json({ ok: false, error: "Search index is disabled (SEARCH_INDEX=0)" });
+  searchIndex.rebuild();
+  res.status(202).json({ ok: true, ...searchIndex.status() });
+});
+
+// storage per hook (segments / row counts) with the retention rules that apply, and a manual compaction run
+app.get("/api/storage", (req, res) => {
+  const hooks = store.listHooks().map((hook) => ({ hook, retention: retentionFor(hook), ...store.describe(hook) }));
+  res.json({
+    ok: true,
+    backend: store.name,
+    compactIntervalMs: COMPACT_INTERVAL_MS,
+    lastCompaction,
+    encryption: { ...encryptionStatus(), lastReencryption },
+    hooks,
+  });
+});
+
+app.post("/api/storage/compact", requireRole("admin"), async (req, res) => {
+  const result = await runCompaction();
+  if (!result) return res.status(500).json({ ok: false, error: "Compaction failed (see server log)" });
+  res.json({ ok: true, ...result });
+});
+
+// after changing ENCRYPTION_KEY (old key in ENCRYPTION_OLD_KEYS), or to encrypt data stored before it was set
+app.post("/api/storage/reencrypt", requireRole("admin"), async (req, res) => {
+  if (!store.reencrypt) return res.status(400).json({ ok: false, error: `The ${store.name} backend is not encrypted` });
+  if (searchIndex.status().building) {
+    return res.status(409).json({ ok: false, error: "The search index is being built; try again when it is ready" });
+  }
+  const result = await runReencryption();
+  if (!result) return res.status(500).json({ ok: false, error: "Re-encryption failed (see server log)" });
+  res.json({ ok: true, ...result });
+});
+
+// who am I (dashboard uses this to hide admin-only actions)
+app.get("/api/me", (req, res) => {
+  res.json({ ok: true, authEnabled: isAuthEnabled(), username: req.user.username, role: req.user.role });
+});
+
+// ---- Hook settings API ----
+// Registers hooks in HOOKS_CONFIG_FILE. Only these fields are edited here; anything else in a hook's entry
+// (forward, dedup, allowIps, ...) is left as it is.
+const HOOK_TEXT_FIELDS = { displayName: 80, description: 500, sender: 120 };
+
+function hookSettingsView(hook) {
+  const cfg = getHookConfig(hook);
+  const inFile = Object.prototype.hasOwnProperty.call(hooksConfig, hook);
+  const managed = ["state", "pauseMode", "secret", "retention", "adapter", "responses", ...Object.keys(HOOK_TEXT_FIELDS)];
+  return {
+    hook,
+    registered: isHookRegistered(hook),
+    source: inFile ? "file" : HOOK_ALLOWLIST.includes(hook) ? "env" : null,
+    displayName: cfg.displayName || "",
+    description: cfg.description || "",
+    sender: cfg.sender || "",
+    state: hookState(hook),
+    pauseMode: pauseMode(hook),
+    // where the signing secret comes from, never the secret itself
+    secret: HOOK_SECRETS[hook] ? "env" : cfg.secret ? "file" : DEFAULT_HOOK_SECRET ? "default" : null,
+    retention: cfg.retention || null,
+    effectiveRetention: retentionFor(hook),
+    adapter: cfg.adapter || "",
+    responses: Array.isArray(cfg.responses) ? cfg.responses : [],
+    responseErrors: responseRulesErrors(cfg.responses),
+    otherSettings: Object.keys(cfg).filter((k) => !managed.includes(k)),
+    rejected: rejectedByHook.get(hook)?.total || 0,
+    discarded: discardedByHook.get(hook) || null,
+  };
+}
+
+// validated changes from a request body; undefined values remove the key
+function hookSettingsPatch(body) {
+  const patch = {};
+  for (const [k, max] of Object.entries(HOOK_TEXT_FIELDS)) {
+    if (body[k] === undefined) continue;
+    if (body[k] !== null && typeof body[k] !== "string") return { error: `${k} must be a string` };
+    const v = (body[k] || "").trim();
+    if (v.length > max) return { error: `${k} is longer than ${max} characters` };
+    patch[k] = v || undefined;
+  }
+  if (body.state !== undefined) {
+    if (!HOOK_STATES.includes(body.state)) return { error: `state must be one of ${HOOK_STATES.join(", ")}` };
+    patch.state = body.state;
+  }
+  if (body.pauseMode !== undefined) {
+    if (!PAUSE_MODES.includes(body.pauseMode)) return { error: `pauseMode must be one of ${PAUSE_MODES.join(", ")}` };
+    patch.pauseMode = body.pauseMode;
+  }
+  if (body.secret !== undefined) {
+    if (body.secret !== null && typeof body.secret !== "string") return { error: "secret must be a string" };
+    patch.secret = body.secret || undefined;
+  }
+  if (body.adapter !== undefined) {
+    if (body.adapter && !EVENT_ADAPTERS.some((a) => a.type === body.adapter)) {
+      return { error: `Unknown adapter "${body.adapter}"` };
+    }
+    patch.adapter = body.adapter || undefined;
+  }
+  if (body.retention !== undefined) {
+    if (body.retention !== null && (typeof body.retention !== "object" || Array.isArray(body.retention))) {
+      return { error: "retention must be an object" };
+    }
+    const r = {};
+    for (const [k, v] of Object.entries(body.retention || {})) {
+      if (v === null || v === "") continue;
+      if (k === "maxBytes") {
+        if (!parseBytes(v) && String(v).trim() !== "0") return { error: 'retention.maxBytes must be a size like "500MB"' };
+        r.maxBytes = v;
+      } else if (k === "maxAgeDays" || k === "maxEvents") {
+        if (!(Number(v) >= 0)) return { error: `retention.${k} must be a number` };
+        r[k] = Number(v);
+      } else {
+        return { error: `Unknown retention setting "${k}"` };
+      }
+    }
+    patch.retention = Object.keys(r).length ? r : undefined;
+  }
+  if (body.responses !== undefined) {
+    const errors = responseRulesErrors(body.responses ?? []);
+    if (errors.length) return { error: `Response rule ${errors[0]}` };
+    patch.responses = body.responses?.length ? body.responses : undefined;
+  }
+  return { patch };
+}
+
+function applyHookPatch(cfg, patch) {
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === undefined) delete cfg[k];
+    else cfg[k] = v;
+  }
+  return cfg;
+}
+
+// re-reads the file first so edits made by hand in the meantime aren't overwritten
+function updateHooksFile(res, fn) {
+  let data;
+  try {
+    data = loadHooksFile();
+  } catch (err) {
+    res.status(409).json({ ok: false, error: `${path.basename(HOOKS_CONFIG_FILE)} is not valid JSON, fix it first: ${err.message}` });
+    return false;
+  }
+  const result = fn(data);
+  if (result?.error) {
+    res.status(result.status || 400).json({ ok: false, error: result.error });
+    return false;
+  }
+  writeHooksFile(data);
+  return true;
+}
+
+app.get("/api/settings/hooks", (req, res) => {
+  const hooks = new Set(Object.keys(hooksConfig).concat(HOOK_ALLOWLIST, store.listHooks()));
+  res.json({
+    ok: true,
+    file: HOOKS_CONFIG_FILE,
+    registeredOnly: registeredOnly(),
+    allowlistEnv: HOOK_ALLOWLIST.length > 0,
+    states: HOOK_STATES,
+    pauseModes: PAUSE_MODES,
+    adapters: EVENT_ADAPTERS.map((a) => a.type),
+    items: [...hooks]
+      .filter((h) => HOOK_NAME_RE.test(h) && !RESERVED_HOOKS.has(h))
+      .sort((a, b) => a.localeCompare(b))
+      .map(hookSettingsView),
+  });
+});
+
+app.put("/api/settings/hooks", requireRole("admin"), (req, res) => {
+  const body = readJsonBody(req);
+  if (typeof body.registeredOnly !== "boolean") return res.status(400).json({ ok: false, error: "registeredOnly must be true or false" });
+  const ok = updateHooksFile(res, (data) => {
+    if (body.registeredOnly) data.registeredOnly = true;
+    else delete data.registeredOnly;
+  });
+  if (ok) res.json({ ok: true, registeredOnly: registeredOnly() });
+});
+
+app.get("/api/settings/hooks/:hook", (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  if (!HOOK_NAME_RE.test(hook) || RESERVED_HOOKS.has(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+  res.json({ ok: true, ...hookSettingsView(hook) });
+});
+
+app.post("/api/settings/hooks", requireRole("admin"), (req, res) => {
+  const body = readJsonBody(req);
+  const hook = (body.hook || "").toString().trim();
+  if (!HOOK_NAME_RE.test(hook)) return res.status(400).json({ ok: false, error: "Hook names are 1-40 letters, digits, _ or -" });
+  if (RESERVED_HOOKS.has(hook)) return res.status(400).json({ ok: false, error: `"${hook}" is reserved` });
+
+  const { patch, error } = hookSettingsPatch(body);
+  if (error) return res.status(400).json({ ok: false, error });
+  const ok = updateHooksFile(res, (data) => {
+    if (Object.prototype.hasOwnProperty.call(data.hooks, hook)) return { status: 409, error: "Hook already registered" };
+    data.hooks[hook] = applyHookPatch({ state: "enabled" }, patch);
+  });
+  if (!ok) return;
+  console.log(`[CONFIG] hook /${hook} registered by ${req.user.username || "admin"}`);
+  res.json({ ok: true, ...hookSettingsView(hook) });
+});
+
+app.put("/api/settings/hooks/:hook", requireRole("admin"), (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  const { patch, error } = hookSettingsPatch(readJsonBody(req));
+  if (error) return res.status(400).json({ ok: false, error });
+  const ok = updateHooksFile(res, (data) => {
+    if (!Object.prototype.hasOwnProperty.call(data.hooks, hook)) return { status: 404, error: "Not found" };
+    data.hooks[hook] = applyHookPatch(data.hooks[hook] || {}, patch);
+  });
+  if (ok) res.json({ ok: true, ...hookSettingsView(hook) });
+});
+
+// stored events stay; only the registration (and everything else configured for the hook) goes
+app.delete("/api/settings/hooks/:hook", requireRole("admin"), (req, res) => {
+  const hook = (req.params.hook || "").trim();
+  const ok = updateHooksFile(res, (data) => {
+    if (!Object.prototype.hasOwnProperty.call(data.hooks, hook)) return { status: 404, error: "Not found" };
+    delete data.hooks[hook];
+  });
+  if (!ok) return;
+  console.log(`[CONFIG] hook /${hook} unregistered by ${req.user.username || "admin"}`);
+  res.json({ ok: true });
+});
+
+// ---- Users & tokens (admin) ----
+function readJsonBody(req) {
+  let body = req.body;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      body = {};
+    }
+  }
+  return body || {};
+}
+
+app.get("/api/users", requireRole("admin"), (req, res) => {
+  res.json({
+    ok: true,
+    users: authStore.users.map((u) => ({ username: u.username, role: u.role })),
+    tokens: authStore.tokens.map((t) => ({ name: t.name, role: t.role, createdAt: t.createdAt || null })),
+  });
+});
+
+// create or update a user (password optional on update)
+app.post("/api/users", requireRole("admin"), (req, res) => {
+  const body = readJsonBody(req);
+  const username = (body.username || "").toString().trim();
+  const role = (body.role || "viewer").toString();
+  const password = (body.password || "").toString();
+
+  if (!/^[a-zA-Z0-9_.@-]{1,64}$/.test(username)) return res.status(400).json({ ok: false, error: "Invalid username" });
+  if (!isValidRole(role)) return res.status(400).json({ ok: false, error: "Invalid role" });
+
+  const existing = authStore.users.find((u) => u.username === username);
+  if (!existing && password.length < 8) {
+    return res.status(400).json({ ok: false, error: "Password must be at least 8 characters" });
+  }
+  if (existing) {
+    existing.role = role;
+    if (password) existing.passwordHash = hashPassword(password);
+  } else {
+    authStore.users.push({ username, passwordHash: hashPassword(password), role });
+  }
+  saveUsersFile();
+  res.json({ ok: true, username, role });
+});
+
+app.delete("/api/users/:username", requireRole("admin"), (req, res) => {
+  const before = authStore.users.length;
+  authStore.users = authStore.users.filter((u) => u.username !== req.params.username);
+  if (authStore.users.length === before) return res.status(404).json({ ok: false, error: "Not found" });
+  saveUsersFile();
+  res.json({ ok: true });
+});
+
+// the plain token is only returned once
+app.post("/api/tokens", requireRole("admin"), (req, res) => {
+  const body = readJsonBody(req);
+  const name = (body.name || "").toString().trim();
+  const role = (body.role || "viewer").toString();
+
+  if (!/^[a-zA-Z0-9_.-]{1,64}$/.test(name)) return res.status(400).json({ ok: false, error: "Invalid name" });
+  if (!isValidRole(role)) return res.status(400).json({ ok: false, error: "Invalid role" });
+  if (authStore.tokens.some((t) => t.name === name)) {
+    return res.status(409).json({ ok: false, error: "Token name already exists" });
+  }
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  authStore.tokens.push({ name, role, tokenHash: hashToken(token), createdAt: new Date().toISOString() });
+  saveUsersFile();
+  res.json({ ok: true, name, role, token });
+});
+
+app.delete("/api/tokens/:name", requireRole("admin"), (req, res) => {
+  const before = authStore.tokens.length;
+  authStore.tokens = authStore.tokens.filter((t) => t.name !== req.params.name);
+  if (authStore.tokens.length === before) return res.status(404).json({ ok: false, error: "Not found" });
+  saveUsersFile();
+  res.json({ ok: true });
+});
+
+// ---- Dashboard ----
+// shared by every dashboard page
+const BASE_STYLE = `
+    body{margin:0;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;background:#0b0d10;color:#e9eef4}
+    header{padding:16px 18px;border-bottom:1px solid #202630;position:sticky;top:0;background:#0b0d10;z-index:10}
+    .wrap{max-width:1600px;margin:0 auto;padding:16px}
+    .card{background:#12161c;border:1px solid #202630;border-radius:16px;overflow:hidden}
+    .card h3{margin:0;padding:12px 14px;border-bottom:1px solid #202630;font-size:14px;color:#9bb0c2;display:flex;justify-content:space-between;align-items:center;gap:10px}
+    .muted{color:#9bb0c2;font-size:12px}
+    .mono{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,monospace}
+    pre{margin:0}
+    .topbar{display:flex;gap:10px;align-items:center;flex-wrap:wrap}
+    button,a.btn{background:#1b222c;border:1px solid #2a3340;color:#e9eef4;padding:8px 10px;border-radius:10px;cursor:pointer;text-decoration:none;display:inline-flex;align-items:center;gap:6px}
+    button:hover,a.btn:hover{background:#202836}
+    input,select{background:#0f1319;border:1px solid #2a3340;color:#e9eef4;padding:8px 10px;border-radius:10px}
+    .pill{display:inline-block;padding:2px 8px;border-radius:999px;background:#1b222c;border:1px solid #2a3340;font-size:12px;color:#cfe1f3}
+    .pill.status{border-color:#2a3340}
+    .pill.s-clear{background:rgba(30, 130, 90, .15);border-color:rgba(30, 130, 90, .35)}
+    .pill.s-busy{background:rgba(220, 165, 35, .14);border-color:rgba(220, 165, 35, .35)}
+    .pill.s-offered{background:rgba(70, 130, 220, .14);border-color:rgba(70, 130, 220, .35)}
+    .pill.s-other{background:rgba(155, 176, 194, .10);border-color:rgba(155, 176, 194, .28)}
+    .kv{display:flex;gap:8px;align-items:center}
+    .kv label{font-size:12px;color:#9bb0c2}
+    .danger{border-color:#5a2a2a;background:#221416}
+    .danger:hover{background:#2a171a}
+    .tabs{display:flex;gap:8px;align-items:center}
+    .tab{padding:6px 10px;border-radius:999px;border:1px solid #2a3340;background:#0f1319;color:#cfe1f3;font-size:12px;cursor:pointer}
+    .tab.active{background:#1b222c}
+    table{width:100%;border-collapse:collapse}
+    th,td{border-bottom:1px solid #202630;padding:8px 6px;text-align:left;vertical-align:top}
+    th{color:#9bb0c2;font-size:12px;font-weight:600;position:sticky;top:0;background:#12161c}
+    td{font-size:13px}
+    a{color:#cfe1f3}
+    a:hover{text-decoration:underline}
+    .nav{display:flex;gap:6px;align-items:center}
+    .nav a{padding:4px 10px;border-radius:999px;text-decoration:none;font-size:13px;color:#9bb0c2}
+    .nav a.active{background:#1b222c;color:#e9eef4}
+`;
+
+// HTML-escapes text for the dashboard scripts, quotes included so the result is also safe inside attributes
+const ESC_SCRIPT = `function esc(s){ return String(s ?? "").replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;'); }`;
+
+const DASHBOARD_PAGES = [
+  { path: "/dashboard", label: "Events" },
+  { path: "/dashboard/timeline", label: "Timeline" },
+  { path: "/dashboard/fleet", label: "Fleet map" },
+  { path: "/dashboard/replay", label: "Replay" },
+  { path: "/dashboard/forwarding", label: "Forwarding" },
+  { path: "/dashboard/charts", label: "Charts" },
+  { path: "/dashboard/schemas", label: "Schemas" },
+  { path: "/dashboard/settings", label: "Settings" },
+];
+
+function pageNav(active) {
+  return (
+    '<nav class="nav">' +
+    DASHBOARD_PAGES.map(
+      (p) => `<a href="${p.path}"${p.path === active ? ' class="active"' : ""}>${p.label}</a>`
+    ).join("") +
+    "</nav>"
+  );
+}
+
+// Map config: point MAP_TILE_URL at a self-hosted/offline tile server if needed
+const MAP_TILE_URL = process.env.MAP_TILE_URL || "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const MAP_TILE_ATTRIBUTION = process.env.MAP_TILE_ATTRIBUTION || "&copy; OpenStreetMap contributors";
+const MAP_MAX_ZOOM = Number(process.env.MAP_MAX_ZOOM || 19);
+const MAP_CENTER = (process.env.MAP_CENTER || "53.48,-2.24").split(",").map(Number);
+const MAP_ZOOM = Number(process.env.MAP_ZOOM || 11);
+
+// Leaflet is served from node_modules so the map works without a CDN
+const requireFromHere = createRequire(import.meta.url);
+app.use("/vendor/leaflet", express.static(path.dirname(requireFromHere.resolve("leaflet"))));
+
+app.get("/", (req, res) => res.redirect("/dashboard"));
+
+app.get("/dashboard", requireRole("viewer"), (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Need-a-Cab Webhooks · Dashboard</title>
+  <style>
+    ${BASE_STYLE}
+    .grid{display:grid;grid-template-columns:560px 1fr;gap:14px}
+    .list{max-height:72vh;overflow:auto}
+    .row{padding:12px 14px;border-bottom:1px solid #202630;cursor:pointer}
+    .row:hover{background:#0f1319}
+    .row.active{outline:2px solid #2a3340; outline-offset:-2px}
+    .detailWrap{padding:14px;max-height:72vh;overflow:auto}
+    input{width:140px}
+    input.search{width:260px}
+    .actions{display:flex;gap:8px;flex-wrap:wrap}
+    .tag{display:inline-flex;gap:6px;align-items:center}
+    .tag b{color:#cfe1f3}
+    .summary{margin-top:6px;color:#cfe1f3}
+    .sub{margin-top:4px}
+    .rightActions{display:flex;gap:8px;align-items:center;flex-wrap:wrap}
+    .delta{font-size:12px;color:#9bb0c2}
+    .qError{margin-top:8px;color:#e8a0a0;font-size:13px}
+    input.invalid{border-color:#8a3a3a}
+    .alertsCard{margin-bottom:14px}
+    .alert{display:flex;gap:10px;align-items:center;padding:10px 14px;border-bottom:1px solid #202630}
+    .alert .msg{flex:1}
+    @media (max-width: 980px){ .grid{grid-template-columns:1fr} .list,.detailWrap{max-height:45vh} input.search{width:100%} }
+  </style>
+</head>
+<body>
+  <header>
+    <div class="wrap">
+      <div class="topbar">
+        <div style="font-weight:800">Need-a-Cab Webhooks</div>
+        ${pageNav("/dashboard")}
+        <span class="pill" id="hookPill">loading…</span>
+        <span class="muted" id="status">Loading…</span>
+        <span class="pill" id="livePill" title="Live stream, or polling every 3s while the stream is unavailable">…</span>
+        <span class="pill danger" id="rejectedPill" style="display:none"></span>
+        <div style="flex:1"></div>
+
+        <div class="kv">
+          <label>Webhook</label>
+          <select id="hookSelect"></select>
+        </div>
+
+        <div class="kv">
+          <label>Field</label>
+          <select id="fieldSelect"></select>
+        </div>
+
+        <div class="kv">
+          <label>Value</label>
+          <input id="value" class="search" type="text" placeholder="e.g. 51"/>
+        </div>
+
+        <div class="kv">
+          <label>Advanced</label>
+          <input id="q" class="search" type="text" placeholder='Optional: driverId:57 pickup:"Market Ave"'/>
+        </div>
+
+        <div class="kv">
+          <label>Duplicates</label>
+          <select id="dupSelect" title="Redeliveries caught by the hook's dedup key">
+            <option value="hide">Hide</option>
+            <option value="show">Show</option>
+            <option value="only">Only</option>
+          </select>
+        </div>
+
+        <div class="rightActions">
+          <button id="refresh">Refresh</button>
+          <button id="auto">Auto: ON</button>
+          <button id="pause">Pause: OFF</button>
+
+          <a class="btn" id="dlNdjson" href="#" download>Download NDJSON</a>
+          <a class="btn" id="dlJson" href="#" download>JSON</a>
+          <a class="btn" id="dlCsv" href="#" download>CSV</a>
+          <a class="btn" id="dlCsvFlat" href="#" download title="Common fields as columns">CSV (columns)</a>
+          <a class="btn" id="dlExcel" href="#" download title="Common fields as columns, for Excel">Excel</a>
+
+          <button id="importBtn" title="Load an NDJSON export back into the store">Import…</button>
+          <input id="importFile" type="file" accept=".ndjson,.gz,.jsonl,application/x-ndjson" style="display:none"/>
+          <button id="replayBtn" title="Re-send the events matching the current filters to a URL">Replay…</button>
+          <button class="danger" id="clearBtn">Clear</button>
+
+          <span class="kv" id="userBox" style="display:none">
+            <span class="pill" id="userPill"></span>
+            <form method="post" action="/logout" style="margin:0"><button type="submit">Log out</button></form>
+          </span>
+        </div>
+      </div>
+
+      <div class="muted" style="margin-top:8px">
+        Field dropdown searches the selected JSON path (e.g. payload.Driver.Callsign). Advanced supports tokens like
+        <span class="pill">Id:12798732</span> <span class="pill">Callsign:51</span> <span class="pill">Pickup:"Market Ave"</span>
+        <span class="pill">payload.Pricing.Price&gt;20</span> <span class="pill">Distance:[2 TO 10]</span> <span class="pill">receivedAt&gt;=2026-10-01</span>
+        <span class="pill">(Callsign:51 OR Callsign:52) AND NOT EventType:Cancelled</span>
+      </div>
+      <div class="qError" id="qError" style="display:none"></div>
+    </div>
+  </header>
+
+  <div class="wrap">
+    <div class="card alertsCard" id="alertsCard" style="display:none">
+      <h3>
+        <span>Alerts</span>
+        <span class="muted" id="alertsCount"></span>
+      </h3>
+      <div id="alertsList"></div>
+    </div>
+
+    <div class="grid">
+      <div class="card">
+        <h3>
+          <span>Latest events</span>
+          <span class="muted" id="count"></span>
+        </h3>
+        <div class="list" id="list">
+          <div id="rows"></div>
+          <div class="row muted" id="more" style="display:none;text-align:center"><button id="moreBtn">Load older</button></div>
+        </div>
+      </div>
+
+      <div class="card">
+        <h3>
+          <span>Selected</span>
+          <span class="actions">
+            <span class="tabs">
+              <span class="tab active" id="tabDetails">Details</span>
+              <span class="tab" id="tabJson">JSON</span>
+            </span>
+            <a class="btn" id="timelineBtn" href="#" style="display:none">Timeline</a>
+            <button id="copyBtn">Copy JSON</button>
+          </span>
+        </h3>
+        <div class="detailWrap" id="detail">Select an event…</div>
+      </div>
+    </div>
+  </div>
+
+<script>
+  let auto = true;
+  let timer = null;
+  let paused = false;
+
+  let selectedHook = null; // "*" or actual hook
+  let currentSelectedJson = null;
+  let currentSelectedId = null;      // keep selection stable during refresh
+  let currentSelectedHook = null;    // keep selection stable during refresh
+
+  let viewMode = "details"; // details | json
+  let currentDetail = null; // adapter sections from /api/hooks/:hook/:id
+
+  // Delta memory (browser-side): vehicleId -> last seen
+  const lastByVehicleId = new Map();
+
+  const qs = new URLSearchParams(location.search);
+
+  // same-origin fetch sends the session cookie; on 401 go to login and come back to this exact URL
+  async function apiFetch(url, opts){
+    const res = await fetch(url, opts);
+    if (res.status === 401) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname + location.search);
+      throw new Error('Authentication required');
+    }
+    return res;
+  }
+
+  async function loadMe(){
+    const res = await apiFetch('/api/me', { cache: 'no-store' });
+    const data = await res.json();
+    if (!data.ok) return;
+    const isAdmin = data.role === 'admin';
+    for (const id of ['clearBtn', 'importBtn', 'replayBtn']) {
+      document.getElementById(id).style.display = isAdmin ? '' : 'none';
+    }
+    if (data.authEnabled) {
+      document.getElementById('userPill').textContent = data.username + ' · ' + data.role;
+      document.getElementById('userBox').style.display = '';
+    }
+  }
+
+  function fmt(s){ try { return new Date(s).toLocaleString(); } catch { return s; } }
+  ${ESC_SCRIPT}
+  function setStatus(txt){ document.getElementById('status').textContent = txt; }
+  function setCount(txt){ document.getElementById('count').textContent = txt || ''; }
+  function setHookPill(h){ document.getElementById('hookPill').textContent = (h === '*') ? '* ALL' : '/' + (h || ''); }
+
+  function getField(){ return document.getElementById('fieldSelect').value || 'any'; }
+  function getValue(){ return (document.getElementById('value').value || '').trim(); }
+  function getQ(){ return (document.getElementById('q').value || '').trim(); }
+  function getDuplicates(){ return document.getElementById('dupSelect').value || 'hide'; }
+
+  function statusClass(status){
+    const s = String(status || '').toLowerCase();
+    if (!s) return "s-other";
+    if (s === "clear") return "s-clear";
+    if (s.includes("busy")) return "s-busy";
+    if (s.includes("offered")) return "s-offered";
+    if (s.includes("joboffered")) return "s-offered";
+    return "s-other";
+  }
+
+  function updateUrl(){
+    const u = new URL(location.href);
+    if (selectedHook) u.searchParams.set('hook', selectedHook);
+    const field = getField();
+    const value = getValue();
+    const q = getQ();
+
+    if (field) u.searchParams.set('field', field); else u.searchParams.delete('field');
+    if (value) u.searchParams.set('value', value); else u.searchParams.delete('value');
+    if (q) u.searchParams.set('q', q); else u.searchParams.delete('q');
+    if (getDuplicates() !== 'hide') u.searchParams.set('duplicates', getDuplicates()); else u.searchParams.delete('duplicates');
+    u.searchParams.delete('limit');
+    history.replaceState({}, '', u);
+  }
+
+  function updateDownloadLinks(){
+    const hook = selectedHook || '*';
+    const field = getField();
+    const value = getValue();
+    const q = getQ();
+
+    function exportUrl(path, extra) {
+      const u = new URL(path, location.origin);
+      u.searchParams.set('hook', hook);
+      if (field) u.searchParams.set('field', field);
+      if (value) u.searchParams.set('value', value);
+      if (q) u.searchParams.set('q', q);
+      if (getDuplicates() !== 'hide') u.searchParams.set('duplicates', getDuplicates());
+      for (const k in (extra || {})) u.searchParams.set(k, extra[k]);
+      return u.toString();
+    }
+
+    document.getElementById('dlNdjson').href = exportUrl('/api/export.ndjson');
+    document.getElementById('dlJson').href = exportUrl('/api/export.json');
+    document.getElementById('dlCsv').href = exportUrl('/api/export.csv');
+    document.getElementById('dlCsvFlat').href = exportUrl('/api/export.csv', { columns: 'common' });
+    document.getElementById('dlExcel').href = exportUrl('/api/export.csv', { columns: 'common', excel: '1' });
+  }
+
+  async function loadHooks() {
+    const res = await apiFetch('/api/hooks', { cache: 'no-store' });
+    const data = await res.json();
+    const hooks = (data && data.ok && data.hooks) ? data.hooks : ["*"];
+
+    const sel = document.getElementById('hookSelect');
+    sel.innerHTML = '';
+    for (const h of hooks) {
+      const opt = document.createElement('option');
+      opt.value = h;
+      opt.textContent = (h === "*") ? "* ALL" : ("/" + h + (data.names && data.names[h] ? ' · ' + data.names[h] : ''));
+      sel.appendChild(opt);
+    }
+
+    const fromUrl = qs.get('hook');
+    selectedHook = fromUrl && hooks.includes(fromUrl) ? fromUrl : (hooks[0] || "*");
+    sel.value = selectedHook;
+    setHookPill(selectedHook);
+
+    sel.onchange = async () => {
+      selectedHook = sel.value;
+      setHookPill(selectedHook);
+      currentSelectedId = null;
+      currentSelectedHook = null;
+      updateUrl();
+      updateDownloadLinks();
+      await load();
+    };
+  }
+
+  async function loadFields(){
+    const res = await apiFetch('/api/fields', { cache: 'no-store' });
+    const data = await res.json();
+    const fields = (data && data.ok && data.fields) ? data.fields : [{label:'Any',value:'any'}];
+
+    const sel = document.getElementById('fieldSelect');
+    sel.innerHTML = '';
+    for (const f of fields) {
+      const opt = document.createElement('option');
+      opt.value = f.value;
+      opt.textContent = f.label;
+      sel.appendChild(opt);
+    }
+
+    const fromUrl = qs.get('field');
+    if (fromUrl) sel.value = fromUrl;
+    else sel.value = 'any';
+  }
+
+  function hydrateFromUrl(){
+    const value = qs.get('value');
+    const q = qs.get('q');
+
+    if (value) document.getElementById('value').value = value;
+    if (q) document.getElementById('q').value = q;
+    if (qs.get('duplicates')) document.getElementById('dupSelect').value = qs.get('duplicates');
+  }
+
+  let t = null;
+  function scheduleReload(){
+    if (t) clearTimeout(t);
+    t = setTimeout(() => {
+      updateUrl();
+      updateDownloadLinks();
+      load();
+    }, 350);
+  }
+
+  function setPause(on){
+    paused = on;
+    document.getElementById('pause').textContent = 'Pause: ' + (paused ? 'ON' : 'OFF');
+    if (paused) setStatus('Paused (not refreshing list)');
+    else {
+      setStatus('Resuming…');
+      // catch up on anything the stream delivered while paused
+      if (newestReceivedAt) refreshNewer();
+    }
+  }
+
+  function setView(mode){
+    viewMode = mode;
+    document.getElementById('tabDetails').classList.toggle('active', viewMode === 'details');
+    document.getElementById('tabJson').classList.toggle('active', viewMode === 'json');
+    // re-render current selection
+    if (currentSelectedJson) renderDetailFromCurrent();
+  }
+
+  function renderTracksDetail(item){
+    const p = item?.payload || {};
+    const tracks = Array.isArray(p.VehicleTracks) ? p.VehicleTracks : [];
+    if (!tracks.length) {
+      return '<div class="muted">No VehicleTracks array in this payload.</div>';
+    }
+
+    // Build rows + delta updates
+    let html = '';
+    html += '<div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-bottom:10px">';
+    html += '<span class="pill">' + esc(p.EventType || 'VehicleTracksChanged') + '</span>';
+    html += '<span class="pill">Tracks: ' + tracks.length + '</span>';
+    html += '<span class="muted">Received: ' + esc(fmt(item.receivedAt)) + '</span>';
+    html += '</div>';
+
+    html += '<table>';
+    html += '<thead><tr>';
+    html += '<th>CS</th><th>V#</th><th>D#</th><th>Status</th><th>BookingId</th><th>Time</th><th>Loc</th><th>Δ</th>';
+    html += '</tr></thead>';
+    html += '<tbody>';
+
+    for (const tr of tracks) {
+      const cs = (tr?.Vehicle?.Callsign ?? tr?.Driver?.Callsign ?? '').toString().trim();
+      const vId = tr?.Vehicle?.Id ?? '';
+      const dId = tr?.Driver?.Id ?? '';
+      const st = (tr?.VehicleStatus ?? '').toString().trim();
+      const bId = (tr?.BookingId ?? '').toString().trim();
+      const ts = (tr?.Timestamp ?? '').toString().trim();
+      const lat = tr?.CurrentLocation?.Latitude;
+      const lng = tr?.CurrentLocation?.Longitude;
+
+      // Delta compare
+      const key = vId !== '' && vId != null ? String(vId) : ('cs:' + cs);
+      const prev = lastByVehicleId.get(key);
+      const changes = [];
+      if (prev) {
+        if (String(prev.status || '') !== String(st || '')) changes.push('status');
+        if (String(prev.bookingId || '') !== String(bId || '')) changes.push('booking');
+        if (lat != null && lng != null) {
+          const dLat = Math.abs((prev.lat ?? lat) - lat);
+          const dLng = Math.abs((prev.lng ?? lng) - lng);
+          if (dLat > 0.0003 || dLng > 0.0003) changes.push('moved');
+        }
+      } else {
+        changes.push('new');
+      }
+
+      // update last seen
+      lastByVehicleId.set(key, { status: st, bookingId: bId, lat, lng, ts });
+
+      const mapsUrl =
+        (lat != null && lng != null)
+          ? ('https://www.google.com/maps?q=' + encodeURIComponent(lat + ',' + lng))
+          : '';
+
+      html += '<tr>';
+      html += '<td><span class="pill">CS#' + esc(cs || '-') + '</span></td>';
+      html += '<td>' + esc(vId === '' ? '-' : ('V#' + vId)) + '</td>';
+      html += '<td>' + esc(dId === '' ? '-' : ('D#' + dId)) + '</td>';
+      html += '<td><span class="pill status ' + statusClass(st) + '">' + esc(st || '-') + '</span></td>';
+      html += '<td class="mono">' + esc(bId || '-') + '</td>';
+      html += '<td class="muted">' + esc(ts || '-') + '</td>';
+      html += '<td>' + (mapsUrl ? ('<a target="_blank" rel="noreferrer" href="' + mapsUrl + '">Map</a>') : '<span class="muted">-</span>') + '</td>';
+      html += '<td class="delta">' + esc(changes.join(', ')) + '</td>';
+      html += '</tr>';
+    }
+
+    html += '</tbody></table>';
+    html += '<div class="muted" style="margin-top:10px">Δ compares each vehicle to the last seen state in this browser session.</div>';
+    return html;
+  }
+
+  // generic renderer for the sections an event adapter returns: field lists and tables
+  function renderDetailSections(item, sections){
+    const m = item.model || {};
+    let html = '<div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-bottom:10px">';
+    html += '<span class="pill">' + esc(m.type || 'Unknown') + '</span>';
+    if (m.eventType && m.eventType !== m.type) html += '<span class="pill">' + esc(m.eventType) + '</span>';
+    html += '<span class="muted">Received: ' + esc(fmt(item.receivedAt)) + '</span>';
+    if (item.response) {
+      const r = item.response;
+      html += '<span class="muted">Answered: ' + esc(r.status) + (r.delayMs ? ' after ' + esc(r.delayMs) + ' ms' : '') + (r.rule ? ' · rule ' + esc(r.rule) : '') + '</span>';
+    }
+    html += '</div>';
+    for (const s of sections) {
+      html += '<div class="muted" style="margin:10px 0 4px">' + esc(s.title || '') + '</div>';
+      if (s.fields) {
+        html += '<table><tbody>';
+        for (const f of s.fields) html += '<tr><td class="muted" style="width:40%">' + esc(f[0]) + '</td><td class="mono">' + esc(f[1]) + '</td></tr>';
+        html += '</tbody></table>';
+      } else {
+        html += '<table><thead><tr>' + s.columns.map((c) => '<th>' + esc(c) + '</th>').join('') + '</tr></thead><tbody>';
+        for (const r of s.rows) html += '<tr>' + r.map((v) => '<td>' + esc(v == null ? '-' : v) + '</td>').join('') + '</tr>';
+        html += '</tbody></table>';
+      }
+    }
+    return html;
+  }
+
+  function renderJsonDetail(){
+    return '<pre class="mono" style="white-space:pre-wrap;word-break:break-word;margin:0">' + esc(currentSelectedJson) + '</pre>';
+  }
+
+  function renderDetailFromCurrent(){
+    try {
+      const item = JSON.parse(currentSelectedJson);
+      const isTracks = item?.payload && Array.isArray(item.payload.VehicleTracks);
+      if (viewMode === "details" && isTracks) {
+        // tracks keep their own renderer: it also shows what changed per vehicle
+        document.getElementById('detail').innerHTML = renderTracksDetail(item);
+      } else if (viewMode === "details" && currentDetail && currentDetail.length) {
+        document.getElementById('detail').innerHTML = renderDetailSections(item, currentDetail);
+      } else if (viewMode === "details") {
+        document.getElementById('detail').innerHTML =
+          '<div class="muted">No details for this event. Switch to JSON view.</div>';
+      } else {
+        document.getElementById('detail').innerHTML = renderJsonDetail();
+      }
+    } catch {
+      document.getElementById('detail').innerHTML = renderJsonDetail();
+    }
+  }
+
+  // paging state for the list (cursor comes from the API, newest is used to poll for new rows)
+  let nextCursor = null;
+  let newestReceivedAt = null;
+  let totalCount = null; // null until the API has counted every match
+  let loadingOlder = false;
+  const shownIds = new Set();
+
+  function listUrl(){
+    let url;
+    if (selectedHook === '*') url = new URL('/api/events', location.origin);
+    else url = new URL('/api/hooks/' + encodeURIComponent(selectedHook), location.origin);
+
+    const field = getField();
+    const value = getValue();
+    const q = getQ();
+    if (field) url.searchParams.set('field', field);
+    if (value) url.searchParams.set('value', value);
+    if (q) url.searchParams.set('q', q);
+    if (getDuplicates() !== 'hide') url.searchParams.set('duplicates', getDuplicates());
+    return url;
+  }
+
+  function updateCount(){
+    if (totalCount === null) setCount(shownIds.size + '+ matches');
+    else setCount(totalCount + ' match' + (totalCount === 1 ? '' : 'es'));
+    document.getElementById('more').style.display = nextCursor ? '' : 'none';
+  }
+
+  function renderRow(item){
+    const div = document.createElement('div');
+    div.className = 'row';
+
+    const keys = item.payload && typeof item.payload === 'object'
+      ? Object.keys(item.payload).slice(0, 8).join(', ')
+      : '(non-object payload)';
+
+    const summary = item._summary || ('Keys: ' + (keys || '-'));
+    const meta = item._summaryMeta || {};
+    const isTracks = meta.kind === "tracks";
+
+    // Add status pill for tracks in list
+    let rightPills = '';
+    if (isTracks) {
+      const st = meta.status || '';
+      if (st) rightPills += '<span class="pill status ' + statusClass(st) + '">' + esc(st) + '</span>';
+    }
+    if (item.redacted) {
+      rightPills += '<span class="pill" title="Some values are hidden by redaction rules">redacted</span>';
+    }
+    if (item.duplicateOf) {
+      rightPills += '<span class="pill" title="' + esc('Redelivery of ' + item.duplicateOf) + '">duplicate</span>';
+    }
+    if (item.response && (item.response.status !== 200 || item.response.rule)) {
+      const r = item.response;
+      rightPills += '<span class="pill"' + (r.status >= 400 ? ' style="color:#e8a0a0"' : '') + ' title="' +
+        esc('Answered ' + r.status + (r.delayMs ? ' after ' + r.delayMs + ' ms' : '') + (r.rule ? ' (rule ' + r.rule + ')' : '') + (r.paused ? ' while paused' : '')) +
+        '">→ ' + esc(r.status) + '</span>';
+    }
+    if (item.duplicates) {
+      rightPills += '<span class="pill" title="' + esc('Last redelivered ' + fmt(item.duplicates.lastAt)) + '">×' + esc(item.duplicates.count) + ' redelivered</span>';
+    }
+    if (item.schema && !item.schema.valid) {
+      const first = item.schema.issues.find((i) => i.kind !== 'new') || {};
+      rightPills += '<span class="pill" style="color:#e8a0a0" title="' + esc(first.kind + ': ' + first.path) + '">schema ✗</span>';
+    }
+
+    div.innerHTML =
+      '<div style="display:flex;justify-content:space-between;gap:10px;align-items:flex-start">' +
+        '<div>' +
+          '<div class="tag"><b>' + esc(fmt(item.receivedAt)) + '</b>' +
+            '<span class="pill" style="margin-left:8px">' + esc(item.hook ? ('/' + item.hook) : '') + '</span>' +
+          '</div>' +
+          '<div class="summary mono">' + esc(summary) + '</div>' +
+          '<div class="muted sub">Keys: ' + esc(keys || '-') + '</div>' +
+        '</div>' +
+        '<div class="muted" style="text-align:right;min-width:140px">' +
+          (rightPills ? ('<div style="margin-bottom:6px">' + rightPills + '</div>') : '') +
+          '<div>' + esc(((item.meta?.ip || '').toString().slice(0, 30))) + '</div>' +
+          '<div>' + esc((item.meta?.contentType || '')) + '</div>' +
+        '</div>' +
+      '</div>';
+
+    div.onclick = () => select(item, div);
+    if (currentSelectedId && currentSelectedHook && item.id === currentSelectedId && item.hook === currentSelectedHook) {
+      div.classList.add('active');
+    }
+    shownIds.add(item.hook + '/' + item.id);
+    return div;
+  }
+
+  // first page; resets the list (filter change, hook change, manual refresh)
+  async function load() {
+    if (paused) return;
+
+    setStatus('Refreshing…');
+    loadRejections();
+
+    const res = await apiFetch(listUrl().toString(), { cache: 'no-store' });
+    const data = await res.json();
+
+    const rows = document.getElementById('rows');
+    rows.innerHTML = '';
+    shownIds.clear();
+    nextCursor = null;
+    newestReceivedAt = null;
+    totalCount = null;
+    showQueryError(data.ok ? '' : (data.error || 'Request failed'));
+    // a bad query would only get the stream rejected too
+    if (data.ok) openStream();
+    else {
+      closeStream();
+      stopPolling();
+    }
+
+    if (!data.ok || !data.items?.length) {
+      rows.innerHTML = '<div class="row"><div>' + esc(data.ok ? 'No events found.' : 'Nothing loaded.') + '</div><div class="muted">' + esc(data.ok ? 'Try * ALL, or clear filters.' : 'Fix the search above.') + '</div></div>';
+      updateCount();
+      setCount('');
+      setStatus('Ready');
+      return;
+    }
+
+    nextCursor = data.nextCursor || null;
+    newestReceivedAt = data.items[0].receivedAt;
+    totalCount = data.count ?? null;
+
+    let selectedItem = null;
+    for (const item of data.items) {
+      if (currentSelectedId && item.id === currentSelectedId && item.hook === currentSelectedHook) selectedItem = item;
+      rows.appendChild(renderRow(item));
+    }
+    updateCount();
+
+    // keep user selection stable; only auto-select if nothing selected yet
+    if (currentSelectedId && currentSelectedHook && selectedItem) {
+      // keep current selection
+    } else if (!currentSelectedId) {
+      select(data.items[0], rows.firstChild);
+    }
+
+    setStatus('Last update: ' + new Date().toLocaleTimeString());
+  }
+
+  // next page (button or scrolling near the bottom)
+  async function loadOlder() {
+    if (!nextCursor || loadingOlder) return;
+    loadingOlder = true;
+    try {
+      const url = listUrl();
+      url.searchParams.set('cursor', nextCursor);
+      const res = await apiFetch(url.toString(), { cache: 'no-store' });
+      const data = await res.json();
+      if (!data.ok) return;
+
+      const rows = document.getElementById('rows');
+      for (const item of data.items || []) {
+        if (!shownIds.has(item.hook + '/' + item.id)) rows.appendChild(renderRow(item));
+      }
+      nextCursor = data.nextCursor || null;
+      if (data.count != null) totalCount = data.count;
+      else if (!nextCursor) totalCount = shownIds.size;
+      updateCount();
+    } finally {
+      loadingOlder = false;
+    }
+  }
+
+  // only fetch what arrived since the newest row; older pages stay loaded
+  async function refreshNewer() {
+    if (paused) return;
+    if (!newestReceivedAt) return load();
+
+    const url = listUrl();
+    url.searchParams.set('after', newestReceivedAt);
+    const res = await apiFetch(url.toString(), { cache: 'no-store' });
+    const data = await res.json();
+    if (!data.ok) return;
+    loadRejections();
+
+    // more than a page arrived: start over from the top
+    if (data.nextCursor) return load();
+
+    prependItems(data.items || []);
+    setStatus('Last update: ' + new Date().toLocaleTimeString());
+  }
+
+  // items newest first; rows already shown are skipped, selection is untouched
+  function prependItems(items){
+    const rows = document.getElementById('rows');
+    const fresh = items.filter((item) => !shownIds.has(item.hook + '/' + item.id));
+    if (!fresh.length) return;
+    if (!newestReceivedAt) rows.innerHTML = '';
+    for (let i = fresh.length - 1; i >= 0; i--) rows.insertBefore(renderRow(fresh[i]), rows.firstChild);
+    if (!newestReceivedAt || fresh[0].receivedAt > newestReceivedAt) newestReceivedAt = fresh[0].receivedAt;
+    if (totalCount !== null) totalCount += fresh.length;
+    updateCount();
+    if (!currentSelectedId) select(fresh[0], rows.firstChild);
+  }
+
+  // ---- Live updates: SSE stream, polling while the stream is down ----
+  let stream = null;
+  let streamUrl = null;
+
+  function setLive(txt){ document.getElementById('livePill').textContent = txt; }
+
+  function startPolling(){
+    if (timer) return;
+    timer = setInterval(refreshNewer, 3000);
+    setLive('Polling');
+  }
+
+  function stopPolling(){
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function closeStream(){
+    if (stream) stream.close();
+    stream = null;
+    streamUrl = null;
+  }
+
+  // (re)connect with the current hook + filters; no-op if they haven't changed
+  function openStream(){
+    if (!auto) return;
+    const url = listUrl();
+    url.pathname = '/api/stream';
+    url.searchParams.set('hook', selectedHook || '*');
+    if (stream && streamUrl === url.toString()) return;
+
+    closeStream();
+    if (typeof EventSource === 'undefined') return startPolling();
+
+    streamUrl = url.toString();
+    stream = new EventSource(streamUrl);
+    stream.onopen = () => {
+      stopPolling();
+      setLive('Live');
+      // fill any gap left while disconnected
+      if (newestReceivedAt) refreshNewer();
+    };
+    stream.addEventListener('event', (e) => {
+      if (paused) return;
+      try {
+        prependItems([JSON.parse(e.data)]);
+        setStatus('Last update: ' + new Date().toLocaleTimeString());
+      } catch {}
+    });
+    // EventSource keeps retrying by itself; poll in the meantime
+    stream.onerror = () => startPolling();
+  }
+
+  async function loadRejections(){
+    try {
+      const res = await apiFetch('/api/rejections', { cache: 'no-store' });
+      const data = await res.json();
+      if (!data.ok) return;
+      const one = (selectedHook && selectedHook !== '*') ? (data.hooks[selectedHook] || { total: 0, byReason: {} }) : null;
+      const n = one ? one.total : data.total;
+      const byReason = one ? one.byReason : (data.byReason || {});
+      const pill = document.getElementById('rejectedPill');
+      pill.textContent = 'Rejected: ' + n;
+      pill.title = 'Rejected deliveries: ' +
+        Object.entries(byReason).sort((a, b) => b[1] - a[1]).map(([r, c]) => r + ' ' + c).join(' · ') +
+        (one && one.lastIp ? ' · last from ' + one.lastIp : '');
+      pill.style.display = n ? '' : 'none';
+    } catch {}
+  }
+
+  function showQueryError(msg){
+    const el = document.getElementById('qError');
+    el.textContent = msg || '';
+    el.style.display = msg ? '' : 'none';
+    document.getElementById('q').classList.toggle('invalid', /query/i.test(msg || ''));
+  }
+
+  async function loadAlerts(){
+    try {
+      const res = await apiFetch('/api/alerts', { cache: 'no-store' });
+      const data = await res.json();
+      if (!data.ok) return;
+      const items = data.items || [];
+      document.getElementById('alertsCard').style.display = items.length ? '' : 'none';
+      document.getElementById('alertsCount').textContent =
+        data.counts.open + ' open · ' + data.counts.acknowledged + ' acknowledged';
+
+      const list = document.getElementById('alertsList');
+      list.innerHTML = '';
+      for (const a of items) {
+        const div = document.createElement('div');
+        div.className = 'alert';
+        div.innerHTML =
+          '<span class="pill ' + (a.state === 'open' ? 'danger' : '') + '">' + esc(a.state) + '</span>' +
+          '<span class="msg">' + esc(a.message) +
+            '<div class="muted" style="font-size:12px">' + esc(a.ruleId) + ' · since ' + esc(fmt(a.openedAt)) +
+            (a.acknowledgedBy ? ' · ack by ' + esc(a.acknowledgedBy) : '') + '</div></span>' +
+          (a.state === 'open' ? '<button data-act="ack">Ack</button>' : '') +
+          '<button data-act="resolve">Resolve</button>';
+        for (const btn of div.querySelectorAll('button')) {
+          btn.onclick = async () => {
+            await apiFetch('/api/alerts/' + encodeURIComponent(a.id) + '/' + btn.dataset.act, { method: 'POST' });
+            loadAlerts();
+          };
+        }
+        list.appendChild(div);
+      }
+    } catch {}
+  }
+
+  async function select(item, clickedDiv) {
+    currentSelectedId = item.id;
+    currentSelectedHook = item.hook;
+
+    // set active row
+    const rows = document.getElementById('rows');
+    for (const el of rows.children) el.classList.remove('active');
+    if (clickedDiv) clickedDiv.classList.add('active');
+
+    const { _summary, _summaryMeta, ...raw } = item;
+    currentSelectedJson = JSON.stringify(raw, null, 2);
+    currentDetail = null;
+
+    const bookingId = item._summaryMeta?.bookingId;
+    const tl = document.getElementById('timelineBtn');
+    tl.style.display = bookingId ? '' : 'none';
+    if (bookingId) tl.href = '/dashboard/timeline?booking=' + encodeURIComponent(bookingId);
+
+    // fetch the canonical item and the adapter's detail sections
+    if (item.hook) {
+      try {
+        const res = await apiFetch('/api/hooks/' + encodeURIComponent(item.hook) + '/' + encodeURIComponent(item.id), { cache: 'no-store' });
+        const data = await res.json();
+        if (data.ok && data.item && item.id === currentSelectedId) {
+          currentSelectedJson = JSON.stringify(data.item, null, 2);
+          currentDetail = data.detail || null;
+        }
+      } catch {}
+    }
+
+    renderDetailFromCurrent();
+  }
+
+  async function copySelected(){
+    if (!currentSelectedJson) return alert('Nothing selected yet.');
+    try {
+      await navigator.clipboard.writeText(currentSelectedJson);
+    } catch {
+      const ta = document.createElement('textarea');
+      ta.value = currentSelectedJson;
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand('copy');
+      document.body.removeChild(ta);
+    }
+    setStatus('Copied JSON');
+    setTimeout(() => setStatus('Last update: ' + new Date().toLocaleTimeString()), 800);
+  }
+
+  async function clearData(){
+    const hook = selectedHook || '*';
+    const label = (hook === '*') ? 'ALL hooks' : ('/' + hook);
+    if (!confirm('Clear stored events for ' + label + '? This permanently deletes stored events.')) return;
+
+    const res = await apiFetch('/api/clear', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hook })
+    });
+    const data = await res.json();
+    if (!data.ok) return alert('Clear failed');
+
+    currentSelectedId = null;
+    currentSelectedHook = null;
+    currentSelectedJson = null;
+
+    document.getElementById('detail').innerHTML = 'Select an event…';
+    setStatus('Cleared ' + label);
+
+    await loadHooks();
+    updateUrl();
+    updateDownloadLinks();
+    await load();
+  }
+
+  async function importFile(file){
+    setStatus('Importing ' + file.name + '…');
+    const res = await apiFetch('/api/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-ndjson' },
+      body: file
+    });
+    const data = await res.json();
+    if (!data.ok) return alert(data.error || 'Import failed');
+
+    let msg = 'Imported ' + data.imported + ' events (' + data.redeliveries + ' redeliveries), skipped ' + data.duplicates + ' already stored';
+    if (data.invalid) msg += ', ' + data.invalid + ' invalid lines (first: line ' + data.errors[0].line + ', ' + data.errors[0].error + ')';
+    setStatus(msg);
+    alert(msg);
+
+    await loadHooks();
+    await load();
+  }
+
+  async function replayEvents(){
+    const url = prompt('Re-send the events matching the current filters (newest first, oldest delivered first) to URL:');
+    if (!url) return;
+    const limit = prompt('How many events at most?', '100');
+    if (!limit) return;
+
+    const body = { url, limit: Number(limit), hook: selectedHook || '*' };
+    const field = getField();
+    const value = getValue();
+    const q = getQ();
+    if (field) body.field = field;
+    if (value) body.value = value;
+    if (q) body.q = q;
+    body.duplicates = getDuplicates();
+
+    const res = await apiFetch('/api/replay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!data.ok) return alert(data.error || 'Replay failed');
+    setStatus('Queued ' + data.queued + ' events for replay (see Forwarding, target "replay")');
+  }
+
+  function setAuto(on) {
+    auto = on;
+    document.getElementById('auto').textContent = 'Auto: ' + (auto ? 'ON' : 'OFF');
+    stopPolling();
+    closeStream();
+    if (auto) openStream();
+    else setLive('Off');
+  }
+
+  document.getElementById('refresh').onclick = load;
+  document.getElementById('auto').onclick = () => setAuto(!auto);
+  document.getElementById('pause').onclick = () => setPause(!paused);
+
+  document.getElementById('tabDetails').onclick = () => setView("details");
+  document.getElementById('tabJson').onclick = () => setView("json");
+
+  // reduce “slow typing” searches: only reload when you stop typing
+  document.getElementById('fieldSelect').onchange = scheduleReload;
+  document.getElementById('value').addEventListener('input', scheduleReload);
+  document.getElementById('q').addEventListener('input', scheduleReload);
+  document.getElementById('dupSelect').onchange = scheduleReload;
+  document.getElementById('moreBtn').onclick = loadOlder;
+  document.getElementById('list').addEventListener('scroll', (e) => {
+    const el = e.currentTarget;
+    if (el.scrollTop + el.clientHeight >= el.scrollHeight - 200) loadOlder();
   });
+
+  document.getElementById('copyBtn').onclick = copySelected;
+  document.getElementById('clearBtn').onclick = clearData;
+  document.getElementById('importBtn').onclick = () => document.getElementById('importFile').click();
+  document.getElementById('importFile').onchange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importFile(file).catch((err) => setStatus('Import failed: ' + err.message));
+  };
+  document.getElementById('replayBtn').onclick = () => replayEvents().catch((err) => setStatus('Replay failed: ' + err.message));
+
+  (async function init(){
+    hydrateFromUrl();
+    await loadMe();
+    await loadHooks();
+    await loadFields();
+    updateUrl();
+    updateDownloadLinks();
+    setAuto(true);
+    setPause(false);
+    setView("tracks");
+    await load();
+    loadAlerts();
+    setInterval(loadAlerts, 15000);
+  })();
+</script>
+</body>
+</html>`);
 });
 
-// one hook events
-app.get("/api/hooks/:hook", (req, res) => {
-  const hook = (req.params.hook || "").trim();
-  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+app.get("/dashboard/timeline", requireRole("viewer"), (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Need-a-Cab Webhooks · Booking timeline</title>
+  <style>
+    ${BASE_STYLE}
+    .durations{display:flex;gap:10px;flex-wrap:wrap;padding:12px 14px;border-bottom:1px solid #202630}
+    .dur{background:#0f1319;border:1px solid #2a3340;border-radius:12px;padding:8px 12px}
+    .dur b{display:block;font-size:18px}
+    .entry{display:grid;grid-template-columns:190px 1fr;gap:12px;padding:12px 14px;border-bottom:1px solid #202630}
+    .entry.track{background:#0e1116}
+    .changes{margin-top:6px;font-size:12px}
+    .changes td{font-size:12px;padding:4px 6px}
+    .add{color:#7fd1a8}
+    .del{color:#e8a0a0}
+    details summary{cursor:pointer;color:#9bb0c2;font-size:12px;margin-top:6px}
+  </style>
+</head>
+<body>
+  <header>
+    <div class="wrap">
+      <div class="topbar">
+        <div style="font-weight:800">Need-a-Cab Webhooks</div>
+        ${pageNav("/dashboard/timeline")}
+        <span class="muted" id="status"></span>
+        <div style="flex:1"></div>
+        <div class="kv">
+          <label>Booking Id</label>
+          <input id="booking" type="text" placeholder="e.g. 12798732" style="width:180px"/>
+        </div>
+        <button id="go">Show timeline</button>
+      </div>
+    </div>
+  </header>
+
+  <div class="wrap">
+    <div class="card">
+      <h3><span id="title">Booking timeline</span><span class="muted" id="count"></span></h3>
+      <div id="durations"></div>
+      <div id="entries"><div class="muted" style="padding:12px 14px">Enter a booking Id.</div></div>
+    </div>
+  </div>
 
-  const q = normalizeQ(req.query.q);
-  const field = (req.query.field || "").toString();
-  const value = (req.query.value || "").toString();
-  const limit = parseLimit(req.query.limit);
+<script>
+  ${ESC_SCRIPT}
+  function fmt(s){ const d = new Date(s); return isNaN(d) ? String(s ?? '') : d.toLocaleString(); }
+  function setStatus(txt){ document.getElementById('status').textContent = txt; }
 
-  const arr = ensureHookLoaded(hook);
-  let filtered = arr;
+  async function apiFetch(url, opts){
+    const res = await fetch(url, opts);
+    if (res.status === 401) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname + location.search);
+      throw new Error('Authentication required');
+    }
+    return res;
+  }
 
-  if (q || (value && value.trim())) {
-    filtered = arr.filter((evt) => eventMatches(evt, { q, field, value }));
+  function statusClass(status){
+    const s = String(status || '').toLowerCase();
+    if (!s) return "s-other";
+    if (s === "clear") return "s-clear";
+    if (s.includes("busy")) return "s-busy";
+    if (s.includes("offered")) return "s-offered";
+    return "s-other";
   }
 
-  const items = (limit === 0 ? filtered : filtered.slice(0, Math.min(5000, limit))).map((evt) => {
-    const { summary, meta } = buildSummary(evt);
-    return { ...evt, _summary: summary, _summaryMeta: meta };
-  });
+  function fmtDuration(ms){
+    if (ms == null) return '–';
+    const sign = ms < 0 ? '-' : '';
+    let sec = Math.round(Math.abs(ms) / 1000);
+    const h = Math.floor(sec / 3600); sec -= h * 3600;
+    const m = Math.floor(sec / 60); sec -= m * 60;
+    return sign + (h ? h + 'h ' : '') + (h || m ? m + 'm ' : '') + sec + 's';
+  }
 
-  res.json({
-    ok: true,
-    scope: hook,
-    q,
-    field,
-    value,
-    count: filtered.length,
-    items,
-  });
-});
+  function val(v){ return v === undefined ? '' : (typeof v === 'object' ? JSON.stringify(v) : String(v)); }
+
+  function renderChanges(changes){
+    if (changes == null) return '<div class="muted changes">First version</div>';
+    if (!changes.length) return '<div class="muted changes">No field changes</div>';
+    let html = '<details' + (changes.length <= 6 ? ' open' : '') + '><summary>' + changes.length + ' field change' + (changes.length === 1 ? '' : 's') + '</summary>';
+    html += '<table class="changes"><tbody>';
+    for (const c of changes) {
+      html += '<tr><td class="mono">' + esc(c.path) + '</td>' +
+        '<td class="del mono">' + esc(c.change === 'added' ? '' : val(c.from)) + '</td>' +
+        '<td class="add mono">' + esc(c.change === 'removed' ? '(removed)' : val(c.to)) + '</td></tr>';
+    }
+    return html + '</tbody></table></details>';
+  }
 
-app.get("/api/hooks/:hook/:id", (req, res) => {
-  const hook = (req.params.hook || "").trim();
-  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
+  function renderEntry(e){
+    if (e.kind === 'track') {
+      const loc = e.lastLocation || e.location;
+      const map = loc ? ' <a target="_blank" rel="noreferrer" href="https://www.google.com/maps?q=' + encodeURIComponent(loc.lat + ',' + loc.lng) + '">Map</a>' : '';
+      return '<div class="entry track"><div class="muted">' + esc(fmt(e.at)) + (e.samples > 1 ? '<br>→ ' + esc(fmt(e.lastAt)) : '') + '</div>' +
+        '<div><span class="pill status ' + statusClass(e.status) + '">' + esc(e.status || '-') + '</span> ' +
+        '<span class="pill">CS#' + esc(e.callsign || '-') + '</span> ' +
+        '<span class="muted">V#' + esc(e.vehicleId) + ' · D#' + esc(e.driverId) + ' · ' + e.samples + ' track sample' + (e.samples === 1 ? '' : 's') + ' · /' + esc(e.hook) + '</span>' + map + '</div></div>';
+    }
+    return '<div class="entry"><div class="muted">' + esc(fmt(e.at)) + '</div>' +
+      '<div><span class="pill">' + esc(e.eventType) + '</span> <span class="muted">/' + esc(e.hook) + '</span>' +
+      '<div class="mono" style="margin-top:6px">' + esc(e.summary) + '</div>' + renderChanges(e.changes) + '</div></div>';
+  }
 
-  const arr = ensureHookLoaded(hook);
-  const item = arr.find((x) => x.id === req.params.id);
-  if (!item) return res.status(404).json({ ok: false, error: "Not found" });
-  res.json({ ok: true, item });
-});
+  async function show(){
+    const id = document.getElementById('booking').value.trim();
+    const u = new URL(location.href);
+    if (id) u.searchParams.set('booking', id); else u.searchParams.delete('booking');
+    history.replaceState({}, '', u);
+    if (!id) return;
 
-// all hooks combined
-app.get("/api/events", (req, res) => {
-  const q = normalizeQ(req.query.q);
-  const field = (req.query.field || "").toString();
-  const value = (req.query.value || "").toString();
-  const limit = parseLimit(req.query.limit);
+    setStatus('Loading…');
+    const data = await (await apiFetch('/api/bookings/' + encodeURIComponent(id) + '/timeline', { cache: 'no-store' })).json();
+    document.getElementById('title').textContent = 'Booking ' + id;
 
-  const hooks = listHooksOnDisk();
-  const combined = [];
-  for (const h of hooks) {
-    const arr = ensureHookLoaded(h);
-    for (const evt of arr) combined.push(evt);
+    if (!data.ok) {
+      document.getElementById('durations').innerHTML = '';
+      document.getElementById('entries').innerHTML = '<div class="muted" style="padding:12px 14px">' + esc(data.error) + '</div>';
+      document.getElementById('count').textContent = '';
+      setStatus('');
+      return;
+    }
+
+    const d = data.durations;
+    const m = data.milestones;
+    document.getElementById('durations').innerHTML = '<div class="durations">' +
+      '<div class="dur"><span class="muted">Dispatch → arrival</span><b>' + fmtDuration(d.dispatchToArrival) + '</b></div>' +
+      '<div class="dur"><span class="muted">First seen → dispatch</span><b>' + fmtDuration(d.createdToDispatch) + '</b></div>' +
+      '<div class="dur"><span class="muted">Arrival vs estimate</span><b>' + fmtDuration(d.arrivalVsEstimate) + '</b></div>' +
+      '<div class="dur"><span class="muted">First → last event</span><b>' + fmtDuration(d.firstToLast) + '</b></div>' +
+      (m.CancelledAt ? '<div class="dur"><span class="muted">Cancelled</span><b>' + esc(fmt(m.CancelledAt)) + '</b></div>' : '') +
+      '</div>';
+    document.getElementById('entries').innerHTML = data.entries.map(renderEntry).join('');
+    document.getElementById('count').textContent = data.eventCount + ' event' + (data.eventCount === 1 ? '' : 's');
+    setStatus('');
   }
 
-  let filtered = combined;
-  if (q || (value && value.trim())) {
-    filtered = combined.filter((evt) => eventMatches(evt, { q, field, value }));
+  document.getElementById('go').onclick = show;
+  document.getElementById('booking').addEventListener('keydown', (e) => { if (e.key === 'Enter') show(); });
+
+  const fromUrl = new URLSearchParams(location.search).get('booking');
+  if (fromUrl) {
+    document.getElementById('booking').value = fromUrl;
+    show();
   }
+</script>
+</body>
+</html>`);
+});
+
+app.get("/dashboard/fleet", requireRole("viewer"), (req, res) => {
+  const mapConfig = {
+    tileUrl: MAP_TILE_URL,
+    attribution: MAP_TILE_ATTRIBUTION,
+    maxZoom: MAP_MAX_ZOOM,
+    center: MAP_CENTER,
+    zoom: MAP_ZOOM,
+    staleMinutes: VEHICLE_STALE_MINUTES,
+  };
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Need-a-Cab Webhooks · Fleet map</title>
+  <link rel="stylesheet" href="/vendor/leaflet/leaflet.css" />
+  <style>
+    ${BASE_STYLE}
+    .grid{display:grid;grid-template-columns:1fr 340px;gap:14px}
+    #map{height:76vh;background:#0f1319}
+    .side{max-height:76vh;overflow:auto}
+    .vrow{padding:8px 12px;border-bottom:1px solid #202630;cursor:pointer;display:flex;justify-content:space-between;gap:8px}
+    .vrow:hover{background:#0f1319}
+    .vrow.stale{opacity:.5}
+    .legend{display:flex;gap:6px;flex-wrap:wrap}
+    .leaflet-popup-content{color:#111}
+    @media (max-width: 980px){ .grid{grid-template-columns:1fr} #map{height:55vh} }
+  </style>
+</head>
+<body>
+  <header>
+    <div class="wrap">
+      <div class="topbar">
+        <div style="font-weight:800">Need-a-Cab Webhooks</div>
+        ${pageNav("/dashboard/fleet")}
+        <span class="pill" id="livePill">…</span>
+        <span class="muted" id="status">Loading…</span>
+        <div style="flex:1"></div>
+        <span class="legend" id="legend"></span>
+        <button id="fit">Fit to fleet</button>
+      </div>
+    </div>
+  </header>
 
-  filtered.sort((a, b) => (a.receivedAt < b.receivedAt ? 1 : a.receivedAt > b.receivedAt ? -1 : 0));
-  const sliced = limit === 0 ? filtered : filtered.slice(0, Math.min(5000, limit));
+  <div class="wrap">
+    <div class="grid">
+      <div class="card"><div id="map"></div></div>
+      <div class="card">
+        <h3><span>Vehicles</span><span class="muted" id="count"></span></h3>
+        <div class="side" id="vehicles"></div>
+      </div>
+    </div>
+  </div>
 
-  const items = sliced.map((evt) => {
-    const { summary, meta } = buildSummary(evt);
-    return { ...evt, _summary: summary, _summaryMeta: meta };
-  });
+<script src="/vendor/leaflet/leaflet.js"></script>
+<script>
+  const CONFIG = ${JSON.stringify(mapConfig).replace(/</g, "\\u003c")};
+
+  // same buckets as the events dashboard pills
+  const STATUS_COLORS = {
+    's-clear': 'rgb(30, 130, 90)',
+    's-busy': 'rgb(220, 165, 35)',
+    's-offered': 'rgb(70, 130, 220)',
+    's-other': 'rgb(155, 176, 194)',
+  };
 
-  res.json({
-    ok: true,
-    scope: "*",
-    q,
-    field,
-    value,
-    count: filtered.length,
-    items,
-  });
-});
+  const vehicles = new Map(); // key -> state
+  const markers = new Map();  // key -> circle marker
 
-// exports (all or one hook) respecting filters
-app.get("/api/export.ndjson", (req, res) => {
-  const scope = (req.query.hook || "*").trim();
-  const q = normalizeQ(req.query.q);
-  const field = (req.query.field || "").toString();
-  const value = (req.query.value || "").toString();
+  ${ESC_SCRIPT}
+  function fmt(s){ const d = new Date(s); return isNaN(d) ? String(s ?? '') : d.toLocaleString(); }
+  function setStatus(txt){ document.getElementById('status').textContent = txt; }
 
-  let events = [];
-  if (scope === "*") {
-    const hooks = listHooksOnDisk();
-    for (const h of hooks) events = events.concat(ensureHookLoaded(h));
-  } else {
-    if (!isHookAllowed(scope)) return res.status(404).send("Not found");
-    events = ensureHookLoaded(scope);
+  async function apiFetch(url, opts){
+    const res = await fetch(url, opts);
+    if (res.status === 401) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname + location.search);
+      throw new Error('Authentication required');
+    }
+    return res;
   }
 
-  if (q || (value && value.trim())) events = events.filter((evt) => eventMatches(evt, { q, field, value }));
-  events.sort((a, b) => (a.receivedAt < b.receivedAt ? 1 : a.receivedAt > b.receivedAt ? -1 : 0));
-  if (events.length > MAX_EXPORT) events = events.slice(0, MAX_EXPORT);
+  function statusClass(status){
+    const s = String(status || '').toLowerCase();
+    if (!s) return "s-other";
+    if (s === "clear") return "s-clear";
+    if (s.includes("busy")) return "s-busy";
+    if (s.includes("offered")) return "s-offered";
+    if (s.includes("joboffered")) return "s-offered";
+    return "s-other";
+  }
 
-  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename="${scope === "*" ? "all-hooks" : scope}${(q || value) ? "-filtered" : ""}.ndjson"`
-  );
-  res.send(events.map((e) => JSON.stringify(e)).join("\n") + (events.length ? "\n" : ""));
-});
+  function isStale(v){
+    return Date.now() - Date.parse(v.lastSeenAt) > CONFIG.staleMinutes * 60000;
+  }
 
-app.get("/api/export.csv", (req, res) => {
-  const scope = (req.query.hook || "*").trim();
-  const q = normalizeQ(req.query.q);
-  const field = (req.query.field || "").toString();
-  const value = (req.query.value || "").toString();
+  const map = L.map('map').setView(CONFIG.center, CONFIG.zoom);
+  L.tileLayer(CONFIG.tileUrl, { maxZoom: CONFIG.maxZoom, attribution: CONFIG.attribution }).addTo(map);
 
-  let events = [];
-  if (scope === "*") {
-    const hooks = listHooksOnDisk();
-    for (const h of hooks) events = events.concat(ensureHookLoaded(h));
-  } else {
-    if (!isHookAllowed(scope)) return res.status(404).send("Not found");
-    events = ensureHookLoaded(scope);
-  }
-
-  if (q || (value && value.trim())) events = events.filter((evt) => eventMatches(evt, { q, field, value }));
-  events.sort((a, b) => (a.receivedAt < b.receivedAt ? 1 : a.receivedAt > b.receivedAt ? -1 : 0));
-  if (events.length > MAX_EXPORT) events = events.slice(0, MAX_EXPORT);
-
-  const header = ["receivedAt", "id", "hook", "ip", "contentType", "userAgent", "payloadJson"];
-  const rows = [header.join(",")];
-
-  for (const e of events) {
-    rows.push(
-      [
-        csvEscape(e.receivedAt),
-        csvEscape(e.id),
-        csvEscape(e.hook),
-        csvEscape(e.meta?.ip || ""),
-        csvEscape(e.meta?.contentType || ""),
-        csvEscape(e.meta?.userAgent || ""),
-        csvEscape(stringifySafe(e.payload ?? {})),
-      ].join(",")
-    );
+  function popupHtml(v){
+    return '<b>CS#' + esc(v.callsign || '-') + '</b> · V#' + esc(v.vehicleId ?? '-') + (v.registration ? ' · ' + esc(v.registration) : '') + '<br>' +
+      (v.driverId != null ? 'D#' + esc(v.driverId) + (v.driverName ? ' ' + esc(v.driverName) : '') + '<br>' : '') +
+      esc(v.status || '-') + (v.lastStatusChangeAt ? ' since ' + esc(fmt(v.lastStatusChangeAt)) : '') +
+      (v.bookingId ? '<br>Booking <a href="/dashboard/timeline?booking=' + encodeURIComponent(v.bookingId) + '">' + esc(v.bookingId) + '</a>' : '') + '<br>' +
+      'Last track ' + esc(fmt(v.timestamp)) +
+      '<br><a href="/dashboard/replay?vehicle=' + encodeURIComponent(v.vehicleId ?? v.callsign) + '">Replay history</a>';
   }
 
-  res.setHeader("Content-Type", "text/csv; charset=utf-8");
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename="${scope === "*" ? "all-hooks" : scope}${(q || value) ? "-filtered" : ""}.csv"`
-  );
-  res.send(rows.join("\n") + "\n");
-});
+  function upsertMarker(v){
+    if (v.lat == null || v.lng == null) return;
+    const color = STATUS_COLORS[statusClass(v.status)];
+    const stale = isStale(v);
+    let m = markers.get(v.key);
+    if (!m) {
+      m = L.circleMarker([v.lat, v.lng], { radius: 8, weight: 2 }).addTo(map);
+      m.bindTooltip('', { permanent: false, direction: 'top' });
+      markers.set(v.key, m);
+    }
+    m.setLatLng([v.lat, v.lng]);
+    m.setStyle({ color, fillColor: color, fillOpacity: stale ? 0.25 : 0.8, opacity: stale ? 0.4 : 1 });
+    m.setTooltipContent('CS#' + esc(v.callsign || '-') + ' · ' + esc(v.status || '-'));
+    m.bindPopup(popupHtml(v));
+  }
 
-// CLEAR endpoint
-app.post("/api/clear", (req, res) => {
-  let body = req.body;
-  if (typeof body === "string") {
-    try {
-      body = JSON.parse(body);
-    } catch {
-      body = {};
+  function renderSide(){
+    const list = [...vehicles.values()].sort((a, b) => String(a.callsign).localeCompare(String(b.callsign), undefined, { numeric: true }));
+    const counts = {};
+    for (const v of list) counts[v.status || '-'] = (counts[v.status || '-'] || 0) + 1;
+
+    document.getElementById('legend').innerHTML = Object.entries(counts)
+      .map(([st, n]) => '<span class="pill status ' + statusClass(st) + '">' + esc(st) + ': ' + n + '</span>').join('');
+    document.getElementById('count').textContent = list.length + ' vehicles';
+    document.getElementById('vehicles').innerHTML = list.map((v) =>
+      '<div class="vrow' + (isStale(v) ? ' stale' : '') + '">' +
+        '<div><b>CS#' + esc(v.callsign || '-') + '</b> <span class="muted">V#' + esc(v.vehicleId ?? '-') + '</span>' +
+        '<div class="muted">' + esc(fmt(v.lastSeenAt)) + (v.bookingId ? ' · B ' + esc(v.bookingId) : '') + '</div></div>' +
+        '<span class="pill status ' + statusClass(v.status) + '">' + esc(v.status || '-') + '</span>' +
+      '</div>'
+    ).join('');
+    // rows are in list order, so the vehicle key never has to go through the HTML
+    document.querySelectorAll('#vehicles .vrow').forEach((row, i) => {
+      row.onclick = () => {
+        const m = markers.get(list[i].key);
+        if (m) { map.setView(m.getLatLng(), Math.max(map.getZoom(), 15)); m.openPopup(); }
+      };
+    });
+  }
+
+  let renderQueued = false;
+  function scheduleRender(){
+    if (renderQueued) return;
+    renderQueued = true;
+    setTimeout(() => { renderQueued = false; renderSide(); }, 500);
+  }
+
+  function fit(){
+    const pts = [...markers.values()].map((m) => m.getLatLng());
+    if (pts.length) map.fitBounds(L.latLngBounds(pts).pad(0.1));
+  }
+
+  async function loadAll(){
+    const data = await (await apiFetch('/api/vehicles', { cache: 'no-store' })).json();
+    if (!data.ok) return;
+    for (const v of data.items) {
+      vehicles.set(v.key, v);
+      upsertMarker(v);
     }
+    renderSide();
+    setStatus('Last update: ' + new Date().toLocaleTimeString());
   }
-  const hook = (body?.hook || "*").toString().trim();
 
-  if (hook === "*") {
-    recentByHook.clear();
-    const hooks = listHooksOnDisk();
-    for (const h of hooks) {
-      const file = hookFile(h);
+  function connect(){
+    const stream = new EventSource('/api/vehicles/stream');
+    stream.onopen = () => {
+      document.getElementById('livePill').textContent = 'Live';
+      loadAll();
+    };
+    stream.addEventListener('vehicle', (e) => {
       try {
-        if (fs.existsSync(file)) fs.unlinkSync(file);
+        const v = JSON.parse(e.data);
+        vehicles.set(v.key, v);
+        upsertMarker(v);
+        scheduleRender();
+        setStatus('Last update: ' + new Date().toLocaleTimeString());
       } catch {}
-    }
-    return res.json({ ok: true, cleared: "*", hooksCleared: hooks.length });
+    });
+    stream.onerror = () => { document.getElementById('livePill').textContent = 'Reconnecting…'; };
   }
 
-  if (!isHookAllowed(hook)) return res.status(404).json({ ok: false, error: "Not found" });
-
-  recentByHook.delete(hook);
-  const file = hookFile(hook);
-  try {
-    if (fs.existsSync(file)) fs.unlinkSync(file);
-  } catch {}
+  document.getElementById('fit').onclick = fit;
+  // re-evaluate staleness even when nothing arrives
+  setInterval(() => { for (const v of vehicles.values()) upsertMarker(v); renderSide(); }, 60000);
 
-  res.json({ ok: true, cleared: hook });
+  (async function init(){
+    await loadAll();
+    fit();
+    connect();
+  })();
+</script>
+</body>
+</html>`);
 });
 
-// ---- Dashboard ----
-app.get("/", (req, res) => res.redirect("/dashboard"));
-
-app.get("/dashboard", (req, res) => {
+app.get("/dashboard/replay", requireRole("viewer"), (req, res) => {
+  const mapConfig = {
+    tileUrl: MAP_TILE_URL,
+    attribution: MAP_TILE_ATTRIBUTION,
+    maxZoom: MAP_MAX_ZOOM,
+    center: MAP_CENTER,
+    zoom: MAP_ZOOM,
+  };
   res.type("html").send(`<!doctype html>
 <html>
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width,initial-scale=1" />
-  <title>Need-a-Cab Webhooks · Dashboard</title>
+  <title>Need-a-Cab Webhooks · Track replay</title>
+  <link rel="stylesheet" href="/vendor/leaflet/leaflet.css" />
   <style>
-    body{margin:0;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;background:#0b0d10;color:#e9eef4}
-    header{padding:16px 18px;border-bottom:1px solid #202630;position:sticky;top:0;background:#0b0d10;z-index:10}
-    .wrap{max-width:1600px;margin:0 auto;padding:16px}
-    .grid{display:grid;grid-template-columns:560px 1fr;gap:14px}
-    .card{background:#12161c;border:1px solid #202630;border-radius:16px;overflow:hidden}
-    .card h3{margin:0;padding:12px 14px;border-bottom:1px solid #202630;font-size:14px;color:#9bb0c2;display:flex;justify-content:space-between;align-items:center;gap:10px}
-    .list{max-height:72vh;overflow:auto}
-    .row{padding:12px 14px;border-bottom:1px solid #202630;cursor:pointer}
-    .row:hover{background:#0f1319}
-    .row.active{outline:2px solid #2a3340; outline-offset:-2px}
-    .muted{color:#9bb0c2;font-size:12px}
-    .mono{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,monospace}
-    pre{margin:0}
-    .detailWrap{padding:14px;max-height:72vh;overflow:auto}
-    .topbar{display:flex;gap:10px;align-items:center;flex-wrap:wrap}
-    button,a.btn{background:#1b222c;border:1px solid #2a3340;color:#e9eef4;padding:8px 10px;border-radius:10px;cursor:pointer;text-decoration:none;display:inline-flex;align-items:center;gap:6px}
-    button:hover,a.btn:hover{background:#202836}
-    input,select{background:#0f1319;border:1px solid #2a3340;color:#e9eef4;padding:8px 10px;border-radius:10px}
-    input{width:140px}
-    input.search{width:260px}
-    .pill{display:inline-block;padding:2px 8px;border-radius:999px;background:#1b222c;border:1px solid #2a3340;font-size:12px;color:#cfe1f3}
-    .pill.status{border-color:#2a3340}
-    .pill.s-clear{background:rgba(30, 130, 90, .15);border-color:rgba(30, 130, 90, .35)}
-    .pill.s-busy{background:rgba(220, 165, 35, .14);border-color:rgba(220, 165, 35, .35)}
-    .pill.s-offered{background:rgba(70, 130, 220, .14);border-color:rgba(70, 130, 220, .35)}
-    .pill.s-other{background:rgba(155, 176, 194, .10);border-color:rgba(155, 176, 194, .28)}
-    .kv{display:flex;gap:8px;align-items:center}
-    .kv label{font-size:12px;color:#9bb0c2}
-    .actions{display:flex;gap:8px;flex-wrap:wrap}
-    .danger{border-color:#5a2a2a;background:#221416}
-    .danger:hover{background:#2a171a}
-    .tag{display:inline-flex;gap:6px;align-items:center}
-    .tag b{color:#cfe1f3}
-    .summary{margin-top:6px;color:#cfe1f3}
-    .sub{margin-top:4px}
-    .rightActions{display:flex;gap:8px;align-items:center;flex-wrap:wrap}
-    .tabs{display:flex;gap:8px;align-items:center}
-    .tab{padding:6px 10px;border-radius:999px;border:1px solid #2a3340;background:#0f1319;color:#cfe1f3;font-size:12px;cursor:pointer}
-    .tab.active{background:#1b222c}
-    table{width:100%;border-collapse:collapse}
-    th,td{border-bottom:1px solid #202630;padding:8px 6px;text-align:left;vertical-align:top}
-    th{color:#9bb0c2;font-size:12px;font-weight:600;position:sticky;top:0;background:#12161c}
-    td{font-size:13px}
-    a{color:#cfe1f3}
-    a:hover{text-decoration:underline}
-    .delta{font-size:12px;color:#9bb0c2}
-    @media (max-width: 980px){ .grid{grid-template-columns:1fr} .list,.detailWrap{max-height:45vh} input.search{width:100%} }
+    ${BASE_STYLE}
+    #map{height:68vh;background:#0f1319}
+    .controls{display:flex;gap:10px;align-items:center;flex-wrap:wrap;padding:12px 14px;border-top:1px solid #202630}
+    #scrub{flex:1;min-width:200px}
+    input{width:170px}
   </style>
 </head>
 <body>
   <header>
-    <div class="wrap">
-      <div class="topbar">
-        <div style="font-weight:800">Need-a-Cab Webhooks</div>
-        <span class="pill" id="hookPill">loading…</span>
-        <span class="muted" id="status">Loading…</span>
-        <div style="flex:1"></div>
-
-        <div class="kv">
-          <label>Webhook</label>
-          <select id="hookSelect"></select>
-        </div>
-
-        <div class="kv">
-          <label>Field</label>
-          <select id="fieldSelect"></select>
-        </div>
-
-        <div class="kv">
-          <label>Value</label>
-          <input id="value" class="search" type="text" placeholder="e.g. 51"/>
-        </div>
-
-        <div class="kv">
-          <label>Advanced</label>
-          <input id="q" class="search" type="text" placeholder='Optional: driverId:57 pickup:"Market Ave"'/>
-        </div>
-
-        <div class="kv">
-          <label>Limit</label>
-          <input id="limit" type="number" min="0" step="1" value="200" title="0 = unlimited (not recommended)"/>
-        </div>
-
-        <div class="rightActions">
-          <button id="refresh">Refresh</button>
-          <button id="auto">Auto: ON</button>
-          <button id="pause">Pause: OFF</button>
-
-          <a class="btn" id="dlNdjson" href="#" download>Download NDJSON</a>
-          <a class="btn" id="dlCsv" href="#" download>Download CSV</a>
-
-          <button class="danger" id="clearBtn">Clear</button>
-        </div>
-      </div>
-
-      <div class="muted" style="margin-top:8px">
-        Field dropdown searches the selected JSON path (e.g. payload.Driver.Callsign). Advanced supports tokens like
-        <span class="pill">Id:12798732</span> <span class="pill">Callsign:51</span> <span class="pill">Pickup:"Market Ave"</span>
-      </div>
-    </div>
-  </header>
-
-  <div class="wrap">
-    <div class="grid">
-      <div class="card">
-        <h3>
-          <span>Latest events</span>
-          <span class="muted" id="count"></span>
-        </h3>
-        <div class="list" id="list"></div>
+    <div class="wrap">
+      <div class="topbar">
+        <div style="font-weight:800">Need-a-Cab Webhooks</div>
+        ${pageNav("/dashboard/replay")}
+        <span class="muted" id="status"></span>
+        <div style="flex:1"></div>
+        <div class="kv"><label>Vehicle</label><input id="vehicle" placeholder="Vehicle Id or callsign"/></div>
+        <div class="kv"><label>Booking</label><input id="booking" placeholder="Booking Id"/></div>
+        <div class="kv"><label>From</label><input id="from" type="datetime-local"/></div>
+        <div class="kv"><label>To</label><input id="to" type="datetime-local"/></div>
+        <button id="go">Load</button>
       </div>
+    </div>
+  </header>
 
-      <div class="card">
-        <h3>
-          <span>Selected</span>
-          <span class="actions">
-            <span class="tabs">
-              <span class="tab active" id="tabTracks">Tracks</span>
-              <span class="tab" id="tabJson">JSON</span>
-            </span>
-            <button id="copyBtn">Copy JSON</button>
-          </span>
-        </h3>
-        <div class="detailWrap" id="detail">Select an event…</div>
+  <div class="wrap">
+    <div class="card">
+      <h3>
+        <span id="title">Track replay</span>
+        <span class="actions" style="display:flex;gap:8px">
+          <a class="btn" id="dlGpx" href="#" download>GPX</a>
+          <a class="btn" id="dlGeo" href="#" download>GeoJSON</a>
+          <a class="btn" id="dlKml" href="#" download>KML</a>
+        </span>
+      </h3>
+      <div id="map"></div>
+      <div class="controls">
+        <button id="play">▶ Play</button>
+        <select id="speed">
+          <option value="1">1×</option><option value="10">10×</option><option value="30" selected>30×</option>
+          <option value="60">60×</option><option value="300">300×</option>
+        </select>
+        <input id="scrub" type="range" min="0" max="0" value="0" step="1"/>
+        <span class="mono" id="clock">–</span>
+        <span id="info"></span>
       </div>
     </div>
   </div>
 
+<script src="/vendor/leaflet/leaflet.js"></script>
 <script>
-  let auto = true;
-  let timer = null;
-  let paused = false;
-
-  let selectedHook = null; // "*" or actual hook
-  let currentSelectedJson = null;
-  let currentSelectedId = null;      // keep selection stable during refresh
-  let currentSelectedHook = null;    // keep selection stable during refresh
-
-  let viewMode = "tracks"; // tracks | json
-
-  // Delta memory (browser-side): vehicleId -> last seen
-  const lastByVehicleId = new Map();
+  const CONFIG = ${JSON.stringify(mapConfig).replace(/</g, "\\u003c")};
+  const STATUS_COLORS = {
+    's-clear': 'rgb(30, 130, 90)',
+    's-busy': 'rgb(220, 165, 35)',
+    's-offered': 'rgb(70, 130, 220)',
+    's-other': 'rgb(155, 176, 194)',
+  };
 
-  const qs = new URLSearchParams(location.search);
+  let points = [];
+  let times = [];
+  let playing = false;
+  let clock = 0;       // ms timestamp being shown
+  let lastFrame = 0;
 
-  function fmt(s){ try { return new Date(s).toLocaleString(); } catch { return s; } }
-  function esc(s){ return String(s ?? "").replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+  ${ESC_SCRIPT}
   function setStatus(txt){ document.getElementById('status').textContent = txt; }
-  function setCount(txt){ document.getElementById('count').textContent = txt || ''; }
-  function setHookPill(h){ document.getElementById('hookPill').textContent = (h === '*') ? '* ALL' : '/' + (h || ''); }
 
-  function getLimit(){ return Number(document.getElementById('limit').value || 0); }
-  function getField(){ return document.getElementById('fieldSelect').value || 'any'; }
-  function getValue(){ return (document.getElementById('value').value || '').trim(); }
-  function getQ(){ return (document.getElementById('q').value || '').trim(); }
+  async function apiFetch(url, opts){
+    const res = await fetch(url, opts);
+    if (res.status === 401) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname + location.search);
+      throw new Error('Authentication required');
+    }
+    return res;
+  }
 
   function statusClass(status){
     const s = String(status || '').toLowerCase();
@@ -872,427 +8439,1072 @@ app.get("/dashboard", (req, res) => {
     if (s === "clear") return "s-clear";
     if (s.includes("busy")) return "s-busy";
     if (s.includes("offered")) return "s-offered";
-    if (s.includes("joboffered")) return "s-offered";
     return "s-other";
   }
 
-  function updateUrl(){
-    const u = new URL(location.href);
-    if (selectedHook) u.searchParams.set('hook', selectedHook);
-    const field = getField();
-    const value = getValue();
-    const q = getQ();
-    const limit = getLimit();
+  const map = L.map('map').setView(CONFIG.center, CONFIG.zoom);
+  L.tileLayer(CONFIG.tileUrl, { maxZoom: CONFIG.maxZoom, attribution: CONFIG.attribution }).addTo(map);
+  const pathLayer = L.layerGroup().addTo(map);
+  const marker = L.circleMarker(CONFIG.center, { radius: 9, weight: 3, fillOpacity: 0.9 });
+
+  // datetime-local has no zone; treat it as the viewer's local time
+  function toIso(v){ return v ? new Date(v).toISOString() : ''; }
+  function toLocalInput(iso){
+    const d = new Date(iso);
+    if (isNaN(d)) return '';
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
 
-    if (field) u.searchParams.set('field', field); else u.searchParams.delete('field');
-    if (value) u.searchParams.set('value', value); else u.searchParams.delete('value');
-    if (q) u.searchParams.set('q', q); else u.searchParams.delete('q');
-    u.searchParams.set('limit', String(limit || 0));
-    history.replaceState({}, '', u);
+  function params(){
+    const p = new URLSearchParams();
+    const vehicle = document.getElementById('vehicle').value.trim();
+    const booking = document.getElementById('booking').value.trim();
+    const from = toIso(document.getElementById('from').value);
+    const to = toIso(document.getElementById('to').value);
+    if (vehicle) p.set('vehicle', vehicle);
+    if (booking) p.set('booking', booking);
+    if (from) p.set('from', from);
+    if (to) p.set('to', to);
+    return p;
   }
 
-  function updateDownloadLinks(){
-    const hook = selectedHook || '*';
-    const field = getField();
-    const value = getValue();
-    const q = getQ();
+  // last point at or before t
+  function indexAt(t){
+    let lo = 0, hi = times.length - 1, ans = 0;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= t) { ans = mid; lo = mid + 1; } else hi = mid - 1;
+    }
+    return ans;
+  }
 
-    const nd = new URL('/api/export.ndjson', location.origin);
-    nd.searchParams.set('hook', hook);
-    if (field) nd.searchParams.set('field', field);
-    if (value) nd.searchParams.set('value', value);
-    if (q) nd.searchParams.set('q', q);
+  function show(t){
+    if (!points.length) return;
+    clock = Math.min(Math.max(t, times[0]), times[times.length - 1]);
+    const i = indexAt(clock);
+    const p = points[i];
+    const color = STATUS_COLORS[statusClass(p.status)];
+    marker.setLatLng([p.lat, p.lng]).setStyle({ color, fillColor: color });
+    document.getElementById('scrub').value = String(i);
+    document.getElementById('clock').textContent = new Date(clock).toLocaleString();
+    document.getElementById('info').innerHTML =
+      '<span class="pill status ' + statusClass(p.status) + '">' + esc(p.status || '-') + '</span> ' +
+      '<span class="muted">CS#' + esc(p.callsign || '-') + (p.bookingId ? ' · Booking ' + esc(p.bookingId) : '') + ' · ' + (i + 1) + '/' + points.length + '</span>';
+  }
 
-    const cs = new URL('/api/export.csv', location.origin);
-    cs.searchParams.set('hook', hook);
-    if (field) cs.searchParams.set('field', field);
-    if (value) cs.searchParams.set('value', value);
-    if (q) cs.searchParams.set('q', q);
+  function frame(now){
+    if (!playing) return;
+    const speed = Number(document.getElementById('speed').value || 1);
+    clock += (now - lastFrame) * speed;
+    lastFrame = now;
+    show(clock);
+    if (clock >= times[times.length - 1]) return setPlaying(false);
+    requestAnimationFrame(frame);
+  }
 
-    document.getElementById('dlNdjson').href = nd.toString();
-    document.getElementById('dlCsv').href = cs.toString();
+  function setPlaying(on){
+    playing = on && points.length > 1;
+    document.getElementById('play').textContent = playing ? '❚❚ Pause' : '▶ Play';
+    if (playing) {
+      if (clock >= times[times.length - 1]) clock = times[0];
+      lastFrame = performance.now();
+      requestAnimationFrame(frame);
+    }
   }
 
-  async function loadHooks() {
-    const res = await fetch('/api/hooks', { cache: 'no-store' });
-    const data = await res.json();
-    const hooks = (data && data.ok && data.hooks) ? data.hooks : ["*"];
+  function updateLinks(){
+    const p = params().toString();
+    document.getElementById('dlGpx').href = '/api/export/track.gpx?' + p;
+    document.getElementById('dlGeo').href = '/api/export/track.geojson?' + p;
+    document.getElementById('dlKml').href = '/api/export/track.kml?' + p;
+  }
 
-    const sel = document.getElementById('hookSelect');
-    sel.innerHTML = '';
-    for (const h of hooks) {
-      const opt = document.createElement('option');
-      opt.value = h;
-      opt.textContent = (h === "*") ? "* ALL" : ("/" + h);
-      sel.appendChild(opt);
+  async function load(){
+    setPlaying(false);
+    const p = params();
+    history.replaceState({}, '', location.pathname + '?' + p.toString());
+    updateLinks();
+    if (!p.get('vehicle') && !p.get('booking')) return setStatus('Enter a vehicle and/or booking');
+
+    setStatus('Loading…');
+    const data = await (await apiFetch('/api/track?' + p.toString(), { cache: 'no-store' })).json();
+    pathLayer.clearLayers();
+    if (!data.ok) return setStatus(data.error || 'Failed');
+
+    points = data.points;
+    times = points.map((x) => Date.parse(x.time));
+    document.getElementById('scrub').max = String(Math.max(0, points.length - 1));
+    document.getElementById('title').textContent = 'Track replay · ' + points.length + ' points' + (data.truncated ? ' (newest only)' : '');
+    if (!points.length) {
+      marker.remove();
+      document.getElementById('clock').textContent = '–';
+      document.getElementById('info').textContent = '';
+      return setStatus('No positions found');
     }
 
-    const fromUrl = qs.get('hook');
-    selectedHook = fromUrl && hooks.includes(fromUrl) ? fromUrl : (hooks[0] || "*");
-    sel.value = selectedHook;
-    setHookPill(selectedHook);
-
-    sel.onchange = async () => {
-      selectedHook = sel.value;
-      setHookPill(selectedHook);
-      currentSelectedId = null;
-      currentSelectedHook = null;
-      updateUrl();
-      updateDownloadLinks();
-      await load();
+    // one segment per status run so the path shows what the car was doing
+    let seg = [points[0]];
+    const flush = () => {
+      if (seg.length > 1) L.polyline(seg.map((x) => [x.lat, x.lng]), { color: STATUS_COLORS[statusClass(seg[0].status)], weight: 4 }).addTo(pathLayer);
     };
+    for (let i = 1; i < points.length; i++) {
+      seg.push(points[i]);
+      if (points[i].status !== seg[0].status) { flush(); seg = [points[i]]; }
+    }
+    flush();
+
+    marker.addTo(map);
+    map.fitBounds(L.latLngBounds(points.map((x) => [x.lat, x.lng])).pad(0.1));
+    show(times[0]);
+    setStatus(new Date(times[0]).toLocaleString() + ' → ' + new Date(times[times.length - 1]).toLocaleString());
   }
 
-  async function loadFields(){
-    const res = await fetch('/api/fields', { cache: 'no-store' });
-    const data = await res.json();
-    const fields = (data && data.ok && data.fields) ? data.fields : [{label:'Any',value:'any'}];
+  document.getElementById('go').onclick = load;
+  document.getElementById('play').onclick = () => setPlaying(!playing);
+  document.getElementById('scrub').addEventListener('input', (e) => {
+    setPlaying(false);
+    show(times[Number(e.target.value)] ?? 0);
+  });
 
-    const sel = document.getElementById('fieldSelect');
-    sel.innerHTML = '';
-    for (const f of fields) {
-      const opt = document.createElement('option');
-      opt.value = f.value;
-      opt.textContent = f.label;
-      sel.appendChild(opt);
-    }
+  (function init(){
+    const qs = new URLSearchParams(location.search);
+    document.getElementById('vehicle').value = qs.get('vehicle') || '';
+    document.getElementById('booking').value = qs.get('booking') || '';
+    if (qs.get('from')) document.getElementById('from').value = toLocalInput(qs.get('from'));
+    if (qs.get('to')) document.getElementById('to').value = toLocalInput(qs.get('to'));
+    updateLinks();
+    if (qs.get('vehicle') || qs.get('booking')) load();
+  })();
+</script>
+</body>
+</html>`);
+});
 
-    const fromUrl = qs.get('field');
-    if (fromUrl) sel.value = fromUrl;
-    else sel.value = 'any';
-  }
+app.get("/dashboard/forwarding", requireRole("viewer"), (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Need-a-Cab Webhooks · Forwarding</title>
+  <style>
+    ${BASE_STYLE}
+    .stack{display:flex;flex-direction:column;gap:14px}
+    .scroll{max-height:46vh;overflow:auto}
+    .ok{color:#7fd1a8}
+    .bad{color:#e8a0a0}
+  </style>
+</head>
+<body>
+  <header>
+    <div class="wrap">
+      <div class="topbar">
+        <div style="font-weight:800">Need-a-Cab Webhooks</div>
+        ${pageNav("/dashboard/forwarding")}
+        <span class="muted" id="status">Loading…</span>
+        <div style="flex:1"></div>
+        <div class="kv">
+          <label>Target</label>
+          <select id="targetSelect"><option value="">All targets</option></select>
+        </div>
+        <button id="refresh">Refresh</button>
+      </div>
+    </div>
+  </header>
 
-  function hydrateFromUrl(){
-    const value = qs.get('value');
-    const q = qs.get('q');
-    const limit = qs.get('limit');
+  <div class="wrap stack">
+    <div class="card">
+      <h3><span>Targets</span><span class="muted" id="queued"></span></h3>
+      <div class="scroll" id="targets"></div>
+    </div>
+    <div class="card">
+      <h3><span>Delivery log</span></h3>
+      <div class="scroll" id="log"></div>
+    </div>
+    <div class="card">
+      <h3><span>Dead letters</span><span class="muted" id="deadCount"></span></h3>
+      <div class="scroll" id="dead"></div>
+    </div>
+  </div>
 
-    if (value) document.getElementById('value').value = value;
-    if (q) document.getElementById('q').value = q;
-    if (limit != null) document.getElementById('limit').value = limit;
+<script>
+  let isAdmin = false;
+
+  ${ESC_SCRIPT}
+  function fmt(s){ try { return new Date(s).toLocaleString(); } catch { return s; } }
+  function setStatus(txt){ document.getElementById('status').textContent = txt; }
+
+  async function apiFetch(url, opts){
+    const res = await fetch(url, opts);
+    if (res.status === 401) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname + location.search);
+      throw new Error('Authentication required');
+    }
+    return res;
   }
 
-  let t = null;
-  function scheduleReload(){
-    if (t) clearTimeout(t);
-    t = setTimeout(() => {
-      updateUrl();
-      updateDownloadLinks();
-      load();
-    }, 350);
+  function table(head, rows){
+    if (!rows.length) return '<div class="muted" style="padding:12px 14px">Nothing here.</div>';
+    return '<table><thead><tr>' + head.map((h) => '<th>' + h + '</th>').join('') + '</tr></thead><tbody>' +
+      rows.map((r) => '<tr>' + r.map((c) => '<td>' + c + '</td>').join('') + '</tr>').join('') + '</tbody></table>';
   }
 
-  function setPause(on){
-    paused = on;
-    document.getElementById('pause').textContent = 'Pause: ' + (paused ? 'ON' : 'OFF');
-    if (paused) setStatus('Paused (not refreshing list)');
-    else setStatus('Resuming…');
+  async function loadTargets(){
+    const data = await (await apiFetch('/api/forwarding', { cache: 'no-store' })).json();
+    if (!data.ok) return;
+    document.getElementById('queued').textContent = data.queued + ' queued';
+
+    const sel = document.getElementById('targetSelect');
+    const current = sel.value;
+    const names = [...new Set(data.targets.map((t) => t.name))];
+    sel.innerHTML = '<option value="">All targets</option>' + names.map((n) => '<option>' + esc(n) + '</option>').join('');
+    sel.value = names.includes(current) ? current : '';
+
+    document.getElementById('targets').innerHTML = table(
+      ['Target', 'Hook', 'URL', 'Filter', 'Pending', 'Delivered', 'Failed attempts', 'Dead'],
+      data.targets.map((t) => [
+        '<b>' + esc(t.name) + '</b>', '/' + esc(t.hook), '<span class="mono">' + esc(t.url) + '</span>',
+        '<span class="mono">' + esc(t.filter || '-') + '</span>', t.pending, t.delivered, t.failed, t.dead,
+      ])
+    );
   }
 
-  function setView(mode){
-    viewMode = mode;
-    document.getElementById('tabTracks').classList.toggle('active', viewMode === 'tracks');
-    document.getElementById('tabJson').classList.toggle('active', viewMode === 'json');
-    // re-render current selection
-    if (currentSelectedJson) renderDetailFromCurrent();
+  async function loadLog(){
+    const url = new URL('/api/forwarding/log', location.origin);
+    const target = document.getElementById('targetSelect').value;
+    if (target) url.searchParams.set('target', target);
+    const data = await (await apiFetch(url.toString(), { cache: 'no-store' })).json();
+    if (!data.ok) return;
+    document.getElementById('log').innerHTML = table(
+      ['Time', 'Target', 'Hook', 'Event', 'Attempt', 'Result', 'ms'],
+      data.items.map((e) => [
+        esc(fmt(e.at)), esc(e.target), '/' + esc(e.hook), '<span class="mono">' + esc(e.eventId) + '</span>', e.attempt,
+        e.error ? '<span class="bad">' + esc(e.error) + '</span>' : '<span class="ok">' + esc(e.status) + '</span>', e.ms,
+      ])
+    );
   }
 
-  function renderTracksDetail(item){
-    const p = item?.payload || {};
-    const tracks = Array.isArray(p.VehicleTracks) ? p.VehicleTracks : [];
-    if (!tracks.length) {
-      return '<div class="muted">No VehicleTracks array in this payload.</div>';
+  async function loadDead(){
+    const data = await (await apiFetch('/api/forwarding/dead-letter', { cache: 'no-store' })).json();
+    if (!data.ok) return;
+    const target = document.getElementById('targetSelect').value;
+    const items = data.items.filter((d) => !target || d.target === target);
+    document.getElementById('deadCount').textContent = data.items.length + ' total';
+    document.getElementById('dead').innerHTML = table(
+      ['Dead since', 'Target', 'Hook', 'Event', 'Attempts', 'Last error', ''],
+      items.map((d) => [
+        esc(fmt(d.deadAt)), esc(d.target), '/' + esc(d.hook), '<span class="mono">' + esc(d.eventId) + '</span>', d.attempts,
+        '<span class="bad">' + esc(d.lastError) + '</span>',
+        isAdmin ? '<button data-retry="' + esc(d.id) + '">Retry</button>' : '',
+      ])
+    );
+    for (const btn of document.querySelectorAll('[data-retry]')) {
+      btn.onclick = async () => {
+        const res = await apiFetch('/api/forwarding/dead-letter/' + encodeURIComponent(btn.dataset.retry) + '/retry', { method: 'POST' });
+        const out = await res.json();
+        if (!out.ok) return alert(out.error || 'Retry failed');
+        await refresh();
+      };
     }
+  }
 
-    // Build rows + delta updates
-    let html = '';
-    html += '<div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;margin-bottom:10px">';
-    html += '<span class="pill">' + esc(p.EventType || 'VehicleTracksChanged') + '</span>';
-    html += '<span class="pill">Tracks: ' + tracks.length + '</span>';
-    html += '<span class="muted">Received: ' + esc(fmt(item.receivedAt)) + '</span>';
-    html += '</div>';
-
-    html += '<table>';
-    html += '<thead><tr>';
-    html += '<th>CS</th><th>V#</th><th>D#</th><th>Status</th><th>BookingId</th><th>Time</th><th>Loc</th><th>Δ</th>';
-    html += '</tr></thead>';
-    html += '<tbody>';
+  async function refresh(){
+    setStatus('Refreshing…');
+    await loadTargets();
+    await Promise.all([loadLog(), loadDead()]);
+    setStatus('Last update: ' + new Date().toLocaleTimeString());
+  }
 
-    for (const tr of tracks) {
-      const cs = (tr?.Vehicle?.Callsign ?? tr?.Driver?.Callsign ?? '').toString().trim();
-      const vId = tr?.Vehicle?.Id ?? '';
-      const dId = tr?.Driver?.Id ?? '';
-      const st = (tr?.VehicleStatus ?? '').toString().trim();
-      const bId = (tr?.BookingId ?? '').toString().trim();
-      const ts = (tr?.Timestamp ?? '').toString().trim();
-      const lat = tr?.CurrentLocation?.Latitude;
-      const lng = tr?.CurrentLocation?.Longitude;
+  document.getElementById('refresh').onclick = refresh;
+  document.getElementById('targetSelect').onchange = refresh;
 
-      // Delta compare
-      const key = vId !== '' && vId != null ? String(vId) : ('cs:' + cs);
-      const prev = lastByVehicleId.get(key);
-      const changes = [];
-      if (prev) {
-        if (String(prev.status || '') !== String(st || '')) changes.push('status');
-        if (String(prev.bookingId || '') !== String(bId || '')) changes.push('booking');
-        if (lat != null && lng != null) {
-          const dLat = Math.abs((prev.lat ?? lat) - lat);
-          const dLng = Math.abs((prev.lng ?? lng) - lng);
-          if (dLat > 0.0003 || dLng > 0.0003) changes.push('moved');
-        }
-      } else {
-        changes.push('new');
-      }
+  (async function init(){
+    const me = await (await apiFetch('/api/me', { cache: 'no-store' })).json();
+    isAdmin = me.ok && me.role === 'admin';
+    await refresh();
+    setInterval(refresh, 5000);
+  })();
+</script>
+</body>
+</html>`);
+});
 
-      // update last seen
-      lastByVehicleId.set(key, { status: st, bookingId: bId, lat, lng, ts });
+app.get("/dashboard/schemas", requireRole("viewer"), (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Need-a-Cab Webhooks · Schemas</title>
+  <style>
+    ${BASE_STYLE}
+    .stack{display:flex;flex-direction:column;gap:14px}
+    .scroll{max-height:46vh;overflow:auto}
+    .ok{color:#7fd1a8}
+    .bad{color:#e8a0a0}
+    .warn{color:#e8cf8a}
+    .days{display:flex;align-items:flex-end;gap:2px;height:22px}
+    .days span{display:inline-block;width:5px;background:#5b7cc4;min-height:1px}
+    tr.sel td{background:rgba(91,124,196,.15)}
+  </style>
+</head>
+<body>
+  <header>
+    <div class="wrap">
+      <div class="topbar">
+        <div style="font-weight:800">Need-a-Cab Webhooks</div>
+        ${pageNav("/dashboard/schemas")}
+        <span class="muted" id="status">Loading…</span>
+        <div style="flex:1"></div>
+        <div class="kv">
+          <label>Hook</label>
+          <select id="hookSelect"></select>
+        </div>
+        <button id="pinBtn" style="display:none" title="Infer a schema from the newest events and validate against it">Pin inferred schema</button>
+        <button id="unpinBtn" class="danger" style="display:none">Unpin</button>
+        <button id="refresh">Refresh</button>
+      </div>
+    </div>
+  </header>
 
-      const mapsUrl =
-        (lat != null && lng != null)
-          ? ('https://www.google.com/maps?q=' + encodeURIComponent(lat + ',' + lng))
-          : '';
+  <div class="wrap stack">
+    <div class="card">
+      <h3><span>Hooks</span></h3>
+      <div class="scroll" id="hooks"></div>
+    </div>
+    <div class="card">
+      <h3><span>Schema drift</span><span class="muted" id="driftInfo"></span></h3>
+      <div class="scroll" id="drift"></div>
+    </div>
+    <div class="card">
+      <h3><span>Fields: pinned vs newest events</span><span class="muted" id="fieldsInfo"></span></h3>
+      <div class="scroll" id="fields"></div>
+    </div>
+  </div>
 
-      html += '<tr>';
-      html += '<td><span class="pill">CS#' + esc(cs || '-') + '</span></td>';
-      html += '<td>' + esc(vId === '' ? '-' : ('V#' + vId)) + '</td>';
-      html += '<td>' + esc(dId === '' ? '-' : ('D#' + dId)) + '</td>';
-      html += '<td><span class="pill status ' + statusClass(st) + '">' + esc(st || '-') + '</span></td>';
-      html += '<td class="mono">' + esc(bId || '-') + '</td>';
-      html += '<td class="muted">' + esc(ts || '-') + '</td>';
-      html += '<td>' + (mapsUrl ? ('<a target="_blank" rel="noreferrer" href="' + mapsUrl + '">Map</a>') : '<span class="muted">-</span>') + '</td>';
-      html += '<td class="delta">' + esc(changes.join(', ')) + '</td>';
-      html += '</tr>';
+<script>
+  let isAdmin = false;
+  let selectedHook = new URL(location.href).searchParams.get('hook') || '';
+  let current = null;
+
+  ${ESC_SCRIPT}
+  function fmt(s){ try { return new Date(s).toLocaleString(); } catch { return s; } }
+  function setStatus(txt){ document.getElementById('status').textContent = txt; }
+
+  async function apiFetch(url, opts){
+    const res = await fetch(url, opts);
+    if (res.status === 401) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname + location.search);
+      throw new Error('Authentication required');
     }
+    return res;
+  }
 
-    html += '</tbody></table>';
-    html += '<div class="muted" style="margin-top:10px">Δ compares each vehicle to the last seen state in this browser session.</div>';
-    return html;
+  function table(head, rows, rowClass){
+    if (!rows.length) return '<div class="muted" style="padding:12px 14px">Nothing here.</div>';
+    return '<table><thead><tr>' + head.map((h) => '<th>' + h + '</th>').join('') + '</tr></thead><tbody>' +
+      rows.map((r, i) => '<tr' + (rowClass ? rowClass(i) : '') + '>' + r.map((c) => '<td>' + c + '</td>').join('') + '</tr>').join('') +
+      '</tbody></table>';
   }
 
-  function renderJsonDetail(){
-    return '<pre class="mono" style="white-space:pre-wrap;word-break:break-word;margin:0">' + esc(currentSelectedJson) + '</pre>';
+  // path -> "type|type" for every field of a schema
+  function flatten(schema, prefix, out){
+    out = out || {};
+    if (!schema) return out;
+    const type = [].concat(schema.type || []).join('|');
+    if (prefix) out[prefix] = type;
+    for (const k in (schema.properties || {})) flatten(schema.properties[k], prefix ? prefix + '.' + k : k, out);
+    if (schema.items) flatten(schema.items, prefix + '[]', out);
+    return out;
   }
 
-  function renderDetailFromCurrent(){
-    try {
-      const item = JSON.parse(currentSelectedJson);
-      const isTracks = item?.payload && Array.isArray(item.payload.VehicleTracks);
-      if (viewMode === "tracks" && isTracks) {
-        document.getElementById('detail').innerHTML = renderTracksDetail(item);
-      } else if (viewMode === "tracks" && !isTracks) {
-        document.getElementById('detail').innerHTML =
-          '<div class="muted">Not a tracks payload. Switch to JSON view.</div>';
-      } else {
-        document.getElementById('detail').innerHTML = renderJsonDetail();
-      }
-    } catch {
-      document.getElementById('detail').innerHTML = renderJsonDetail();
+  // one bar per day for the last 14 days
+  function dayBars(days){
+    const out = [];
+    const max = Math.max(1, ...Object.values(days || {}));
+    for (let i = 13; i >= 0; i--) {
+      const d = new Date(Date.now() - i * 86400000).toISOString().slice(0, 10);
+      const n = (days || {})[d] || 0;
+      out.push('<span title="' + d + ': ' + n + '" style="height:' + Math.round((n / max) * 100) + '%"></span>');
     }
+    return '<div class="days">' + out.join('') + '</div>';
   }
 
-  async function load() {
-    if (paused) return;
+  const KIND_LABEL = { new: '<span class="warn">new field</span>', missing: '<span class="bad">missing</span>', type: '<span class="bad">type changed</span>' };
 
-    const field = getField();
-    const value = getValue();
-    const q = getQ();
-    const limit = getLimit();
+  async function loadHooks(){
+    const data = await (await apiFetch('/api/schemas', { cache: 'no-store' })).json();
+    if (!data.ok) return;
+    if (!selectedHook && data.items.length) selectedHook = (data.items.find((h) => h.pinned) || data.items[0]).hook;
 
-    setStatus('Refreshing…');
+    const sel = document.getElementById('hookSelect');
+    sel.innerHTML = data.items.map((h) => '<option>' + esc(h.hook) + '</option>').join('');
+    sel.value = selectedHook;
 
-    let url;
-    if (selectedHook === '*') url = new URL('/api/events', location.origin);
-    else url = new URL('/api/hooks/' + encodeURIComponent(selectedHook), location.origin);
+    document.getElementById('hooks').innerHTML = table(
+      ['Hook', 'Schema', 'Validated', 'Invalid', 'Drifting fields'],
+      data.items.map((h) => [
+        '<a href="#" data-hook="' + esc(h.hook) + '">/' + esc(h.hook) + '</a>',
+        h.pinned ? 'pinned ' + esc(fmt(h.pinnedAt)) + (h.pinnedBy ? ' by ' + esc(h.pinnedBy) : '') : '<span class="muted">not pinned</span>',
+        h.validated,
+        h.invalid ? '<span class="bad">' + h.invalid + '</span>' : '0',
+        h.driftFields ? '<span class="warn">' + h.driftFields + '</span>' : '0',
+      ]),
+      (i) => data.items[i].hook === selectedHook ? ' class="sel"' : ''
+    );
+    for (const a of document.querySelectorAll('[data-hook]')) {
+      a.onclick = (e) => { e.preventDefault(); select(a.dataset.hook); };
+    }
+  }
 
-    url.searchParams.set('limit', String(limit || 0));
-    if (field) url.searchParams.set('field', field);
-    if (value) url.searchParams.set('value', value);
-    if (q) url.searchParams.set('q', q);
+  async function loadSchema(){
+    if (!selectedHook) return;
+    const data = await (await apiFetch('/api/schemas/' + encodeURIComponent(selectedHook), { cache: 'no-store' })).json();
+    if (!data.ok) return;
+    current = data;
+
+    document.getElementById('pinBtn').style.display = isAdmin ? '' : 'none';
+    document.getElementById('pinBtn').textContent = data.pinned ? 'Re-pin from newest events' : 'Pin inferred schema';
+    document.getElementById('unpinBtn').style.display = isAdmin && data.pinned ? '' : 'none';
+
+    document.getElementById('driftInfo').textContent = data.pinned
+      ? data.drift.length + ' fields differ from the schema pinned ' + fmt(data.pinnedAt)
+      : 'pin a schema to validate incoming events';
+    document.getElementById('drift').innerHTML = table(
+      ['Field', 'Change', 'Expected', 'Seen', 'Events', 'First seen', 'Last seen', 'Last 14 days', ''],
+      data.drift.map((f) => [
+        '<span class="mono">' + esc(f.path) + '</span>', KIND_LABEL[f.kind] || esc(f.kind), esc(f.expected || ''), esc(f.seen || ''),
+        f.count, esc(fmt(f.firstSeen)), esc(fmt(f.lastSeen)), dayBars(f.days),
+        '<a href="/dashboard?hook=' + encodeURIComponent(data.hook) + '&q=' + encodeURIComponent('schema.issues.path="' + f.path + '"') + '">events</a>',
+      ])
+    );
 
-    const res = await fetch(url.toString(), { cache: 'no-store' });
+    const pinned = flatten(data.pinned, '', {});
+    const inferred = flatten(data.inferred, '', {});
+    const paths = [...new Set(Object.keys(pinned).concat(Object.keys(inferred)))].sort();
+    document.getElementById('fieldsInfo').textContent = 'newest ' + data.inferredFrom + ' events';
+    document.getElementById('fields').innerHTML = table(
+      ['Field', 'Pinned', 'Newest events', ''],
+      paths.map((p) => {
+        const a = pinned[p];
+        const b = inferred[p];
+        let note = '';
+        if (data.pinned && a === undefined) note = KIND_LABEL.new;
+        else if (data.pinned && b === undefined) note = '<span class="muted">not seen</span>';
+        else if (data.pinned && a !== b) note = KIND_LABEL.type;
+        return ['<span class="mono">' + esc(p) + '</span>', esc(a || '-'), esc(b || '-'), note];
+      })
+    );
+  }
+
+  async function select(hook){
+    selectedHook = hook;
+    const u = new URL(location.href);
+    u.searchParams.set('hook', hook);
+    history.replaceState({}, '', u);
+    await refresh();
+  }
+
+  async function pin(){
+    if (current && current.pinned && !confirm('Replace the pinned schema for /' + selectedHook + '? Counters and the drift report start over.')) return;
+    const res = await apiFetch('/api/schemas/' + encodeURIComponent(selectedHook) + '/pin', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
     const data = await res.json();
+    if (!data.ok) return alert(data.error || 'Pin failed');
+    await refresh();
+  }
 
-    const list = document.getElementById('list');
-    list.innerHTML = '';
+  async function unpin(){
+    if (!confirm('Stop validating /' + selectedHook + ' and drop its drift report?')) return;
+    const res = await apiFetch('/api/schemas/' + encodeURIComponent(selectedHook) + '/unpin', { method: 'POST' });
+    const data = await res.json();
+    if (!data.ok) return alert(data.error || 'Unpin failed');
+    await refresh();
+  }
 
-    if (!data.ok || !data.items?.length) {
-      list.innerHTML = '<div class="row"><div>No events found.</div><div class="muted">Try * ALL, or clear filters.</div></div>';
-      setCount('');
-      setStatus('Ready');
-      return;
-    }
+  async function refresh(){
+    setStatus('Refreshing…');
+    await loadHooks();
+    await loadSchema();
+    setStatus('Last update: ' + new Date().toLocaleTimeString());
+  }
 
-    setCount((data.count || 0) + ' match' + ((data.count || 0) === 1 ? '' : 'es'));
+  document.getElementById('refresh').onclick = refresh;
+  document.getElementById('hookSelect').onchange = (e) => select(e.target.value);
+  document.getElementById('pinBtn').onclick = pin;
+  document.getElementById('unpinBtn').onclick = unpin;
 
-    let firstItem = null;
-    let selectedItem = null;
+  (async function init(){
+    const me = await (await apiFetch('/api/me', { cache: 'no-store' })).json();
+    isAdmin = me.ok && me.role === 'admin';
+    await refresh();
+  })();
+</script>
+</body>
+</html>`);
+});
 
-    for (const item of data.items) {
-      if (!firstItem) firstItem = item;
+app.get("/dashboard/settings", requireRole("viewer"), (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Need-a-Cab Webhooks · Settings</title>
+  <style>
+    ${BASE_STYLE}
+    .stack{display:flex;flex-direction:column;gap:14px}
+    .scroll{max-height:46vh;overflow:auto}
+    .form{display:grid;grid-template-columns:160px 1fr;gap:10px 14px;padding:14px;align-items:center;max-width:900px}
+    .form label{font-size:12px;color:#9bb0c2}
+    .form input,.form select,.form textarea{width:100%;box-sizing:border-box}
+    textarea{background:#0f1319;border:1px solid #2a3340;color:#e9eef4;padding:8px 10px;border-radius:10px;font:inherit;min-height:60px}
+    .row3{display:flex;gap:8px}
+    .actions{display:flex;gap:8px;padding:0 14px 14px}
+    .ok{color:#7fd1a8}
+    .bad{color:#e8a0a0}
+    .warn{color:#e8cf8a}
+    tr.sel td{background:rgba(91,124,196,.15)}
+  </style>
+</head>
+<body>
+  <header>
+    <div class="wrap">
+      <div class="topbar">
+        <div style="font-weight:800">Need-a-Cab Webhooks</div>
+        ${pageNav("/dashboard/settings")}
+        <span class="muted" id="status">Loading…</span>
+        <div style="flex:1"></div>
+        <label class="kv" title="Reject deliveries to hooks that aren't registered here"><input id="registeredOnly" type="checkbox"/> <span class="muted">Registered hooks only</span></label>
+        <button id="newBtn" style="display:none">New hook</button>
+        <button id="refresh">Refresh</button>
+      </div>
+    </div>
+  </header>
 
-      if (currentSelectedId && currentSelectedHook) {
-        if (item.id === currentSelectedId && item.hook === currentSelectedHook) selectedItem = item;
-      }
+  <div class="wrap stack">
+    <div class="card">
+      <h3><span>Hooks</span><span class="muted mono" id="fileInfo"></span></h3>
+      <div class="scroll" id="hooks"></div>
+    </div>
+    <div class="card" id="editCard" style="display:none">
+      <h3><span id="editTitle"></span><span class="muted" id="editInfo"></span></h3>
+      <div class="form">
+        <label>Hook</label><input id="f_hook" class="mono" placeholder="e.g. tracks"/>
+        <label>Display name</label><input id="f_displayName" placeholder="e.g. Vehicle tracks"/>
+        <label>Description</label><textarea id="f_description"></textarea>
+        <label>Expected sender</label><input id="f_sender" placeholder="e.g. Autocab"/>
+        <label>State</label><select id="f_state"></select>
+        <label>While paused</label>
+        <select id="f_pauseMode">
+          <option value="discard">Answer 200 and drop deliveries</option>
+          <option value="store">Store deliveries but answer 503</option>
+        </select>
+        <label>Signing secret</label>
+        <div class="row3"><input id="f_secret" type="password" autocomplete="new-password"/><label class="kv"><input id="f_clearSecret" type="checkbox"/> clear</label></div>
+        <label>Retention</label>
+        <div class="row3">
+          <input id="f_maxAgeDays" placeholder="max age (days)"/>
+          <input id="f_maxBytes" placeholder="max size (e.g. 500MB)"/>
+          <input id="f_maxEvents" placeholder="max events"/>
+        </div>
+        <label>Default adapter</label><select id="f_adapter"></select>
+        <label title="First matching rule answers deliveries; see the README">Response rules</label>
+        <textarea id="f_responses" class="mono" rows="6" placeholder='[{ "name": "flaky", "percent": 30, "status": 503 }]'></textarea>
+      </div>
+      <div class="actions">
+        <button id="saveBtn">Save</button>
+        <button id="deleteBtn" class="danger">Unregister</button>
+        <span class="muted" id="formMsg"></span>
+      </div>
+    </div>
+  </div>
 
-      const div = document.createElement('div');
-      div.className = 'row';
+<script>
+  let isAdmin = false;
+  let selectedHook = new URL(location.href).searchParams.get('hook') || '';
+  let creating = false;
+  let data = null;
 
-      const keys = item.payload && typeof item.payload === 'object'
-        ? Object.keys(item.payload).slice(0, 8).join(', ')
-        : '(non-object payload)';
+  ${ESC_SCRIPT}
+  function setStatus(txt){ document.getElementById('status').textContent = txt; }
+  function $(id){ return document.getElementById(id); }
 
-      const summary = item._summary || ('Keys: ' + (keys || '-'));
-      const meta = item._summaryMeta || {};
-      const isTracks = meta.kind === "tracks";
+  async function apiFetch(url, opts){
+    const res = await fetch(url, opts);
+    if (res.status === 401) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname + location.search);
+      throw new Error('Authentication required');
+    }
+    return res;
+  }
 
-      // Add status pill for tracks in list
-      let rightPills = '';
-      if (isTracks) {
-        const st = meta.status || '';
-        if (st) rightPills += '<span class="pill status ' + statusClass(st) + '">' + esc(st) + '</span>';
-      }
+  function table(head, rows, rowClass){
+    if (!rows.length) return '<div class="muted" style="padding:12px 14px">No hooks yet.</div>';
+    return '<table><thead><tr>' + head.map((h) => '<th>' + h + '</th>').join('') + '</tr></thead><tbody>' +
+      rows.map((r, i) => '<tr' + (rowClass ? rowClass(i) : '') + '>' + r.map((c) => '<td>' + c + '</td>').join('') + '</tr>').join('') +
+      '</tbody></table>';
+  }
 
-      div.innerHTML =
-        '<div style="display:flex;justify-content:space-between;gap:10px;align-items:flex-start">' +
-          '<div>' +
-            '<div class="tag"><b>' + esc(fmt(item.receivedAt)) + '</b>' +
-              '<span class="pill" style="margin-left:8px">' + esc(item.hook ? ('/' + item.hook) : '') + '</span>' +
-            '</div>' +
-            '<div class="summary mono">' + esc(summary) + '</div>' +
-            '<div class="muted sub">Keys: ' + esc(keys || '-') + '</div>' +
-          '</div>' +
-          '<div class="muted" style="text-align:right;min-width:140px">' +
-            (rightPills ? ('<div style="margin-bottom:6px">' + rightPills + '</div>') : '') +
-            '<div>' + esc(((item.meta?.ip || '').toString().slice(0, 30))) + '</div>' +
-            '<div>' + esc((item.meta?.contentType || '')) + '</div>' +
-          '</div>' +
-        '</div>';
+  const STATE_CLASS = { enabled: 'ok', disabled: 'bad', paused: 'warn' };
 
-      div.onclick = () => select(item, div);
-      list.appendChild(div);
+  function retentionText(r){
+    const parts = [];
+    if (r.maxAgeDays) parts.push(r.maxAgeDays + ' days');
+    if (r.maxBytes) parts.push(Math.round(r.maxBytes / 1048576) + ' MB');
+    if (r.maxEvents) parts.push(r.maxEvents + ' events');
+    return parts.join(' · ') || 'keep everything';
+  }
 
-      if (currentSelectedId && currentSelectedHook && item.id === currentSelectedId && item.hook === currentSelectedHook) {
-        div.classList.add('active');
-      }
+  async function loadHooks(){
+    data = await (await apiFetch('/api/settings/hooks', { cache: 'no-store' })).json();
+    if (!data.ok) return;
+
+    $('fileInfo').textContent = data.file;
+    $('registeredOnly').checked = data.registeredOnly;
+    $('registeredOnly').disabled = !isAdmin || data.allowlistEnv;
+    if (data.allowlistEnv) $('registeredOnly').parentElement.title = 'HOOK_ALLOWLIST is set, so only registered hooks are accepted';
+    $('f_state').innerHTML = data.states.map((s) => '<option>' + s + '</option>').join('');
+    $('f_adapter').innerHTML = '<option value="">(none: show unmatched events as Unknown)</option>' +
+      data.adapters.map((a) => '<option>' + esc(a) + '</option>').join('');
+
+    $('hooks').innerHTML = table(
+      ['Hook', 'Name', 'State', 'Sender', 'Secret', 'Retention', 'Adapter', 'Responses', 'Rejected', 'Also configured'],
+      data.items.map((h) => [
+        '<a href="#" data-hook="' + esc(h.hook) + '" class="mono">/' + esc(h.hook) + '</a>' +
+          (h.registered ? '' : ' <span class="muted">not registered</span>') +
+          (h.source === 'env' ? ' <span class="muted">HOOK_ALLOWLIST</span>' : ''),
+        esc(h.displayName) + (h.description ? '<div class="muted">' + esc(h.description) + '</div>' : ''),
+        '<span class="' + STATE_CLASS[h.state] + '">' + h.state + '</span>' +
+          (h.state === 'paused' ? ' <span class="muted">' + h.pauseMode + '</span>' : '') +
+          (h.discarded ? '<div class="muted">' + h.discarded.count + ' dropped</div>' : ''),
+        esc(h.sender),
+        h.secret ? (h.secret === 'file' ? 'set' : 'from ' + h.secret) : '<span class="muted">none</span>',
+        esc(retentionText(h.effectiveRetention)) + (h.retention ? '' : ' <span class="muted">(default)</span>'),
+        esc(h.adapter),
+        h.responses.length ? h.responses.length + ' rule' + (h.responses.length === 1 ? '' : 's') +
+          (h.responseErrors.length ? ' <span class="bad">(' + h.responseErrors.length + ' invalid)</span>' : '') : '<span class="muted">default</span>',
+        h.rejected ? '<span class="bad">' + h.rejected + '</span>' : '0',
+        '<span class="muted">' + esc(h.otherSettings.join(', ')) + '</span>',
+      ]),
+      (i) => data.items[i].hook === selectedHook ? ' class="sel"' : ''
+    );
+    for (const a of document.querySelectorAll('[data-hook]')) {
+      a.onclick = (e) => { e.preventDefault(); select(a.dataset.hook); };
     }
+  }
 
-    // keep user selection stable; only auto-select if nothing selected yet
-    if (currentSelectedId && currentSelectedHook && selectedItem) {
-      // keep current selection
-    } else if (!currentSelectedId && firstItem) {
-      select(firstItem, list.firstChild);
-    }
+  function showForm(h){
+    const card = $('editCard');
+    card.style.display = h || creating ? '' : 'none';
+    if (!h && !creating) return;
+    h = h || { hook: '', displayName: '', description: '', sender: '', state: 'enabled', pauseMode: 'discard', retention: null, adapter: '', registered: false, source: null };
+
+    $('editTitle').textContent = creating ? 'New hook' : '/' + h.hook;
+    $('editInfo').textContent = creating ? '' : (h.source === 'file' ? '' : 'not in the hooks file yet: saving registers it');
+    $('f_hook').value = h.hook;
+    $('f_hook').disabled = !creating;
+    $('f_displayName').value = h.displayName;
+    $('f_description').value = h.description;
+    $('f_sender').value = h.sender;
+    $('f_state').value = h.state;
+    $('f_pauseMode').value = h.pauseMode;
+    $('f_secret').value = '';
+    $('f_secret').placeholder = h.secret === 'file' ? 'unchanged' : (h.secret ? 'set via ' + h.secret + ' (overrides this)' : 'none');
+    $('f_clearSecret').checked = false;
+    const r = h.retention || {};
+    $('f_maxAgeDays').value = r.maxAgeDays ?? '';
+    $('f_maxBytes').value = r.maxBytes ?? '';
+    $('f_maxEvents').value = r.maxEvents ?? '';
+    $('f_adapter').value = h.adapter;
+    $('f_responses').value = h.responses && h.responses.length ? JSON.stringify(h.responses, null, 2) : '';
+    $('formMsg').textContent = (h.responseErrors || []).length ? 'Skipped response rules: ' + h.responseErrors.join('; ') : '';
+    togglePauseMode();
+
+    for (const el of card.querySelectorAll('input,select,textarea')) if (el.id !== 'f_hook') el.disabled = !isAdmin;
+    $('saveBtn').style.display = isAdmin ? '' : 'none';
+    $('deleteBtn').style.display = isAdmin && h.source === 'file' && !creating ? '' : 'none';
+  }
 
-    setStatus('Last update: ' + new Date().toLocaleTimeString());
+  function togglePauseMode(){
+    $('f_pauseMode').disabled = !isAdmin || $('f_state').value !== 'paused';
   }
 
-  async function select(item, clickedDiv) {
-    currentSelectedId = item.id;
-    currentSelectedHook = item.hook;
+  function formBody(){
+    const body = {
+      displayName: $('f_displayName').value,
+      description: $('f_description').value,
+      sender: $('f_sender').value,
+      state: $('f_state').value,
+      pauseMode: $('f_pauseMode').value,
+      adapter: $('f_adapter').value,
+      retention: { maxAgeDays: $('f_maxAgeDays').value.trim(), maxBytes: $('f_maxBytes').value.trim(), maxEvents: $('f_maxEvents').value.trim() },
+    };
+    const rules = $('f_responses').value.trim();
+    body.responses = rules ? JSON.parse(rules) : null;
+    if ($('f_clearSecret').checked) body.secret = null;
+    else if ($('f_secret').value) body.secret = $('f_secret').value;
+    return body;
+  }
 
-    // set active row
-    const list = document.getElementById('list');
-    for (const el of list.children) el.classList.remove('active');
-    if (clickedDiv) clickedDiv.classList.add('active');
+  async function save(){
+    let body;
+    try {
+      body = formBody();
+    } catch (err) {
+      $('formMsg').textContent = 'Response rules are not valid JSON: ' + err.message;
+      return;
+    }
+    const current = data.items.find((h) => h.hook === selectedHook);
+    let res;
+    if (creating || !current || current.source !== 'file') {
+      body.hook = creating ? $('f_hook').value.trim() : selectedHook;
+      res = await apiFetch('/api/settings/hooks', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    } else {
+      res = await apiFetch('/api/settings/hooks/' + encodeURIComponent(selectedHook), { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    }
+    const out = await res.json();
+    if (!out.ok) { $('formMsg').textContent = out.error || 'Save failed'; return; }
+    creating = false;
+    await select(out.hook);
+    $('formMsg').textContent = 'Saved';
+  }
 
-    currentSelectedJson = JSON.stringify(item, null, 2);
+  async function unregister(){
+    const h = data.items.find((x) => x.hook === selectedHook);
+    const extra = h && h.otherSettings.length ? ' Its other settings (' + h.otherSettings.join(', ') + ') are removed too.' : '';
+    if (!confirm('Unregister /' + selectedHook + '? Stored events are kept.' + extra)) return;
+    const res = await apiFetch('/api/settings/hooks/' + encodeURIComponent(selectedHook), { method: 'DELETE' });
+    const out = await res.json();
+    if (!out.ok) return alert(out.error || 'Unregister failed');
+    await refresh();
+  }
 
-    // If in single-hook mode, fetch canonical item
-    if (selectedHook !== '*' && selectedHook) {
-      try {
-        const res = await fetch('/api/hooks/' + encodeURIComponent(selectedHook) + '/' + encodeURIComponent(item.id), { cache: 'no-store' });
-        const data = await res.json();
-        if (data.ok && data.item) {
-          currentSelectedJson = JSON.stringify(data.item, null, 2);
-        }
-      } catch {}
+  async function setRegisteredOnly(e){
+    const on = e.target.checked;
+    if (on && !confirm('Only accept deliveries for registered hooks? Unregistered hooks also disappear from the dashboard.')) {
+      e.target.checked = false;
+      return;
     }
+    const res = await apiFetch('/api/settings/hooks', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ registeredOnly: on }) });
+    const out = await res.json();
+    if (!out.ok) alert(out.error || 'Update failed');
+    await refresh();
+  }
 
-    renderDetailFromCurrent();
+  async function select(hook){
+    selectedHook = hook;
+    creating = false;
+    const u = new URL(location.href);
+    u.searchParams.set('hook', hook);
+    history.replaceState({}, '', u);
+    await refresh();
   }
 
-  async function copySelected(){
-    if (!currentSelectedJson) return alert('Nothing selected yet.');
-    try {
-      await navigator.clipboard.writeText(currentSelectedJson);
-    } catch {
-      const ta = document.createElement('textarea');
-      ta.value = currentSelectedJson;
-      document.body.appendChild(ta);
-      ta.select();
-      document.execCommand('copy');
-      document.body.removeChild(ta);
-    }
-    setStatus('Copied JSON');
-    setTimeout(() => setStatus('Last update: ' + new Date().toLocaleTimeString()), 800);
+  async function refresh(){
+    setStatus('Refreshing…');
+    await loadHooks();
+    showForm(data && data.items.find((h) => h.hook === selectedHook));
+    setStatus('Last update: ' + new Date().toLocaleTimeString());
   }
 
-  async function clearData(){
-    const hook = selectedHook || '*';
-    const label = (hook === '*') ? 'ALL hooks' : ('/' + hook);
-    if (!confirm('Clear stored events for ' + label + '? This deletes NDJSON file(s).')) return;
+  $('refresh').onclick = refresh;
+  $('newBtn').onclick = () => { creating = true; selectedHook = ''; showForm(null); $('f_hook').focus(); };
+  $('saveBtn').onclick = save;
+  $('deleteBtn').onclick = unregister;
+  $('f_state').onchange = togglePauseMode;
+  $('registeredOnly').onchange = setRegisteredOnly;
 
-    const res = await fetch('/api/clear', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ hook })
-    });
-    const data = await res.json();
-    if (!data.ok) return alert('Clear failed');
+  (async function init(){
+    const me = await (await apiFetch('/api/me', { cache: 'no-store' })).json();
+    isAdmin = me.ok && me.role === 'admin';
+    $('newBtn').style.display = isAdmin ? '' : 'none';
+    await refresh();
+  })();
+</script>
+</body>
+</html>`);
+});
 
-    currentSelectedId = null;
-    currentSelectedHook = null;
-    currentSelectedJson = null;
+app.get("/dashboard/charts", requireRole("viewer"), (req, res) => {
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Need-a-Cab Webhooks · Charts</title>
+  <style>
+    ${BASE_STYLE}
+    .stack{display:flex;flex-direction:column;gap:14px}
+    .controls{display:flex;gap:10px;flex-wrap:wrap;align-items:flex-end;padding:12px 14px}
+    .controls input{width:220px}
+    .controls input.wide{width:360px}
+    .chart{padding:14px}
+    .chart svg{width:100%;height:320px;display:block}
+    .bar{display:grid;grid-template-columns:220px 1fr 110px;gap:10px;align-items:center;padding:4px 0}
+    .bar .fill{height:16px;border-radius:4px;background:rgb(70,130,220)}
+    .bar .label{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+    .legend{display:flex;gap:12px;flex-wrap:wrap;margin-top:8px;font-size:12px}
+    .legend i{display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:4px}
+    .scroll{max-height:46vh;overflow:auto}
+    .err{color:#e8a0a0;padding:12px 14px}
+  </style>
+</head>
+<body>
+  <header>
+    <div class="wrap">
+      <div class="topbar">
+        <div style="font-weight:800">Need-a-Cab Webhooks</div>
+        ${pageNav("/dashboard/charts")}
+        <span class="muted" id="status">Loading…</span>
+        <div style="flex:1"></div>
+        <div class="kv">
+          <label>Chart</label>
+          <select id="preset"></select>
+        </div>
+        <button id="refresh">Refresh</button>
+      </div>
+    </div>
+  </header>
 
-    document.getElementById('detail').innerHTML = 'Select an event…';
-    setStatus('Cleared ' + label);
+  <div class="wrap stack">
+    <div class="card">
+      <div class="controls">
+        <div class="kv"><label>Webhook</label><select id="hook"></select></div>
+        <div class="kv"><label>Range</label>
+          <select id="range">
+            <option value="24">Last 24 hours</option>
+            <option value="168">Last 7 days</option>
+            <option value="720">Last 30 days</option>
+            <option value="">Everything</option>
+          </select>
+        </div>
+        <div class="kv"><label>Group by</label><input id="groupBy" placeholder="payload.Pickup.Zone.Name"/></div>
+        <div class="kv"><label>Interval</label>
+          <select id="interval">
+            <option value="">None</option><option value="5m">5 min</option><option value="15m">15 min</option>
+            <option value="hour">Hour</option><option value="day">Day</option><option value="week">Week</option>
+          </select>
+        </div>
+        <div class="kv"><label>Metrics</label><input id="metric" class="wide" placeholder="avg:payload.Pricing.Price"/></div>
+        <div class="kv"><label>Distinct</label><input id="distinct" placeholder="payload.Id"/></div>
+        <div class="kv"><label>Query</label><input id="q" class="wide" placeholder='EventType:Dispatched'/></div>
+        <div class="kv"><label>Show</label><select id="measure"></select></div>
+      </div>
+    </div>
+    <div class="card">
+      <h3><span id="title">Chart</span><span class="muted" id="total"></span></h3>
+      <div class="chart" id="chart"></div>
+    </div>
+    <div class="card">
+      <h3><span>Rows</span></h3>
+      <div class="scroll" id="rows"></div>
+    </div>
+  </div>
 
-    await loadHooks();
-    updateUrl();
-    updateDownloadLinks();
-    await load();
+<script>
+  const PRESETS = [
+    { label: 'Events per hook per hour', groupBy: 'hook', interval: 'hour' },
+    { label: 'Bookings by source', groupBy: 'payload.BookingSource', distinct: 'payload.Id' },
+    { label: 'Bookings by payment type', groupBy: 'payload.PaymentType', distinct: 'payload.Id' },
+    { label: 'Bookings by pickup zone', groupBy: 'payload.Pickup.Zone.Name', distinct: 'payload.Id' },
+    { label: 'Average price and distance by zone', groupBy: 'payload.Pickup.Zone.Name', distinct: 'payload.Id',
+      metric: 'avg:payload.Pricing.Price,avg:payload.Distance' },
+    { label: 'Driver jobs by callsign', groupBy: 'payload.Driver.Callsign', distinct: 'payload.Id',
+      q: 'DispatchedAtTime>=2000-01-01' },
+    { label: 'Dispatch to arrival (min) per hour', interval: 'hour', distinct: 'payload.Id',
+      metric: 'avg:payload.VehicleArrivedAtTime-payload.DispatchedAtTime,max:payload.VehicleArrivedAtTime-payload.DispatchedAtTime',
+      q: 'DispatchedAtTime>=2000-01-01 VehicleArrivedAtTime>=2000-01-01' },
+    { label: 'Custom' },
+  ];
+  const COLORS = ['rgb(70,130,220)', 'rgb(30,130,90)', 'rgb(220,165,35)', 'rgb(200,90,90)', 'rgb(150,110,210)',
+    'rgb(60,170,180)', 'rgb(210,120,60)', 'rgb(155,176,194)'];
+  const FIELDS = ['groupBy', 'interval', 'metric', 'distinct', 'q'];
+  const qs = new URLSearchParams(location.search);
+  let lastData = null;
+
+  ${ESC_SCRIPT}
+  function setStatus(txt){ document.getElementById('status').textContent = txt; }
+
+  async function apiFetch(url, opts){
+    const res = await fetch(url, opts);
+    if (res.status === 401) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname + location.search);
+      throw new Error('Authentication required');
+    }
+    return res;
   }
 
-  function setAuto(on) {
-    auto = on;
-    document.getElementById('auto').textContent = 'Auto: ' + (auto ? 'ON' : 'OFF');
-    if (timer) clearInterval(timer);
-    if (auto) timer = setInterval(load, 3000);
+  function num(v){ return v === null || v === undefined ? '' : (Math.round(v * 100) / 100).toLocaleString(); }
+
+  function applyPreset(i){
+    const p = PRESETS[i];
+    if (!p || p.label === 'Custom') return;
+    for (const f of FIELDS) document.getElementById(f).value = p[f] || '';
   }
 
-  document.getElementById('refresh').onclick = load;
-  document.getElementById('auto').onclick = () => setAuto(!auto);
-  document.getElementById('pause').onclick = () => setPause(!paused);
+  function statsUrl(){
+    const url = new URL('/api/stats', location.origin);
+    const hook = document.getElementById('hook').value;
+    if (hook && hook !== '*') url.searchParams.set('hook', hook);
+    for (const f of FIELDS) {
+      const v = document.getElementById(f).value.trim();
+      if (v) url.searchParams.set(f, v);
+    }
+    const hours = document.getElementById('range').value;
+    if (hours) url.searchParams.set('after', new Date(Date.now() - Number(hours) * 3600000).toISOString());
+    return url;
+  }
 
-  document.getElementById('tabTracks').onclick = () => setView("tracks");
-  document.getElementById('tabJson').onclick = () => setView("json");
+  function updateUrl(){
+    const url = new URL(location.href);
+    url.search = '';
+    for (const f of FIELDS.concat(['hook', 'range'])) {
+      const v = document.getElementById(f).value.trim();
+      if (v) url.searchParams.set(f, v);
+    }
+    history.replaceState(null, '', url.toString());
+  }
 
-  // reduce “slow typing” searches: only reload when you stop typing
-  document.getElementById('fieldSelect').onchange = scheduleReload;
-  document.getElementById('value').addEventListener('input', scheduleReload);
-  document.getElementById('q').addEventListener('input', scheduleReload);
-  document.getElementById('limit').addEventListener('input', scheduleReload);
+  function measureOf(row, m){ return m === 'count' ? row.count : row.metrics[m]; }
+
+  function renderBars(rows, m){
+    const max = Math.max(1, ...rows.map((r) => measureOf(r, m) || 0));
+    return rows.map((r) => {
+      const v = measureOf(r, m);
+      const w = v ? Math.max(1, (v / max) * 100) : 0;
+      const label = r.keys.length ? r.keys.join(' · ') : 'All';
+      return '<div class="bar"><span class="label" title="' + esc(label) + '">' + esc(label) + '</span>' +
+        '<span><div class="fill" style="width:' + w + '%"></div></span><span class="mono">' + num(v) + '</span></div>';
+    }).join('') || '<div class="muted">No data.</div>';
+  }
 
-  document.getElementById('copyBtn').onclick = copySelected;
-  document.getElementById('clearBtn').onclick = clearData;
+  // one line per group (largest 8) across the time buckets
+  function renderLines(rows, m){
+    const buckets = [...new Set(rows.map((r) => r.bucket))].sort();
+    const totals = new Map();
+    for (const r of rows) {
+      const k = r.keys.join(' · ') || 'All';
+      totals.set(k, (totals.get(k) || 0) + r.count);
+    }
+    const series = [...totals.keys()].sort((a, b) => totals.get(b) - totals.get(a)).slice(0, 8);
+    if (!buckets.length) return '<div class="muted">No data.</div>';
+
+    const W = 1000, H = 320, L = 50, B = 30, T = 10;
+    const values = rows.map((r) => measureOf(r, m) || 0);
+    const max = Math.max(1, ...values);
+    const x = (i) => L + (buckets.length === 1 ? (W - L) / 2 : (i * (W - L - 10)) / (buckets.length - 1));
+    const y = (v) => T + (H - T - B) * (1 - v / max);
+
+    let svg = '<svg viewBox="0 0 ' + W + ' ' + H + '" preserveAspectRatio="none">';
+    for (let g = 0; g <= 4; g++) {
+      const v = (max * g) / 4;
+      svg += '<line x1="' + L + '" x2="' + W + '" y1="' + y(v) + '" y2="' + y(v) + '" stroke="#202630"/>' +
+        '<text x="' + (L - 6) + '" y="' + (y(v) + 4) + '" fill="#9bb0c2" font-size="11" text-anchor="end">' + num(v) + '</text>';
+    }
+    const step = Math.max(1, Math.ceil(buckets.length / 8));
+    buckets.forEach((b, i) => {
+      if (i % step) return;
+      const d = new Date(b);
+      const label = document.getElementById('interval').value === 'day' || document.getElementById('interval').value === 'week'
+        ? d.toLocaleDateString() : d.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      svg += '<text x="' + x(i) + '" y="' + (H - 8) + '" fill="#9bb0c2" font-size="11" text-anchor="middle">' + esc(label) + '</text>';
+    });
+    series.forEach((k, si) => {
+      const pts = [];
+      buckets.forEach((b, i) => {
+        const r = rows.find((row) => row.bucket === b && (row.keys.join(' · ') || 'All') === k);
+        const v = r ? measureOf(r, m) : (m === 'count' ? 0 : null);
+        if (v !== null && v !== undefined) pts.push(x(i) + ',' + y(v));
+      });
+      svg += '<polyline fill="none" stroke-width="2" stroke="' + COLORS[si % COLORS.length] + '" points="' + pts.join(' ') + '"/>';
+      if (pts.length === 1) svg += '<circle r="4" fill="' + COLORS[si % COLORS.length] + '" cx="' + pts[0].split(',')[0] + '" cy="' + pts[0].split(',')[1] + '"/>';
+    });
+    svg += '</svg>';
+    const legend = '<div class="legend">' + series.map((k, si) =>
+      '<span><i style="background:' + COLORS[si % COLORS.length] + '"></i>' + esc(k) + '</span>').join('') + '</div>';
+    return svg + legend;
+  }
+
+  function render(){
+    const data = lastData;
+    if (!data) return;
+    const m = document.getElementById('measure').value || 'count';
+    document.getElementById('chart').innerHTML = data.interval ? renderLines(data.rows, m) : renderBars(data.rows, m);
+
+    const head = (data.interval ? ['Bucket'] : []).concat(data.groupBy, ['Count'], data.metrics);
+    const body = data.rows.map((r) => (data.interval ? [esc(new Date(r.bucket).toLocaleString())] : [])
+      .concat(r.keys.map(esc), [num(r.count)], data.metrics.map((k) => num(r.metrics[k]))));
+    document.getElementById('rows').innerHTML = body.length
+      ? '<table><thead><tr>' + head.map((h) => '<th>' + esc(h) + '</th>').join('') + '</tr></thead><tbody>' +
+        body.map((r) => '<tr>' + r.map((c) => '<td>' + c + '</td>').join('') + '</tr>').join('') + '</tbody></table>'
+      : '<div class="muted" style="padding:12px 14px">No rows.</div>';
+  }
+
+  async function refresh(){
+    setStatus('Loading…');
+    updateUrl();
+    const data = await (await apiFetch(statsUrl().toString(), { cache: 'no-store' })).json();
+    if (!data.ok) {
+      lastData = null;
+      document.getElementById('chart').innerHTML = '<div class="err">' + esc(data.error || 'Request failed') + '</div>';
+      document.getElementById('rows').innerHTML = '';
+      document.getElementById('total').textContent = '';
+      return setStatus('Error');
+    }
+    lastData = data;
+
+    const sel = document.getElementById('measure');
+    const current = sel.value;
+    const measures = ['count'].concat(data.metrics);
+    sel.innerHTML = measures.map((k) => '<option>' + esc(k) + '</option>').join('');
+    sel.value = measures.includes(current) ? current : (data.metrics[0] || 'count');
+
+    const preset = PRESETS[document.getElementById('preset').value];
+    document.getElementById('title').textContent = preset && preset.label !== 'Custom' ? preset.label : 'Custom chart';
+    document.getElementById('total').textContent = data.total.toLocaleString() + (data.distinct ? ' distinct' : ' events') +
+      (data.truncated ? ' · top groups only' : '') + ' · ' + data.tookMs + 'ms';
+    render();
+    setStatus('Last update: ' + new Date().toLocaleTimeString());
+  }
+
+  async function loadHooks(){
+    const data = await (await apiFetch('/api/hooks', { cache: 'no-store' })).json();
+    const hooks = data.ok ? data.hooks : ['*'];
+    document.getElementById('hook').innerHTML = hooks.map((h) =>
+      '<option value="' + esc(h) + '">' + (h === '*' ? '* ALL' : '/' + esc(h)) + '</option>').join('');
+  }
 
   (async function init(){
-    hydrateFromUrl();
+    document.getElementById('preset').innerHTML = PRESETS.map((p, i) => '<option value="' + i + '">' + esc(p.label) + '</option>').join('');
     await loadHooks();
-    await loadFields();
-    updateUrl();
-    updateDownloadLinks();
-    setAuto(true);
-    setPause(false);
-    setView("tracks");
-    await load();
+
+    const fromUrl = FIELDS.some((f) => qs.get(f));
+    if (fromUrl) {
+      document.getElementById('preset').value = String(PRESETS.length - 1);
+      for (const f of FIELDS) document.getElementById(f).value = qs.get(f) || '';
+    } else applyPreset(0);
+    if (qs.get('hook')) document.getElementById('hook').value = qs.get('hook');
+    if (qs.has('range')) document.getElementById('range').value = qs.get('range');
+
+    document.getElementById('preset').onchange = (e) => { applyPreset(Number(e.target.value)); refresh(); };
+    for (const id of ['hook', 'range', 'interval']) document.getElementById(id).onchange = refresh;
+    for (const id of ['groupBy', 'metric', 'distinct', 'q']) {
+      document.getElementById(id).addEventListener('keydown', (e) => { if (e.key === 'Enter') refresh(); });
+    }
+    document.getElementById('measure').onchange = render;
+    document.getElementById('refresh').onclick = refresh;
+    await refresh();
   })();
 </script>
 </body>
 </html>`);
 });
 
-// body parser errors
+// body parser errors// body parser errors
 app.use((err, req, res, next) => {
   console.error("[BODY ERROR]", err?.message || err);
   res.status(400).send("Bad Request");
@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+async function stored(server, hook, payload) {
+  const { id } = (await post(server, hook, payload)).body;
+  const { item, detail } = (await server.json(`/api/hooks/${hook}/${id}`)).body;
+  return { ...item, detail };
+}
+
+test("built-in adapters store one model shape whatever the payload looked like", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "0" } });
+  try {
+    const cancelled = await stored(server, "bookings", {
+      EventType: "BookingCancelledEvent",
+      Id: 12,
+      DriverDetails: { Driver: { Id: 3, Callsign: "51", Forename: "Sam", Surname: "Lee" } },
+      Pickup: { Address: "1 High St", Zone: { Name: "Centre" } },
+      CancellationReason: "No show",
+    });
+    assert.equal(cancelled.model.type, "BookingCancelled");
+    assert.equal(cancelled.model.eventType, "BookingCancelled");
+    assert.deepEqual(cancelled.model.driver, { id: 3, callsign: "51", name: "Sam Lee" });
+    assert.equal(cancelled.model.reason, "No show");
+    const booking = cancelled.detail.find((s) => s.title === "Booking");
+    assert.deepEqual(booking.fields.find(([label]) => label === "Reason"), ["Reason", "No show"]);
+
+    const dispatched = await stored(server, "bookings", { EventType: "BookingDispatched", Id: 13, Driver: { Id: 3, Callsign: "51" } });
+    assert.equal(dispatched.model.type, "BookingDispatched");
+    assert.equal(dispatched.model.driver.callsign, "51");
+
+    // no EventType: the hook name decides
+    assert.equal((await stored(server, "cancellations", { Id: 14 })).model.type, "BookingCancelled");
+    assert.equal((await stored(server, "bookings", { Id: 15 })).model.type, "Booking");
+
+    const tracks = await stored(server, "tracks", {
+      VehicleTracks: [{ Vehicle: { Id: 7, Callsign: "70" }, VehicleStatus: "Clear" }, { Vehicle: { Id: 8 } }],
+    });
+    assert.deepEqual([tracks.model.type, tracks.model.kind, tracks.model.tracksCount], ["VehicleTracksChanged", "tracks", 2]);
+    assert.equal(tracks.detail[0].rows.length, 2);
+
+    assert.equal((await stored(server, "drivers", { EventType: "DriverLoggedOn", Id: 3 })).model.type, "DriverShift");
+    assert.deepEqual((await stored(server, "misc", { Hello: 1 })).model, { type: "Unknown", kind: "other", eventType: "", keys: ["Hello"] });
+
+    const { items } = (await server.json("/api/events?q=model.type:BookingCancelled")).body;
+    assert.deepEqual(items.map((e) => e.payload.Id).sort(), [12, 14]);
+    assert.match(items.find((e) => e.payload.Id === 12)._summary, /^Booking 12 \| BookingCancelled \| CS#51 D#3 .*Reason: No show$/);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("EVENT_ADAPTERS modules are tried first and a hook's default adapter catches the rest", async () => {
+  const dataDir = tempDataDir();
+  const module = path.join(dataDir, "payments.mjs");
+  fs.writeFileSync(
+    module,
+    `export default {
+      type: "PaymentTaken",
+      kind: "payment",
+      match: (payload) => payload.EventType === "PaymentTaken",
+      normalize: (payload) => ({ bookingId: payload.BookingId, amount: payload.Amount }),
+      summary: (model) => "Payment " + model.amount + " for booking " + model.bookingId,
+      detail: (model) => [{ title: "Payment", fields: [["Amount", model.amount]] }],
+    };\n`
+  );
+  fs.writeFileSync(path.join(dataDir, "hooks.json"), JSON.stringify({ hooks: { legacy: { adapter: "BookingCreated" } } }));
+  const server = await startServer({ dataDir, env: { EVENT_ADAPTERS: module, SEARCH_INDEX: "0" } });
+  try {
+    const paid = await stored(server, "payments", { EventType: "PaymentTaken", BookingId: 12, Amount: 9.5, Id: 99 });
+    assert.deepEqual(paid.model, { type: "PaymentTaken", kind: "payment", eventType: "PaymentTaken", bookingId: 12, amount: 9.5 });
+    assert.deepEqual(paid.detail, [{ title: "Payment", fields: [["Amount", 9.5]] }]);
+    const [row] = (await server.json("/api/hooks/payments")).body.items;
+    assert.equal(row._summary, "Payment 9.5 for booking 12");
+
+    assert.equal((await stored(server, "legacy", { Ref: "A1" })).model.type, "BookingCreated");
+    assert.equal((await stored(server, "other", { Ref: "A1" })).model.type, "Unknown");
+  } finally {
+    await server.stop();
+  }
+});
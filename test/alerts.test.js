@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+// minutes are fractional so the conditions hold or lapse within the test
+const RULES = [
+  { id: "busy", type: "vehicle_status_stale", minutes: 0.01, statuses: ["Busy"] },
+  { id: "late", type: "booking_no_arrival", minutes: 1 },
+  { id: "cancels", type: "cancellation_spike", count: 1, minutes: 0.02 },
+  { id: "quiet", type: "hook_silent", hook: "tracks", minutes: 5 },
+];
+
+async function withAlerts(fn) {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(path.join(dataDir, "alert-rules.json"), JSON.stringify({ rules: RULES }));
+  const server = await startServer({ dataDir, env: { ALERT_INTERVAL_MS: "200", SEARCH_INDEX: "0" } });
+  try {
+    await fn(server);
+  } finally {
+    await server.stop();
+  }
+}
+
+async function alerts(server, state = "active") {
+  return (await server.json(`/api/alerts?state=${state}`)).body.items;
+}
+
+const of = (items, ruleId) => items.filter((a) => a.ruleId === ruleId);
+
+// active alerts of the rule, once there are any
+function opened(server, ruleId) {
+  return server.until(async () => {
+    const items = of(await alerts(server), ruleId);
+    return items.length && items;
+  });
+}
+
+function tracks(status) {
+  return {
+    EventType: "VehicleTracksChanged",
+    VehicleTracks: [{ Vehicle: { Id: 7, Callsign: "70" }, VehicleStatus: status, Timestamp: new Date().toISOString() }],
+  };
+}
+
+test("hook_silent opens on the sweep and resolves when the hook receives an event", () =>
+  withAlerts(async (server) => {
+    const [alert] = await opened(server, "quiet");
+    assert.equal(alert.key, "tracks");
+
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 1 });
+    assert.equal(of(await alerts(server), "quiet").length, 1);
+    await post(server, "tracks", tracks("Clear"));
+    assert.equal(of(await alerts(server), "quiet").length, 0);
+    assert.equal(of(await alerts(server, "resolved"), "quiet")[0].resolvedBy, "auto");
+  }));
+
+test("vehicle_status_stale opens once the status is old and resolves when it changes", () =>
+  withAlerts(async (server) => {
+    await post(server, "tracks", tracks("Busy"));
+    const [alert] = await opened(server, "busy");
+    assert.equal(alert.subject, "CS#70");
+
+    await post(server, "tracks", tracks("Clear"));
+    assert.equal(of(await alerts(server), "busy").length, 0);
+  }));
+
+test("booking_no_arrival opens for a late dispatched booking and resolves on arrival", () =>
+  withAlerts(async (server) => {
+    const eta = new Date(Date.now() - 5 * 60000).toISOString();
+    await post(server, "bookings", { EventType: "BookingDispatched", Id: 41, DispatchedAtTime: eta, EstimatedPickupTime: eta });
+    await post(server, "bookings", { EventType: "BookingDispatched", Id: 42, DispatchedAtTime: eta, EstimatedPickupTime: eta });
+    assert.deepEqual(of(await alerts(server), "late").map((a) => a.key).sort(), ["41", "42"]);
+
+    await post(server, "bookings", { EventType: "BookingArrived", Id: 41, VehicleArrivedAtTime: new Date().toISOString() });
+    assert.deepEqual(of(await alerts(server), "late").map((a) => a.key), ["42"]);
+  }));
+
+test("cancellation_spike opens over the limit and resolves once the window has passed", () =>
+  withAlerts(async (server) => {
+    const cancel = (id) => ({ EventType: "BookingCancelled", Id: id, Pickup: { Zone: { Name: "Centre" } } });
+    await post(server, "bookings", cancel(1));
+    assert.equal(of(await alerts(server), "cancels").length, 0);
+    await post(server, "bookings", cancel(2));
+    const [alert] = of(await alerts(server), "cancels");
+    assert.equal(alert.key, "Centre");
+    assert.equal(alert.details.cancellations, 2);
+
+    await server.until(async () => of(await alerts(server), "cancels").length === 0);
+    assert.equal(of(await alerts(server, "resolved"), "cancels").length, 1);
+  }));
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { startServer, tempDataDir } from "./helpers.js";
+
+test("sessions survive a restart and a malformed cookie is ignored", async () => {
+  const dataDir = tempDataDir();
+  const env = { ADMIN_USER: "admin", ADMIN_PASSWORD: "secret-pass" };
+  let server = await startServer({ dataDir, env });
+  let session;
+  try {
+    const login = await server.json("/login", { method: "POST", body: { username: "admin", password: "secret-pass" } });
+    assert.equal(login.status, 200);
+    session = login.headers.get("set-cookie").split(";")[0];
+  } finally {
+    await server.stop();
+  }
+
+  server = await startServer({ dataDir, env });
+  try {
+    const me = await server.json("/api/me", { headers: { cookie: `broken=%E0%A4%A; ${session}` } });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.username, "admin");
+    assert.equal((await server.json("/api/me", { headers: { cookie: "broken=%E0%A4%A" } })).status, 401);
+  } finally {
+    await server.stop();
+  }
+});
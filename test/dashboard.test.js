@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+const PAGES = [
+  "/dashboard",
+  "/dashboard/timeline",
+  "/dashboard/fleet",
+  "/dashboard/replay",
+  "/dashboard/forwarding",
+  "/dashboard/schemas",
+  "/dashboard/settings",
+  "/dashboard/charts",
+];
+
+test("every dashboard page escapes quotes, so values are safe inside attributes", async () => {
+  const server = await startServer();
+  try {
+    for (const page of PAGES) {
+      const html = await (await fetch(server.url + page)).text();
+      const src = html.match(/function esc\(s\)\{.*\}/)?.[0];
+      assert.ok(src, `${page} has no esc()`);
+      const esc = new Function(`${src}; return esc;`)();
+      // a chart label / schema field / callsign straight from a payload
+      const label = `x" onmouseover="alert(1)' <b>&`;
+      const out = esc(label);
+      assert.equal(out, "x&quot; onmouseover=&quot;alert(1)&#39; &lt;b&gt;&amp;", page);
+      assert.ok(!/["'<>]/.test(out), page);
+    }
+  } finally {
+    await server.stop();
+  }
+});
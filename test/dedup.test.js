@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+test("response templates render the original id for a duplicate delivery", async () => {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(
+    path.join(dataDir, "hooks.json"),
+    JSON.stringify({ hooks: { bookings: { responses: [{ body: { received: "{{id}}", stored: "{{duplicateId}}" } }] } } })
+  );
+  const server = await startServer({ dataDir, env: { DEDUP_KEY: "body" } });
+  try {
+    const first = (await post(server, "bookings", { EventType: "BookingCreated", Id: 1 })).body;
+    assert.equal(first.stored, "");
+    const again = (await post(server, "bookings", { EventType: "BookingCreated", Id: 1 })).body;
+    assert.equal(again.received, first.received);
+
+    const { items } = (await server.json("/api/hooks/bookings?duplicates=only")).body;
+    assert.equal(items.length, 1);
+    assert.equal(items[0].duplicateOf, first.received);
+    assert.equal(again.stored, items[0].id);
+  } finally {
+    await server.stop();
+  }
+});
+
+for (const backend of ["ndjson", "sqlite"]) {
+  test(`the duplicate count is kept with the stored events (${backend})`, async () => {
+    const dataDir = tempDataDir();
+    const env = { STORAGE_BACKEND: backend, DEDUP_KEY: "body", SEARCH_INDEX: "0" };
+    let server = await startServer({ dataDir, env });
+    let id;
+    try {
+      id = (await post(server, "bookings", { EventType: "BookingCreated", Id: 1 })).body.id;
+      await post(server, "bookings", { EventType: "BookingCreated", Id: 2 });
+      for (let i = 0; i < 3; i++) await post(server, "bookings", { EventType: "BookingCreated", Id: 1 });
+      assert.equal((await server.json(`/api/hooks/bookings/${id}`)).body.item.duplicates.count, 3);
+    } finally {
+      await server.stop();
+    }
+
+    server = await startServer({ dataDir, env });
+    try {
+      const { items } = (await server.json("/api/hooks/bookings")).body;
+      const byId = Object.fromEntries(items.map((e) => [e.payload.Id, e]));
+      assert.equal(byId[1].duplicates.count, 3);
+      assert.equal(byId[2].duplicates, undefined);
+      assert.equal((await server.json(`/api/hooks/bookings/${id}`)).body.item.duplicates.count, 3);
+    } finally {
+      await server.stop();
+    }
+  });
+}
+
+test("archived segments from before the duplicate tally are counted once and saved", async () => {
+  const dataDir = tempDataDir();
+  const dir = path.join(dataDir, "archive", "bookings");
+  fs.mkdirSync(dir, { recursive: true });
+  const lines = [
+    { id: "a", hook: "bookings", receivedAt: "2026-01-01T10:00:00.000Z", payload: { Id: 1 } },
+    { id: "b", hook: "bookings", receivedAt: "2026-01-01T10:01:00.000Z", duplicateOf: "a", payload: { Id: 1 } },
+  ].map((e) => JSON.stringify(e) + "\n");
+  fs.writeFileSync(path.join(dir, "2026-01-01.ndjson"), lines.join(""));
+  fs.writeFileSync(
+    path.join(dir, "segments.json"),
+    JSON.stringify([{ id: 2026010100, day: "2026-01-01", file: "2026-01-01.ndjson", gz: false, events: 2, bytes: lines.join("").length }])
+  );
+
+  const server = await startServer({ dataDir, env: { SEARCH_INDEX: "0" } });
+  try {
+    const { item } = (await server.json("/api/hooks/bookings/a")).body;
+    assert.deepEqual(item.duplicates, { count: 1, lastAt: "2026-01-01T10:01:00.000Z" });
+    const [seg] = JSON.parse(fs.readFileSync(path.join(dir, "segments.json"), "utf8"));
+    assert.deepEqual(seg.redelivered, { a: { count: 1, lastAt: "2026-01-01T10:01:00.000Z" } });
+  } finally {
+    await server.stop();
+  }
+});
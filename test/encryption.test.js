@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+const MARKER = "Sensitive Passenger";
+
+function sideFiles(dataDir) {
+  return {
+    queue: path.join(dataDir, "forwarding", "queue.json"),
+    vehicles: path.join(dataDir, "vehicles.json"),
+    quarantine: path.join(dataDir, "quarantine", "signed.ndjson"),
+  };
+}
+
+function keyIds(file) {
+  return [...new Set(fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((l) => l.slice(0, 13)))];
+}
+
+test("side files with event data are encrypted and re-encrypted with the events", async () => {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(
+    path.join(dataDir, "hooks.json"),
+    JSON.stringify({
+      hooks: {
+        bookings: { forward: [{ name: "down", url: "http://127.0.0.1:9/" }] },
+        signed: { secret: "not-sent" },
+      },
+    })
+  );
+  const oldKey = crypto.randomBytes(32).toString("hex");
+  const newKey = crypto.randomBytes(32).toString("hex");
+  const files = sideFiles(dataDir);
+
+  let server = await startServer({ dataDir, env: { ENCRYPTION_KEY: oldKey, QUARANTINE_REJECTED: "1", SEARCH_INDEX: "0" } });
+  try {
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 1, Passenger: MARKER });
+    await post(server, "signed", { Passenger: MARKER });
+    await post(server, "tracks", { VehicleTracks: [{ Vehicle: { Id: 7 }, Driver: { Forename: MARKER } }] });
+    await server.until(() => fs.existsSync(files.vehicles));
+  } finally {
+    await server.stop();
+  }
+
+  for (const file of Object.values(files)) {
+    const text = fs.readFileSync(file, "utf8");
+    assert.ok(!text.includes(MARKER), file);
+    assert.match(text, /^enc:/, file);
+  }
+
+  // rotate: new key, old one for reading only
+  server = await startServer({
+    dataDir,
+    env: { ENCRYPTION_KEY: newKey, ENCRYPTION_OLD_KEYS: oldKey, QUARANTINE_REJECTED: "1", SEARCH_INDEX: "0" },
+  });
+  try {
+    const queue = (await server.json("/api/forwarding/queue")).body;
+    assert.equal(queue.items.length, 1);
+    const quarantined = (await server.json("/api/quarantine/signed")).body;
+    assert.equal(quarantined.items[0].payload.Passenger, MARKER);
+    const vehicle = (await server.json("/api/vehicles/7")).body;
+    assert.equal(vehicle.item.driverName, MARKER);
+
+    // the queue snapshot is already rewritten under the new key on startup
+    const oldIds = keyIds(files.vehicles);
+    const { body } = await server.json("/api/storage/reencrypt", { method: "POST" });
+    assert.equal(body.ok, true);
+    const newIds = keyIds(files.vehicles);
+    assert.notDeepEqual(newIds, oldIds);
+    for (const file of Object.values(files)) assert.deepEqual(keyIds(file), newIds, file);
+  } finally {
+    await server.stop();
+  }
+
+  // the old key is no longer needed
+  server = await startServer({ dataDir, env: { ENCRYPTION_KEY: newKey, SEARCH_INDEX: "0" } });
+  try {
+    assert.equal((await server.json("/api/forwarding/queue")).body.items.length, 1);
+    assert.equal((await server.json("/api/quarantine/signed")).body.items.length, 1);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { post, startServer } from "./helpers.js";
+
+const EVENTS = 40;
+const NOTE = "x".repeat(4000); // 40 events of ~4 KB span several 64 KB write chunks
+
+async function withEvents(fn) {
+  const server = await startServer({ env: { SEARCH_INDEX: "0" } });
+  try {
+    for (let i = 1; i <= EVENTS; i++) {
+      const zone = i % 2 ? "Centre" : "Airport, T2";
+      await post(server, "bookings", { EventType: "BookingCreated", Id: i, Note: NOTE, Pickup: { Zone: { Name: zone } } });
+    }
+    await post(server, "tracks", { EventType: "VehicleTracksChanged", VehicleTracks: [] });
+    await fn(server);
+  } finally {
+    await server.stop();
+  }
+}
+
+test("NDJSON and JSON exports stream every matching event, newest first", () =>
+  withEvents(async (server) => {
+    const ndjson = await fetch(`${server.url}/api/export.ndjson?hook=bookings`);
+    assert.match(ndjson.headers.get("content-disposition"), /filename="bookings\.ndjson"/);
+    const lines = (await ndjson.text()).trim().split("\n").map((l) => JSON.parse(l));
+    assert.equal(lines.length, EVENTS);
+    assert.deepEqual([lines[0].payload.Id, lines.at(-1).payload.Id], [EVENTS, 1]);
+
+    const json = await (await fetch(`${server.url}/api/export.json`)).json();
+    assert.equal(json.length, EVENTS + 1);
+    assert.equal(json[0].hook, "tracks");
+
+    const filtered = await (await fetch(`${server.url}/api/export.json?hook=bookings&q=Centre`)).json();
+    assert.equal(filtered.length, EVENTS / 2);
+    assert.equal((await fetch(`${server.url}/api/export.json?before=yesterday`)).status, 400);
+  }));
+
+test("exports are gzipped when the client accepts it", () =>
+  withEvents(async (server) => {
+    const res = await fetch(`${server.url}/api/export.ndjson`, { headers: { "Accept-Encoding": "gzip" } });
+    assert.equal(res.headers.get("content-encoding"), "gzip");
+    assert.equal((await res.text()).trim().split("\n").length, EVENTS + 1);
+  }));
+
+test("CSV columns flatten the chosen paths, and excel=1 writes a file Excel opens safely", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "0" } });
+  try {
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 1, Pickup: { Zone: { Name: "Airport, T2" } } });
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 2, Pickup: { Zone: { Name: "=HYPERLINK(1)" } } });
+
+    const csv = await (await fetch(`${server.url}/api/export.csv?columns=payload.Id,payload.Pickup.Zone.Name`)).text();
+    const rows = csv.trim().split("\n");
+    assert.equal(rows[0], "receivedAt,id,hook,payload.Id,payload.Pickup.Zone.Name");
+    assert.match(rows[1], /,bookings,2,=HYPERLINK\(1\)$/);
+    assert.match(rows[2], /,bookings,1,"Airport, T2"$/);
+
+    const plain = await (await fetch(`${server.url}/api/export.csv`)).text();
+    assert.ok(plain.startsWith("receivedAt,id,hook,ip,contentType,userAgent,payloadJson\n"));
+
+    const excel = await fetch(`${server.url}/api/export.csv?columns=common&excel=1`);
+    const text = new TextDecoder("utf-8", { ignoreBOM: true }).decode(await excel.arrayBuffer());
+    assert.ok(text.startsWith("\ufeffreceivedAt,id,hook,Booking Id (payload.Id),"));
+    assert.equal(text.split("\r\n").length, 4);
+    assert.ok(text.includes(",'=HYPERLINK(1),"));
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+const MARKER = "Queued Passenger";
+
+// downstream that answers `status()` and records the bodies it was sent
+async function downstream(status) {
+  const bodies = [];
+  const srv = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (d) => (body += d));
+    req.on("end", () => {
+      bodies.push(body);
+      res.writeHead(status()).end();
+    });
+  });
+  await new Promise((resolve) => srv.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${srv.address().port}/`, bodies, close: () => new Promise((r) => srv.close(r)) };
+}
+
+test("the forwarding queue survives a restart with only event ids on disk", async () => {
+  const dataDir = tempDataDir();
+  let code = 503;
+  const target = await downstream(() => code);
+  fs.writeFileSync(path.join(dataDir, "hooks.json"), JSON.stringify({ hooks: { bookings: { forward: [{ name: "down", url: target.url }] } } }));
+  const env = { FORWARD_BACKOFF_MS: "200", FORWARD_MAX_BACKOFF_MS: "200", SEARCH_INDEX: "0" };
+  const queueFiles = ["queue.json", "queue.ndjson"].map((f) => path.join(dataDir, "forwarding", f));
+
+  let server = await startServer({ dataDir, env });
+  try {
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 1, Passenger: MARKER });
+    await server.until(() => target.bodies.length >= 2);
+    const journal = fs.readFileSync(queueFiles[1], "utf8").split("\n").filter(Boolean).map((l) => JSON.parse(l));
+    assert.ok(journal.some((op) => op.add) && journal.some((op) => op.attempt));
+  } finally {
+    await server.stop();
+  }
+  for (const file of queueFiles) if (fs.existsSync(file)) assert.ok(!fs.readFileSync(file, "utf8").includes(MARKER), file);
+
+  code = 200;
+  server = await startServer({ dataDir, env });
+  try {
+    const [item] = (await server.json("/api/forwarding/queue")).body.items;
+    assert.ok(item.attempts >= 2);
+    await server.until(async () => (await server.json("/api/forwarding/queue")).body.items.length === 0);
+    assert.equal(JSON.parse(target.bodies.at(-1)).Passenger, MARKER);
+  } finally {
+    await server.stop();
+    await target.close();
+  }
+
+  // the delivery's removal is in the journal, so it is not sent again
+  server = await startServer({ dataDir, env });
+  try {
+    assert.equal((await server.json("/api/forwarding/queue")).body.items.length, 0);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,86 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "server.js");
+
+export function tempDataDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "nac-test-"));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Runs server.js with `env` on a free port until stop(); resolves once it is listening.
+export async function startServer({ dataDir = tempDataDir(), env = {} } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, COMPACT_INTERVAL_MS: "3600000", ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let log = "";
+  const onData = (d) => (log += d);
+  child.stdout.on("data", onData);
+  child.stderr.on("data", onData);
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 15000);
+    child.stdout.on("data", () => {
+      if (log.includes("listening on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${log}`));
+    });
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url,
+    dataDir,
+    log: () => log,
+    async stop() {
+      if (child.exitCode !== null) return;
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    },
+    async json(pathname, opts = {}) {
+      const res = await fetch(url + pathname, {
+        ...opts,
+        headers: { "content-type": "application/json", ...(opts.headers || {}) },
+        body: opts.body === undefined ? undefined : typeof opts.body === "string" ? opts.body : JSON.stringify(opts.body),
+      });
+      return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+    },
+    // waits until `check()` returns something truthy
+    async until(check, ms = 10000) {
+      const end = Date.now() + ms;
+      for (;;) {
+        const out = await check();
+        if (out) return out;
+        if (Date.now() > end) throw new Error(`timed out waiting:\n${log}`);
+        await new Promise((r) => setTimeout(r, 50));
+      }
+    },
+  };
+}
+
+export function post(server, hook, payload, headers = {}) {
+  return server.json(`/${hook}`, { method: "POST", body: payload, headers });
+}
@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+async function stored(server, hook) {
+  return (await server.json(`/api/hooks/${hook}?duplicates=show`)).body.items.length;
+}
+
+test("registered hooks can be disabled or paused, with either pause mode", async () => {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(path.join(dataDir, "hooks.json"), JSON.stringify({ hooks: { bookings: { forward: [] } } }));
+  const server = await startServer({ dataDir, env: { SEARCH_INDEX: "0" } });
+  const settings = (hook, method, body) => server.json(`/api/settings/hooks/${hook}`, { method, body });
+  try {
+    const created = await server.json("/api/settings/hooks", { method: "POST", body: { hook: "tracks", displayName: "Tracks", sender: "Autocab" } });
+    assert.equal(created.status, 200);
+    assert.deepEqual([created.body.registered, created.body.state, created.body.displayName], [true, "enabled", "Tracks"]);
+    assert.equal((await server.json("/api/settings/hooks", { method: "POST", body: { hook: "tracks" } })).status, 409);
+    assert.equal((await server.json("/api/settings/hooks", { method: "POST", body: { hook: "api" } })).status, 400);
+    assert.equal((await settings("bookings", "PUT", { state: "sleeping" })).status, 400);
+
+    assert.equal((await settings("bookings", "PUT", { state: "disabled" })).status, 200);
+    let res = await post(server, "bookings", { Id: 1 });
+    assert.deepEqual([res.status, res.body.reason], [403, "hook_disabled"]);
+
+    await settings("bookings", "PUT", { state: "paused" });
+    res = await post(server, "bookings", { Id: 2 });
+    assert.deepEqual([res.status, res.body.paused, res.body.stored], [200, true, false]);
+    assert.equal(await stored(server, "bookings"), 0);
+    assert.equal((await settings("bookings", "GET")).body.discarded.count, 1);
+
+    await settings("bookings", "PUT", { pauseMode: "store" });
+    res = await post(server, "bookings", { Id: 3 });
+    assert.deepEqual([res.status, res.body.error], [503, "Webhook paused"]);
+    assert.equal(await stored(server, "bookings"), 1);
+
+    await settings("bookings", "PUT", { state: "enabled", displayName: null });
+    assert.equal((await post(server, "bookings", { Id: 4 })).status, 200);
+
+    // the API only touches its own fields
+    const file = JSON.parse(fs.readFileSync(path.join(dataDir, "hooks.json"), "utf8"));
+    assert.deepEqual(file.hooks.bookings, { forward: [], state: "enabled", pauseMode: "store" });
+    assert.deepEqual((await settings("bookings", "GET")).body.otherSettings, ["forward"]);
+
+    await server.json("/api/settings/hooks", { method: "PUT", body: { registeredOnly: true } });
+    assert.equal((await post(server, "other", { Id: 5 })).status, 404);
+    assert.equal((await settings("tracks", "DELETE")).status, 200);
+    assert.equal((await post(server, "tracks", { Id: 6 })).status, 404);
+    assert.equal((await settings("tracks", "DELETE")).status, 404);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("hand edits to the hooks file apply without a restart and a broken file keeps the last config", async () => {
+  const dataDir = tempDataDir();
+  const file = path.join(dataDir, "hooks.json");
+  fs.writeFileSync(file, JSON.stringify({ hooks: { bookings: {} } }));
+  const server = await startServer({ dataDir, env: { HOOKS_RELOAD_MS: "100", SEARCH_INDEX: "0" } });
+  try {
+    assert.equal((await post(server, "bookings", { Id: 1 })).status, 200);
+
+    fs.writeFileSync(file, JSON.stringify({ hooks: { bookings: { state: "disabled", description: "off for now" } } }));
+    await server.until(async () => (await post(server, "bookings", { Id: 2 })).status === 403);
+
+    fs.writeFileSync(file, '{ "hooks": { "bookings": { "state": "enab');
+    await server.until(() => server.log().includes("[CONFIG] failed to read"));
+    assert.equal((await post(server, "bookings", { Id: 3 })).status, 403);
+    assert.equal((await server.json("/api/settings/hooks/bookings")).body.description, "off for now");
+    // the API refuses to overwrite a file it can't read
+    assert.equal((await server.json("/api/settings/hooks/bookings", { method: "PUT", body: { state: "enabled" } })).status, 409);
+
+    fs.writeFileSync(file, JSON.stringify({ hooks: { bookings: { state: "enabled" } } }));
+    await server.until(async () => (await post(server, "bookings", { Id: 4 })).status === 200);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+async function exported() {
+  const server = await startServer({ env: { DEDUP_KEY: "body", SEARCH_INDEX: "0" } });
+  try {
+    const eta = new Date(Date.now() - 5 * 60000).toISOString();
+    await post(server, "tracks", {
+      EventType: "VehicleTracksChanged",
+      VehicleTracks: [{ Vehicle: { Id: 7, Callsign: "70" }, VehicleStatus: "Clear", Timestamp: new Date().toISOString() }],
+    });
+    const late = { EventType: "BookingDispatched", Id: 41, DispatchedAtTime: eta, EstimatedPickupTime: eta };
+    await post(server, "bookings", late);
+    await post(server, "bookings", late);
+    return await (await fetch(`${server.url}/api/export.ndjson?duplicates=show`)).text();
+  } finally {
+    await server.stop();
+  }
+}
+
+for (const backend of ["ndjson", "sqlite"]) {
+  test(`an import updates the vehicles and alert inputs and counts what it skipped (${backend})`, async () => {
+    const file = await exported();
+    const dataDir = tempDataDir();
+    fs.writeFileSync(path.join(dataDir, "alert-rules.json"), JSON.stringify({ rules: [{ id: "late", type: "booking_no_arrival", minutes: 1 }] }));
+    const server = await startServer({ dataDir, env: { STORAGE_BACKEND: backend, ALERT_INTERVAL_MS: "200", SEARCH_INDEX: "0" } });
+    try {
+      const first = (await server.json("/api/import", { method: "POST", body: file })).body;
+      assert.deepEqual([first.imported, first.duplicates, first.redeliveries, first.invalid], [3, 0, 1, 0]);
+
+      const [v] = (await server.json("/api/vehicles")).body.items;
+      assert.equal(v.callsign, "70");
+      const [alert] = await server.until(async () => {
+        const items = (await server.json("/api/alerts")).body.items.filter((a) => a.ruleId === "late");
+        return items.length && items;
+      });
+      assert.equal(alert.key, "41");
+
+      const { items } = (await server.json("/api/hooks/bookings")).body;
+      assert.equal(items.length, 1);
+      assert.equal(items[0].duplicates.count, 1);
+
+      const again = (await server.json("/api/import", { method: "POST", body: file })).body;
+      assert.deepEqual([again.imported, again.duplicates, again.redeliveries], [0, 3, 0]);
+    } finally {
+      await server.stop();
+    }
+  });
+}
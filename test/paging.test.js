@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer } from "./helpers.js";
+
+test("list pages stop at the page size and report hasMore", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "0" } });
+  try {
+    for (let i = 0; i < 5; i++) await post(server, "bookings", { EventType: "BookingCreated", Id: i });
+
+    const seen = [];
+    let cursor = null;
+    let page;
+    do {
+      page = (await server.json(`/api/events?limit=2${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""}`)).body;
+      seen.push(...page.items.map((e) => e.payload.Id));
+      assert.equal(page.hasMore, Boolean(page.nextCursor));
+      assert.equal(page.count, 5);
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, [4, 3, 2, 1, 0]);
+
+    const filtered = (await server.json("/api/hooks/bookings?limit=2&q=BookingCreated")).body;
+    assert.deepEqual([filtered.count, filtered.hasMore, filtered.items.length], [null, true, 2]);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("the search index still counts exact matches past the page", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "1" } });
+  try {
+    await server.until(async () => (await server.json("/api/index")).body.ready);
+    for (let i = 0; i < 5; i++) await post(server, "bookings", { EventType: "BookingCreated", Id: i });
+    const page = (await server.json("/api/events?limit=2&q=BookingCreated")).body;
+    assert.deepEqual([page.indexed, page.count, page.hasMore, page.items.length], [true, 5, true, 2]);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("unfiltered lists count archived segments from segments.json without reading them", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "0", MAX_RECENT_PER_HOOK: "2" } });
+  try {
+    const day = new Date(Date.now() - 2 * 86400000).toISOString().slice(0, 10);
+    const lines = [0, 1, 2, 3, 4].map((i) =>
+      JSON.stringify({ id: `old-${i}`, hook: "bookings", receivedAt: `${day}T10:0${i}:00.000Z`, payload: { Id: i } })
+    );
+    const imported = await server.json("/api/import", { method: "POST", body: lines.join("\n") });
+    assert.equal(imported.body.imported, 5);
+    for (let i = 0; i < 3; i++) await post(server, "bookings", { EventType: "BookingCreated", Id: 100 + i });
+
+    // wait for the background gzip, then make the archived segment unreadable
+    const dir = path.join(server.dataDir, "archive", "bookings");
+    await server.until(() => fs.readdirSync(dir).some((f) => f.endsWith(".gz")));
+    for (const f of fs.readdirSync(dir)) if (f !== "segments.json") fs.writeFileSync(path.join(dir, f), "not gzip");
+
+    for (const url of ["/api/events?limit=2", "/api/hooks/bookings?limit=2"]) {
+      const page = (await server.json(url)).body;
+      assert.deepEqual(page.items.map((e) => e.payload.Id), [102, 101]);
+      assert.deepEqual([page.count, page.hasMore], [8, true]);
+    }
+    const segments = JSON.parse(fs.readFileSync(path.join(dir, "segments.json"), "utf8"));
+    assert.deepEqual(segments.map((s) => [s.events, s.duplicates]), [[5, 0]]);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("cursor pages start reading at the cursor", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "0", MAX_RECENT_PER_HOOK: "2" } });
+  try {
+    const days = [3, 2].map((n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10));
+    const lines = days.flatMap((day, d) =>
+      [0, 1, 2].map((i) => JSON.stringify({ id: `old-${d}-${i}`, hook: "bookings", receivedAt: `${day}T10:0${i}:00.000Z`, payload: { Id: d * 10 + i } }))
+    );
+    assert.equal((await server.json("/api/import", { method: "POST", body: lines.join("\n") })).body.imported, 6);
+    for (let i = 0; i < 3; i++) await post(server, "bookings", { EventType: "BookingCreated", Id: 100 + i });
+
+    // the newer day can't be read, and a page after the older day's newest event doesn't need it
+    const dir = path.join(server.dataDir, "archive", "bookings");
+    await server.until(() => fs.readdirSync(dir).filter((f) => f.endsWith(".gz")).length === 2);
+    fs.writeFileSync(path.join(dir, `${days[1]}.ndjson.gz`), "not gzip");
+
+    const cursor = Buffer.from(JSON.stringify({ t: `${days[0]}T10:02:00.000Z`, id: "old-0-2" })).toString("base64url");
+    const page = (await server.json(`/api/hooks/bookings?limit=5&cursor=${cursor}`)).body;
+    assert.deepEqual(page.items.map((e) => e.payload.Id), [1, 0]);
+    assert.deepEqual([page.count, page.hasMore], [9, false]);
+  } finally {
+    await server.stop();
+  }
+});
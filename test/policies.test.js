@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+async function withHooks(hooks, env, fn) {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(path.join(dataDir, "hooks.json"), JSON.stringify({ hooks }));
+  const server = await startServer({ dataDir, env: { SEARCH_INDEX: "0", ...env } });
+  try {
+    await fn(server);
+  } finally {
+    await server.stop();
+  }
+}
+
+async function stored(server, hook) {
+  return (await server.json(`/api/hooks/${hook}`)).body.items.length;
+}
+
+test("the IP allowlist takes CIDRs and ignores x-forwarded-for from untrusted peers", () =>
+  withHooks({ office: { allowIps: ["203.0.113.0/24"] }, local: { allowIps: ["127.0.0.0/8", "::1"] } }, {}, async (server) => {
+    let res = await post(server, "office", { Id: 1 }, { "x-forwarded-for": "203.0.113.5" });
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body, { ok: false, error: "Source IP not allowed", reason: "ip_not_allowed" });
+    assert.equal((await post(server, "local", { Id: 1 })).status, 200);
+    // hooks without a list take anything
+    assert.equal((await post(server, "open", { Id: 1 })).status, 200);
+
+    res = (await server.json("/api/rejections")).body;
+    assert.equal(res.hooks.office.byReason.ip_not_allowed, 1);
+    assert.match(res.hooks.office.lastIp, /127\.0\.0\.1/);
+    assert.equal(await stored(server, "office"), 0);
+  }));
+
+test("behind a trusted proxy the forwarded client IP is checked", () =>
+  withHooks({ office: { allowIps: ["203.0.113.0/24"] } }, { TRUST_PROXY: "loopback" }, async (server) => {
+    assert.equal((await post(server, "office", { Id: 1 }, { "x-forwarded-for": "203.0.113.5" })).status, 200);
+    assert.equal((await post(server, "office", { Id: 2 }, { "x-forwarded-for": "198.51.100.7" })).status, 403);
+    const [evt] = (await server.json("/api/hooks/office")).body.items;
+    assert.equal(evt.meta.ip, "203.0.113.5");
+  }));
+
+test("rate limits answer 429 with Retry-After, per IP before per hook", () =>
+  withHooks({ busy: { rateLimit: 2 }, noisy: { ipRateLimit: "1:3", rateLimit: 100 } }, {}, async (server) => {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) statuses.push((await post(server, "busy", { Id: i })).status);
+    assert.deepEqual(statuses, [200, 200, 429]);
+
+    const noisy = [];
+    for (let i = 0; i < 4; i++) noisy.push(await post(server, "noisy", { Id: i }));
+    assert.deepEqual(noisy.map((r) => r.status), [200, 200, 200, 429]);
+    const limited = noisy[3];
+    assert.equal(limited.body.reason, "rate_limited");
+    assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+
+    // other hooks have their own buckets
+    assert.equal((await post(server, "quiet", { Id: 1 })).status, 200);
+    assert.equal((await server.json("/api/rejections")).body.byReason.rate_limited, 2);
+  }));
+
+test("bodies over a hook's size limit get 413, with or without a content-length", () =>
+  withHooks({ small: { maxBodyBytes: "100" } }, { MAX_BODY_BYTES: "1kb" }, async (server) => {
+    const big = { Note: "x".repeat(200) };
+    const res = await post(server, "small", big);
+    assert.equal(res.status, 413);
+    assert.equal(res.body.reason, "payload_too_large");
+    assert.equal((await post(server, "small", { Id: 1 })).status, 200);
+
+    // chunked: only the bytes read tell
+    const chunked = await fetch(`${server.url}/small`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: new Blob([JSON.stringify(big)]).stream(),
+      duplex: "half",
+    });
+    assert.equal(chunked.status, 413);
+
+    // MAX_BODY_BYTES is the ceiling for every hook
+    assert.equal((await post(server, "other", { Note: "x".repeat(2000) })).status, 413);
+    assert.equal((await server.json("/api/rejections")).body.byReason.payload_too_large, 3);
+    assert.equal(await stored(server, "small"), 1);
+  }));
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+test("regular expressions that can backtrack badly are refused", async () => {
+  const server = await startServer({ dataDir: tempDataDir(), env: { SEARCH_INDEX: "0" } });
+  try {
+    await post(server, "bookings", { EventType: "BookingCreated", Address: "Station Road" });
+    const q = (s) => server.json(`/api/events?q=${encodeURIComponent(s)}`);
+
+    const ok = await q("Address:/^station/i");
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.items.length, 1);
+
+    for (const bad of ["Address:/(a+)+$/", "/(a|aa)*x/", "Address:/(\\w)\\1/", `/${"a".repeat(201)}/`]) {
+      const res = await q(bad);
+      assert.equal(res.status, 400, bad);
+      assert.match(res.body.error, /^Query syntax error: /);
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+test("filters that run during ingest don't take regular expressions", async () => {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(
+    path.join(dataDir, "hooks.json"),
+    JSON.stringify({
+      hooks: {
+        bookings: {
+          responses: [{ filter: "EventType:/^Booking/", status: 503 }, { filter: "EventType:Booking*", status: 202 }],
+          forward: [{ name: "down", url: "http://127.0.0.1:9/", filter: "EventType:/^Booking/" }],
+        },
+      },
+    })
+  );
+  const server = await startServer({ dataDir, env: { SEARCH_INDEX: "0" } });
+  try {
+    const settings = (await server.json("/api/settings/hooks/bookings")).body;
+    assert.equal(settings.responseErrors.length, 1);
+    assert.match(settings.responseErrors[0], /^#1: filter: Regular expressions can't be used/);
+
+    assert.equal((await post(server, "bookings", { EventType: "BookingCreated" })).status, 202);
+    const [target] = (await server.json("/api/forwarding")).body.targets;
+    assert.match(target.filterError, /Regular expressions/);
+    assert.equal((await server.json("/api/forwarding/queue")).body.items.length, 0);
+  } finally {
+    await server.stop();
+  }
+});
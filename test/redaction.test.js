@@ -0,0 +1,149 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+const NAME = "Alice";
+
+function tracks(minute) {
+  return {
+    EventType: "VehicleTracksChanged",
+    VehicleTracks: [
+      {
+        Vehicle: { Id: 7, Callsign: "70", Registration: "AB12 CDE" },
+        Driver: { Id: 3, Forename: NAME, Surname: "Smith" },
+        VehicleStatus: "Clear",
+        Timestamp: new Date(Date.UTC(2026, 0, 1, 12, minute)).toISOString(),
+        CurrentLocation: { Latitude: 53.48, Longitude: -2.24 },
+      },
+    ],
+  };
+}
+
+async function withRules(rules, fn) {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(path.join(dataDir, "redaction.json"), JSON.stringify({ rules }));
+  const server = await startServer({ dataDir, env: { SEARCH_INDEX: "0" } });
+  try {
+    await fn(server);
+  } finally {
+    await server.stop();
+  }
+}
+
+// first `event: vehicle` message sent after `trigger()`
+async function streamedVehicle(server, trigger) {
+  const ac = new AbortController();
+  const res = await fetch(`${server.url}/api/vehicles/stream`, { signal: ac.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  try {
+    await reader.read(); // retry: line, so the listener is attached
+    await trigger();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error("stream ended");
+      text += decoder.decode(value, { stream: true });
+      const m = text.match(/event: vehicle\ndata: (.*)\n\n/);
+      if (m) return JSON.parse(m[1]);
+    }
+  } finally {
+    ac.abort();
+  }
+}
+
+const NAME_RULES = [
+  { field: "Forename", action: "mask", reveal: "none" },
+  { path: "VehicleTracks.Vehicle.Registration", action: "remove", reveal: "none" },
+];
+
+test("read rules apply to the vehicle list", () =>
+  withRules(NAME_RULES, async (server) => {
+    await post(server, "tracks", tracks(0));
+    const [v] = (await server.json("/api/vehicles")).body.items;
+    assert.equal(v.redacted, true);
+    assert.equal(v.driverForename, "•••••");
+    assert.equal(v.driverName, "••••• Smith");
+    assert.equal(v.registration, "");
+    assert.equal(v.lat, 53.48);
+    assert.ok(!JSON.stringify(v).includes(NAME));
+  }));
+
+test("read rules apply to a single vehicle", () =>
+  withRules(NAME_RULES, async (server) => {
+    await post(server, "tracks", tracks(0));
+    const { item } = (await server.json("/api/vehicles/7")).body;
+    assert.equal(item.redacted, true);
+    assert.equal(item.driverName, "••••• Smith");
+    assert.ok(!JSON.stringify(item).includes(NAME));
+  }));
+
+test("read rules apply to the vehicle stream", () =>
+  withRules(NAME_RULES, async (server) => {
+    const v = await streamedVehicle(server, () => post(server, "tracks", tracks(0)));
+    assert.equal(v.redacted, true);
+    assert.equal(v.driverName, "••••• Smith");
+    assert.ok(!JSON.stringify(v).includes(NAME));
+    assert.ok(!JSON.stringify(v).includes("AB12"));
+  }));
+
+const LOCATION_RULES = [
+  { path: "VehicleTracks.CurrentLocation", action: "remove", reveal: "none" },
+  { path: "VehicleTracks.Vehicle.Callsign", action: "hash", reveal: "none" },
+];
+
+test("read rules apply to the track", () =>
+  withRules(LOCATION_RULES, async (server) => {
+    await post(server, "tracks", tracks(0));
+    const v = (await server.json("/api/vehicles/7")).body.item;
+    assert.deepEqual([v.lat, v.lng], [null, null]);
+    assert.deepEqual((await server.json("/api/track?vehicle=7")).body.points, []);
+  }));
+
+test("read rules apply to the track exports", () =>
+  withRules([{ path: "VehicleTracks.Vehicle.Callsign", action: "hash", reveal: "none" }], async (server) => {
+    await post(server, "tracks", tracks(0));
+    await post(server, "tracks", tracks(1));
+    const track = (await server.json("/api/track?vehicle=7")).body;
+    assert.equal(track.count, 2);
+    assert.match(track.points[0].callsign, /^#[0-9a-f]{16}$/);
+
+    const geojson = await (await fetch(`${server.url}/api/export/track.geojson?vehicle=7`)).text();
+    assert.ok(!geojson.includes('"70"'), geojson);
+    assert.match(geojson, /#[0-9a-f]{16}/);
+  }));
+
+async function login(server, username, password) {
+  const res = await server.json("/login", { method: "POST", body: { username, password } });
+  assert.equal(res.status, 200);
+  return { cookie: res.headers.get("set-cookie").split(";")[0] };
+}
+
+for (const index of ["0", "1"]) {
+  test(`viewers' searches match the masked value (SEARCH_INDEX=${index})`, async () => {
+    const dataDir = tempDataDir();
+    fs.writeFileSync(path.join(dataDir, "redaction.json"), JSON.stringify({ rules: [{ field: "Forename", action: "mask" }] }));
+    const env = { SEARCH_INDEX: index, ADMIN_USER: "admin", ADMIN_PASSWORD: "admin-pass" };
+    const server = await startServer({ dataDir, env });
+    try {
+      const admin = await login(server, "admin", "admin-pass");
+      if (index === "1") await server.until(async () => (await server.json("/api/index", { headers: admin })).body.ready);
+      await post(server, "tracks", tracks(0));
+      await server.json("/api/users", { method: "POST", headers: admin, body: { username: "viewer", password: "viewer-pass" } });
+      const viewer = await login(server, "viewer", "viewer-pass");
+      const count = async (headers, query) => (await server.json(`/api/events?${new URLSearchParams(query)}`, { headers })).body.count;
+
+      for (const query of [{ q: NAME }, { q: "Forename:ali" }, { q: "Forename:/^al/i" }, { field: "payload.VehicleTracks", value: NAME }]) {
+        assert.equal(await count(viewer, query), 0, JSON.stringify(query));
+        assert.equal(await count(admin, query), 1, JSON.stringify(query));
+      }
+      assert.equal(await count(viewer, { q: "Smith" }), 1);
+      const stats = (await server.json(`/api/stats?q=${NAME}`, { headers: viewer })).body;
+      assert.equal(stats.total, 0);
+    } finally {
+      await server.stop();
+    }
+  });
+}
@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+// more events per hook than MAX_RECENT_PER_HOOK keeps in memory
+async function seed(server) {
+  for (let i = 0; i < 6; i++) {
+    await post(server, "tracks", {
+      EventType: "VehicleTracksChanged",
+      VehicleTracks: [
+        {
+          Vehicle: { Id: 7, Callsign: "51" },
+          VehicleStatus: i % 2 ? "Busy" : "Clear",
+          BookingId: 123,
+          Timestamp: new Date(Date.UTC(2026, 0, 1, 12, i)).toISOString(),
+          CurrentLocation: { Latitude: 53.48 + i / 1000, Longitude: -2.24 },
+        },
+      ],
+    });
+  }
+  await post(server, "bookings", { EventType: "BookingCreated", Id: 123 });
+  await post(server, "tracks", { EventType: "VehicleTracksChanged", VehicleTracks: [{ Vehicle: { Id: 8 }, BookingId: 999 }] });
+}
+
+for (const index of ["0", "1"]) {
+  test(`timelines and tracks cover events older than the in-memory tail (SEARCH_INDEX=${index})`, async () => {
+    const dataDir = tempDataDir();
+    const env = { MAX_RECENT_PER_HOOK: "3", SEARCH_INDEX: index };
+    let server = await startServer({ dataDir, env });
+    try {
+      await seed(server);
+    } finally {
+      await server.stop();
+    }
+
+    // restart so only the tail is in memory
+    server = await startServer({ dataDir, env });
+    try {
+      if (index === "1") await server.until(async () => (await server.json("/api/index")).body.ready);
+
+      const track = (await server.json("/api/track?vehicle=7")).body;
+      assert.equal(track.count, 6);
+      assert.deepEqual(
+        track.points.map((p) => p.lat),
+        [0, 1, 2, 3, 4, 5].map((i) => 53.48 + i / 1000)
+      );
+      assert.equal(track.truncated, false);
+      assert.equal((await server.json("/api/track?booking=123")).body.count, 6);
+      assert.equal((await server.json("/api/track?vehicle=cs:51")).body.count, 6);
+
+      const newest = (await server.json("/api/track?vehicle=7&limit=2")).body;
+      assert.equal(newest.truncated, true);
+      assert.deepEqual(
+        newest.points.map((p) => p.lat),
+        [4, 5].map((i) => 53.48 + i / 1000)
+      );
+
+      const timeline = (await server.json("/api/bookings/123/timeline")).body;
+      assert.equal(timeline.eventCount, 7);
+    } finally {
+      await server.stop();
+    }
+  });
+}
@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+test("a rule header value with a line break is skipped instead of crashing the receiver", async () => {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(
+    path.join(dataDir, "hooks.json"),
+    JSON.stringify({ hooks: { bookings: { responses: [{ name: "bad", delayMs: 10, status: 503, headers: { "X-A": "a\nb" } }] } } })
+  );
+  const server = await startServer({ dataDir });
+  try {
+    const settings = (await server.json("/api/settings/hooks/bookings")).body;
+    assert.deepEqual(settings.responseErrors, ['#1: header "X-A" has an invalid value']);
+
+    for (let i = 0; i < 2; i++) {
+      const res = await post(server, "bookings", { EventType: "BookingCreated", Id: i });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.ok, true);
+    }
+
+    const put = await server.json("/api/settings/hooks/bookings", {
+      method: "PUT",
+      body: { responses: [{ headers: { "X-A": "a\r\nSet-Cookie: x=1" } }] },
+    });
+    assert.equal(put.status, 400);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+const EVENTS = [
+  ["tracks", { EventType: "VehicleTracksChanged", VehicleTracks: [{ Vehicle: { Id: 7, Callsign: "51" }, BookingId: 123 }] }],
+  ["bookings", { EventType: "BookingCreated", Id: 123, Pickup: { Address: "1 Market Ave" }, Pricing: { Price: 25 } }],
+  ["bookings", { EventType: "BookingCancelled", Id: 124, Pickup: { Address: "Station Rd" }, Pricing: { Price: 12 } }],
+  ["modify", { EventType: "BookingModified", Id: 123, Notes: "market stall" }],
+];
+
+async function runQueries(server, ids, receivedAt, indexed) {
+  const queries = [
+    { q: "AutocabSender" },
+    { q: ids[1] },
+    { q: "userAgent:Autocab" },
+    { field: "meta.userAgent", value: "Autocab" },
+    { q: "market" },
+    { q: '"Market Ave"' },
+    { q: "Callsign:51" },
+    { q: "payload.Pricing.Price>20" },
+    { q: "Id=123" },
+    { q: "hook:bookings" },
+    { q: "bookings" },
+    { q: `receivedAt>${receivedAt}` },
+    { q: "NOT market" },
+    { q: "market OR station" },
+    { q: "model.type:BookingCancelled" },
+    { field: "payload.Pickup.Address", value: "station" },
+    { field: "any", value: "Modified" },
+  ];
+  const out = [];
+  for (const query of queries) {
+    const { status, body } = await server.json(`/api/events?limit=0&${new URLSearchParams(query)}`);
+    assert.equal(status, 200, `${JSON.stringify(query)}: ${JSON.stringify(body)}`);
+    assert.equal(body.indexed, indexed);
+    out.push({ query, count: body.count, ids: body.items.map((e) => e.id) });
+  }
+  return out;
+}
+
+test("searches return the same events with and without the search index", async () => {
+  const dataDir = tempDataDir();
+  let server = await startServer({ dataDir, env: { SEARCH_INDEX: "0" } });
+  const ids = [];
+  let receivedAt;
+  let scanned;
+  try {
+    for (const [hook, payload] of EVENTS) {
+      const { body } = await post(server, hook, payload, { "user-agent": "AutocabSender/1.0" });
+      ids.push(body.id);
+      if (ids.length === 2) {
+        const { body: list } = await server.json(`/api/hooks/${hook}?limit=1`);
+        receivedAt = list.items[0].receivedAt;
+      }
+    }
+    scanned = await runQueries(server, ids, receivedAt, false);
+  } finally {
+    await server.stop();
+  }
+
+  server = await startServer({ dataDir, env: { SEARCH_INDEX: "1" } });
+  try {
+    await server.until(async () => (await server.json("/api/index")).body.ready);
+    assert.deepEqual(await runQueries(server, ids, receivedAt, true), scanned);
+  } finally {
+    await server.stop();
+  }
+
+  // the ones the index used to miss
+  const byQuery = (q) => scanned.find((r) => r.query.q === q || r.query.value === q);
+  assert.equal(byQuery("AutocabSender").count, EVENTS.length);
+  assert.deepEqual(byQuery(ids[1]).ids, [ids[1]]);
+  assert.equal(byQuery("userAgent:Autocab").count, EVENTS.length);
+  assert.equal(byQuery("Autocab").count, EVENTS.length);
+});
+
+test("ids, coordinates and timestamps don't grow the index dictionary", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "1" } });
+  try {
+    await server.until(async () => (await server.json("/api/index")).body.ready);
+    const track = (i) => ({
+      EventType: "VehicleTracksChanged",
+      VehicleTracks: [{ Vehicle: { Id: 7, Callsign: "51" }, BookingId: 12798700 + i, CurrentLocation: { Latitude: 53.4 + i / 7919 } }],
+    });
+    await post(server, "tracks", track(0));
+    const before = (await server.json("/api/index")).body.words;
+    for (let i = 1; i <= 20; i++) await post(server, "tracks", track(i));
+    assert.ok((await server.json("/api/index")).body.words - before < 10);
+
+    // they are still found, through their trigrams
+    for (const q of ["BookingId=12798713", "12798713", "Callsign:51"]) {
+      const { body } = await server.json(`/api/events?limit=0&q=${q}`);
+      assert.equal(body.indexed, true);
+      assert.equal(body.count, q === "Callsign:51" ? 21 : 1, q);
+    }
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+const SECRET = "abc";
+const BODY = JSON.stringify({ EventType: "VehicleTracksChanged", VehicleTracks: [] });
+
+function sign(data, encoding = "hex") {
+  return crypto.createHmac("sha256", SECRET).update(data).digest(encoding);
+}
+
+async function withSecret(fn, { hooks = {}, env = {} } = {}) {
+  const dataDir = tempDataDir();
+  fs.writeFileSync(path.join(dataDir, "hooks.json"), JSON.stringify({ hooks }));
+  const server = await startServer({ dataDir, env: { HOOK_SECRETS: `tracks=${SECRET}`, SEARCH_INDEX: "0", ...env } });
+  try {
+    await fn(server);
+  } finally {
+    await server.stop();
+  }
+}
+
+test("a signed delivery within the tolerance is stored, in hex or base64", () =>
+  withSecret(async (server) => {
+    const ts = String(Math.floor(Date.now() / 1000));
+    let res = await post(server, "tracks", BODY, { "x-timestamp": ts, "x-signature": `sha256=${sign(`${ts}.${BODY}`)}` });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+
+    const iso = new Date().toISOString();
+    res = await post(server, "tracks", BODY, { "x-timestamp": iso, "x-signature": sign(`${iso}.${BODY}`, "base64") });
+    assert.equal(res.status, 200);
+
+    // hooks without a secret take unsigned deliveries
+    assert.equal((await post(server, "bookings", { Id: 1 })).status, 200);
+    assert.equal((await server.json("/api/hooks/tracks")).body.items.length, 2);
+  }));
+
+test("bad, missing and stale signatures are rejected and counted", () =>
+  withSecret(async (server) => {
+    const now = String(Math.floor(Date.now() / 1000));
+    const stale = String(Math.floor(Date.now() / 1000) - 600);
+    const cases = [
+      [{ "x-timestamp": now }, "missing_signature"],
+      [{ "x-signature": sign(BODY) }, "missing_timestamp"],
+      [{ "x-timestamp": "soon", "x-signature": sign(`soon.${BODY}`) }, "invalid_timestamp"],
+      [{ "x-timestamp": stale, "x-signature": sign(`${stale}.${BODY}`) }, "timestamp_out_of_tolerance"],
+      [{ "x-timestamp": now, "x-signature": sign(`${now}.${BODY} `) }, "bad_signature"],
+    ];
+    for (const [headers, reason] of cases) {
+      const res = await post(server, "tracks", BODY, headers);
+      assert.equal(res.status, 401, reason);
+      assert.deepEqual(res.body, { ok: false, error: "Invalid signature", reason });
+    }
+
+    const rejections = (await server.json("/api/rejections")).body;
+    assert.equal(rejections.hooks.tracks.total, cases.length);
+    assert.equal(rejections.byReason.bad_signature, 1);
+    assert.equal((await server.json("/api/hooks/tracks")).body.items.length, 0);
+  }));
+
+test("per-hook headers and a zero tolerance sign the raw body alone", () =>
+  withSecret(
+    async (server) => {
+      const res = await post(server, "tracks", BODY, { "x-autocab-signature": sign(BODY) });
+      assert.equal(res.status, 200);
+      assert.equal((await post(server, "tracks", BODY, { "x-signature": sign(BODY) })).status, 401);
+    },
+    { hooks: { tracks: { signatureHeader: "X-Autocab-Signature", toleranceSec: 0 } } }
+  ));
+
+test("QUARANTINE_REJECTED keeps rejected deliveries for inspection", () =>
+  withSecret(
+    async (server) => {
+      await post(server, "tracks", BODY, { "x-timestamp": "1", "x-signature": "00" });
+      const { items } = (await server.json("/api/quarantine/tracks")).body;
+      assert.equal(items.length, 1);
+      assert.equal(items[0].reason, "timestamp_out_of_tolerance");
+    },
+    { env: { QUARANTINE_REJECTED: "1" } }
+  ));
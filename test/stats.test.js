@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { post, startServer } from "./helpers.js";
+
+for (const index of ["0", "1"]) {
+  test(`stats read every matching event past hidden duplicates (SEARCH_INDEX=${index})`, async () => {
+    const server = await startServer({ env: { SEARCH_INDEX: index, DEDUP_KEY: "body" } });
+    try {
+      if (index === "1") await server.until(async () => (await server.json("/api/index")).body.ready);
+      await post(server, "bookings", { EventType: "BookingCreated", Id: 1, Price: 10 });
+      await post(server, "bookings", { EventType: "BookingCreated", Id: 2, Price: 20 });
+      await post(server, "bookings", { EventType: "BookingCreated", Id: 2, Price: 20 });
+      await post(server, "bookings", { EventType: "BookingCancelled", Id: 3, Price: 5 });
+
+      const all = (await server.json("/api/stats?groupBy=payload.EventType")).body;
+      assert.equal(all.total, 3);
+      assert.equal(all.indexed, index === "1");
+      const rows = Object.fromEntries(all.rows.map((r) => [r.keys[0], r.count]));
+      assert.deepEqual(rows, { BookingCreated: 2, BookingCancelled: 1 });
+
+      assert.equal((await server.json("/api/stats?q=BookingCreated")).body.total, 2);
+      assert.equal((await server.json("/api/stats?duplicates=show")).body.total, 4);
+    } finally {
+      await server.stop();
+    }
+  });
+}
@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+test("the first SQLite start imports the NDJSON history and counts duplicates", async () => {
+  const dataDir = tempDataDir();
+  const env = { DEDUP_KEY: "body", SEARCH_INDEX: "0" };
+  let server = await startServer({ dataDir, env });
+  try {
+    for (const id of [1, 2, 3, 1]) await post(server, "bookings", { EventType: "BookingCreated", Id: id });
+  } finally {
+    await server.stop();
+  }
+
+  // [count, hasMore] of a one-event page for duplicates=hide, only and show
+  const counts = async () => {
+    const out = [];
+    for (const d of ["hide", "only", "show"]) {
+      const { count, hasMore } = (await server.json(`/api/events?limit=1&duplicates=${d}`)).body;
+      out.push([count, hasMore]);
+    }
+    return out;
+  };
+  const sqliteEnv = { ...env, STORAGE_BACKEND: "sqlite" };
+  server = await startServer({ dataDir, env: sqliteEnv });
+  try {
+    assert.match(server.log(), /imported 4 events from NDJSON/);
+    assert.deepEqual(await counts(), [[3, true], [1, false], [4, true]]);
+  } finally {
+    await server.stop();
+  }
+
+  // an import that was cut short carries on; a finished one isn't run again
+  const db = new Database(path.join(dataDir, "events.sqlite"));
+  db.prepare("DELETE FROM events WHERE json_extract(json, '$.payload.Id') = 3").run();
+  db.prepare("UPDATE store_meta SET value = 'running' WHERE key = 'ndjson_import'").run();
+  db.close();
+  for (const imported of [true, false]) {
+    server = await startServer({ dataDir, env: sqliteEnv });
+    try {
+      if (imported) assert.match(server.log(), /imported 1 events from NDJSON/);
+      else assert.doesNotMatch(server.log(), /imported/);
+      assert.deepEqual(await counts(), [[3, true], [1, false], [4, true]]);
+    } finally {
+      await server.stop();
+    }
+  }
+});
+
+test("NDJSON looks an event up by id through the search index", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "1", MAX_RECENT_PER_HOOK: "2" } });
+  try {
+    await server.until(async () => (await server.json("/api/index")).body.ready);
+    const days = [3, 2].map((n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10));
+    const lines = days.map((day, i) =>
+      JSON.stringify({ id: `0f3c9a${i}e-51d2-4b7a-9c3e-2d8f6a1b4c7${i}`, hook: "bookings", receivedAt: `${day}T10:00:00.000Z`, payload: { Id: i } })
+    );
+    await server.json("/api/import", { method: "POST", body: lines.join("\n") });
+    for (let i = 0; i < 3; i++) await post(server, "bookings", { EventType: "BookingCreated", Id: 100 + i });
+
+    // a scan would stop at the newer day, which can't be read
+    const dir = path.join(server.dataDir, "archive", "bookings");
+    await server.until(() => fs.readdirSync(dir).filter((f) => f.endsWith(".gz")).length === 2);
+    fs.writeFileSync(path.join(dir, `${days[1]}.ndjson.gz`), "not gzip");
+
+    const { status, body } = await server.json(`/api/hooks/bookings/${JSON.parse(lines[0]).id}`);
+    assert.equal(status, 200);
+    assert.equal(body.item.payload.Id, 0);
+    assert.equal((await server.json("/api/hooks/bookings/0f3c9a0e-51d2-4b7a-9c3e-000000000000")).status, 404);
+  } finally {
+    await server.stop();
+  }
+});
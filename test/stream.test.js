@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { post, startServer, tempDataDir } from "./helpers.js";
+
+// `/api/stream` messages as { id, event, data }, read on demand
+async function openStream(server, query = "", headers = {}) {
+  const ac = new AbortController();
+  const res = await fetch(`${server.url}/api/stream?${query}`, { headers, signal: ac.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  // the first chunk (the retry: line, and any missed events) means the listener is attached
+  text += decoder.decode((await reader.read()).value, { stream: true });
+  return {
+    async take(n) {
+      const messages = [];
+      while (messages.length < n) {
+        const end = text.indexOf("\n\n");
+        if (end === -1) {
+          const { value, done } = await reader.read();
+          if (done) throw new Error("stream ended");
+          text += decoder.decode(value, { stream: true });
+          continue;
+        }
+        const block = text.slice(0, end);
+        text = text.slice(end + 2);
+        const m = Object.fromEntries(block.split("\n").map((l) => [l.slice(0, l.indexOf(":")), l.slice(l.indexOf(":") + 2)]));
+        if (m.event) messages.push({ id: m.id, event: m.event, data: JSON.parse(m.data) });
+      }
+      return messages;
+    },
+    close: () => ac.abort(),
+  };
+}
+
+test("the stream sends each matching event as it is stored", async () => {
+  const server = await startServer({ env: { SEARCH_INDEX: "0" } });
+  try {
+    const stream = await openStream(server, "hook=bookings&q=EventType:BookingCancelled");
+    await post(server, "tracks", { EventType: "BookingCancelled", Id: 1 });
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 2 });
+    await post(server, "bookings", { EventType: "BookingCancelled", Id: 3 });
+    const [m] = await stream.take(1);
+    stream.close();
+    assert.equal(m.event, "event");
+    assert.equal(m.data.hook, "bookings");
+    assert.equal(m.data.payload.Id, 3);
+
+    assert.equal((await server.json(`/api/stream?q=${encodeURIComponent("a:/(a+)+/")}`)).status, 400);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("a reconnect with Last-Event-ID first gets the matching events it missed", async () => {
+  const dataDir = tempDataDir();
+  const env = { SEARCH_INDEX: "0" };
+  let server = await startServer({ dataDir, env });
+  let lastId;
+  try {
+    const stream = await openStream(server, "hook=bookings");
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 1 });
+    [{ id: lastId }] = await stream.take(1);
+    stream.close();
+    for (const id of [2, 3]) await post(server, "bookings", { EventType: "BookingCreated", Id: id });
+    await post(server, "tracks", { EventType: "VehicleTracksChanged", VehicleTracks: [] });
+  } finally {
+    await server.stop();
+  }
+
+  // the missed events come from the store, so this works across a restart too
+  server = await startServer({ dataDir, env });
+  try {
+    const stream = await openStream(server, "hook=bookings", { "Last-Event-ID": lastId });
+    const missed = await stream.take(2);
+    assert.deepEqual(missed.map((m) => m.data.payload.Id), [2, 3]);
+
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 4 });
+    const [live] = await stream.take(1);
+    stream.close();
+    assert.equal(live.data.payload.Id, 4);
+
+    const fresh = await openStream(server, "hook=bookings", { "Last-Event-ID": "not-a-cursor" });
+    await post(server, "bookings", { EventType: "BookingCreated", Id: 5 });
+    assert.equal((await fresh.take(1))[0].data.payload.Id, 5);
+    fresh.close();
+  } finally {
+    await server.stop();
+  }
+});